@@ -10,9 +10,17 @@
  *   node main.js parse-all --concurrency=4    # parse N PDFs in parallel (default 4)
  *   node main.js parse <pdf>                  # parse a single PDF (full pipeline)
  *   node main.js extract <pdf>                # just the Python extraction step (writes raw NDJSON)
+ *   node main.js parse <pdf> --no-ocr         # skip the tesseract fallback for image-only pages
  *   node main.js status                       # list each PDF in in/ and its parse state
  *   node main.js audit list                   # list all parsed batches
  *   node main.js audit show <id>              # show one batch's audit record
+ *   node main.js diff --from=<v> [--to=<v>]   # corpus-wide change report between two parser versions
+ *   node main.js errata                       # resolve every volume's errata into out/errata.json
+ *   node main.js regress                      # diff fresh parses of ./regress/ fixtures vs approved output
+ *   node main.js regress snapshot <stem>      # add a fixture from out/<stem>/raw.ndjson (--pages=a-b to slice)
+ *   node main.js regress approve <fixture>    # accept the current parse as a fixture's approved output
+ *   node main.js roster-merge [--dry-run]     # fold front-matter judge rosters into caselaw-extractor's dept rosters
+ *   node main.js validate-payload [<file>…]   # check cases.json against the bulk-ingest JSON Schema (offline)
  *
  * Place input PDFs under ./in/. Per-PDF outputs land under
  * ./out/<pdf-stem>/ with canonical filenames:
@@ -21,7 +29,9 @@
  *   raw.ndjson   — page-by-page Python extraction (debugging artifact)
  *   audit.json   — per-batch audit record copied here for self-containment
  *
- * Audits also accumulate at ./audit/ so re-parses don't lose history.
+ * Audits also accumulate at ./audit/ so re-parses don't lose history, and
+ * a re-parse first archives the volume's previous cases.json as
+ * out/<stem>/history/<parser_version>.cases.json so `diff` can compare runs.
  *
  * Freshness: parse-all skips a PDF when its existing cases.json has both
  *   parser_version === current AND source_pdf_sha256 === current PDF's sha.
@@ -29,6 +39,9 @@
  *
  * Prereqs (one-time):
  *   python3 -m venv .venv && source .venv/bin/activate && pip install -r requirements.txt
+ *   OCR fallback for scanned pages also needs the tesseract binary
+ *   (apt install tesseract-ocr / brew install tesseract); without it those
+ *   pages are flagged ocr_needed and reported by parse + validate.
  */
 
 import { randomUUID } from 'crypto';
@@ -41,16 +54,23 @@ import { extractPdfPages } from './src/pdf_runner.js';
 import { detectVolume } from './src/volume_detector.js';
 import { parseCases } from './src/parser.js';
 import { writeJson, writeSql } from './src/output.js';
-import { writeAudit, listAudits, readAudit } from './src/audit.js';
+import { writeAudit, listAudits, readAudit, archiveOutput } from './src/audit.js';
+import { diffCorpus, printCorpusDiff } from './src/corpus_diff.js';
 import { validateAllOutputs, printValidationReport } from './src/validate.js';
+import { buildCorrectionPayload, printCorrectionReport } from './src/errata.js';
+import { listFixtures, snapshotFixture, approveFixture, runRegress, printRegressReport } from './src/regress.js';
+import { mergeFrontMatterRosters, printRosterMergeReport } from './src/roster_merge.js';
+import { loadHistoryIndex } from './src/appellate_history.js';
+import { validatePayloadFile, printPayloadValidation } from '../ingest-client/payload_schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = __dirname;
 const PDFS_DIR   = path.join(ROOT, 'in');
 const OUTPUT_DIR = path.join(ROOT, 'out');
 const AUDIT_DIR  = path.join(ROOT, 'audit');
+const REGRESS_DIR = path.join(ROOT, 'regress');
 
-const PARSER_VERSION = '0.6.61';
+const PARSER_VERSION = '0.6.69';
 
 async function ensureDirs() {
   await mkdir(PDFS_DIR,   { recursive: true });
@@ -143,20 +163,21 @@ async function listPdfs() {
   return entries.filter(f => f.toLowerCase().endsWith('.pdf')).sort().map(f => path.join(PDFS_DIR, f));
 }
 
-async function cmdExtract(pdfPath) {
+async function cmdExtract(pdfPath, opts = {}) {
   await ensureDirs();
   const out = outDirFor(pdfPath);
   await mkdir(out, { recursive: true });
   const rawPath = path.join(out, 'raw.ndjson');
   console.log(`[extract] ${pdfPath} → ${rawPath}`);
   const t0 = Date.now();
-  let pageCount = 0, errCount = 0, meta = null;
-  for await (const rec of extractPdfPages(pdfPath, { rawOutputPath: rawPath })) {
+  let pageCount = 0, errCount = 0, ocrCount = 0, meta = null;
+  for await (const rec of extractPdfPages(pdfPath, { rawOutputPath: rawPath, ocr: opts.ocr !== false })) {
     if (rec.kind === 'meta') {
       meta = rec;
       console.log(`  pages: ${rec.page_count}, metadata: ${JSON.stringify(rec.metadata)}`);
     } else if (rec.kind === 'page') {
       pageCount++;
+      if (rec.ocr) ocrCount++;
       if (pageCount % 50 === 0) console.log(`  ...${pageCount} pages`);
     } else if (rec.kind === 'page_error') {
       errCount++;
@@ -164,7 +185,7 @@ async function cmdExtract(pdfPath) {
     }
   }
   const dt = ((Date.now() - t0) / 1000).toFixed(1);
-  console.log(`  done. pages=${pageCount} errors=${errCount} time=${dt}s`);
+  console.log(`  done. pages=${pageCount} ocr=${ocrCount} errors=${errCount} time=${dt}s`);
   console.log(`  raw extraction saved: ${rawPath}`);
   return { pageCount, errCount, meta, rawPath };
 }
@@ -227,13 +248,16 @@ async function cmdParse(pdfPath, opts = {}) {
       else if (rec.kind === 'page_error') pageErrors++;
     }
   } else {
-    for await (const rec of extractPdfPages(pdfPath, { rawOutputPath: rawPath })) {
+    for await (const rec of extractPdfPages(pdfPath, { rawOutputPath: rawPath, ocr: opts.ocr !== false })) {
       if (rec.kind === 'meta')        meta = rec;
       else if (rec.kind === 'page')   pages.push(rec);
       else if (rec.kind === 'page_error') pageErrors++;
     }
   }
-  logger.log(`  extracted ${pages.length} page(s), ${pageErrors} page error(s)`);
+  const ocrPages = pages.filter(p => p.ocr).length;
+  const ocrNeeded = pages.filter(p => p.ocr_needed).length;
+  logger.log(`  extracted ${pages.length} page(s), ${pageErrors} page error(s)` +
+    (ocrPages || ocrNeeded ? `; OCR'd ${ocrPages}, image-only without OCR ${ocrNeeded}` : ''));
 
   // Detect volume from the first ~10 pages (front matter usually carries the title page).
   const frontText = pages.slice(0, 10).map(p => p.text_raw || '').join('\n');
@@ -244,8 +268,12 @@ async function cmdParse(pdfPath, opts = {}) {
     logger.warn(`  WARN: could not detect volume metadata from front matter`);
   }
 
-  const { cases, warnings } = parseCases(pages, volume);
-  logger.log(`  parsed ${cases.length} case(s); warnings=${warnings.length}`);
+  // Other parsed volumes, so motion entries can link to decisions outside
+  // this volume (and this volume's decisions to earlier motions).
+  const historyIndex = await loadHistoryIndex(OUTPUT_DIR, { excludeStem: stem });
+  const { cases, digest, statutes_construed, errata, roster, appellate_history, warnings } =
+    parseCases(pages, volume, { historyIndex });
+  logger.log(`  parsed ${cases.length} case(s); digest=${digest.length}; statutes=${statutes_construed.length}; errata=${errata.length}; judges=${roster?.judges.length ?? 0}; appellate_history=${appellate_history.length}; warnings=${warnings.length}`);
   for (const w of warnings) logger.log(`    warn: ${sliceForLog(w, 200)}`);
 
   const opinions = cases.reduce((n, c) => n + (c.opinions?.length || 0), 0);
@@ -253,8 +281,17 @@ async function cmdParse(pdfPath, opts = {}) {
     page_count: meta?.page_count ?? pages.length,
     pages_extracted: pages.length,
     page_errors: pageErrors,
+    ocr_page_count: ocrPages,
+    ocr_needed_page_count: ocrNeeded,
     case_count: cases.length,
     opinion_count: opinions,
+    digest_entry_count: digest.length,
+    statutes_construed_count: statutes_construed.length,
+    errata_count: errata.length,
+    judge_roster_count: roster?.judges.length ?? 0,
+    panel_judge_count: cases.reduce((n, c) => n + (c.panel?.length || 0), 0),
+    panel_judge_linked_count: cases.reduce((n, c) => n + (c.panel || []).filter(p => p.justice_id).length, 0),
+    appellate_history_count: appellate_history.length,
   };
 
   const result = {
@@ -265,12 +302,19 @@ async function cmdParse(pdfPath, opts = {}) {
     parsed_at: new Date().toISOString(),
     volume,
     cases,
+    digest,
+    statutes_construed,
+    errata,
+    roster,
+    appellate_history,
     stats,
     warnings,
   };
 
   const jsonOut = path.join(out, 'cases.json');
   const sqlOut  = path.join(out, 'cases.sql');
+  const archived = await archiveOutput(out);
+  if (archived) logger.log(`  archived previous output: ${path.relative(ROOT, archived)}`);
   await writeJson(jsonOut, result);
   await writeSql(sqlOut, result);
 
@@ -289,6 +333,7 @@ async function cmdParse(pdfPath, opts = {}) {
       raw_extraction: path.relative(ROOT, rawPath),
       json_output:    path.relative(ROOT, jsonOut),
       sql_output:     path.relative(ROOT, sqlOut),
+      previous_output: archived ? path.relative(ROOT, archived) : null,
     },
   };
   const auditPath = await writeAudit(AUDIT_DIR, auditRec);
@@ -384,7 +429,7 @@ async function cmdParseAll(opts = {}) {
       warn: (...args) => buf.push(args.join(' ')),
     };
     try {
-      const out = await cmdParse(pdf, { cached: !!opts.cached, logger });
+      const out = await cmdParse(pdf, { cached: !!opts.cached, ocr: opts.ocr, logger });
       completed++;
       console.log(`\n[${completed}/${total}] ─────────────────────────`);
       for (const line of buf) console.log(line);
@@ -478,6 +523,145 @@ async function cmdValidate(opts = {}) {
   }
 }
 
+/**
+ * Check payloads against the versioned bulk-ingest JSON Schema
+ * (ingest-client/schema/) — the contract co-backend enforces on upload —
+ * without a round-trip. Explicit file paths win; otherwise every
+ * out/<vol>/cases.json (or just --volume). Exits 1 when any file fails.
+ */
+async function cmdValidatePayload(files, opts = {}) {
+  let targets = files.map(f => ({ label: f, file: path.resolve(f) }));
+  if (!targets.length) {
+    const vols = opts.volume ? [opts.volume] : (await readdir(OUTPUT_DIR, { withFileTypes: true }))
+      .filter(d => d.isDirectory())
+      .map(d => d.name)
+      .sort();
+    for (const v of vols) {
+      const file = path.join(OUTPUT_DIR, v, 'cases.json');
+      try { await stat(file); } catch { if (opts.volume) throw new Error(`no cases.json for volume ${v}`); continue; }
+      targets.push({ label: v, file });
+    }
+  }
+  const results = [];
+  for (const t of targets) {
+    results.push({ file: path.relative(ROOT, t.file), label: t.label, ...await validatePayloadFile(t.file) });
+  }
+  const invalid = results.filter(r => !r.valid).length;
+  if (opts.json) {
+    console.log(JSON.stringify({ checked: results.length, invalid, results }, null, 2));
+  } else {
+    for (const r of results) printPayloadValidation(r.label, r, { max: opts.verbose ? Infinity : 20 });
+    console.log(`\n${results.length} payload(s) checked, ${invalid} invalid`);
+  }
+  if (invalid > 0) process.exit(1);
+}
+
+/**
+ * Corpus-wide diff between two parser versions, read from each volume's
+ * live cases.json and its archived history. Writes the JSON report to
+ * out/diff_<from>_<to>.json (a file, so validate's directory scan skips
+ * it) and prints the human summary.
+ */
+async function cmdDiff(opts = {}) {
+  await ensureDirs();
+  const to = opts.to || PARSER_VERSION;
+  const report = await diffCorpus(OUTPUT_DIR, { from: opts.from || null, to, volume: opts.volume || null });
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const outPath = path.join(OUTPUT_DIR, `diff_${opts.from || 'previous'}_${to}.json`);
+  await writeFile(outPath, JSON.stringify(report, null, 2));
+  printCorpusDiff(report, { verbose: !!opts.verbose });
+  console.log(`\nreport: ${path.relative(ROOT, outPath)}`);
+}
+
+/**
+ * Resolve every parsed volume's errata against the target volumes under
+ * ./out/ and write the correction payload (default out/errata.json — a
+ * file, so validate's per-volume directory scan ignores it).
+ */
+async function cmdErrata(opts = {}) {
+  await ensureDirs();
+  const payload = await buildCorrectionPayload(OUTPUT_DIR, {
+    parserVersion: PARSER_VERSION,
+    volume: opts.volume || null,
+  });
+  if (opts.json) {
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+  const outPath = opts.out ? path.resolve(opts.out) : path.join(OUTPUT_DIR, 'errata.json');
+  await writeFile(outPath, JSON.stringify(payload, null, 2));
+  printCorrectionReport(payload);
+  console.log(`\npayload: ${path.relative(ROOT, outPath)}`);
+}
+
+/**
+ * Fold every parsed volume's front-matter judge roster into the historical
+ * department rosters (caselaw-extractor/configs by default) that
+ * department.js consults. --dry-run reports without writing.
+ */
+async function cmdRosterMerge(opts = {}) {
+  await ensureDirs();
+  const report = await mergeFrontMatterRosters(OUTPUT_DIR, {
+    rosterDir: opts.rosterDir ? path.resolve(opts.rosterDir) : undefined,
+    volume: opts.volume || null,
+    dryRun: !!opts.dryRun,
+  });
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  printRosterMergeReport(report);
+  console.log(`\nroster dir: ${path.relative(ROOT, report.roster_dir)}`);
+}
+
+/**
+ * Golden-file regression over ./regress/ fixtures. Runs offline from each
+ * fixture's stored raw.ndjson; exits 1 when any fixture's output differs
+ * from its approved.json so it can gate a PARSER_VERSION bump.
+ */
+async function cmdRegress(sub, args, opts = {}) {
+  if (sub === 'snapshot') {
+    if (!args[0]) throw new Error('usage: node main.js regress snapshot <stem> [--pages=a-b] [--name=<fixture>]');
+    const r = await snapshotFixture({
+      outputDir: OUTPUT_DIR,
+      regressDir: REGRESS_DIR,
+      stem: args[0],
+      name: opts.name,
+      pages: opts.pages,
+      parserVersion: PARSER_VERSION,
+    });
+    console.log(`fixture ${r.fixture.name}: ${r.case_count} case(s) approved → ${path.relative(ROOT, r.dir)}/`);
+    return;
+  }
+  if (sub === 'approve') {
+    if (!opts.all && !args[0]) throw new Error('usage: node main.js regress approve <fixture> | --all');
+    const fixtures = (await listFixtures(REGRESS_DIR))
+      .filter(f => opts.all || f.name === args[0]);
+    if (!fixtures.length) throw new Error(opts.all ? 'no fixtures to approve' : `no such fixture: ${args[0]}`);
+    for (const f of fixtures) {
+      const r = await approveFixture(f, PARSER_VERSION);
+      console.log(`approved ${f.name} at ${PARSER_VERSION}: ${r.case_count} case(s)`);
+    }
+    return;
+  }
+  if (sub) {
+    throw new Error(`unknown regress subcommand: ${sub} — usage: node main.js regress [--fixture=<name>] | regress snapshot <stem> | regress approve <fixture> | --all`);
+  }
+  const result = await runRegress(REGRESS_DIR, {
+    fixture: opts.fixture || null,
+    parserVersion: PARSER_VERSION,
+  });
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printRegressReport(result, { verbose: !!opts.verbose });
+  }
+  if (!result.clean) process.exit(1);
+}
+
 function showHelp() {
   console.log(`
 Bound-Volume Extractor
@@ -489,6 +673,7 @@ Bound-Volume Extractor
   node main.js parse-all --concurrency=N  Run N parses in parallel (default 4)
   node main.js parse <pdf>                Parse a single PDF (full pipeline)
   node main.js extract <pdf>              Run extraction only (writes raw NDJSON)
+  node main.js parse … --no-ocr           Skip tesseract OCR of image-only pages (parse / parse-all / extract)
   node main.js status                     Per-PDF parse state under ./in/
   node main.js audit list                 List all parsed batches
   node main.js audit show <id>            Show one batch's audit record
@@ -497,14 +682,40 @@ Bound-Volume Extractor
   node main.js validate --verbose         Include sample refs for soft issues
   node main.js validate --json            Emit a JSON report on stdout
   node main.js validate --strict          Exit 1 if any hard issues exist
+  node main.js validate-payload           Check every out/<vol>/cases.json against the bulk-ingest
+                                          JSON Schema; exits 1 on any violation (JSON pointers)
+  node main.js validate-payload <file>…   … specific payload files (--volume=<v>, --verbose, --json)
+  node main.js diff --from=<v>            Corpus-wide change report <v> → current parser_version
+  node main.js diff --from=<v> --to=<v>   … between any two archived versions
+  node main.js diff                       … each volume's previous archived version → current
+  node main.js diff --volume=<v>          Limit to one volume directory
+  node main.js diff --verbose|--json      Per-case detail / JSON report on stdout
+  node main.js errata                     Resolve all volumes' errata → out/errata.json
+  node main.js errata --volume=<v>        Only the errata printed in one volume
+  node main.js errata --out=<path>        Write the correction payload elsewhere
+  node main.js errata --json              Emit the payload on stdout instead
+  node main.js regress                    Diff every ./regress/ fixture against its approved output
+  node main.js regress --fixture=<name>   Run a single fixture
+  node main.js regress --verbose|--json   Full change lists / JSON report on stdout
+  node main.js regress snapshot <stem>    Add a fixture from out/<stem>/raw.ndjson
+        [--pages=a-b] [--name=<fixture>]  (optionally sliced to a page_index range)
+  node main.js regress approve <fixture>  Accept the current parse as approved (--all for every fixture)
+  node main.js roster-merge               Merge front-matter judge rosters into historical_justices_dept_<d>.json
+  node main.js roster-merge --dry-run     Report additions / widened ranges without writing
+  node main.js roster-merge --volume=<v>  Only one volume directory (--roster-dir=<dir>, --json)
 
 Layout:
   in/<stem>.pdf      input
   out/<stem>/
     cases.json         structured parse output (admin UI uploads this)
     cases.sql          equivalent SQL script
-    raw.ndjson         page-by-page Python extraction
+    raw.ndjson         page-by-page Python extraction (OCR'd pages carry ocr: true + ocr_confidence)
     audit.json         per-batch audit (also kept under audit/ for cross-batch history)
+    history/<v>.cases.json  previous outputs, archived on re-parse (one per parser_version)
+  regress/<fixture>/
+    raw.ndjson         stored page records (no PDF / Python needed)
+    approved.json      approved cases.json-shaped output
+    fixture.json       source stem, page range, volume metadata, approving parser_version
 `);
 }
 
@@ -522,9 +733,10 @@ async function main() {
       dryRun: !!flags['dry-run'],
       cached: !!flags.cached,
       concurrency: flags.concurrency,
+      ocr: !flags['no-ocr'],
     });
-    else if (cmd === 'parse')    await cmdParse(positional[0], { cached: !!flags.cached });
-    else if (cmd === 'extract')  await cmdExtract(positional[0]);
+    else if (cmd === 'parse')    await cmdParse(positional[0], { cached: !!flags.cached, ocr: !flags['no-ocr'] });
+    else if (cmd === 'extract')  await cmdExtract(positional[0], { ocr: !flags['no-ocr'] });
     else if (cmd === 'status')   await cmdStatus();
     else if (cmd === 'audit' && positional[0] === 'list') await cmdAuditList();
     else if (cmd === 'audit' && positional[0] === 'show') await cmdAuditShow(positional[1]);
@@ -534,6 +746,37 @@ async function main() {
       verbose: !!flags.verbose,
       strict: !!flags.strict,
     });
+    else if (cmd === 'validate-payload') await cmdValidatePayload(positional, {
+      volume: typeof flags.volume === 'string' ? flags.volume : null,
+      json: !!flags.json,
+      verbose: !!flags.verbose,
+    });
+    else if (cmd === 'diff')     await cmdDiff({
+      from: typeof flags.from === 'string' ? flags.from : null,
+      to: typeof flags.to === 'string' ? flags.to : null,
+      volume: typeof flags.volume === 'string' ? flags.volume : null,
+      json: !!flags.json,
+      verbose: !!flags.verbose,
+    });
+    else if (cmd === 'errata')   await cmdErrata({
+      volume: typeof flags.volume === 'string' ? flags.volume : null,
+      out: typeof flags.out === 'string' ? flags.out : null,
+      json: !!flags.json,
+    });
+    else if (cmd === 'regress')  await cmdRegress(positional[0], positional.slice(1), {
+      fixture: typeof flags.fixture === 'string' ? flags.fixture : null,
+      name: typeof flags.name === 'string' ? flags.name : null,
+      pages: typeof flags.pages === 'string' ? flags.pages : null,
+      all: !!flags.all,
+      json: !!flags.json,
+      verbose: !!flags.verbose,
+    });
+    else if (cmd === 'roster-merge') await cmdRosterMerge({
+      dryRun: !!flags['dry-run'],
+      volume: typeof flags.volume === 'string' ? flags.volume : null,
+      rosterDir: typeof flags['roster-dir'] === 'string' ? flags['roster-dir'] : null,
+      json: !!flags.json,
+    });
     else if (!cmd || cmd === 'help' || cmd === '--help' || cmd === '-h') showHelp();
     else {
       console.error(`unknown command: ${cmd}`);
@@ -0,0 +1,293 @@
+/**
+ * Appellate-history edges from Court of Appeals motion-calendar entries.
+ *
+ * motion_calendar.js emits each motion entry as a standalone case with a
+ * `motion` record (kind, disposition, lower_court_citation). This module
+ * links those motions to the decisions they concern, as edges in the shape
+ * caselaw-merge phase 13 merges into `appellate_history_connections`:
+ *
+ *   1. lower decision → motion
+ *        relation `source_leave_<disp>_by_target` (leave to appeal) or
+ *        `source_reargument_<disp>_by_target` (reargument), disp ∈
+ *        granted / denied / dismissed. Withdrawn / amicus motions get no edge.
+ *   2. lower decision → eventual Court of Appeals decision
+ *        for leave motions, when a Court of Appeals case reciting the same
+ *        lower-court cite is present in this or an earlier parsed volume;
+ *        relation from that decision's disposition ("Order affirmed" →
+ *        `source_affirmed_by_target`, "Appeal dismissed" →
+ *        `source_appeal_dismissed_by_target`, …). The motion is the citing
+ *        case, since it's the entry that establishes the link.
+ *
+ * Decisions in *later* volumes are linked from the other side: a volume's
+ * Court of Appeals decisions are matched against motions in the earlier
+ * volumes' index, so re-parsing the later volume completes the chain.
+ *
+ * Bound-volume output has no DB ids, so each end is identified by CURIE
+ * (null when the case isn't in the parsed corpus) plus its compact cite and
+ * `source_ref`; the importer maps CURIE / cite to ids before phase 13's
+ * remap. Edge fields otherwise match the table:
+ *
+ *   { citing_case_curie, citing_opinion_curie,
+ *     source_case_source_ref, source_case_curie, source_case_cite,
+ *     target_case_source_ref, target_case_curie, target_case_cite,
+ *     relation, relation_kind: 'subsequent_history', raw_citation_string,
+ *     source_parallels, target_parallels,
+ *     extraction_method: 'rule_based', parser_version, llm_extraction_version: null }
+ *
+ * `parser_version` is this module's own integer version (the table column
+ * is an integer), bumped whenever the edge rules change.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { profileFor, reporterFamily, normalizeReporterToken, REPORTER_ALT } from './series.js';
+
+export const APPELLATE_HISTORY_PARSER_VERSION = 1;
+
+const MOTION_RELATION = {
+  leave_to_appeal: { granted: 'source_leave_granted_by_target', denied: 'source_leave_denied_by_target', dismissed: 'source_leave_dismissed_by_target' },
+  reargument: { granted: 'source_reargument_granted_by_target', denied: 'source_reargument_denied_by_target', dismissed: 'source_reargument_dismissed_by_target' },
+};
+const DECISION_RELATION = {
+  affirmed: 'source_affirmed_by_target',
+  reversed: 'source_reversed_by_target',
+  modified: 'source_modified_by_target',
+  vacated: 'source_vacated_by_target',
+  dismissed: 'source_appeal_dismissed_by_target',
+};
+
+// Dispositional sentence of a Court of Appeals decision. The last match
+// wins: the opinion's closing "Order affirmed, with costs." follows any
+// earlier recital of the Appellate Division's own disposition.
+const DECISION_DISPOSITION_RE = /\b(?:Order|Judgment|Decree)s?\b[^.]{0,120}?\b(affirmed|reversed|modified|vacated)\b|\bAppeal\s+dismissed\b/gi;
+// Lower-court cites recited in a decision's opening (SUMMARY / first
+// paragraphs). Court of Appeals cites are excluded — those are precedent.
+const RECITED_CITE_RE = new RegExp(`\\b(\\d+)\\s*(${REPORTER_ALT})\\s+(\\d+)\\b|\\b(\\d{4})\\s*NY\\s*Slip\\s*Op\\s*(\\d+)\\s*\\(U\\)`, 'gi');
+const RECITAL_CHARS = 4000;
+
+/** Comparison key for a cite in compact or dotted form: "151 A.D.3d 456" → "151ad3d456". */
+export function citeKey(cite) {
+  return cite ? String(cite).replace(/[\s.]/g, '').toLowerCase() : null;
+}
+
+/** source_ref for a compact cite; slip-op cites fall back to the below-court text. */
+function sourceRefForCite(cite, lowerCourt = '') {
+  const m = String(cite || '').match(/^\d+\s+(.+?)\s+\d+$/);
+  if (m && !/Slip\s+Op/i.test(m[1])) return profileFor(normalizeReporterToken(m[1]))?.source_ref || null;
+  return /\bDept\b|App\s+Div/i.test(lowerCourt || '') ? 'ny_appellate' : 'ny_trial';
+}
+
+function decisionDisposition(c) {
+  const ops = c.opinions || [];
+  const majority = ops.find(o => o.opinion_type === 'majority' || o.opinion_type === 'per_curiam' || o.opinion_type === 'memorandum') || ops[0];
+  const text = (majority?.text || '').slice(-1500);
+  let last = null, m;
+  DECISION_DISPOSITION_RE.lastIndex = 0;
+  while ((m = DECISION_DISPOSITION_RE.exec(text))) last = m[1] ? m[1].toLowerCase() : 'dismissed';
+  return last;
+}
+
+function recitedLowerCites(c) {
+  const head = (c.opinions || []).map(o => o.text || '').join('\n').slice(0, RECITAL_CHARS);
+  const keys = new Set();
+  let m;
+  RECITED_CITE_RE.lastIndex = 0;
+  while ((m = RECITED_CITE_RE.exec(head))) {
+    if (m[2] && reporterFamily(normalizeReporterToken(m[2])) === 'NY') continue;
+    keys.add(m[2] ? citeKey(`${m[1]} ${m[2]} ${m[3]}`) : citeKey(`${m[4]} NY Slip Op ${m[5]}(U)`));
+  }
+  return [...keys];
+}
+
+// Case cite in either the parser's in-memory shape (`citation`) or the
+// cases.json 0.3 shape (`citations[]`).
+function officialCite(c) {
+  return c.citation || (c.citations || []).find(x => x.citation_type === 'official')?.cite || null;
+}
+
+function parallelsOf(c) {
+  const list = c.parallel_cites || (c.citations || []).filter(x => x.citation_type === 'parallel').map(x => x.cite);
+  return list && list.length ? list : null;
+}
+
+/** Index entry for one case: what the edge rules need, nothing more. */
+function indexEntry(c, volumeMeta) {
+  const profile = profileFor(volumeMeta?.reporter);
+  const entry = {
+    curie: c.case_curie || null,
+    cite: officialCite(c),
+    parallels: parallelsOf(c),
+    source_ref: profile?.source_ref || null,
+    family: profile?.family || null,
+    volume: volumeMeta?.volume ?? null,
+    decision_date: c.decision_date || null,
+    opinion_curie: c.opinions?.[0]?.curie || null,
+    motion: c.motion || null,
+    disposition: null,
+    recited: [],
+  };
+  if (entry.family === 'NY' && !c.motion) {
+    entry.disposition = decisionDisposition(c);
+    entry.recited = recitedLowerCites(c);
+  }
+  return entry;
+}
+
+/** Empty index: cite key → case, lower-cite key → Court of Appeals decisions / motions. */
+export function createHistoryIndex() {
+  return { byCite: new Map(), decisionsByLower: new Map(), motionsByLower: new Map() };
+}
+
+/** Add one volume's cases to the index. */
+export function addToHistoryIndex(index, cases, volumeMeta) {
+  for (const c of cases || []) {
+    const e = indexEntry(c, volumeMeta);
+    const key = citeKey(e.cite);
+    if (key && !e.motion && !index.byCite.has(key)) index.byCite.set(key, e);
+    for (const k of e.recited) {
+      if (!index.decisionsByLower.has(k)) index.decisionsByLower.set(k, []);
+      index.decisionsByLower.get(k).push(e);
+    }
+    const lower = citeKey(e.motion?.lower_court_citation);
+    if (lower) {
+      if (!index.motionsByLower.has(lower)) index.motionsByLower.set(lower, []);
+      index.motionsByLower.get(lower).push(e);
+    }
+  }
+  return index;
+}
+
+/**
+ * Build an index over every parsed volume under `outputDir` (out/<stem>/
+ * cases.json), skipping `excludeStem` — the volume being re-parsed.
+ */
+export async function loadHistoryIndex(outputDir, { excludeStem = null } = {}) {
+  const index = createHistoryIndex();
+  let dirents;
+  try {
+    dirents = await readdir(outputDir, { withFileTypes: true });
+  } catch {
+    return index;
+  }
+  for (const d of dirents) {
+    if (!d.isDirectory() || d.name === excludeStem) continue;
+    let doc;
+    try {
+      doc = JSON.parse(await readFile(path.join(outputDir, d.name, 'cases.json'), 'utf8'));
+    } catch {
+      continue;
+    }
+    addToHistoryIndex(index, doc.cases, doc.volume);
+  }
+  return index;
+}
+
+// Court of Appeals volumes are only "earlier" when the volume number is
+// no greater than the one being parsed; lower-court volumes always count.
+function isEarlierOrSame(entry, volumeMeta) {
+  if (entry.family !== 'NY') return true;
+  return entry.volume == null || volumeMeta?.volume == null || entry.volume <= volumeMeta.volume;
+}
+
+function edge(fields) {
+  return {
+    citing_case_curie: fields.citing.curie,
+    citing_opinion_curie: fields.citing.opinion_curie,
+    source_case_source_ref: fields.source.source_ref,
+    source_case_curie: fields.source.curie,
+    source_case_cite: fields.source.cite,
+    target_case_source_ref: fields.target.source_ref,
+    target_case_curie: fields.target.curie,
+    target_case_cite: fields.target.cite,
+    relation: fields.relation,
+    relation_kind: 'subsequent_history',
+    raw_citation_string: fields.raw,
+    source_parallels: fields.source.parallels || null,
+    target_parallels: fields.target.parallels || null,
+    extraction_method: 'rule_based',
+    parser_version: APPELLATE_HISTORY_PARSER_VERSION,
+    llm_extraction_version: null,
+  };
+}
+
+/**
+ * Appellate-history edges for one parsed volume. `priorIndex` (optional,
+ * from loadHistoryIndex) supplies cases from other parsed volumes. Returns
+ * { edges, unresolved } — `unresolved` counts motions whose lower cite was
+ * parsed but matched no case in the corpus (their edge still carries the
+ * cite, with a null source CURIE).
+ */
+export function buildAppellateHistory(cases, volumeMeta, { priorIndex = null } = {}) {
+  const local = addToHistoryIndex(createHistoryIndex(), cases, volumeMeta);
+  const lookups = [local, priorIndex].filter(Boolean);
+  const findCase = (key) => {
+    for (const ix of lookups) {
+      const e = ix.byCite.get(key);
+      if (e && isEarlierOrSame(e, volumeMeta)) return e;
+    }
+    return null;
+  };
+  const findAll = (map, key) => lookups.flatMap(ix => ix[map].get(key) || []);
+
+  const edges = [];
+  const seen = new Set();
+  const push = (e) => {
+    const k = `${e.citing_case_curie}|${citeKey(e.source_case_cite)}|${e.target_case_curie || citeKey(e.target_case_cite)}|${e.relation}`;
+    if (seen.has(k)) return;
+    seen.add(k);
+    edges.push(e);
+  };
+  let unresolved = 0;
+
+  const linkDecision = (motion, source, decision) => {
+    const relation = DECISION_RELATION[decision.disposition];
+    if (!relation || decision.curie === motion.curie) return;
+    if (motion.decision_date && decision.decision_date && decision.decision_date < motion.decision_date) return;
+    push(edge({ citing: motion, source, target: decision, relation, raw: motion.motion.lower_court || motion.motion.lower_court_citation }));
+  };
+
+  // 1 + 2, from this volume's motions.
+  const volumeEntries = (cases || []).map(c => indexEntry(c, volumeMeta));
+  for (const m of volumeEntries) {
+    const mo = m.motion;
+    if (!mo?.lower_court_citation) continue;
+    const lowerKey = citeKey(mo.lower_court_citation);
+    const found = findCase(lowerKey);
+    if (!found) unresolved++;
+    const source = found || {
+      curie: null,
+      cite: mo.lower_court_citation,
+      parallels: null,
+      source_ref: sourceRefForCite(mo.lower_court_citation, mo.lower_court),
+    };
+    const relation = MOTION_RELATION[mo.kind]?.[mo.disposition];
+    if (relation) {
+      push(edge({ citing: m, source, target: m, relation, raw: mo.lower_court || mo.lower_court_citation }));
+    }
+    if (mo.kind !== 'leave_to_appeal') continue;
+    for (const d of findAll('decisionsByLower', lowerKey)) {
+      if (isEarlierOrSame(d, volumeMeta)) linkDecision(m, source, d);
+    }
+  }
+
+  // 2, from this volume's decisions back to earlier volumes' motions.
+  if (priorIndex) {
+    for (const d of volumeEntries) {
+      if (d.family !== 'NY' || d.motion) continue;
+      for (const lowerKey of d.recited) {
+        for (const m of priorIndex.motionsByLower.get(lowerKey) || []) {
+          if (m.motion.kind !== 'leave_to_appeal') continue;
+          const source = findCase(lowerKey) || {
+            curie: null,
+            cite: m.motion.lower_court_citation,
+            parallels: null,
+            source_ref: sourceRefForCite(m.motion.lower_court_citation, m.motion.lower_court),
+          };
+          linkDecision(m, source, d);
+        }
+      }
+    }
+  }
+
+  return { edges, unresolved };
+}
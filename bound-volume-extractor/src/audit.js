@@ -1,4 +1,4 @@
-import { readdir, readFile, writeFile } from 'fs/promises';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
 import path from 'path';
 
 /**
@@ -36,3 +36,75 @@ export async function readAudit(auditDir, batchId) {
   const content = await readFile(file, 'utf8');
   return JSON.parse(content);
 }
+
+/**
+ * Output history. The audit records say what each batch claimed, but a
+ * re-parse overwrites out/<stem>/cases.json — so before that happens the
+ * previous file is kept as out/<stem>/history/<parser_version>.cases.json.
+ * One file per parser version: a --force re-parse at the same version
+ * replaces that version's archive rather than piling up copies.
+ */
+export async function archiveOutput(outDir) {
+  const current = path.join(outDir, 'cases.json');
+  let raw;
+  try {
+    raw = await readFile(current, 'utf8');
+  } catch {
+    return null;   // first parse — nothing to keep
+  }
+  let version;
+  try {
+    version = JSON.parse(raw).parser_version;
+  } catch {
+    return null;   // unreadable output isn't worth archiving
+  }
+  if (!version) return null;
+  const historyDir = path.join(outDir, 'history');
+  await mkdir(historyDir, { recursive: true });
+  const file = path.join(historyDir, `${version}.cases.json`);
+  await writeFile(file, raw);
+  return file;
+}
+
+/** Compare dotted parser versions numerically ("0.6.9" < "0.6.61"). */
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+/** Parser versions archived for one volume, oldest first. */
+export async function listArchivedVersions(outDir) {
+  let files;
+  try {
+    files = await readdir(path.join(outDir, 'history'));
+  } catch {
+    return [];
+  }
+  return files
+    .filter(f => f.endsWith('.cases.json'))
+    .map(f => f.slice(0, -'.cases.json'.length))
+    .sort(compareVersions);
+}
+
+/**
+ * Load a volume's output as produced by `version` — the live cases.json
+ * when it's at that version, else the archived copy. Null when neither.
+ */
+export async function readVersionedOutput(outDir, version) {
+  try {
+    const live = JSON.parse(await readFile(path.join(outDir, 'cases.json'), 'utf8'));
+    if (live.parser_version === version) return live;
+  } catch {
+    // fall through to history
+  }
+  try {
+    return JSON.parse(await readFile(path.join(outDir, 'history', `${version}.cases.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
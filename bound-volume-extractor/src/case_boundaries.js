@@ -25,6 +25,11 @@
  *   }, ...]
  */
 
+import {
+  parallelHeaderRegexes, reporterFamily,
+  SERIES_ALT, STATE_PARALLEL_ALT, REGIONAL_PARALLEL_ALT,
+} from './series.js';
+
 // Parallel cite header on a case's first page. Two flavors:
 //   - NY3d (Court of Appeals):   [<n> NE3d <m>, <p> NYS3d <q>]
 //   - AD3d / Misc 3d:            [<p> NYS3d <q>]
@@ -33,9 +38,9 @@
 // parallel cite. We try the two-cite form first; if it doesn't match, fall
 // back to the NYS3d-only form. The /g flag is used because AD3d/Misc 3d
 // memoranda are short (often <1pp/memo) and multiple memos can appear on
-// one page, each with its own inline parallel cite.
-const PARALLEL_HEADER_BOTH      = /\[\s*(\d+)\s*NE3d\s*(\d+)\s*,\s*(\d+)\s*NYS3d\s*(\d+)\s*\]/g;
-const PARALLEL_HEADER_NYS3D     = /\[\s*(\d+)\s*NYS3d\s*(\d+)\s*\]/g;
+// one page, each with its own inline parallel cite. The 2d series follow
+// the same layout with NE2d / NYS2d; the per-volume regexes come from
+// series.js (parallelHeaderRegexes).
 
 // Left-side (verso) running head, reporter-agnostic. Examples:
 //   "932 30 NEWYORK REPORTS, 3d SERIES"            (NY3d)
@@ -81,7 +86,7 @@ const CAPTION_OPENERS = [
   'Petition', 'Appeal', 'Order', 'On', 'Estate', 'Claim',
 ];
 const ROLE_MARKER = '(?:Appellants?|Respondents?|Plaintiffs?|Defendants?|Petitioners?)';
-const NYS3D_CITE_TERM = '\\[\\s*\\d+\\s+NYS3d\\s+\\d+\\s*\\]\\s*[\\u2014\\u2013\\-]';
+const NYS3D_CITE_TERM = '\\[\\s*\\d+\\s+' + STATE_PARALLEL_ALT + '\\s+\\d+\\s*\\]\\s*[\\u2014\\u2013\\-]';
 const MEMO_PREFIX_RE = new RegExp(
   '(?:^|\\n)\\s*(\\d{1,3})\\s+' +
   '(?=' +
@@ -108,10 +113,11 @@ const MEMO_PREFIX_RE = new RegExp(
   'g'
 );
 
-// Running-head bracketed cite. Reporter token allowed: NY3d / AD3d / Misc 3d.
-// We pass the reporter from volumeMeta so we can build a tight regex.
+// Running-head bracketed cite. Reporter token allowed: any series.js
+// profile (NY3d / AD3d / Misc 3d / NY2d / …). We pass the reporter from
+// volumeMeta so we can build a tight regex.
 function runHeadCiteRegex(reporter) {
-  // reporter examples: 'NY3d' | 'AD3d' | 'Misc 3d'
+  // reporter examples: 'NY3d' | 'AD3d' | 'Misc 3d' | 'AD2d'
   const escaped = reporter.replace(/\s+/g, '\\s*');
   return new RegExp(`\\[\\s*(\\d+)\\s*${escaped}\\s*(\\d+)\\s*\\]`);
 }
@@ -138,29 +144,32 @@ function firstNonEmptyLine(page) {
  * inline parallel cite, so we scan the whole page text rather than just the
  * first 600 chars.
  */
-function detectParallelCites(page) {
+function detectParallelCites(page, headerRes) {
   const text = page.text_raw || '';
   const hits = [];
+  const { both, state, regional, stateRep } = headerRes;
   // Scan with the two-cite (NY3d) regex; record matched ranges to avoid
   // double-counting them under the NYS3d-only regex.
   const masked = new Set();
-  PARALLEL_HEADER_BOTH.lastIndex = 0;
   let m;
-  while ((m = PARALLEL_HEADER_BOTH.exec(text)) !== null) {
-    hits.push({
-      offset: m.index,
-      end_offset: consumeEmDash(text, m.index + m[0].length),
-      parallel_cites: [`${m[1]} NE3d ${m[2]}`, `${m[3]} NYS3d ${m[4]}`],
-    });
-    for (let i = m.index; i < m.index + m[0].length; i++) masked.add(i);
+  if (both) {
+    both.lastIndex = 0;
+    while ((m = both.exec(text)) !== null) {
+      hits.push({
+        offset: m.index,
+        end_offset: consumeEmDash(text, m.index + m[0].length),
+        parallel_cites: [`${m[1]} ${regional} ${m[2]}`, `${m[3]} ${stateRep} ${m[4]}`],
+      });
+      for (let i = m.index; i < m.index + m[0].length; i++) masked.add(i);
+    }
   }
-  PARALLEL_HEADER_NYS3D.lastIndex = 0;
-  while ((m = PARALLEL_HEADER_NYS3D.exec(text)) !== null) {
+  state.lastIndex = 0;
+  while ((m = state.exec(text)) !== null) {
     if (masked.has(m.index)) continue;       // already captured by BOTH
     hits.push({
       offset: m.index,
       end_offset: consumeEmDash(text, m.index + m[0].length),
-      parallel_cites: [`${m[1]} NYS3d ${m[2]}`],
+      parallel_cites: [`${m[1]} ${stateRep} ${m[2]}`],
     });
   }
   hits.sort((a, b) => a.offset - b.offset);
@@ -218,13 +227,14 @@ function walkSection(pages, classification, section, volumeMeta) {
 
   const reporter = volumeMeta?.reporter || 'NY3d';
   const runRe = runHeadCiteRegex(reporter);
+  const headerRes = parallelHeaderRegexes(reporter);
 
   // First-pass: mark every (page, offset) where a parallel cite header
   // appears. Multiple cites per page are possible in AD3d/Misc 3d memoranda
   // (short memos, several per page).
   const firstPages = [];
   for (const p of inSection) {
-    const cites = detectParallelCites(p);
+    const cites = detectParallelCites(p, headerRes);
     for (const hit of cites) {
       firstPages.push({
         page_index: p.page_index,
@@ -256,7 +266,7 @@ function walkSection(pages, classification, section, volumeMeta) {
   // Plaintiff` which match `\d{1,3}\s+...,\s*<role-marker>` purely by
   // accident. AD3d opinion-section cases also lack prefixes (they follow
   // the NY3d-style parallel-cite-then-caption layout). Restrict here.
-  const usePrefixes = reporter === 'AD3d' && section === 'memoranda';
+  const usePrefixes = reporterFamily(reporter) === 'AD' && section === 'memoranda';
   const SEP = '\n\n';
   const pageBounds = [];
   let cursor = 0;
@@ -543,7 +553,7 @@ const RUNNING_HEAD_RE = /^(?:MEMORANDA|MOTION\s+DECISIONS?|MOTIONS|MEMORANDUM)\s
 const PAGE_RUNHEAD_RE = new RegExp(
   '^(?:' +
     // Variant 1: left-page running head
-    '\\d+\\s+\\d+\\s*(?:APPELLATE\\s+DIVISION|NEW\\s*YORK|MISCELLANEOUS)\\s+REPORTS,?\\s+3d\\s+SERIES' +
+    '\\d+\\s+\\d+\\s*(?:APPELLATE\\s+DIVISION|NEW\\s*YORK|MISCELLANEOUS)\\s+REPORTS,?\\s+' + SERIES_ALT + '\\s+SERIES' +
     '|' +
     // Variant 2: right-page memoranda running head
     'MEMORANDA(?:[,\\s][^\\n]*?)?\\s+\\d+' +
@@ -894,7 +904,10 @@ function extractCaptionRaw(pages, startPage, startOffset, citePage, citeOffset)
 
   // Truncate at the parallel cite. `\s` matches `\n` so cites that wrap
   // across visual lines (e.g. `[66 NYS3d\n124]`) still match.
-  const citeRe = /\[\s*\d+\s*NYS3d\s*\d+\s*\]|\[\s*\d+\s*NE3d\s*\d+\s*,\s*\d+\s*NYS3d\s*\d+\s*\]/;
+  const citeRe = new RegExp(
+    `\\[\\s*\\d+\\s*${STATE_PARALLEL_ALT}\\s*\\d+\\s*\\]` +
+    `|\\[\\s*\\d+\\s*${REGIONAL_PARALLEL_ALT}\\s*\\d+\\s*,\\s*\\d+\\s*${STATE_PARALLEL_ALT}\\s*\\d+\\s*\\]`
+  );
   const citeMatch = citeRe.exec(allText);
   if (citeMatch) {
     allText = allText.slice(0, citeMatch.index);
@@ -41,6 +41,7 @@
 
 import { recombineWords } from './small_caps.js';
 import { spliceOrphanBodyRows } from './case_boundaries.js';
+import { REPORTER_ALT, STATE_PARALLEL_ALT, REGIONAL_PARALLEL_ALT } from './series.js';
 
 const MONTHS = {
   january:  '01', february: '02', march:    '03', april:   '04',
@@ -233,7 +234,7 @@ const NEXT_PAGE_RUNHEAD_RE = new RegExp(
   '^(?:' +
     '\\d+\\s+\\d+\\s*(?:APPELLATE\\s+DIVISION|NEW\\s*YORK|MISCELLANEOUS)\\s+REPORTS' +
     '|MEMORANDA(?:[,\\s][^\\n]*)?\\s+\\d+' +
-    '|.+\\s+\\[\\s*\\d+\\s*(?:NY3d|AD3d|Misc\\s*3d)\\s+\\d+\\]\\s+\\d+' +
+    '|.+\\s+\\[\\s*\\d+\\s*' + REPORTER_ALT + '\\s+\\d+\\]\\s+\\d+' +
   ')$',
   'i'
 );
@@ -256,10 +257,9 @@ export function extractCaseHeader(pageRecord, parallel_cites, nextPageRecord) {
 
   // Find the parallel cite line — anchors the start of the caption block.
   // Either form: `[XX NE3d YY, ZZ NYS3d WW]` (NY3d) or `[ZZ NYS3d WW]`
-  // (AD3d / Misc 3d).
-  const parallelIdx = lines.findIndex(l =>
-    /\[\s*\d+\s*NE3d/.test(l.text) || /\[\s*\d+\s*NYS3d/.test(l.text)
-  );
+  // (AD3d / Misc 3d), or the 2d-series equivalents.
+  const parallelOpenRe = new RegExp(`\\[\\s*\\d+\\s*(?:${REGIONAL_PARALLEL_ALT}|${STATE_PARALLEL_ALT})`);
+  const parallelIdx = lines.findIndex(l => parallelOpenRe.test(l.text));
   if (parallelIdx === -1) {
     warnings.push('parallel cite header not found in line stream');
   }
@@ -0,0 +1,88 @@
+/**
+ * Volume-page → case lookup for the back-of-volume reporter tables.
+ *
+ * The DIGEST-INDEX and TABLE OF STATUTES CONSTRUED refer to cases only by
+ * volume page ("— 30 NY3d 693"). Resolving such a reference to a
+ * `case_curie` is the same problem the Table of Cases solves for names
+ * (toc_parser.js keys its map by volume_page too), so the lookup is built
+ * from the parsed case list after `assignCuries` has run:
+ *
+ *   - exact:     a case starts on the referenced page. When several cases
+ *                share the page (stacked AD3d / Misc 3d memos), the
+ *                reference's name hint picks one via `pickTocName`; without
+ *                a hint the first case on the page wins and the match is
+ *                flagged `ambiguous`.
+ *   - contained: no case starts on the page, but it falls inside a case's
+ *                page span (pinpoint references — the statutes table cites
+ *                the page where a section is construed, not the case's first
+ *                page). The span runs to the page before the next case's
+ *                first page, since `last_page` is not populated.
+ *
+ * Returns null when the page lies before the first case or the volume has
+ * no cases with a CURIE.
+ */
+
+import { pickTocName, normalizeTocName } from './toc_parser.js';
+
+/**
+ * Index cases by first page. Only cases carrying a `case_curie` are
+ * indexed — anything else could not be linked anyway.
+ */
+export function buildVolumePageIndex(cases) {
+  const byPage = new Map();
+  for (const c of cases || []) {
+    if (!c.case_curie || c.first_page == null) continue;
+    const page = Number(c.first_page);
+    if (!Number.isInteger(page)) continue;
+    if (!byPage.has(page)) byPage.set(page, []);
+    byPage.get(page).push(c);
+  }
+  const startPages = [...byPage.keys()].sort((a, b) => a - b);
+  return { byPage, startPages };
+}
+
+/**
+ * Resolve a volume page (plus optional case-name hint) to a case. Returns
+ *   { case_curie, first_page, match: 'exact'|'contained', ambiguous }
+ * or null.
+ */
+export function lookupVolumePage(index, volumePage, nameHint = null) {
+  if (!index || volumePage == null) return null;
+  const page = Number(volumePage);
+  let match = 'exact';
+  let startPage = page;
+  if (!index.byPage.has(page)) {
+    startPage = null;
+    for (const p of index.startPages) {
+      if (p > page) break;
+      startPage = p;
+    }
+    if (startPage == null) return null;
+    match = 'contained';
+  }
+  const candidates = index.byPage.get(startPage);
+  let picked = candidates[0];
+  let ambiguous = false;
+  if (candidates.length > 1) {
+    picked = pickByName(candidates, startPage, nameHint);
+    ambiguous = !picked;
+    if (!picked) picked = candidates[0];
+  }
+  return {
+    case_curie: picked.case_curie,
+    first_page: startPage,
+    match,
+    ambiguous,
+  };
+}
+
+// Disambiguate cases sharing a start page with the ToC name picker: the
+// candidates' names stand in for the page's ToC entries and the hint plays
+// the caption. Returns null when there is no hint to score against.
+function pickByName(candidates, page, nameHint) {
+  if (!nameHint) return null;
+  const names = candidates.map(c => c.name || '');
+  const picked = pickTocName(new Map([[page, names]]), page, nameHint);
+  if (!picked) return null;
+  return candidates.find(c => normalizeTocName(c.name || '') === picked) || null;
+}
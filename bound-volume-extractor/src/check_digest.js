@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Dev probe: run the full parse on an NDJSON file and report the
+ * DIGEST-INDEX records — topic counts, link rate, and a sample.
+ *
+ * Usage:
+ *   node src/check_digest.js <ndjson> [--topic=APPEAL]
+ */
+
+import { readFile } from 'fs/promises';
+import { detectVolume } from './volume_detector.js';
+import { parseCases } from './parser.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith('--'));
+  const flags = Object.fromEntries(
+    args.filter(a => a.startsWith('--'))
+        .map(a => a.replace(/^--/, '').split('='))
+        .map(([k, v]) => [k, v ?? true])
+  );
+  return {
+    ndjson: positional[0],
+    topic:  typeof flags.topic === 'string' ? flags.topic.toUpperCase() : null,
+  };
+}
+
+async function loadPages(ndjsonPath) {
+  const raw = await readFile(ndjsonPath, 'utf8');
+  const pages = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    const rec = JSON.parse(line);
+    if (rec.kind === 'page') pages.push(rec);
+  }
+  pages.sort((a, b) => a.page_index - b.page_index);
+  return pages;
+}
+
+async function main() {
+  const { ndjson, topic } = parseArgs();
+  if (!ndjson) {
+    console.error('usage: node src/check_digest.js <ndjson> [--topic=APPEAL]');
+    process.exit(2);
+  }
+  const pages = await loadPages(ndjson);
+  const volume = detectVolume(pages.slice(0, 10).map(p => p.text_raw || '').join('\n'));
+  if (!volume) {
+    console.error('could not detect volume metadata');
+    process.exit(1);
+  }
+  const { cases, digest } = parseCases(pages, volume);
+  const linked = digest.filter(d => d.case_curie).length;
+  const paragraphs = new Set(digest.map(d => d.paragraph_index)).size;
+  const casesHit = new Set(digest.map(d => d.case_curie).filter(Boolean)).size;
+  console.log(`${volume.volume} ${volume.reporter}: ${cases.length} cases`);
+  console.log(`Digest: ${paragraphs} paragraphs → ${digest.length} entries; linked ${linked} (${casesHit} distinct cases)`);
+
+  const byTopic = new Map();
+  for (const d of digest) byTopic.set(d.topic, (byTopic.get(d.topic) || 0) + 1);
+  console.log(`\nTopics (${byTopic.size}), top 15 by entries:`);
+  for (const [t, n] of [...byTopic.entries()].sort((a, b) => b[1] - a[1]).slice(0, 15)) {
+    console.log(`  ${String(n).padStart(4)}  ${t}`);
+  }
+
+  const unlinked = digest.filter(d => !d.case_curie);
+  if (unlinked.length) {
+    console.log(`\nUnlinked (first 10):`);
+    for (const d of unlinked.slice(0, 10)) {
+      console.log(`  p.${d.volume_page}  ${d.topic} / ${d.subtopic || '-'}  ${d.text.slice(0, 60)}`);
+    }
+  }
+
+  const sample = topic ? digest.filter(d => d.topic === topic) : digest.slice(0, 10);
+  console.log(`\n${topic ? `Topic ${topic}` : 'First 10'}:`);
+  for (const d of sample) {
+    console.log(`  [${d.paragraph_index}] ${d.subtopic || '-'} → ${d.case_curie || '?'} (${d.match || 'unlinked'}${d.ambiguous ? ', ambiguous' : ''})`);
+    console.log(`      ${d.text.slice(0, 100)}`);
+  }
+}
+
+main().catch(err => { console.error('FATAL:', err.message); process.exit(1); });
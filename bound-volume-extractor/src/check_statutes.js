@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Dev probe: run the full parse on an NDJSON file and report the TABLE OF
+ * STATUTES CONSTRUED records — per-law counts, CURIE / link rates, and a
+ * sample.
+ *
+ * Usage:
+ *   node src/check_statutes.js <ndjson> [--law="PENAL LAW"]
+ */
+
+import { readFile } from 'fs/promises';
+import { detectVolume } from './volume_detector.js';
+import { parseCases } from './parser.js';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(a => !a.startsWith('--'));
+  const flags = Object.fromEntries(
+    args.filter(a => a.startsWith('--'))
+        .map(a => a.replace(/^--/, '').split('='))
+        .map(([k, v]) => [k, v ?? true])
+  );
+  return {
+    ndjson: positional[0],
+    law:    typeof flags.law === 'string' ? flags.law.toUpperCase() : null,
+  };
+}
+
+async function loadPages(ndjsonPath) {
+  const raw = await readFile(ndjsonPath, 'utf8');
+  const pages = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    const rec = JSON.parse(line);
+    if (rec.kind === 'page') pages.push(rec);
+  }
+  pages.sort((a, b) => a.page_index - b.page_index);
+  return pages;
+}
+
+async function main() {
+  const { ndjson, law } = parseArgs();
+  if (!ndjson) {
+    console.error('usage: node src/check_statutes.js <ndjson> [--law="PENAL LAW"]');
+    process.exit(2);
+  }
+  const pages = await loadPages(ndjson);
+  const volume = detectVolume(pages.slice(0, 10).map(p => p.text_raw || '').join('\n'));
+  if (!volume) {
+    console.error('could not detect volume metadata');
+    process.exit(1);
+  }
+  const { cases, statutes_construed: statutes } = parseCases(pages, volume);
+  const linked = statutes.filter(s => s.case_curie).length;
+  const withCurie = statutes.filter(s => s.statute_curie).length;
+  console.log(`${volume.volume} ${volume.reporter}: ${cases.length} cases`);
+  console.log(`Statutes construed: ${statutes.length} entries; linked ${linked}; statute_curie ${withCurie}`);
+
+  const byLaw = new Map();
+  for (const s of statutes) {
+    const key = `${s.jurisdiction || '?'} / ${s.law || '?'}${s.law_id ? ` [${s.law_id}]` : ''}`;
+    byLaw.set(key, (byLaw.get(key) || 0) + 1);
+  }
+  console.log(`\nLaws (${byLaw.size}):`);
+  for (const [k, n] of [...byLaw.entries()].sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${String(n).padStart(4)}  ${k}`);
+  }
+
+  const sample = law ? statutes.filter(s => s.law === law) : statutes.slice(0, 15);
+  console.log(`\n${law ? `Law ${law}` : 'First 15'}:`);
+  for (const s of sample) {
+    console.log(`  ${s.provision.padEnd(24)} p.${String(s.volume_page).padEnd(5)} ${(s.statute_curie || '-').padEnd(28)} → ${s.case_curie || '?'} (${s.match || 'unlinked'}${s.ambiguous ? ', ambiguous' : ''})`);
+  }
+}
+
+main().catch(err => { console.error('FATAL:', err.message); process.exit(1); });
@@ -0,0 +1,156 @@
+/**
+ * Corpus-wide diff between two parser versions.
+ *
+ * `parse-all` archives each volume's previous cases.json under
+ * out/<stem>/history/<parser_version>.cases.json (audit.js) before
+ * overwriting it, so after a PARSER_VERSION bump both sides of the change
+ * are on disk. This walks every volume, runs regress.js's semantic
+ * per-case diff between the `from` and `to` outputs, and rolls the results
+ * up into corpus-level counts:
+ *
+ *   - cases added / lost, and CURIEs that changed under the same cite
+ *   - per-field change counts (name, caption_text, decision_date,
+ *     court_department) plus opinion-boundary changes
+ *   - department flips as a "from→to" matrix, with the affected CURIEs
+ *   - footnote reattributions
+ *
+ * `from` defaults, per volume, to the newest archived version older than
+ * `to`; `to` defaults to the current parser. Volumes missing either side
+ * are listed as skipped rather than silently dropped.
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { listArchivedVersions, readVersionedOutput, compareVersions } from './audit.js';
+import { diffDocs, CASE_FIELDS } from './regress.js';
+
+function emptyRollup() {
+  return {
+    volumes_compared: 0,
+    volumes_skipped: 0,
+    volumes_changed: 0,
+    cases_added: 0,
+    cases_lost: 0,
+    curie_changes: 0,
+    field_changes: Object.fromEntries(CASE_FIELDS.map(f => [f, 0])),
+    opinion_boundary_changes: 0,
+    footnotes_reattributed: 0,
+    department_flips: {},
+  };
+}
+
+/**
+ * Diff every volume under `outputDir` between parser versions.
+ * Returns { from, to, volumes: [...], rollup }.
+ */
+export async function diffCorpus(outputDir, opts = {}) {
+  const dirents = await readdir(outputDir, { withFileTypes: true });
+  const stems = dirents.filter(d => d.isDirectory()).map(d => d.name).sort();
+  const to = opts.to;
+  const volumes = [];
+  const rollup = emptyRollup();
+
+  for (const stem of stems) {
+    if (opts.volume && stem !== opts.volume) continue;
+    const dir = path.join(outputDir, stem);
+    let from = opts.from || null;
+    if (!from) {
+      const older = (await listArchivedVersions(dir)).filter(v => compareVersions(v, to) < 0);
+      from = older.length ? older[older.length - 1] : null;
+    }
+    const before = from ? await readVersionedOutput(dir, from) : null;
+    const after = await readVersionedOutput(dir, to);
+    if (!before || !after) {
+      volumes.push({
+        volume: stem, from, to, skipped: true,
+        reason: !before ? `no output at ${from || 'any earlier version'}` : `no output at ${to}`,
+      });
+      rollup.volumes_skipped++;
+      continue;
+    }
+
+    const d = diffDocs(before, after);
+    const fieldCounts = Object.fromEntries(CASE_FIELDS.map(f => [f, 0]));
+    const departmentFlips = [];
+    let boundaryChanges = 0;
+    for (const c of d.changed) {
+      for (const f of Object.keys(c.fields)) fieldCounts[f]++;
+      if (c.opinions) boundaryChanges++;
+      if (c.fields.court_department) {
+        departmentFlips.push({ case_curie: c.case_curie, from: c.fields.court_department.from, to: c.fields.court_department.to });
+      }
+    }
+    const curieChanges = d.changed.filter(c => c.previous_curie)
+      .map(c => ({ from: c.previous_curie, to: c.case_curie }));
+
+    volumes.push({
+      volume: stem,
+      from,
+      to,
+      skipped: false,
+      changed: !d.clean,
+      case_count: d.case_count,
+      added: d.added.map(c => c.case_curie),
+      lost: d.lost.map(c => c.case_curie),
+      curie_changes: curieChanges,
+      field_changes: fieldCounts,
+      opinion_boundary_changes: boundaryChanges,
+      department_flips: departmentFlips,
+      footnotes: { reattributed: d.footnotes.reattributed.length, lost: d.footnotes.lost, added: d.footnotes.added },
+    });
+
+    rollup.volumes_compared++;
+    if (!d.clean) rollup.volumes_changed++;
+    rollup.cases_added += d.added.length;
+    rollup.cases_lost += d.lost.length;
+    rollup.curie_changes += curieChanges.length;
+    for (const f of CASE_FIELDS) rollup.field_changes[f] += fieldCounts[f];
+    rollup.opinion_boundary_changes += boundaryChanges;
+    rollup.footnotes_reattributed += d.footnotes.reattributed.length;
+    for (const flip of departmentFlips) {
+      const key = `${flip.from ?? 'null'}→${flip.to ?? 'null'}`;
+      rollup.department_flips[key] = (rollup.department_flips[key] || 0) + 1;
+    }
+  }
+
+  return { from: opts.from || null, to, generated_at: new Date().toISOString(), volumes, rollup };
+}
+
+export function printCorpusDiff({ from, to, volumes, rollup }, opts = {}) {
+  console.log(`Corpus diff ${from || '<previous>'} → ${to}`);
+  console.log(`  volumes compared: ${rollup.volumes_compared} (changed: ${rollup.volumes_changed}, skipped: ${rollup.volumes_skipped})`);
+  console.log(`  cases added: ${rollup.cases_added}   lost: ${rollup.cases_lost}   curie changes: ${rollup.curie_changes}`);
+  console.log(`  field changes:`);
+  for (const [f, n] of Object.entries(rollup.field_changes)) console.log(`    ${f.padEnd(18)} ${n}`);
+  console.log(`    ${'opinion boundaries'.padEnd(18)} ${rollup.opinion_boundary_changes}`);
+  console.log(`  footnotes reattributed: ${rollup.footnotes_reattributed}`);
+  const flips = Object.entries(rollup.department_flips).sort((a, b) => b[1] - a[1]);
+  if (flips.length) {
+    console.log(`  department flips:`);
+    for (const [k, n] of flips) console.log(`    ${k.padEnd(10)} ${n}`);
+  }
+
+  console.log(`\nvolume               from      to        cases      +     -  ~curie  fields  bounds  dept`);
+  console.log(`───────────────────  ────────  ────────  ─────────  ────  ────  ──────  ──────  ──────  ────`);
+  for (const v of volumes) {
+    if (v.skipped) {
+      console.log(`${v.volume.padEnd(19)}  (skipped — ${v.reason})`);
+      continue;
+    }
+    if (!v.changed && !opts.verbose) continue;
+    const fields = Object.values(v.field_changes).reduce((a, b) => a + b, 0);
+    console.log(
+      `${v.volume.padEnd(19)}  ${String(v.from).padEnd(8)}  ${String(v.to).padEnd(8)}  ` +
+      `${`${v.case_count.approved}→${v.case_count.current}`.padStart(9)}  ` +
+      `${String(v.added.length).padStart(4)}  ${String(v.lost.length).padStart(4)}  ` +
+      `${String(v.curie_changes.length).padStart(6)}  ${String(fields).padStart(6)}  ` +
+      `${String(v.opinion_boundary_changes).padStart(6)}  ${String(v.department_flips.length).padStart(4)}`
+    );
+    if (opts.verbose) {
+      for (const k of v.lost) console.log(`    - ${k}`);
+      for (const k of v.added) console.log(`    + ${k}`);
+      for (const c of v.curie_changes) console.log(`    ~ ${c.from} → ${c.to}`);
+      for (const f of v.department_flips) console.log(`    dept ${f.from}→${f.to}  ${f.case_curie}`);
+    }
+  }
+}
@@ -17,12 +17,16 @@
  *                `ad3d:157:1072:jacobson-v-blaise#0-memorandum-lynch`
  */
 
+import { profileFor } from './series.js';
+
 /**
- * Normalize a reporter string ("NY3d", "AD3d", "Misc 3d") to its CURIE form
+ * Normalize a reporter string ("NY3d", "AD2d", "Misc 3d") to its CURIE form
  * (lowercase, no spaces). Matches `normalizeCitation` in co-collection.
+ * Known series take the prefix from their series.js profile; anything else
+ * falls back to the same lowercase/no-space rule.
  */
 export function reporterToCurieNorm(reporter) {
-  return (reporter || '').toLowerCase().replace(/\s+/g, '');
+  return profileFor(reporter)?.curie_prefix || (reporter || '').toLowerCase().replace(/\s+/g, '');
 }
 
 /**
@@ -20,32 +20,12 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reporterFamily } from './series.js';
+// County -> AD department, shared with the slip-op extractor.
+import { COUNTY_DEPT } from '../../ingest-client/county_department.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// ---------------------------------------------------------------------------
-// County -> AD department. Verified against the NY Board of Law Examiners
-// county list (which misspells NY's "Allegany" as "Allegheny" — corrected
-// here). Stable for the whole 1896-present range: no county has ever crossed
-// a department boundary, so no date-conditional logic is needed.
-// ---------------------------------------------------------------------------
-export const COUNTY_DEPT = {
-  'new york': 1, 'bronx': 1,
-  'kings': 2, 'queens': 2, 'richmond': 2, 'nassau': 2, 'suffolk': 2,
-  'westchester': 2, 'dutchess': 2, 'orange': 2, 'putnam': 2, 'rockland': 2,
-  'albany': 3, 'broome': 3, 'chemung': 3, 'chenango': 3, 'clinton': 3,
-  'columbia': 3, 'cortland': 3, 'delaware': 3, 'essex': 3, 'franklin': 3,
-  'fulton': 3, 'greene': 3, 'hamilton': 3, 'madison': 3, 'montgomery': 3,
-  'otsego': 3, 'rensselaer': 3, 'st. lawrence': 3, 'saratoga': 3,
-  'schenectady': 3, 'schoharie': 3, 'schuyler': 3, 'sullivan': 3, 'tioga': 3,
-  'tompkins': 3, 'ulster': 3, 'warren': 3, 'washington': 3,
-  'allegany': 4, 'cattaraugus': 4, 'cayuga': 4, 'chautauqua': 4, 'erie': 4,
-  'genesee': 4, 'herkimer': 4, 'jefferson': 4, 'lewis': 4, 'livingston': 4,
-  'monroe': 4, 'niagara': 4, 'oneida': 4, 'onondaga': 4, 'ontario': 4,
-  'orleans': 4, 'oswego': 4, 'seneca': 4, 'steuben': 4, 'wayne': 4,
-  'wyoming': 4, 'yates': 4,
-};
-
 // ---------------------------------------------------------------------------
 // County extraction
 // ---------------------------------------------------------------------------
@@ -343,12 +323,18 @@ export function resolveOne(cty, panel, roster, priorDept, opts = {}) {
  * Post-pass over a parsed AD3d volume: re-derive court_department from the
  * county + panel signals and override the banner/header value where the
  * text gives a confident answer. Mutates each case's `court_department`.
- * No-op for non-AD3d reporters (NY3d / Misc 3d have no departments).
+ * No-op outside the Appellate Division series (AD3d / AD2d); NY and Misc
+ * volumes have no departments.
+ *
+ * `frontMatterRoster` (optional) is the volume's own printed bench in
+ * historical-roster shape (judges.js rosterToHistorical). Panel justices
+ * found there vote as authoritative, date-bounded entries ahead of the
+ * statistical rosters.
  * Returns an array of warning strings for the volume's warning log.
  */
-export function resolveVolumeDepartments(cases, { reporter } = {}) {
+export function resolveVolumeDepartments(cases, { reporter, frontMatterRoster = null } = {}) {
   const warnings = [];
-  if (reporter !== 'AD3d' || !Array.isArray(cases) || !cases.length) return warnings;
+  if (reporterFamily(reporter) !== 'AD' || !Array.isArray(cases) || !cases.length) return warnings;
 
   // pass A — extract county + panel for every case
   const ext = cases.map((c) => {
@@ -364,10 +350,12 @@ export function resolveVolumeDepartments(cases, { reporter } = {}) {
   const roster = mergeRosters(volumeRoster, loadStaticRoster());
 
   // pass C — resolve, override, and account
+  const historicalRoster = frontMatterRoster && Object.keys(frontMatterRoster).length ? frontMatterRoster : null;
   let resolved = 0, overridden = 0, conflicts = 0;
   cases.forEach((c, i) => {
     const prior = c.court_department ?? null;
-    const r = resolveOne(ext[i].cty, ext[i].panel, roster, prior);
+    const year = historicalRoster && c.decision_date ? parseInt(c.decision_date.slice(0, 4), 10) : null;
+    const r = resolveOne(ext[i].cty, ext[i].panel, roster, prior, historicalRoster ? { historicalRoster, year } : {});
     if (r.department == null) return;
     resolved++;
     if (r.conflict) {
@@ -383,8 +371,9 @@ export function resolveVolumeDepartments(cases, { reporter } = {}) {
     }
   });
   warnings.unshift(
-    `department resolution (AD3d): ${resolved}/${cases.length} resolved from text; ` +
+    `department resolution (${reporter}): ${resolved}/${cases.length} resolved from text; ` +
     `${overridden} overrode the banner/header value; ${conflicts} county/panel conflict(s); ` +
-    `roster ${Object.keys(volumeRoster).length} volume + ${Object.keys(loadStaticRoster()).length} static`);
+    `roster ${Object.keys(volumeRoster).length} volume + ${Object.keys(loadStaticRoster()).length} static` +
+    (historicalRoster ? ` + ${Object.keys(historicalRoster).length} front-matter` : ''));
   return warnings;
 }
@@ -0,0 +1,223 @@
+/**
+ * DIGEST-INDEX parser.
+ *
+ * The back of every bound volume carries a reporter-edited subject digest:
+ * alphabetical topic headings, optional subtopics under each, and short
+ * headnote-style paragraphs that each end in a reference to the case they
+ * summarize:
+ *
+ *   APPEAL
+ *   Preservation of Issue for Review
+ *   Defendant's challenge to the sufficiency of the plea allocution was
+ *   unpreserved where he did not move to withdraw the plea.—People v
+ *   Alexander, 30 NY3d 1113
+ *
+ * The trailing reference is either a bare cite ("—30 NY3d 693") or a short
+ * name plus cite ("—Matter of Aponte v Olatoye, 30 NY3d 693, 1027"). These
+ * topic headings are the cleanest free taxonomy we have, so each paragraph
+ * becomes one record per referenced page, carrying its topic / subtopic and
+ * linked to the case that starts at (or spans) that page.
+ *
+ * Layout is two-column like the Table of Cases; each column is rebuilt
+ * independently and read left column first. Line roles:
+ *
+ *   - topic:     all-caps line with no cite ("APPEAL", "CRIMES"). Small-caps
+ *                headings are recombined and upper-cased. Consecutive
+ *                heading lines join (long topics wrap).
+ *   - subtopic:  a cite-less line set in a bold / italic face while no
+ *                paragraph is open.
+ *   - paragraph: everything else, accumulated (across columns and pages)
+ *                until the flattened text ends in a trailing reference.
+ *
+ * Cross-reference lines ("See CRIMES, Sentence") never end in a cite; they
+ * are dropped when the next heading arrives rather than being glued onto
+ * the next paragraph.
+ *
+ * Only references to the volume being parsed are linked — the digest of
+ * 30 NY3d does not index other volumes, and a cite to a different volume
+ * is a parse artifact.
+ *
+ * Returns:
+ *   [{
+ *     topic, subtopic, paragraph_index, text,
+ *     case_name,          // name from the reference, when printed
+ *     volume_page,        // referenced page
+ *     case_curie,         // null when the page could not be resolved
+ *     match,              // 'exact' | 'contained' | null
+ *     ambiguous,          // several cases start at that page and the name
+ *                         // picked none of them (case_curie is the first)
+ *     page_index,         // PDF page where the paragraph ends
+ *   }, ...]
+ */
+
+import { recombineWords } from './small_caps.js';
+import { buildVolumePageIndex, lookupVolumePage } from './case_lookup.js';
+import { SERIES_ALT } from './series.js';
+
+// Running heads on digest pages: the recto "DIGEST-INDEX <page>" form, the
+// bare banner on the section's first page, and the verso
+// "<page> <vol> NEW YORK REPORTS, 3d SERIES" form (any reporter).
+const RUNNING_HEAD_RE = new RegExp(
+  '^(?:' +
+    'DIGEST[-\\s]INDEX(?:\\s+\\d+)?' +
+    '|' +
+    '\\d+\\s+\\d+\\s*(?:NEW\\s*YORK|APPELLATE\\s+DIVISION|MISCELLANEOUS)\\s+REPORTS,?\\s+' + SERIES_ALT + '\\s+SERIES' +
+    '|' +
+    '\\d{1,5}' +
+  ')$',
+  'i'
+);
+
+const EMPHASIS_FONT_RE = /Bold|Italic|Oblique/i;
+
+// Trailing reference at the end of a flattened paragraph:
+//   "…plea.—People v Alexander, 30 NY3d 1113"
+//   "…plea.—30 NY3d 693, 1027."
+// Built per reporter so "Misc 3d" matches with or without its space.
+function trailingRefRegex(reporter) {
+  const rep = reporter.replace(/\s+/g, '\\s*');
+  return new RegExp(
+    '\\s*[—–]\\s*(?:([^—–]*?),\\s*)?(\\d+)\\s*' + rep + '\\s*(\\d+(?:\\s*,\\s*\\d+)*)\\.?\\s*$'
+  );
+}
+
+function citeAnywhereRegex(reporter) {
+  const rep = reporter.replace(/\s+/g, '\\s*');
+  return new RegExp('\\d+\\s*' + rep + '\\s*\\d+');
+}
+
+/**
+ * Group one column's words into visual lines (2.5pt `top` tolerance, same
+ * as the ToC and header parsers). Each line keeps its words so role
+ * detection can look at fonts.
+ */
+function columnLines(words) {
+  const sorted = words.slice().sort((a, b) => (a.top - b.top) || (a.x0 - b.x0));
+  const lines = [];
+  let cur = [];
+  let curTop = null;
+  const flush = () => {
+    if (!cur.length) return;
+    const ws = cur.slice().sort((a, b) => a.x0 - b.x0);
+    lines.push({ top: curTop, words: ws, text: ws.map(w => w.text).join(' ').trim() });
+  };
+  for (const w of sorted) {
+    if (curTop === null || Math.abs(w.top - curTop) <= 2.5) {
+      cur.push(w);
+      if (curTop === null) curTop = w.top;
+    } else {
+      flush();
+      cur = [w];
+      curTop = w.top;
+    }
+  }
+  flush();
+  return lines;
+}
+
+function isTopicLine(line, citeRe) {
+  const t = line.text;
+  if (/[a-z]/.test(t)) return false;
+  if ((t.match(/[A-Z]/g) || []).length < 3) return false;
+  return !citeRe.test(t);
+}
+
+function topicText(line) {
+  return recombineWords(line.words).map(w => w.text).join(' ')
+    .replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+function isSubtopicLine(line, citeRe) {
+  if (citeRe.test(line.text)) return false;
+  if (!/^[A-Z]/.test(line.text)) return false;
+  const emphasized = line.words.filter(w => EMPHASIS_FONT_RE.test(w.fontname || '')).length;
+  return emphasized > line.words.length / 2;
+}
+
+// Append a wrapped line to a paragraph buffer, rejoining soft-hyphen wraps
+// ("sufficien-" + "cy") and keeping compound hyphens before capitals.
+function appendLine(buf, text) {
+  if (!buf) return text;
+  if (/[a-z]-$/.test(buf) && /^[a-z]/.test(text)) return buf.slice(0, -1) + text;
+  if (/-$/.test(buf)) return buf + text;
+  return buf + ' ' + text;
+}
+
+/**
+ * Parse the DIGEST-INDEX pages of a volume into digest records and link
+ * each to its case. `cases` must already carry CURIEs (parser.js runs this
+ * after `assignCuries`).
+ */
+export function parseDigest(pages, classification, volumeMeta, cases) {
+  if (!volumeMeta?.reporter) return [];
+  const refRe = trailingRefRegex(volumeMeta.reporter);
+  const citeRe = citeAnywhereRegex(volumeMeta.reporter);
+  const index = buildVolumePageIndex(cases);
+
+  const records = [];
+  let topic = null;
+  let subtopic = null;
+  let topicOpen = false;       // previous line was a topic line (wrap join)
+  let buf = '';
+  let paragraphIndex = 0;
+
+  const emit = (pageIndex) => {
+    const m = buf.match(refRe);
+    if (!m) return;
+    const refVolume = parseInt(m[2], 10);
+    const text = buf.slice(0, m.index).trim();
+    const caseName = m[1] ? m[1].trim() : null;
+    buf = '';
+    if (refVolume !== volumeMeta.volume) return;
+    const volumePages = m[3].split(/\s*,\s*/).map(p => parseInt(p, 10)).filter(p => !isNaN(p));
+    for (const volumePage of volumePages) {
+      const hit = lookupVolumePage(index, volumePage, caseName);
+      records.push({
+        topic,
+        subtopic,
+        paragraph_index: paragraphIndex,
+        text,
+        case_name: caseName,
+        volume_page: volumePage,
+        case_curie: hit?.case_curie ?? null,
+        match: hit?.match ?? null,
+        ambiguous: hit?.ambiguous ?? false,
+        page_index: pageIndex,
+      });
+    }
+    paragraphIndex++;
+  };
+
+  for (let i = 0; i < pages.length; i++) {
+    if (classification[i].section !== 'digest' || classification[i].part !== 'digest_index') continue;
+    const page = pages[i];
+    const words = page.words || [];
+    if (!words.length) continue;
+    const midX = (page.width || 612) / 2;
+    const columns = [
+      words.filter(w => w.x0 < midX),
+      words.filter(w => w.x0 >= midX),
+    ];
+    for (const col of columns) {
+      for (const line of columnLines(col)) {
+        if (!line.text || RUNNING_HEAD_RE.test(line.text)) continue;
+        if (isTopicLine(line, citeRe)) {
+          const t = topicText(line);
+          topic = topicOpen ? `${topic} ${t}` : t;
+          subtopic = null;
+          topicOpen = true;
+          buf = '';
+          continue;
+        }
+        topicOpen = false;
+        if (!buf && isSubtopicLine(line, citeRe)) {
+          subtopic = line.text.replace(/\s+/g, ' ').trim();
+          continue;
+        }
+        buf = appendLine(buf, line.text);
+        emit(page.page_index);
+      }
+    }
+  }
+  return records;
+}
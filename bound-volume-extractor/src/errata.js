@@ -0,0 +1,253 @@
+/**
+ * Errata parser + correction payload builder.
+ *
+ * The last section of a bound volume ("Errata" / "CUMULATIVE ERRATA TABLE")
+ * lists corrections to opinions already printed — usually in EARLIER
+ * volumes, which by the time the errata appear have long been parsed and
+ * ingested. Each entry names the target page and says what to change:
+ *
+ *   28 NY3d 345, line 12 from top: for "defendant" read "defendants".
+ *   29 NY3d 1021, headnote 3: "CPL 440.10" should read "CPL 440.20";
+ *     delete "and".
+ *   In 27 NY3d 88, line 4: insert "not" after "was".
+ *
+ * Parsing (per volume, during `parse`): entries start at a line opening
+ * with a cite (optionally "In <cite>"); continuation lines join until the
+ * next cite. Each quoted correction in the entry becomes one record:
+ *
+ *   {
+ *     target_volume, target_reporter, target_page,
+ *     location,          // text between the cite and the first correction
+ *     kind,              // 'replace' | 'delete' | 'insert' | 'unparsed'
+ *     original_text,     // null for unparsed
+ *     corrected_text,    // '' for delete; null for unparsed
+ *     raw, page_index,
+ *   }
+ *
+ * Entries whose wording doesn't match any correction form are kept as one
+ * `unparsed` record (raw text only) so they surface for manual review
+ * instead of vanishing.
+ *
+ * Resolution (corpus-wide, `node main.js errata`): every volume's errata
+ * are resolved against the parsed target volume's cases.json — page →
+ * case_curie via case_lookup.js, then the opinion whose text contains
+ * `original_text` — and written as one correction payload.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { buildVolumePageIndex, lookupVolumePage } from './case_lookup.js';
+import { normalizeReporterToken, PRINTED_REPORTER_ALT } from './series.js';
+
+// Cite at the start of an entry. Reporter forms ("N.Y.2d", "Misc. 3d")
+// are normalized onto the compact volume_detector spelling ("NY2d",
+// "Misc 3d") via series.js.
+const ENTRY_START_RE = new RegExp(`^(?:In\\s+)?(\\d+)\\s+(${PRINTED_REPORTER_ALT})\\s+(\\d+)\\b[,.:;]?\\s*(.*)$`, 'i');
+
+const RUNNING_HEAD_RE = /^(?:(?:CUMULATIVE\s+)?ERRATA(?:\s+TABLE)?(?:\s+\d+)?|\d{1,5})$/i;
+
+// Correction forms, matched against quote-normalized text ("…" → "…").
+//   for "X" read "Y"  /  "X" should read "Y"  /  "X" is corrected to "Y"
+const REPLACE_RE = /(?:for\s+)?"([^"]*)"\s*(?:should\s+read|now\s+reads|is\s+corrected\s+to|changed?\s+to|read|to)\s*"([^"]*)"/gi;
+//   delete "X"
+const DELETE_RE = /\b(?:delete|omit|strike)\s+"([^"]*)"/gi;
+//   insert "Y" after|before "X"
+const INSERT_RE = /\binsert\s+"([^"]*)"\s+(after|before)\s+"([^"]*)"/gi;
+
+/**
+ * Extract every correction in one entry's body. Matches are collected in
+ * text order so the records keep the printed sequence.
+ */
+function parseCorrections(body) {
+  const text = body.replace(/[“”]/g, '"');
+  const found = [];
+  for (const m of text.matchAll(INSERT_RE)) {
+    const [, ins, where, anchor] = m;
+    found.push({
+      at: m.index,
+      kind: 'insert',
+      original_text: anchor,
+      corrected_text: where.toLowerCase() === 'after' ? `${anchor} ${ins}` : `${ins} ${anchor}`,
+    });
+  }
+  for (const m of text.matchAll(REPLACE_RE)) {
+    found.push({ at: m.index, kind: 'replace', original_text: m[1], corrected_text: m[2] });
+  }
+  for (const m of text.matchAll(DELETE_RE)) {
+    found.push({ at: m.index, kind: 'delete', original_text: m[1], corrected_text: '' });
+  }
+  found.sort((a, b) => a.at - b.at);
+  const firstQuote = text.search(/(?:\b(?:for|delete|omit|strike|insert)\s+)?"/i);
+  const location = (firstQuote >= 0 ? text.slice(0, firstQuote) : text)
+    .replace(/[\s,:;]+$/, '').trim() || null;
+  return { location, corrections: found };
+}
+
+/**
+ * Parse the errata pages of one volume into correction records.
+ */
+export function parseErrata(pages, classification) {
+  const entries = [];
+  let cur = null;
+  for (let i = 0; i < pages.length; i++) {
+    if (classification[i].section !== 'errata') continue;
+    const page = pages[i];
+    for (const raw of (page.text_raw || '').split('\n')) {
+      const line = raw.replace(/\s+/g, ' ').trim();
+      if (!line || RUNNING_HEAD_RE.test(line)) continue;
+      const m = line.match(ENTRY_START_RE);
+      if (m) {
+        cur = {
+          target_volume: parseInt(m[1], 10),
+          target_reporter: normalizeReporterToken(m[2]),
+          target_page: parseInt(m[3], 10),
+          body: m[4],
+          raw: line,
+          page_index: page.page_index,
+        };
+        entries.push(cur);
+      } else if (cur) {
+        const join = (s) => (/[a-z]-$/.test(s) ? s.slice(0, -1) + line : `${s} ${line}`);
+        cur.body = join(cur.body);
+        cur.raw = join(cur.raw);
+      }
+    }
+  }
+
+  const records = [];
+  for (const e of entries) {
+    const { location, corrections } = parseCorrections(e.body);
+    const base = {
+      target_volume: e.target_volume,
+      target_reporter: e.target_reporter,
+      target_page: e.target_page,
+      location,
+    };
+    const raw = e.raw;
+    if (!corrections.length) {
+      records.push({ ...base, kind: 'unparsed', original_text: null, corrected_text: null, raw, page_index: e.page_index });
+      continue;
+    }
+    for (const c of corrections) {
+      records.push({
+        ...base,
+        kind: c.kind,
+        original_text: c.original_text,
+        corrected_text: c.corrected_text,
+        raw,
+        page_index: e.page_index,
+      });
+    }
+  }
+  return records;
+}
+
+const squash = (s) => String(s || '').replace(/\s+/g, ' ');
+
+/**
+ * Resolve one errata record against the target volume's parsed cases.
+ * Returns the correction entry for the payload.
+ */
+function resolveCorrection(rec, source, target) {
+  const out = {
+    source: { reporter: source.volume?.reporter ?? null, volume: source.volume?.volume ?? null, batch_id: source.batch_id ?? null },
+    target: { reporter: rec.target_reporter, volume: rec.target_volume, page: rec.target_page, location: rec.location },
+    kind: rec.kind,
+    original_text: rec.original_text,
+    corrected_text: rec.corrected_text,
+    case_curie: null,
+    opinion_curie: null,
+    match: null,
+    text_found: false,
+    status: null,
+    raw: rec.raw,
+  };
+  if (rec.kind === 'unparsed') { out.status = 'unparsed'; return out; }
+  if (!target) { out.status = 'target_volume_missing'; return out; }
+  const hit = lookupVolumePage(target.index, rec.target_page);
+  if (!hit) { out.status = 'page_unresolved'; return out; }
+  out.case_curie = hit.case_curie;
+  out.match = hit.match;
+  // Locate the opinion carrying the original text. Cases sharing a page
+  // (stacked memos) are all searched, since the errata give no name.
+  const onPage = target.index.byPage.get(hit.first_page) || [];
+  const needle = squash(rec.original_text);
+  for (const c of onPage) {
+    for (const op of c.opinions || []) {
+      if (needle && squash(op.text).includes(needle)) {
+        out.case_curie = c.case_curie;
+        out.opinion_curie = op.curie || null;
+        out.text_found = true;
+        break;
+      }
+    }
+    if (out.text_found) break;
+  }
+  out.status = 'resolved';
+  return out;
+}
+
+/**
+ * Scan every out/<volume>/cases.json, resolve each volume's errata against
+ * the target volumes present in the same output tree, and assemble the
+ * correction payload.
+ */
+export async function buildCorrectionPayload(outputDir, opts = {}) {
+  const dirents = await readdir(outputDir, { withFileTypes: true });
+  const docs = [];
+  for (const d of dirents.filter(d => d.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    try {
+      const data = JSON.parse(await readFile(path.join(outputDir, d.name, 'cases.json'), 'utf8'));
+      docs.push({ stem: d.name, data });
+    } catch {
+      continue;   // unparsed / unreadable volume — nothing to contribute
+    }
+  }
+
+  const targets = new Map();
+  for (const { data } of docs) {
+    if (!data.volume) continue;
+    targets.set(`${data.volume.reporter}|${data.volume.volume}`, {
+      index: buildVolumePageIndex(data.cases || []),
+    });
+  }
+
+  const corrections = [];
+  for (const { stem, data } of docs) {
+    if (opts.volume && stem !== opts.volume) continue;
+    for (const rec of data.errata || []) {
+      const target = targets.get(`${rec.target_reporter}|${rec.target_volume}`);
+      corrections.push(resolveCorrection(rec, data, target));
+    }
+  }
+
+  const stats = { total: corrections.length };
+  for (const c of corrections) stats[c.status] = (stats[c.status] || 0) + 1;
+  stats.text_found = corrections.filter(c => c.text_found).length;
+
+  return {
+    schema_version: '0.3',
+    kind: 'errata_corrections',
+    parser_version: opts.parserVersion || null,
+    generated_at: new Date().toISOString(),
+    corrections,
+    stats,
+  };
+}
+
+export function printCorrectionReport(payload) {
+  const { stats, corrections } = payload;
+  console.log(`Errata corrections: ${stats.total}`);
+  for (const k of ['resolved', 'target_volume_missing', 'page_unresolved', 'unparsed']) {
+    console.log(`  ${k.padEnd(22)} ${stats[k] || 0}`);
+  }
+  console.log(`  ${'text_found'.padEnd(22)} ${stats.text_found}`);
+  const pending = corrections.filter(c => c.status !== 'resolved' || !c.text_found);
+  if (pending.length) {
+    console.log(`\nNeeds review (first 20):`);
+    for (const c of pending.slice(0, 20)) {
+      const cite = `${c.target.volume} ${c.target.reporter} ${c.target.page}`;
+      console.log(`  ${cite.padEnd(16)} ${c.status.padEnd(22)} ${c.raw.slice(0, 70)}`);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * Front-matter judge roster parser.
+ *
+ * Every official-reports volume opens with the bench that sat during the
+ * period it covers. Court of Appeals volumes list the Chief Judge and the
+ * Associate Judges; Appellate Division volumes list each department's
+ * Presiding Justice and Associate Justices under a department heading:
+ *
+ *   JUSTICES OF THE APPELLATE DIVISION
+ *   FIRST JUDICIAL DEPARTMENT
+ *   HON. ROLANDO T. ACOSTA, Presiding Justice
+ *   HON. DAVID FRIEDMAN
+ *   HON. KARLA MOSKOWITZ*
+ *   …
+ *   Associate Justices
+ *   SUSANNA MOLINA ROJAS, Clerk
+ *   *Retired December 31, 2017.
+ *
+ * A roster block opens at a "Chief Judge" / "Presiding Justice" line (the
+ * title page and copyright pages are all-caps too, so bare name-shaped
+ * lines alone prove nothing) and runs while lines keep looking like names,
+ * department headings, "Associate …" labels, staff lines (Clerk, State
+ * Reporter — skipped) or footnotes. Unlabelled names take the court's
+ * associate role. Footnote markers (*, †, ‡) attach the footnote text as
+ * `note`; a "Retired / Resigned / Died <date>" note ends that judge's
+ * period and a "Designated / Appointed / Elected <date>" note starts it.
+ *
+ * The roster period is the "from <date> to <date>" range printed in the
+ * front matter when present, otherwise the span of the volume's decision
+ * dates (`period_source` says which).
+ *
+ * Returns:
+ *   {
+ *     period_start, period_end,   // YYYY-MM-DD or null
+ *     period_source,              // 'front_matter' | 'decision_dates' | null
+ *     judges: [{
+ *       name, surname,            // display form / suffix-stripped surname
+ *       court, department,        // department 1-4 for AD, else null
+ *       role,                     // 'chief_judge' | 'associate_judge' |
+ *                                 // 'presiding_justice' | 'acting_presiding_justice' |
+ *                                 // 'associate_justice' | 'other'
+ *       role_text,                // printed role when 'other', else null
+ *       period_start, period_end, note, page_index,
+ *     }, ...]
+ *   }
+ */
+
+import { recombineWords } from './small_caps.js';
+import { profileFor } from './series.js';
+
+const MONTHS = {
+  january:  '01', february: '02', march:    '03', april:   '04',
+  may:      '05', june:     '06', july:     '07', august:  '08',
+  september:'09', october:  '10', november: '11', december:'12',
+};
+const MONTH_ALT = Object.keys(MONTHS).join('|');
+const DATE_SRC = `(?:${MONTH_ALT})\\s*\\d{1,2},?\\s*\\d{4}`;
+
+const DEPT_HEADING_RE = /^(?:THE\s+)?(FIRST|SECOND|THIRD|FOURTH)\s+(?:JUDICIAL\s+)?DEPARTMENT$/i;
+const LABEL_RE = /^(?:Associate\s+(?:Judges|Justices)|(?:JUDGES|JUSTICES)\s+OF\s+THE\s+.+|COURT\s+OF\s+APPEALS)$/i;
+const FOOTNOTE_RE = /^([*†‡§]+)\s*(.+)$/;
+const STAFF_RE = /\b(?:Clerk|Reporter|Deputy|Librarian|Counsel|Editor|Secretary)\b/i;
+
+const ROLES = [
+  [/^Chief\s+Judge$/i, 'chief_judge'],
+  [/^Acting\s+Presiding\s+Justice$/i, 'acting_presiding_justice'],
+  [/^Presiding\s+Justice$/i, 'presiding_justice'],
+  [/^Associate\s+Judge$/i, 'associate_judge'],
+  [/^Associate\s+Justice$/i, 'associate_justice'],
+];
+const ANCHOR_ROLES = new Set(['chief_judge', 'presiding_justice', 'acting_presiding_justice']);
+
+// Name line: optional "HON." prefix, 2-6 capitalized tokens, optional
+// footnote marker, optional ", <role>".
+const NAME_LINE_RE = /^(?:HON\.?\s+)?([A-Z][A-Za-z'’.\-]*(?:\s+[A-Za-z][A-Za-z'’.\-]*){1,5}?)\s*([*†‡§]+)?(?:\s*,\s*([^*†‡§]+?))?\s*([*†‡§]+)?$/;
+// Tokens that never occur in a judge's name but do in all-caps front matter.
+const NON_NAME_TOKENS = new Set([
+  'REPORTS', 'REPORT', 'COURT', 'COURTS', 'APPEALS', 'DEPARTMENT', 'SERIES',
+  'VOLUME', 'JUSTICES', 'JUDGES', 'STATE', 'NEW', 'YORK', 'SUPREME', 'APPELLATE',
+  'DIVISION', 'OFFICIAL', 'CASES', 'TABLE', 'CONTENTS', 'PUBLISHED', 'COPYRIGHT',
+]);
+const SUFFIX_RE = /,?\s+(?:Jr|Sr|II|III|IV)\.?$/i;
+const SURNAME_PARTICLES = /^(?:van|von|de|del|della|di|da|la|le|st\.?)$/i;
+
+const EVENT_END_RE = new RegExp(`\\b(?:retired|resigned|died|deceased|term\\s+expired)\\b[^.]*?(${DATE_SRC})`, 'i');
+const EVENT_START_RE = new RegExp(`\\b(?:designated|appointed|elected|sworn\\s+in|took\\s+office)\\b[^.]*?(${DATE_SRC})`, 'i');
+const PERIOD_RE = new RegExp(`\\b(?:FROM|BETWEEN)\\s+((?:${MONTH_ALT})\\s*\\d{1,2}(?:,?\\s*\\d{4})?)\\s*(?:TO|THROUGH|AND|[-–—])\\s*(${DATE_SRC})`, 'i');
+
+function parseDate(s, fallbackYear = null) {
+  const m = String(s || '').match(new RegExp(`(${MONTH_ALT})\\s*(\\d{1,2}),?\\s*(\\d{4})?`, 'i'));
+  if (!m) return null;
+  const year = m[3] || fallbackYear;
+  if (!year) return null;
+  return `${year}-${MONTHS[m[1].toLowerCase()]}-${m[2].padStart(2, '0')}`;
+}
+
+// "DiFIORE" → "DiFiore", "ACOSTA" → "Acosta", "O'CONNOR" → "O'Connor".
+// Tokens already in mixed case pass through.
+function nameCase(tok) {
+  if (!/[A-Z]{2}/.test(tok)) return tok;
+  const title = (s) => s.toLowerCase().replace(/(^|['’\-])([a-z])/g, (_, p, c) => p + c.toUpperCase());
+  const m = tok.match(/^(Mc|Mac|Di|De|Le|La|Du)([A-Z].*)$/);
+  return m ? m[1] + title(m[2]) : title(tok);
+}
+
+function surnameOf(name) {
+  const toks = name.replace(SUFFIX_RE, '').split(/\s+/);
+  let i = toks.length - 1;
+  while (i > 1 && SURNAME_PARTICLES.test(toks[i - 1])) i--;
+  return toks.slice(i).join(' ');
+}
+
+function roleFor(text, family) {
+  if (!text) return { role: family === 'NY' ? 'associate_judge' : 'associate_justice', role_text: null };
+  for (const [re, role] of ROLES) if (re.test(text.trim())) return { role, role_text: null };
+  return { role: 'other', role_text: text.trim() };
+}
+
+/** Parse one line as a judge entry, or null when it isn't name-shaped. */
+function parseNameLine(text) {
+  const m = text.match(NAME_LINE_RE);
+  if (!m) return null;
+  const tokens = m[1].split(/\s+/);
+  if (tokens.some(t => NON_NAME_TOKENS.has(t.replace(/[.,]/g, '').toUpperCase()))) return null;
+  return { rawName: m[1], marker: m[2] || m[4] || null, roleText: m[3] || null };
+}
+
+function frontMatterLines(page) {
+  const words = recombineWords(page.words || []);
+  const sorted = words.slice().sort((a, b) => (a.top - b.top) || (a.x0 - b.x0));
+  const lines = [];
+  let cur = [];
+  let curTop = null;
+  const flush = () => {
+    if (cur.length) lines.push(cur.sort((a, b) => a.x0 - b.x0).map(w => w.text).join(' ').replace(/\s+/g, ' ').trim());
+  };
+  for (const w of sorted) {
+    if (curTop === null || Math.abs(w.top - curTop) <= 2.5) {
+      cur.push(w);
+      if (curTop === null) curTop = w.top;
+    } else {
+      flush();
+      cur = [w];
+      curTop = w.top;
+    }
+  }
+  flush();
+  // Two-column name lists land on one visual line; split before each "HON.".
+  return lines.flatMap(l => l.split(/\s+(?=HON\.?\s+[A-Z])/));
+}
+
+/**
+ * Parse the front-matter roster of one volume. `cases` supplies the
+ * decision-date fallback for the roster period.
+ */
+export function parseFrontMatterRoster(pages, classification, volumeMeta, cases = []) {
+  const profile = profileFor(volumeMeta?.reporter);
+  const family = profile?.family || null;
+  const court = profile?.court_name || volumeMeta?.court || null;
+
+  const judges = [];
+  const notes = new Map();     // footnote marker → text
+  let frontText = '';
+  let active = false;
+  let department = null;
+
+  for (let i = 0; i < pages.length; i++) {
+    if (classification[i].section !== 'front_matter') continue;
+    const page = pages[i];
+    frontText += '\n' + (page.text_raw || '');
+    for (const line of frontMatterLines(page)) {
+      if (!line) continue;
+      const dept = line.match(DEPT_HEADING_RE);
+      if (dept) {
+        department = { first: 1, second: 2, third: 3, fourth: 4 }[dept[1].toLowerCase()];
+        continue;
+      }
+      const fn = line.match(FOOTNOTE_RE);
+      if (fn) {
+        notes.set(fn[1], fn[2].trim());
+        continue;
+      }
+      if (LABEL_RE.test(line)) continue;
+      const entry = parseNameLine(line);
+      if (!entry) {
+        active = false;
+        continue;
+      }
+      if (entry.roleText && STAFF_RE.test(entry.roleText)) continue;
+      const { role, role_text } = roleFor(entry.roleText, family);
+      if (ANCHOR_ROLES.has(role)) active = true;
+      if (!active) continue;
+      const name = entry.rawName.split(/\s+/).map(nameCase).join(' ');
+      judges.push({
+        name,
+        surname: surnameOf(name),
+        court,
+        department: family === 'AD' ? department : null,
+        role,
+        role_text,
+        period_start: null,
+        period_end: null,
+        note: null,
+        marker: entry.marker,
+        page_index: page.page_index,
+      });
+    }
+  }
+
+  let period_start = null, period_end = null, period_source = null;
+  const pm = frontText.replace(/\s+/g, ' ').match(PERIOD_RE);
+  if (pm) {
+    period_end = parseDate(pm[2]);
+    period_start = parseDate(pm[1], period_end?.slice(0, 4));
+    if (period_start && period_end) period_source = 'front_matter';
+  }
+  if (!period_source) {
+    const dates = cases.map(c => c.decision_date).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d || '')).sort();
+    if (dates.length) {
+      period_start = dates[0];
+      period_end = dates[dates.length - 1];
+      period_source = 'decision_dates';
+    } else {
+      period_start = period_end = null;
+    }
+  }
+
+  for (const j of judges) {
+    const note = j.marker ? notes.get(j.marker) || null : null;
+    j.note = note;
+    j.period_start = (note && parseDate(note.match(EVENT_START_RE)?.[1])) || period_start;
+    j.period_end = (note && parseDate(note.match(EVENT_END_RE)?.[1])) || period_end;
+    delete j.marker;
+  }
+
+  return { period_start, period_end, period_source, judges };
+}
+
+/**
+ * Convert a volume roster into the date-bounded `{ surname: [{ dept,
+ * start_year, end_year }] }` shape of department.js's historical roster,
+ * so resolveOne can treat the volume's own bench as authoritative. Only
+ * judges with a department contribute.
+ */
+export function rosterToHistorical(roster) {
+  const out = {};
+  for (const j of roster?.judges || []) {
+    if (!j.department) continue;
+    (out[j.surname] ||= []).push({
+      dept: j.department,
+      start_year: j.period_start ? parseInt(j.period_start.slice(0, 4), 10) : null,
+      end_year: j.period_end ? parseInt(j.period_end.slice(0, 4), 10) : null,
+    });
+  }
+  return out;
+}
@@ -24,7 +24,18 @@
  *
  * Output: a list of fully-formed case objects (same shape as parser.js's main
  * cases.push) ready to be merged into the parser's output. CURIEs are assigned
- * downstream by `assignCuries`.
+ * downstream by `assignCuries`. Each motion case also carries
+ *
+ *   motion: {
+ *     kind,                   // 'leave_to_appeal' | 'reargument' | 'other'
+ *     disposition,            // 'granted' | 'denied' | 'dismissed' | … | null
+ *     lower_court_citation,   // compact cite of the decision the motion is
+ *                             // about ("151 AD3d 456", "2017 NY Slip Op
+ *                             // 63269(U)", "29 NY3d 1012"), or null
+ *     lower_court,            // the printed below-court text
+ *   }
+ *
+ * which appellate_history.js turns into appellate_history edges.
  *
  * Reporter-gated to NY3d. AD3d / Misc 3d don't use this layout — AD3d memos
  * use numbered prefixes (handled in case_boundaries.js); Misc 3d trial cases
@@ -33,6 +44,9 @@
 
 import { caseCurieBase, slugName } from './curie.js';
 import { normalizeMatterOf } from './toc_parser.js';
+import {
+  reporterFamily, normalizeReporterToken, SERIES_ALT, REPORTER_ALT, STATE_PARALLEL_ALT, REGIONAL_PARALLEL_ALT,
+} from './series.js';
 
 // --- shared regexes -------------------------------------------------------
 
@@ -57,13 +71,21 @@ const RUNHEAD_RE = new RegExp(
     '|' +
     'GRANTED\\s+OR\\s+DENIED' +
     '|' +
-    '\\d+\\s+\\d+\\s*NEW\\s*YORK\\s+REPORTS,?\\s+3d\\s+SERIES' +
+    '\\d+\\s+\\d+\\s*NEW\\s*YORK\\s+REPORTS,?\\s+' + SERIES_ALT + '\\s+SERIES' +
     '|' +
     'MEMORANDA(?:\\s+\\d+)?' +
   ')$',
   'i'
 );
 
+// Verso running head alone on its line; captures the printed page.
+const VERSO_RUNHEAD_RE = new RegExp(`^(\\d+)\\s+\\d+\\s*NEW\\s*YORK\\s+REPORTS,?\\s+${SERIES_ALT}\\s+SERIES\\s*$`, 'i');
+
+// Two-cite parallel header of a Court of Appeals case: `[<n> NE3d <m>,
+// <p> NYS3d <q>]` (NE2d / NYS2d in the 2d series).
+const PAIRED_CITE_SRC =
+  `\\[\\s*\\d+\\s*${REGIONAL_PARALLEL_ALT}\\s*\\d+\\s*,\\s*\\d+\\s*${STATE_PARALLEL_ALT}\\s*\\d+\\s*\\]`;
+
 // Footnote text that lives at the bottom of motion section's last page.
 // Filtered out so it doesn't confuse the disposition-detection walker
 // (it contains "dismissed" and "denied").
@@ -84,6 +106,25 @@ const BELOW_COURT_RE = new RegExp(
   'i'
 );
 
+// Lower-court citation inside an entry's below-court text or ruling:
+// a bound-volume cite ("151 AD3d 456", "57 Misc 3d 1", "29 NY3d 1012") or
+// an unreported slip opinion ("2017 NY Slip Op 63269(U)").
+const LOWER_CITE_RE = new RegExp(`\\b(\\d+)\\s*(${REPORTER_ALT})\\s+(\\d+)\\b`);
+const LOWER_SLIP_RE = /\b(\d{4})\s*NY\s*Slip\s*Op\s*(\d+)\s*\(U\)/i;
+
+/**
+ * First lower-court citation in `text`, in compact form, or null. Slip-op
+ * cites are only taken when no reporter cite is present — an entry reciting
+ * both names the official cite as well.
+ */
+export function parseLowerCourtCitation(text) {
+  if (!text) return null;
+  const m = text.match(LOWER_CITE_RE);
+  if (m) return `${m[1]} ${normalizeReporterToken(m[2])} ${m[3]}`;
+  const slip = text.match(LOWER_SLIP_RE);
+  return slip ? `${slip[1]} NY Slip Op ${slip[2]}(U)` : null;
+}
+
 // Department parser for `1st Dept` / `2d Dept` / etc. Returns 1-4 or null.
 function parseDept(text) {
   const m = text.match(new RegExp('(\\d+)' + NY_ORDINAL + '\\s+Dept', 'i'));
@@ -129,7 +170,7 @@ function detectPrintedPage(page) {
   }
   // Verso: "902 30 NEW YORK REPORTS, 3d SERIES"
   for (const l of lines.slice(0, 2)) {
-    const m = l.match(/^(\d+)\s+\d+\s*NEW\s*YORK\s+REPORTS,?\s+3d\s+SERIES$/i);
+    const m = l.match(VERSO_RUNHEAD_RE);
     if (m) return parseInt(m[1], 10);
   }
   // Trailing bare-digit (first page of section, no runhead).
@@ -229,7 +270,7 @@ function parseEntryBlock(block) {
 // --- case-object assembly ------------------------------------------------
 
 function buildMotionCase(parsed, page, printedPage, volumeMeta, pdfUrlBase, sectionLabel) {
-  const reporter = volumeMeta.reporter; // 'NY3d'
+  const reporter = volumeMeta.reporter; // 'NY3d' | 'NY2d'
   const vol = volumeMeta.volume;
   const citation = `${vol} ${reporter} ${printedPage}`;
 
@@ -284,6 +325,12 @@ function buildMotionCase(parsed, page, printedPage, volumeMeta, pdfUrlBase, sect
       start_page_index: page.page_index,
       end_page_index: page.page_index,
     },
+    motion: {
+      kind: 'leave_to_appeal',
+      disposition: parsed.disposition,
+      lower_court_citation: parseLowerCourtCitation(parsed.belowInfo),
+      lower_court: parsed.belowInfo || null,
+    },
   };
 }
 
@@ -291,10 +338,11 @@ function buildMotionCase(parsed, page, printedPage, volumeMeta, pdfUrlBase, sect
 
 /**
  * Walk the dedicated "Motions for Leave to Appeal" section. Returns case
- * objects ready to merge into the parser's output. NY3d only.
+ * objects ready to merge into the parser's output. Court of Appeals
+ * volumes (NY3d / NY2d) only.
  */
 export function walkMotionsSection(pages, classification, volumeMeta) {
-  if (volumeMeta?.reporter !== 'NY3d') return [];
+  if (reporterFamily(volumeMeta?.reporter) !== 'NY') return [];
 
   // Filter to motion-section pages, in original order.
   const inSection = pages.filter((_, i) => classification[i].section === 'motions');
@@ -344,7 +392,7 @@ export function walkMotionsSection(pages, classification, volumeMeta) {
 // detected by the main walker but the close phrase isn't present (e.g.,
 // per-curiam dispositions that say "in a per curiam opinion" instead of "in a
 // memorandum").
-const BODY_OPEN_PARALLEL = /\[\s*\d+\s*NE3d\s*\d+\s*,\s*\d+\s*NYS3d\s*\d+\s*\]/g;
+const BODY_OPEN_PARALLEL = new RegExp(PAIRED_CITE_SRC, 'g');
 const BODY_OPEN_BANNER = /^(?:SUMMARY|HEADNOTES?|APPEARANCES OF COUNSEL|OPINION OF THE COURT)\b/gm;
 
 // Substantive memo body-close signal. Variants observed:
@@ -467,8 +515,11 @@ function complementSpans(textLength, bodySpans) {
  * was found.
  */
 const NON_CAPTION_KEYWORDS = /\b(?:concur|denied|granted|dismissed|affirmed|reversed|withdrawn|adjudged|taking\s+no\s+part|sua\s+sponte|Ordered\s+that|Judgment\s+entered|in\s+a\s+memorandum)\b/i;
-const SECTION_RUNHEAD = /^(?:MEMORANDA|MOTION\s+DECISIONS?|MOTIONS|MEMORANDUM)\s+\d+\s*$|^\d+\s+\d+\s*NEW\s*YORK\s+REPORTS,?\s+3d\s+SERIES\s*$/i;
-const PARALLEL_CITE = /\[\s*\d+\s*NE3d\s*\d+\s*,\s*\d+\s*NYS3d\s*\d+\s*\]/;
+const SECTION_RUNHEAD = new RegExp(
+  `^(?:MEMORANDA|MOTION\\s+DECISIONS?|MOTIONS|MEMORANDUM)\\s+\\d+\\s*$|^\\d+\\s+\\d+\\s*NEW\\s*YORK\\s+REPORTS,?\\s+${SERIES_ALT}\\s+SERIES\\s*$`,
+  'i'
+);
+const PARALLEL_CITE = new RegExp(PAIRED_CITE_SRC);
 const ROLE_END = /\b(?:Appellants?|Respondents?|Plaintiffs?|Defendants?|Petitioners?|Intervenors?)\b\.?\s*$/;
 const MATTER_OF = /^In\s+the\s+Matter\s+of\b/i;
 
@@ -674,6 +725,15 @@ function parseEntriesInRegion(text, regionStart, regionEnd, pageBounds, volumeMe
         start_page_index: page.page.page_index,
         end_page_index: page.page.page_index,
       },
+      // Memoranda-section motions are mostly reargument / amicus motions;
+      // the cite they recite (when any) is the decision they concern.
+      motion: {
+        kind: /\breargument\b/i.test(flatRuling) ? 'reargument'
+          : /\bleave\s+to\s+appeal\b/i.test(flatRuling) ? 'leave_to_appeal' : 'other',
+        disposition,
+        lower_court_citation: parseLowerCourtCitation(flatRuling),
+        lower_court: null,
+      },
     });
   }
   return cases;
@@ -713,7 +773,7 @@ function parseSingleLineEntries(text, regionStart, regionEnd, pageBounds, volume
 
     // Track printed page from running heads.
     let m = line.match(/^MEMORANDA\s+(\d+)\s*$/i)
-         || line.match(/^(\d+)\s+\d+\s*NEW\s*YORK\s+REPORTS,?\s+3d\s+SERIES\s*$/i);
+         || line.match(VERSO_RUNHEAD_RE);
     if (m) {
       currentPrintedPage = parseInt(m[1], 10);
       continue;
@@ -826,6 +886,12 @@ function parseSingleLineEntries(text, regionStart, regionEnd, pageBounds, volume
         start_page_index: page.page.page_index,
         end_page_index: page.page.page_index,
       },
+      motion: {
+        kind: 'leave_to_appeal',
+        disposition,
+        lower_court_citation: parseLowerCourtCitation(courtCitePart),
+        lower_court: courtCitePart,
+      },
     });
   }
   return cases;
@@ -853,7 +919,7 @@ function parseSingleLineEntries(text, regionStart, regionEnd, pageBounds, volume
  * a substantive memo (e.g., when a memo's caption repeats inside its body).
  */
 export function walkMemoMotionEntries(pages, classification, volumeMeta, existingCaseCuries) {
-  if (volumeMeta?.reporter !== 'NY3d') return [];
+  if (reporterFamily(volumeMeta?.reporter) !== 'NY') return [];
 
   const inSection = pages.filter((_, i) => classification[i].section === 'memoranda');
   if (!inSection.length) return [];
@@ -901,6 +967,7 @@ export function walkMemoMotionEntries(pages, classification, volumeMeta, existin
 // Exposed for testing.
 export const __test__ = {
   parseEntryBlock,
+  parseLowerCourtCitation,
   walkPageEntries,
   detectPrintedPage,
   normalizeDateToISO,
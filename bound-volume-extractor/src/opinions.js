@@ -36,6 +36,7 @@
 
 import { recombineWords } from './small_caps.js';
 import { spliceOrphanBodyRows } from './case_boundaries.js';
+import { REPORTER_ALT, STATE_PARALLEL_ALT, REGIONAL_PARALLEL_ALT } from './series.js';
 
 // The small subtitle sits in a narrow band: the cap-sized baseline at
 // top≈127.5 (sz≈8) and the small-caps body baseline at top≈130 (sz≈5).
@@ -144,7 +145,7 @@ const RUNNING_HEAD_PATTERNS = [
   /^MEMORANDA(?:[,\s].*?)?\d+\s*$/,
   /^MEMORANDA$/,
   /^OTHERABSTRACTS\s+\d+\s*$/i,
-  /^.+\[\s*\d+\s*(?:NY3d|AD3d|Misc\s*3d)\s*\d+\s*\]\s*\d+\s*$/i,
+  new RegExp(`^.+\\[\\s*\\d+\\s*${REPORTER_ALT}\\s*\\d+\\s*\\]\\s*\\d+\\s*$`, 'i'),
 ];
 
 function isRunningHeadLine(line) {
@@ -708,6 +709,10 @@ function combineNy3dPages(pages, range, opts = {}) {
 // is treated as non-body (footnote, header, or small-caps body fragment).
 const NY3D_BODY_SIZE_MIN = 10;
 
+// Parallel-reporter token (NYS3d / NE3d / NYS2d / NE2d) on a small-font
+// cite-header fragment.
+const PARALLEL_TOKEN_RE = new RegExp(`\\b(?:${STATE_PARALLEL_ALT}|${REGIONAL_PARALLEL_ALT})\\b`);
+
 // Top-band cutoff for the running-head + subtitle band. Body content
 // starts at top≥140 on a typical NY3d page; the running head is at ~117
 // and the subtitle (1-2 lines) at ~127-130. See stripPageHeader / the
@@ -842,7 +847,7 @@ function extractPageFootnotes(page, prevPageLastMarker = null) {
 // head, e.g. "11" in `MYERS v SCHNEIDERMAN [30 NY3d 1] 11`). Returns null
 // for pages without a parseable running head — banner pages, table-of-
 // contents pages, etc.
-const NY3D_RIGHT_RUNHEAD_RE = /\[\s*\d+\s*(?:NY3d|AD3d|Misc\s*3d)\s*\d+\s*\]\s*(\d+)\s*$/i;
+const NY3D_RIGHT_RUNHEAD_RE = new RegExp(`\\[\\s*\\d+\\s*${REPORTER_ALT}\\s*\\d+\\s*\\]\\s*(\\d+)\\s*$`, 'i');
 const NY3D_LEFT_RUNHEAD_RE = /^\s*(\d+)\s+\d+\s*(?:NEW\s*YORK|APPELLATE\s+DIVISION|MISCELLANEOUS)\s+REPORTS/i;
 function getVolumePage(page) {
   const lines = (page.lines || []).slice().sort((a, b) => a.top - b.top);
@@ -1351,7 +1356,7 @@ function buildNy3dPageText(page, endOff, opts = {}) {
         // `NYS3d <pg>] —` continuing on a small-font line. Preserve any
         // small-font line that mentions a regional reporter cite token so
         // the memo anchor survives.
-        if (!/\b(?:NYS3d|NE3d)\b/.test(l.text || '')) continue;
+        if (!PARALLEL_TOKEN_RE.test(l.text || '')) continue;
       }
     } else {
       if (l.size < NY3D_BODY_SIZE_MIN && l.top > lastBodyTop && (l.top - prevBodyLineTop >= 6)) continue;
@@ -1,4 +1,5 @@
 import { writeFile } from 'fs/promises';
+import { profileFor } from './series.js';
 
 /**
  * Serialize a parse result to a single JSON document. This is the canonical
@@ -14,10 +15,39 @@ import { writeFile } from 'fs/promises';
  * 0.3 validator branches on this shape only — keeping bound-volume and
  * slip-op outputs in lockstep means the validator no longer needs the
  * 0.1/0.2 branches.
+ *
+ * `digest[]` is volume-level, not per-case: one record per DIGEST-INDEX
+ * paragraph × referenced page, carrying `case_curie` (null when the page
+ * could not be linked). `statutes_construed[]` is likewise volume-level:
+ * one record per TABLE OF STATUTES CONSTRUED (provision, page) pair, with a
+ * `statute_curie` in nys-extractor's `units.canonical_id` form. `errata[]`
+ * holds this volume's corrections to other volumes, unresolved — they
+ * become a correction payload via `main.js errata`, not SQL rows here.
+ * `roster` is the dated bench parsed from the front matter (judges.js);
+ * `main.js roster-merge` folds it into the historical department rosters.
+ * Each case's `panel[]` and each opinion's `author_id` (panel.js) pass
+ * through unchanged. `appellate_history[]` holds the motion-calendar edges
+ * (appellate_history.js) in caselaw-merge's appellate_history_connections
+ * shape, keyed by CURIE / cite — JSON only, since the ids they need are
+ * assigned at import.
+ *
+ * The upload contract is pinned by
+ * ../ingest-client/schema/bulk-ingest-0.3.schema.json (checked by
+ * `main.js validate-payload` and by upload.js before it sends anything).
  */
 export async function writeJson(outPath, result) {
+  const doc = buildJsonDoc(result);
+  await writeFile(outPath, JSON.stringify(doc, null, 2));
+  return doc;
+}
+
+/**
+ * Build the cases.json document in memory without writing it. `regress`
+ * compares fresh parses against approved outputs in this exact shape.
+ */
+export function buildJsonDoc(result) {
   const cases = (result.cases || []).map(transformCaseToV03);
-  const doc = {
+  return {
     schema_version: '0.3',
     batch_id: result.batch_id,
     parser_version: result.parser_version,
@@ -27,11 +57,14 @@ export async function writeJson(outPath, result) {
     target_source_db: result.volume?.source_db || null,
     volume: result.volume,
     cases,
+    digest: result.digest || [],
+    statutes_construed: result.statutes_construed || [],
+    errata: result.errata || [],
+    roster: result.roster || null,
+    appellate_history: result.appellate_history || [],
     stats: result.stats,
     warnings: result.warnings,
   };
-  await writeFile(outPath, JSON.stringify(doc, null, 2));
-  return doc;
 }
 
 /**
@@ -106,6 +139,23 @@ export async function writeSql(outPath, result) {
   const collisionCount = cases.filter(c => c.case_curie?.match(/:\d{2}$/)).length;
   const caseCount = cured;
 
+  // Digest records are volume-level; group the linked ones by case so each
+  // case statement can insert its own rows off `new_case`.
+  const digest = result.digest || [];
+  const digestByCurie = new Map();
+  for (const d of digest) {
+    if (!d.case_curie) continue;
+    if (!digestByCurie.has(d.case_curie)) digestByCurie.set(d.case_curie, []);
+    digestByCurie.get(d.case_curie).push(d);
+  }
+  const statutes = result.statutes_construed || [];
+  const statutesByCurie = new Map();
+  for (const st of statutes) {
+    if (!st.case_curie) continue;
+    if (!statutesByCurie.has(st.case_curie)) statutesByCurie.set(st.case_curie, []);
+    statutesByCurie.get(st.case_curie).push(st);
+  }
+
   const courtName = courtNameFor(volumeMeta);
   const courtAbbrev = 'N.Y.';
   const courtId = courtIdFor(volumeMeta);
@@ -123,6 +173,10 @@ export async function writeSql(outPath, result) {
   lines.push(`-- parsed_at:        ${result.parsed_at}`);
   lines.push(`-- cases:            ${cases.length}  (curies assigned: ${caseCount}, collisions: ${collisionCount})`);
   lines.push(`-- opinions:         ${cases.reduce((n, c) => n + (c.opinions?.length || 0), 0)}`);
+  lines.push(`-- digest entries:   ${digest.length}  (linked: ${digest.filter(d => d.case_curie).length})`);
+  lines.push(`-- statutes:         ${statutes.length}  (linked: ${statutes.filter(st => st.case_curie).length}, with statute_curie: ${statutes.filter(st => st.statute_curie).length})`);
+  const panelRows = cases.reduce((n, c) => n + (c.panel?.length || 0), 0);
+  lines.push(`-- case judges:      ${panelRows}  (with justice_id: ${cases.reduce((n, c) => n + (c.panel || []).filter(p => p.justice_id).length, 0)})`);
   lines.push(``);
   lines.push(`-- Apply this file with psql against ${volumeMeta?.source_db || '<source DB>'}.`);
   lines.push(`-- Rollback: DELETE FROM cases WHERE curie IN (...) — case CURIEs are listed`);
@@ -138,6 +192,58 @@ export async function writeSql(outPath, result) {
   lines.push(`CREATE TEMPORARY SEQUENCE bve_case_ids;`);
   lines.push(`SELECT setval('bve_case_ids', COALESCE((SELECT MAX(id) FROM cases), 0) + 1, false);`);
   lines.push(``);
+  // case_digest_entries / case_statutes_construed are bound-volume-only
+  // (slip ops carry neither back-of-volume table), so the source DBs may not
+  // have them yet.
+  if (digestByCurie.size) {
+    lines.push(`CREATE TABLE IF NOT EXISTS case_digest_entries (`);
+    lines.push(`  id               bigserial PRIMARY KEY,`);
+    lines.push(`  case_id          bigint NOT NULL REFERENCES cases(id) ON DELETE CASCADE,`);
+    lines.push(`  case_curie       text NOT NULL,`);
+    lines.push(`  topic            text,`);
+    lines.push(`  subtopic         text,`);
+    lines.push(`  paragraph_index  integer NOT NULL,`);
+    lines.push(`  text             text NOT NULL,`);
+    lines.push(`  volume_page      integer,`);
+    lines.push(`  created_at       timestamp without time zone DEFAULT CURRENT_TIMESTAMP`);
+    lines.push(`);`);
+    lines.push(``);
+  }
+  if (statutesByCurie.size) {
+    lines.push(`CREATE TABLE IF NOT EXISTS case_statutes_construed (`);
+    lines.push(`  id               bigserial PRIMARY KEY,`);
+    lines.push(`  case_id          bigint NOT NULL REFERENCES cases(id) ON DELETE CASCADE,`);
+    lines.push(`  case_curie       text NOT NULL,`);
+    lines.push(`  jurisdiction     text,`);
+    lines.push(`  law              text,`);
+    lines.push(`  provision        text NOT NULL,`);
+    lines.push(`  statute_curie    text,`);
+    lines.push(`  volume_page      integer,`);
+    lines.push(`  created_at       timestamp without time zone DEFAULT CURRENT_TIMESTAMP`);
+    lines.push(`);`);
+    lines.push(``);
+  }
+
+  // case_judges carries the normalized panel (panel.js). justice_id is the
+  // canonical roster id shared across volumes, NULL when no roster resolved
+  // the surname; opinion_curies lists the opinions this justice authored.
+  if (panelRows) {
+    lines.push(`CREATE TABLE IF NOT EXISTS case_judges (`);
+    lines.push(`  id               bigserial PRIMARY KEY,`);
+    lines.push(`  case_id          bigint NOT NULL REFERENCES cases(id) ON DELETE CASCADE,`);
+    lines.push(`  case_curie       text NOT NULL,`);
+    lines.push(`  panel_index      integer NOT NULL,`);
+    lines.push(`  justice_id       text,`);
+    lines.push(`  surname          text NOT NULL,`);
+    lines.push(`  full_name        text,`);
+    lines.push(`  role             text,`);
+    lines.push(`  department       integer,`);
+    lines.push(`  opinion_curies   text[],`);
+    lines.push(`  created_at       timestamp without time zone DEFAULT CURRENT_TIMESTAMP`);
+    lines.push(`);`);
+    lines.push(`CREATE INDEX IF NOT EXISTS case_judges_justice_id_idx ON case_judges (justice_id);`);
+    lines.push(``);
+  }
 
   for (const c of cases) {
     if (!c.case_curie) {
@@ -150,6 +256,8 @@ export async function writeSql(outPath, result) {
     lines.push(emitCaseStatement(c, {
       courtName, courtAbbrev, courtId,
       jurisdictionName, jurisdictionAbbreviation, jurisdictionId,
+      digest: digestByCurie.get(c.case_curie) || [],
+      statutes: statutesByCurie.get(c.case_curie) || [],
     }));
     lines.push(``);
   }
@@ -162,15 +270,11 @@ export async function writeSql(outPath, result) {
 /**
  * Map our parser's coarse `volume.court` ("Court of Appeals" / "Appellate
  * Division" / "Trial Courts") onto the DB's `court_name` convention,
- * matching the form CAP-imported rows use.
+ * matching the form CAP-imported rows use. Per-series values live on the
+ * series.js profile; unknown reporters fall back to `volume.court`.
  */
 function courtNameFor(volumeMeta) {
-  switch (volumeMeta?.reporter) {
-    case 'NY3d':    return 'New York Court of Appeals';
-    case 'AD3d':    return 'New York Supreme Court, Appellate Division';
-    case 'Misc 3d': return 'New York Supreme Court';  // generic — Misc 3d covers multiple trial courts
-    default:        return volumeMeta?.court || null;
-  }
+  return profileFor(volumeMeta?.reporter)?.court_name || volumeMeta?.court || null;
 }
 
 /**
@@ -178,14 +282,10 @@ function courtNameFor(volumeMeta) {
  * CAP-imported rows. Misc 3d has no single right answer (Supreme/Surrogate's/
  * Civil/Criminal/etc. all publish there); we default to the most common
  * (Supreme Court). Fine-grained court detection is a downstream concern.
+ * The ids are per court, so the 2d and 3d profiles share them.
  */
 function courtIdFor(volumeMeta) {
-  switch (volumeMeta?.reporter) {
-    case 'NY3d':    return 24653;  // New York Court of Appeals
-    case 'AD3d':    return 8994;   // New York Supreme Court, Appellate Division
-    case 'Misc 3d': return 8791;   // New York Supreme Court (default for Misc 3d)
-    default:        return null;
-  }
+  return profileFor(volumeMeta?.reporter)?.court_id ?? null;
 }
 
 /**
@@ -214,6 +314,7 @@ function emitCaseStatement(c, ctx) {
   const {
     courtName, courtAbbrev, courtId,
     jurisdictionName, jurisdictionAbbreviation, jurisdictionId,
+    digest, statutes,
   } = ctx;
   // source_url is computed at parser stage so it lands in the JSON too.
   const sourceUrl = c.source_url ?? null;
@@ -285,6 +386,34 @@ function emitCaseStatement(c, ctx) {
     out.push(`)`);
   }
 
+  // DIGEST-INDEX paragraphs that reference this case (topic taxonomy).
+  if (digest.length) {
+    out.push(`, inserted_digest AS (`);
+    out.push(`  INSERT INTO case_digest_entries (case_id, case_curie, topic, subtopic, paragraph_index, text, volume_page)`);
+    const digestUnion = digest.map((d, i) =>
+      `  ${i === 0 ? 'SELECT' : 'UNION ALL SELECT'} id, ${sqlString(c.case_curie)}, ` +
+      `${sqlString(d.topic)}, ${sqlString(d.subtopic)}, ${d.paragraph_index}, ${sqlString(d.text)}, ` +
+      `${d.volume_page == null ? 'NULL' : d.volume_page} FROM new_case`
+    ).join('\n');
+    out.push(digestUnion);
+    out.push(`  RETURNING case_id`);
+    out.push(`)`);
+  }
+
+  // TABLE OF STATUTES CONSTRUED links (ground-truth case → statute edges).
+  if (statutes.length) {
+    out.push(`, inserted_statutes AS (`);
+    out.push(`  INSERT INTO case_statutes_construed (case_id, case_curie, jurisdiction, law, provision, statute_curie, volume_page)`);
+    const statuteUnion = statutes.map((st, i) =>
+      `  ${i === 0 ? 'SELECT' : 'UNION ALL SELECT'} id, ${sqlString(c.case_curie)}, ` +
+      `${sqlString(st.jurisdiction)}, ${sqlString(st.law)}, ${sqlString(st.provision)}, ${sqlString(st.statute_curie)}, ` +
+      `${st.volume_page == null ? 'NULL' : st.volume_page} FROM new_case`
+    ).join('\n');
+    out.push(statuteUnion);
+    out.push(`  RETURNING case_id`);
+    out.push(`)`);
+  }
+
   if (opinions.length === 0) {
     // No opinions: terminal SELECT ties off the WITH chain.
     out.push(`SELECT id FROM new_case;`);
@@ -324,6 +453,22 @@ function emitCaseStatement(c, ctx) {
     }
   }
 
+  // Panel justices, with the opinions each one authored.
+  const panel = c.panel || [];
+  if (panel.length) {
+    out.push(`, inserted_judges AS (`);
+    out.push(`  INSERT INTO case_judges (case_id, case_curie, panel_index, justice_id, surname, full_name, role, department, opinion_curies)`);
+    const judgeUnion = panel.map((p, i) => {
+      const authored = opinions.filter(op => p.justice_id && op.author_id === p.justice_id && op.curie).map(op => op.curie);
+      return `  ${i === 0 ? 'SELECT' : 'UNION ALL SELECT'} id, ${sqlString(c.case_curie)}, ${i}, ` +
+        `${sqlString(p.justice_id)}, ${sqlString(p.surname)}, ${sqlString(p.full_name)}, ${sqlString(p.role)}, ` +
+        `${p.department == null ? 'NULL' : p.department}, ${textArray(authored)} FROM new_case`;
+    }).join('\n');
+    out.push(judgeUnion);
+    out.push(`  RETURNING case_id`);
+    out.push(`)`);
+  }
+
   // Terminal statement: pick something cheap that ties off the CTE chain.
   out.push(`SELECT id FROM new_case;`);
   return out.join('\n');
@@ -336,6 +481,12 @@ function jsonbValue(v) {
   return `${sqlString(JSON.stringify(v))}::jsonb`;
 }
 
+// Format a JS string array as a SQL text[] literal. Empty → SQL NULL.
+function textArray(v) {
+  if (!v || !v.length) return 'NULL';
+  return `ARRAY[${v.map(sqlString).join(', ')}]::text[]`;
+}
+
 /**
  * Format a JS value as a SQL string literal (quoted, with single quotes
  * doubled) or NULL. Postgres handles multi-line strings natively, so no
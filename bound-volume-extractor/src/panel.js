@@ -0,0 +1,211 @@
+/**
+ * Per-case judge panels, normalized against the justice rosters.
+ *
+ * department.js already pulls panel surnames out of the opinion text, but
+ * only to vote on the department. This module turns the same extraction
+ * into a structured `panel[]` on each case and links every opinion's
+ * author to a panel member:
+ *
+ *   case.panel = [{
+ *     justice_id,     // canonical id (slug of the roster full name), or null
+ *     surname,        // as printed, generational suffix kept ("Crew III")
+ *     full_name,      // from the roster that resolved it, or null
+ *     role,           // 'P.J.' | 'J.P.' | 'A.P.J.' | 'J.'
+ *     department,     // department the roster places them in that year
+ *     roster_source,  // 'historical' | 'front_matter' | 'static' | null
+ *   }, ...]
+ *   opinion.author_id = justice_id of the author (null for per curiam /
+ *                       memorandum opinions and unresolved authors)
+ *
+ * Resolution order for a surname (suffix-stripped, case-insensitive):
+ *   1. the hand-maintained historical rosters
+ *      (caselaw-extractor/configs/historical_justices_dept_<d>.json),
+ *      date-bounded by the decision year; several same-surname entries are
+ *      narrowed by the case's department
+ *   2. the bench printed in this volume's front matter (judges.js)
+ *   3. the statistical static roster (configs/ad_justice_roster.json,
+ *      conf >= 0.8, n >= 3) — department only, no full name, so no id
+ *
+ * Ids are slugs of the historical full name ("Rolando T. Acosta" →
+ * "rolando-t-acosta"), so the same justice gets the same id in every
+ * volume; `main.js roster-merge` adds front-matter-only justices to the
+ * historical files under the same full name, keeping ids stable once merged.
+ *
+ * Panels are only extracted for Appellate Division volumes; the "Concur—" /
+ * "JJ., concur" forms extractPanel reads are AD conventions. Author ids are
+ * attempted for every volume but resolve only against the AD rosters.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { extractPanel, loadStaticRoster } from './department.js';
+import { DEFAULT_ROSTER_DIR } from './roster_merge.js';
+import { reporterFamily } from './series.js';
+
+const SUFFIX_RE = /,?\s+(?:Jr|Sr|II|III|IV)\.?$/i;
+
+// Printed role markers following a surname, normalized. A bare "J." (or
+// "JJ." closing the list) is the default associate role.
+const ROLE_SRC = String.raw`(A\.?\s?P\.?\s?J|A\.?\s?J\.?\s?P|P\.?\s?J|J\.?\s?P)\.(?=[\s,;]|$)`;
+const ROLE_NORMAL = { APJ: 'A.P.J.', AJP: 'A.P.J.', PJ: 'P.J.', JP: 'J.P.' };
+
+const surnameKey = (s) => String(s || '').replace(SUFFIX_RE, '').trim().toLowerCase();
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Canonical justice id: ASCII slug of a full name. */
+export function justiceId(fullName) {
+  if (!fullName) return null;
+  const slug = fullName.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || null;
+}
+
+let _directory = null;
+/**
+ * Load the historical rosters keeping full names:
+ * { surnameKey: [{ full_name, dept, start_year, end_year }, ...] }.
+ * Missing / malformed files are skipped, as in loadHistoricalRoster.
+ */
+export function loadJusticeDirectory(rosterDir = DEFAULT_ROSTER_DIR) {
+  if (_directory && rosterDir === DEFAULT_ROSTER_DIR) return _directory;
+  const out = {};
+  for (let dept = 1; dept <= 4; dept++) {
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(path.join(rosterDir, `historical_justices_dept_${dept}.json`), 'utf8'));
+    } catch {
+      continue;
+    }
+    for (const j of Array.isArray(doc?.justices) ? doc.justices : []) {
+      if (!j || typeof j.surname !== 'string') continue;
+      for (const r of Array.isArray(j.depts_served) ? j.depts_served : []) {
+        if (!r || typeof r.dept !== 'number') continue;
+        (out[surnameKey(j.surname)] ||= []).push({
+          full_name: j.full_name || j.surname,
+          dept: r.dept,
+          start_year: typeof r.start_year === 'number' ? r.start_year : null,
+          end_year: typeof r.end_year === 'number' ? r.end_year : null,
+        });
+      }
+    }
+  }
+  if (rosterDir === DEFAULT_ROSTER_DIR) _directory = out;
+  return out;
+}
+
+/**
+ * Resolve one surname to { justice_id, full_name, department, roster_source }.
+ * `ctx` carries { directory, frontMatter (judges.js roster), static, year, dept }.
+ */
+export function resolveJustice(surname, ctx) {
+  const key = surnameKey(surname);
+  const { directory, frontMatter, year, dept } = ctx;
+
+  if (year != null) {
+    const inRange = (directory[key] || []).filter(e =>
+      year >= (e.start_year ?? -Infinity) && year <= (e.end_year ?? Infinity));
+    const people = [...new Set(inRange.map(e => e.full_name))];
+    let pick = null;
+    if (people.length === 1) pick = inRange[0];
+    else if (people.length > 1 && dept != null) {
+      const inDept = inRange.filter(e => e.dept === dept);
+      if (new Set(inDept.map(e => e.full_name)).size === 1) pick = inDept[0];
+    }
+    if (pick) {
+      const entry = (dept != null && inRange.find(e => e.full_name === pick.full_name && e.dept === dept)) || pick;
+      return { justice_id: justiceId(pick.full_name), full_name: pick.full_name, department: entry.dept, roster_source: 'historical' };
+    }
+  }
+
+  const fm = (frontMatter?.judges || []).filter(j => surnameKey(j.surname) === key);
+  const fmPick = fm.length === 1 ? fm[0] : fm.find(j => dept != null && j.department === dept);
+  if (fmPick) {
+    return { justice_id: justiceId(fmPick.name), full_name: fmPick.name, department: fmPick.department ?? null, roster_source: 'front_matter' };
+  }
+
+  const st = ctx.static?.[surname] || ctx.static?.[surname.replace(SUFFIX_RE, '')];
+  if (st && st.n >= 3 && st.conf >= 0.8) {
+    return { justice_id: null, full_name: null, department: st.dept, roster_source: 'static' };
+  }
+  return { justice_id: null, full_name: null, department: null, roster_source: null };
+}
+
+/** Printed role for a panel surname: the marker right after "<surname>,". */
+function roleFor(surname, text) {
+  const m = text.match(new RegExp(`${escapeRe(surname)},?\\s+${ROLE_SRC}`));
+  return m ? ROLE_NORMAL[m[1].replace(/[.\s]/g, '').toUpperCase()] : 'J.';
+}
+
+/**
+ * Author surname from an opinion's `author` byline: "Pritzker, J.",
+ * "Renwick, J.P., and Manzanet-Daniels, J.," (first author),
+ * "Chief Judge DiFiore.", "Per Curiam." → null.
+ */
+export function authorSurname(author) {
+  if (!author || /per\s+curiam/i.test(author)) return null;
+  const s = author.replace(/^(?:Chief\s+|Associate\s+|Acting\s+)?(?:Judge|Justice)\s+/i, '')
+    .split(',')[0].replace(/\.$/, '').trim();
+  return /^[A-Z][A-Za-z'’.\- ]{1,30}$/.test(s) ? s : null;
+}
+
+/**
+ * Stamp `panel[]` on each case and `author_id` on each opinion. Mutates the
+ * cases; returns warning strings for the volume log. Runs after
+ * resolveVolumeDepartments so the resolved department can disambiguate
+ * same-surname justices.
+ */
+export function attachPanels(cases, { reporter, frontMatterRoster = null, rosterDir } = {}) {
+  const warnings = [];
+  const isAD = reporterFamily(reporter) === 'AD';
+  const ctxBase = {
+    directory: loadJusticeDirectory(rosterDir),
+    frontMatter: frontMatterRoster,
+    static: isAD ? loadStaticRoster() : {},
+  };
+  let members = 0, resolved = 0, authors = 0, authorsResolved = 0;
+
+  for (const c of cases || []) {
+    const year = c.decision_date ? parseInt(c.decision_date.slice(0, 4), 10) : null;
+    const ctx = { ...ctxBase, year, dept: c.court_department ?? null };
+    const text = (c.opinions || []).map(o => o.text || '').join('\n');
+    const panel = [];
+    const byKey = new Map();
+    const add = (surname) => {
+      const key = surnameKey(surname);
+      if (byKey.has(key)) return byKey.get(key);
+      const r = resolveJustice(surname, ctx);
+      const entry = {
+        justice_id: r.justice_id,
+        surname,
+        full_name: r.full_name,
+        role: roleFor(surname, text),
+        department: r.department,
+        roster_source: r.roster_source,
+      };
+      byKey.set(key, entry);
+      panel.push(entry);
+      return entry;
+    };
+    if (isAD) for (const s of extractPanel(text)) add(s);
+
+    for (const op of c.opinions || []) {
+      const surname = authorSurname(op.author);
+      if (!surname) { op.author_id = null; continue; }
+      authors++;
+      // An author missing from the extracted panel (full opinions print the
+      // panel in the caption, not a "Concur—" line) joins it.
+      const entry = isAD ? add(surname) : { justice_id: resolveJustice(surname, ctx).justice_id };
+      op.author_id = entry.justice_id;
+      if (op.author_id) authorsResolved++;
+    }
+    c.panel = panel;
+    members += panel.length;
+    resolved += panel.filter(p => p.justice_id).length;
+  }
+
+  if (isAD || authors) {
+    warnings.push(`panels (${reporter}): ${resolved}/${members} panel member(s) linked to a roster id; ` +
+      `${authorsResolved}/${authors} opinion author(s) linked`);
+  }
+  return warnings;
+}
@@ -10,9 +10,20 @@
  *         case_header.extractCaseHeader        (caption, decision_date, header_end_top)
  *         case_boundaries.extractRunningHeadName (short cite from continuation-page running head)
  *         opinions.extractOpinions              (per-opinion type/author/text via small subtitle)
+ *     → digest.parseDigest                  (DIGEST-INDEX paragraphs linked to case CURIEs)
+ *     → statutes.parseStatutesConstrued     (TABLE OF STATUTES CONSTRUED → case/statute links)
+ *     → judges.parseFrontMatterRoster       (dated bench from the front matter; feeds department resolution)
+ *     → panel.attachPanels                  (per-case panel[] + opinion author_id, roster-normalized)
+ *     → errata.parseErrata                  (corrections to earlier volumes; resolved by `main.js errata`)
+ *     → appellate_history.buildAppellateHistory (motion-calendar entries → appellate_history edges)
  *
  * Returns the contract documented at the top of this file:
- *   { cases: [...], warnings: [...] }
+ *   { cases: [...], digest: [...], statutes_construed: [...], errata: [...], roster: {...},
+ *     appellate_history: [...], warnings: [...] }
+ *
+ * `opts.historyIndex` (appellate_history.loadHistoryIndex) lets motion
+ * entries link to decisions in other parsed volumes; without it only
+ * same-volume links are made.
  */
 
 import { classifyPages } from './sections.js';
@@ -24,6 +35,13 @@ import { assignCuries, caseCurieBase } from './curie.js';
 import { recombineWords } from './small_caps.js';
 import { walkMotionsSection, walkMemoMotionEntries } from './motion_calendar.js';
 import { resolveVolumeDepartments } from './department.js';
+import { parseDigest } from './digest.js';
+import { parseStatutesConstrued } from './statutes.js';
+import { parseErrata } from './errata.js';
+import { parseFrontMatterRoster, rosterToHistorical } from './judges.js';
+import { attachPanels } from './panel.js';
+import { buildAppellateHistory } from './appellate_history.js';
+import { reporterFamily } from './series.js';
 
 /**
  * Find AD3d memo-section department banners. AD3d memos are organized into
@@ -263,21 +281,30 @@ function splitCaptions(captionText) {
   return captions.length ? captions : [text];
 }
 
-export function parseCases(pages, volumeMeta) {
+export function parseCases(pages, volumeMeta, opts = {}) {
   const warnings = [];
 
   if (!volumeMeta) {
     warnings.push('volume metadata not detected — output will lack reporter/volume context');
-    return { cases: [], warnings };
+    return { cases: [], digest: [], statutes_construed: [], errata: [], roster: null, appellate_history: [], warnings };
   }
 
   const sortedPages = pages.slice().sort((a, b) => a.page_index - b.page_index);
   const classification = classifyPages(sortedPages);
 
+  // Image-only pages that pdf_parse.py couldn't OCR (tesseract missing or
+  // failed) arrive with no words. classifyPages folds them into the
+  // surrounding section, so without this their text would vanish silently.
+  const unreadPages = sortedPages.filter(p => p.ocr_needed).map(p => p.page_index);
+  if (unreadPages.length) {
+    const shown = unreadPages.slice(0, 10).join(', ') + (unreadPages.length > 10 ? ', …' : '');
+    warnings.push(`${unreadPages.length} image-only page(s) have no text layer and were not OCR'd: page_index ${shown}`);
+  }
+
   const ranges = detectCaseBoundaries(sortedPages, classification, volumeMeta);
   if (!ranges.length) {
     warnings.push('no case boundaries detected — check section classifier and parallel-cite header pattern');
-    return { cases: [], warnings };
+    return { cases: [], digest: [], statutes_construed: [], errata: [], roster: null, appellate_history: [], warnings };
   }
 
   const courtName = volumeMeta.court || null;
@@ -298,7 +325,9 @@ export function parseCases(pages, volumeMeta) {
 
   // AD3d memo-section department banners. Memos inherit department from the
   // most-recent banner before their start page. NY3d / Misc 3d return [].
-  const departmentBanners = (reporter === 'AD3d')
+  // Same layout in AD2d, so the check is on the court family.
+  const isAppellateDivision = reporterFamily(reporter) === 'AD';
+  const departmentBanners = isAppellateDivision
     ? detectDepartmentBanners(sortedPages)
     : [];
 
@@ -306,7 +335,7 @@ export function parseCases(pages, volumeMeta) {
   // the start of a date-cluster within a department block. Memos inherit
   // their decision_date from the most-recent checkpoint before their cite
   // position. NY3d / Misc 3d return [] (no checkpoints).
-  const dateCheckpoints = (reporter === 'AD3d')
+  const dateCheckpoints = isAppellateDivision
     ? detectDateCheckpoints(sortedPages)
     : [];
 
@@ -436,7 +465,7 @@ export function parseCases(pages, volumeMeta) {
       'caption block could not be extracted',
       'parallel cite header not found in line stream',
     ]);
-    const isStackedMemo = reporter === 'AD3d' && range.section === 'memoranda';
+    const isStackedMemo = isAppellateDivision && range.section === 'memoranda';
     for (const w of header.warnings || []) {
       if (isStackedMemo && suppressedNoise.has(w)) {
         if (w.startsWith('date line') && decisionDate != null) continue;
@@ -492,6 +521,23 @@ export function parseCases(pages, volumeMeta) {
   const memoMotionCases = walkMemoMotionEntries(sortedPages, classification, volumeMeta, existingBases);
   cases.push(...motionsCases, ...memoMotionCases);
 
+  // OCR provenance. A case is OCR-sourced when any page in its range came
+  // from the tesseract fallback; `ocr_confidence` is the weakest such
+  // page's mean word confidence, so validate can rank them for review.
+  // Cases with no OCR'd page carry neither field.
+  const ocrByPage = new Map(sortedPages.filter(p => p.ocr).map(p => [p.page_index, p.ocr_confidence ?? null]));
+  for (const c of cases) {
+    const pv = c.provenance || {};
+    const ocrPages = [];
+    for (let i = pv.start_page_index; i <= pv.end_page_index; i++) {
+      if (ocrByPage.has(i)) ocrPages.push(i);
+    }
+    if (!ocrPages.length) continue;
+    const confs = ocrPages.map(i => ocrByPage.get(i)).filter(v => v != null);
+    pv.ocr_pages = ocrPages;
+    pv.ocr_confidence = confs.length ? Math.min(...confs) : null;
+  }
+
   // Assign CURIEs in-place. Each case gets `case_curie`; each opinion gets
   // `curie`. Collision-disambiguation suffix `:NN` is appended when two
   // cases share (volume, page, name-slug). Done here (not in writeSql) so
@@ -503,8 +549,50 @@ export function parseCases(pages, volumeMeta) {
   // mislabels whole page-runs when banner detection misfires; banner/header
   // attribution is kept only as the fallback when the text is silent. AD3d
   // only — NY3d / Misc 3d have no departments. (Post-pass so the per-volume
-  // justice roster can be bootstrapped from every case in the volume.)
-  warnings.push(...resolveVolumeDepartments(cases, { reporter }));
+  // justice roster can be bootstrapped from every case in the volume.) The
+  // bench printed in the volume's front matter, when found, votes first.
+  const roster = parseFrontMatterRoster(sortedPages, classification, volumeMeta, cases);
+  if (!roster.judges.length && reporterFamily(reporter) !== 'Misc') {
+    warnings.push('front matter: no judge roster found');
+  }
+  warnings.push(...resolveVolumeDepartments(cases, { reporter, frontMatterRoster: rosterToHistorical(roster) }));
+
+  // Structured panel[] per case + opinion author_id, normalized against the
+  // same rosters. After department resolution: the resolved department
+  // picks between same-surname justices.
+  warnings.push(...attachPanels(cases, { reporter, frontMatterRoster: roster }));
+
+  // Back-of-volume DIGEST-INDEX → topic / subtopic / paragraph records keyed
+  // to the cases above by volume page. Needs CURIEs, so runs last.
+  const digest = parseDigest(sortedPages, classification, volumeMeta, cases);
+  const unlinked = digest.filter(d => !d.case_curie).length;
+  if (unlinked) {
+    warnings.push(`digest: ${unlinked}/${digest.length} entries reference a page with no parsed case`);
+  }
+
+  // TABLE OF STATUTES CONSTRUED → (provision, page) records linked the same
+  // way, carrying nys-extractor-compatible statute CURIEs.
+  const statutes = parseStatutesConstrued(sortedPages, classification, volumeMeta, cases);
+  const statutesUnlinked = statutes.filter(s => !s.case_curie).length;
+  if (statutesUnlinked) {
+    warnings.push(`statutes_construed: ${statutesUnlinked}/${statutes.length} entries reference a page with no parsed case`);
+  }
+
+  // Errata target other (usually earlier) volumes, so they're only parsed
+  // here; linking to case CURIEs happens corpus-wide in `main.js errata`.
+  const errata = parseErrata(sortedPages, classification);
+  const errataUnparsed = errata.filter(e => e.kind === 'unparsed').length;
+  if (errataUnparsed) {
+    warnings.push(`errata: ${errataUnparsed}/${errata.length} entries not in a recognized correction form`);
+  }
+
+  // Motion-calendar entries → appellate_history edges (lower decision →
+  // motion, and → the eventual Court of Appeals decision when parsed).
+  const { edges: appellateHistory, unresolved: historyUnresolved } =
+    buildAppellateHistory(cases, volumeMeta, { priorIndex: opts.historyIndex || null });
+  if (historyUnresolved) {
+    warnings.push(`appellate_history: ${historyUnresolved} motion(s) cite a lower-court decision not in the parsed corpus`);
+  }
 
-  return { cases, warnings };
+  return { cases, digest, statutes_construed: statutes, errata, roster, appellate_history: appellateHistory, warnings };
 }
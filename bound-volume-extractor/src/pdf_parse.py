@@ -16,7 +16,17 @@ boundaries, captions, citations, etc. We deliberately do NOT do that
 structural parsing here — it's all in JS so the audit/output layer can
 inspect intermediate state easily.
 
-Usage: pdf_parse.py <path-to-pdf>
+OCR fallback: scanned volumes (and the odd scanned insert in a born-digital
+volume) have pages with an image but no text layer. Those pages are run
+through tesseract at OCR_RESOLUTION and the recognized words are emitted in
+the same word-box shape, in PDF points, each flagged `"ocr": true` with a
+0-1 `"conf"`. The page record carries `"ocr": true` and the mean word
+confidence as `"ocr_confidence"`. When pytesseract / the tesseract binary
+isn't installed, such pages are emitted as before (empty) with
+`"ocr_needed": true` so the Node side can report them. `--no-ocr` skips the
+fallback entirely.
+
+Usage: pdf_parse.py <path-to-pdf> [--no-ocr]
 """
 
 import sys
@@ -33,8 +43,19 @@ except ImportError:
     )
     sys.exit(2)
 
+try:
+    import pytesseract
+except ImportError:
+    pytesseract = None
+
+# A page is routed through OCR when its text layer yields fewer words than
+# this AND it carries at least one image. The image check keeps short but
+# genuine text pages (section banners like "MEMORANDA") off the OCR path.
+OCR_MIN_WORDS = 5
+OCR_RESOLUTION = 300
 
-def extract_page(page):
+
+def extract_page(page, ocr=True):
     # x_tolerance=1 (vs pdfplumber's default 3) stops adjacent characters
     # without a space glyph in the PDF stream from being merged into one
     # mega-token. NY official-reports PDFs frequently lack space chars in
@@ -57,6 +78,16 @@ def extract_page(page):
             "size": round(float(w.get("size", 0)), 2),
         })
 
+    ocr_info = None
+    ocr_needed = False
+    if ocr and len(words) < OCR_MIN_WORDS and page.images:
+        result = ocr_page(page)
+        if result is None:
+            ocr_needed = True            # engine missing or failed
+        elif len(result["words"]) > len(words):
+            ocr_info = result
+            words = result["words"]
+
     # Group words into lines for easier downstream processing.
     lines = []
     current_top = None
@@ -108,7 +139,7 @@ def extract_page(page):
 
     fonts = Counter(w["fontname"] for w in words if w["fontname"])
 
-    return {
+    rec = {
         "page_index": page.page_number - 1,
         "width": round(page.width, 2),
         "height": round(page.height, 2),
@@ -118,14 +149,81 @@ def extract_page(page):
         "words": words,
         "fonts": dict(fonts.most_common()),
     }
+    if ocr_info is not None:
+        # No text layer to take text from — rebuild both text forms from
+        # the OCR'd lines.
+        ocr_text = "\n".join(
+            " ".join(w["text"] for w in sorted(line, key=lambda w: w["x0"])) for line in lines
+        )
+        rec["text_layout"] = ocr_text
+        rec["text_raw"] = ocr_text
+        rec["ocr"] = True
+        rec["ocr_confidence"] = ocr_info["confidence"]
+    elif ocr_needed:
+        rec["ocr_needed"] = True
+    return rec
+
+
+def ocr_page(page):
+    """
+    OCR one page with tesseract. Returns {"words": [...], "confidence": float}
+    with word boxes converted from image pixels to PDF points, or None when
+    OCR is unavailable or fails.
+
+    tesseract reports a box per word, but a word's box height depends on its
+    letters ("ocean" is x-height only, "Judge" spans ascender to descender),
+    so it's useless as a font size: the small-caps recombiner and footnote
+    filters would read every lowercase word as a superscript. Each word takes
+    the tallest box on its tesseract line as its `size` instead, which tracks
+    the typeset point size closely enough for the body/footnote split.
+    """
+    if pytesseract is None:
+        return None
+    try:
+        img = page.to_image(resolution=OCR_RESOLUTION).original
+        data = pytesseract.image_to_data(img, output_type=pytesseract.Output.DICT)
+    except Exception as e:  # tesseract binary missing, render failure, ...
+        print(f"OCR failed on page {page.page_number - 1}: {e}", file=sys.stderr)
+        return None
+
+    scale = 72.0 / OCR_RESOLUTION
+    line_height = {}
+    entries = []
+    for i, text in enumerate(data["text"]):
+        text = (text or "").strip()
+        conf = float(data["conf"][i])
+        if not text or conf < 0:
+            continue
+        key = (data["block_num"][i], data["par_num"][i], data["line_num"][i])
+        line_height[key] = max(line_height.get(key, 0), data["height"][i])
+        entries.append((key, i, text, conf))
+
+    words = []
+    for key, i, text, conf in entries:
+        left, top = data["left"][i], data["top"][i]
+        words.append({
+            "text": text,
+            "x0": round(left * scale, 2),
+            "x1": round((left + data["width"][i]) * scale, 2),
+            "top": round(top * scale, 2),
+            "bottom": round((top + data["height"][i]) * scale, 2),
+            "fontname": None,
+            "size": round(line_height[key] * scale, 2),
+            "ocr": True,
+            "conf": round(conf / 100.0, 3),
+        })
+    confidence = round(sum(w["conf"] for w in words) / len(words), 3) if words else None
+    return {"words": words, "confidence": confidence}
 
 
 def main():
-    if len(sys.argv) != 2:
-        print("usage: pdf_parse.py <pdf-path>", file=sys.stderr)
+    args = [a for a in sys.argv[1:] if not a.startswith("--")]
+    ocr = "--no-ocr" not in sys.argv[1:]
+    if len(args) != 1:
+        print("usage: pdf_parse.py <pdf-path> [--no-ocr]", file=sys.stderr)
         sys.exit(2)
 
-    pdf_path = sys.argv[1]
+    pdf_path = args[0]
 
     with pdfplumber.open(pdf_path) as pdf:
         meta = {
@@ -137,7 +235,7 @@ def main():
 
         for page in pdf.pages:
             try:
-                rec = extract_page(page)
+                rec = extract_page(page, ocr=ocr)
                 rec["kind"] = "page"
                 print(json.dumps(rec, default=str))
             except Exception as e:
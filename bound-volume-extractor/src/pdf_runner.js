@@ -10,9 +10,12 @@ const PY_SCRIPT = path.join(__dirname, 'pdf_parse.py');
  * Spawn the Python pdfplumber extractor against `pdfPath` and stream NDJSON
  * records (one JSON object per line). Each record is parsed and yielded.
  * Optionally tees raw NDJSON output to `rawOutputPath` for later replay.
+ * `ocr: false` disables the tesseract fallback for image-only pages (see
+ * pdf_parse.py); OCR'd page records carry `ocr: true` + `ocr_confidence`.
  */
-export async function* extractPdfPages(pdfPath, { rawOutputPath = null, pythonBin = 'python3' } = {}) {
-  const proc = spawn(pythonBin, [PY_SCRIPT, pdfPath], { stdio: ['ignore', 'pipe', 'pipe'] });
+export async function* extractPdfPages(pdfPath, { rawOutputPath = null, pythonBin = 'python3', ocr = true } = {}) {
+  const args = ocr ? [PY_SCRIPT, pdfPath] : [PY_SCRIPT, pdfPath, '--no-ocr'];
+  const proc = spawn(pythonBin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
 
   const rawStream = rawOutputPath ? createWriteStream(rawOutputPath) : null;
   let buffer = '';
@@ -0,0 +1,316 @@
+/**
+ * Golden-file regression harness.
+ *
+ * Every PARSER_VERSION bump re-parses the whole corpus, and until now the
+ * only check on what a parser change actually did was validate.js's
+ * heuristics plus ad-hoc check_*.js probes. This module keeps a curated set
+ * of fixtures under ./regress/ and diffs a fresh `parseCases` run against
+ * each fixture's approved output:
+ *
+ *   regress/<fixture>/
+ *     raw.ndjson     page records (a whole volume or a page-range slice),
+ *                    copied from out/<stem>/raw.ndjson
+ *     approved.json  cases.json-shaped output a human signed off on
+ *     fixture.json   { name, source_stem, pages, volume, parser_version,
+ *                      approved_at } — `volume` is stored because a slice
+ *                    usually lacks the title page volume_detector reads
+ *
+ * Runs are fully offline: pages come from the stored NDJSON, never from
+ * the Python pdfplumber step.
+ *
+ * The diff is semantic, not textual — keyed by case_curie, ignoring
+ * batch_id / parsed_at noise:
+ *   - cases added / lost (a lost + added pair on the same first page and
+ *     official cite is reported as one case whose CURIE changed)
+ *   - per-case changes to name, caption_text, decision_date,
+ *     court_department
+ *   - opinion-boundary changes: opinion count, type/author sequence, or
+ *     where each opinion's text starts / ends
+ *   - footnote reattribution: a footnote (matched by marker + text) that
+ *     now hangs off a different opinion
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { detectVolume } from './volume_detector.js';
+import { parseCases } from './parser.js';
+import { buildJsonDoc } from './output.js';
+
+// Per-case fields diffDocs compares; corpus_diff.js rolls up counts per field.
+export const CASE_FIELDS = ['name', 'caption_text', 'decision_date', 'court_department'];
+const EDGE = 40;   // chars of opinion text compared at each boundary
+
+async function readNdjson(file) {
+  const raw = await readFile(file, 'utf8');
+  const meta = [];
+  const pages = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    const rec = JSON.parse(line);
+    if (rec.kind === 'page') pages.push(rec);
+    else meta.push(rec);
+  }
+  pages.sort((a, b) => a.page_index - b.page_index);
+  return { meta, pages };
+}
+
+function parsePageRange(spec) {
+  if (!spec) return null;
+  const m = String(spec).match(/^(\d+)-(\d+)$/);
+  if (!m) throw new Error(`bad --pages value "${spec}" (expected <from>-<to>)`);
+  return [parseInt(m[1], 10), parseInt(m[2], 10)];
+}
+
+/** List fixtures under `regressDir` (directories holding a fixture.json). */
+export async function listFixtures(regressDir) {
+  let dirents;
+  try {
+    dirents = await readdir(regressDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const d of dirents.filter(d => d.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    try {
+      const fixture = JSON.parse(await readFile(path.join(regressDir, d.name, 'fixture.json'), 'utf8'));
+      out.push({ ...fixture, dir: path.join(regressDir, d.name) });
+    } catch {
+      continue;   // not a fixture directory
+    }
+  }
+  return out;
+}
+
+/** Re-run parseCases on a fixture's stored pages; returns a cases.json-shaped doc. */
+async function parseFixture(fixture, parserVersion) {
+  const { pages } = await readNdjson(path.join(fixture.dir, 'raw.ndjson'));
+  const parsed = parseCases(pages, fixture.volume);
+  return buildJsonDoc({ ...parsed, parser_version: parserVersion, volume: fixture.volume });
+}
+
+/**
+ * Create a fixture from an already-extracted volume (out/<stem>/raw.ndjson),
+ * optionally trimmed to a page range, and approve the current parser's
+ * output for it.
+ */
+export async function snapshotFixture({ outputDir, regressDir, stem, name, pages: pageSpec, parserVersion }) {
+  const range = parsePageRange(pageSpec);
+  const { meta, pages } = await readNdjson(path.join(outputDir, stem, 'raw.ndjson'));
+  const volume = detectVolume(pages.slice(0, 10).map(p => p.text_raw || '').join('\n'));
+  if (!volume) throw new Error(`could not detect volume metadata for ${stem}`);
+  const kept = range ? pages.filter(p => p.page_index >= range[0] && p.page_index <= range[1]) : pages;
+  if (!kept.length) throw new Error(`no pages in range ${pageSpec} for ${stem}`);
+
+  const fixtureName = name || (range ? `${stem}_p${range[0]}-${range[1]}` : stem);
+  const dir = path.join(regressDir, fixtureName);
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, 'raw.ndjson'),
+    [...meta, ...kept].map(r => JSON.stringify(r)).join('\n') + '\n');
+  const fixture = {
+    name: fixtureName,
+    source_stem: stem,
+    pages: range,
+    volume,
+    parser_version: parserVersion,
+    approved_at: new Date().toISOString(),
+  };
+  await writeFile(path.join(dir, 'fixture.json'), JSON.stringify(fixture, null, 2));
+  const doc = await parseFixture({ ...fixture, dir }, parserVersion);
+  await writeFile(path.join(dir, 'approved.json'), JSON.stringify(doc, null, 2));
+  return { fixture, dir, case_count: doc.cases.length };
+}
+
+/** Accept the current parser's output as a fixture's new approved.json. */
+export async function approveFixture(fixture, parserVersion) {
+  const doc = await parseFixture(fixture, parserVersion);
+  await writeFile(path.join(fixture.dir, 'approved.json'), JSON.stringify(doc, null, 2));
+  const { dir, ...rest } = fixture;
+  await writeFile(path.join(dir, 'fixture.json'), JSON.stringify({
+    ...rest, parser_version: parserVersion, approved_at: new Date().toISOString(),
+  }, null, 2));
+  return { case_count: doc.cases.length };
+}
+
+const squash = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+const officialCite = (c) => (c.citations || []).find(x => x.citation_type === 'official')?.cite ?? null;
+
+function opinionSignature(op) {
+  const t = squash(op.text);
+  return {
+    type: op.opinion_type ?? null,
+    author: op.author ?? null,
+    head: t.slice(0, EDGE),
+    tail: t.slice(-EDGE),
+    length: t.length,
+  };
+}
+
+/**
+ * Compare two cases' opinion lists. Returns null when the boundaries match,
+ * else a summary of what moved.
+ */
+function diffOpinions(a, b) {
+  const sa = (a.opinions || []).map(opinionSignature);
+  const sb = (b.opinions || []).map(opinionSignature);
+  const changes = [];
+  if (sa.length !== sb.length) changes.push(`opinion count ${sa.length} → ${sb.length}`);
+  for (let i = 0; i < Math.min(sa.length, sb.length); i++) {
+    const x = sa[i], y = sb[i];
+    if (x.type !== y.type || x.author !== y.author) {
+      changes.push(`#${i} ${x.type}/${x.author || '-'} → ${y.type}/${y.author || '-'}`);
+    }
+    if (x.head !== y.head) changes.push(`#${i} start moved: "${x.head}" → "${y.head}"`);
+    if (x.tail !== y.tail) changes.push(`#${i} end moved (${x.length} → ${y.length} chars): "…${x.tail}" → "…${y.tail}"`);
+  }
+  return changes.length ? changes : null;
+}
+
+// Footnote owner map: (marker + text head) → opinion curie, so a footnote
+// that survives a parser change but lands on another opinion is visible.
+function footnoteOwners(doc) {
+  const owners = new Map();
+  for (const c of doc.cases || []) {
+    for (const op of c.opinions || []) {
+      for (const fn of op.footnotes || []) {
+        if (!fn) continue;
+        const key = `${fn.marker ?? ''}|${squash(fn.text).slice(0, 80)}`;
+        owners.set(key, { opinion: op.curie || `${c.case_curie}#${op.opinion_index ?? '?'}`, marker: fn.marker ?? null });
+      }
+    }
+  }
+  return owners;
+}
+
+/**
+ * Semantic diff between an approved cases.json doc and a fresh one.
+ */
+export function diffDocs(approved, current) {
+  const byCurie = (doc) => new Map((doc.cases || []).filter(c => c.case_curie).map(c => [c.case_curie, c]));
+  const A = byCurie(approved);
+  const B = byCurie(current);
+
+  let lost = [...A.keys()].filter(k => !B.has(k));
+  let added = [...B.keys()].filter(k => !A.has(k));
+
+  // Re-pair CURIE renames: same first page + official cite, one each side.
+  const pairs = [];
+  const pairKey = (c) => `${c.first_page}|${officialCite(c)}`;
+  const addedByKey = new Map();
+  for (const k of added) {
+    const key = pairKey(B.get(k));
+    if (!addedByKey.has(key)) addedByKey.set(key, []);
+    addedByKey.get(key).push(k);
+  }
+  const lostByKey = new Map();
+  for (const k of lost) {
+    const key = pairKey(A.get(k));
+    if (!lostByKey.has(key)) lostByKey.set(key, []);
+    lostByKey.get(key).push(k);
+  }
+  for (const [key, ls] of lostByKey) {
+    const as = addedByKey.get(key);
+    if (ls.length === 1 && as?.length === 1) pairs.push([ls[0], as[0]]);
+  }
+  const pairedLost = new Set(pairs.map(p => p[0]));
+  const pairedAdded = new Set(pairs.map(p => p[1]));
+  lost = lost.filter(k => !pairedLost.has(k));
+  added = added.filter(k => !pairedAdded.has(k));
+
+  const changed = [];
+  const compare = (from, to, curieChange) => {
+    const a = A.get(from), b = B.get(to);
+    const fields = {};
+    for (const f of CASE_FIELDS) {
+      if (squash(a[f]) !== squash(b[f])) fields[f] = { from: a[f] ?? null, to: b[f] ?? null };
+    }
+    const opinions = diffOpinions(a, b);
+    if (curieChange || Object.keys(fields).length || opinions) {
+      changed.push({
+        case_curie: to,
+        ...(curieChange ? { previous_curie: from } : {}),
+        fields,
+        opinions,
+      });
+    }
+  };
+  for (const k of A.keys()) if (B.has(k)) compare(k, k, false);
+  for (const [from, to] of pairs) compare(from, to, true);
+
+  const fa = footnoteOwners(approved);
+  const fb = footnoteOwners(current);
+  const reattributed = [];
+  for (const [key, owner] of fa) {
+    const now = fb.get(key);
+    if (now && now.opinion !== owner.opinion) {
+      reattributed.push({ marker: owner.marker, text: key.split('|')[1], from: owner.opinion, to: now.opinion });
+    }
+  }
+  const footnotes = {
+    reattributed,
+    lost: [...fa.keys()].filter(k => !fb.has(k)).length,
+    added: [...fb.keys()].filter(k => !fa.has(k)).length,
+  };
+
+  const clean = !lost.length && !added.length && !changed.length &&
+    !reattributed.length && !footnotes.lost && !footnotes.added;
+  return {
+    case_count: { approved: A.size, current: B.size },
+    added: added.map(k => ({ case_curie: k, name: B.get(k).name ?? null, first_page: B.get(k).first_page ?? null })),
+    lost: lost.map(k => ({ case_curie: k, name: A.get(k).name ?? null, first_page: A.get(k).first_page ?? null })),
+    changed,
+    footnotes,
+    clean,
+  };
+}
+
+/** Run every fixture (or one, by name) and diff it against its approved output. */
+export async function runRegress(regressDir, opts = {}) {
+  const fixtures = (await listFixtures(regressDir))
+    .filter(f => !opts.fixture || f.name === opts.fixture);
+  const reports = [];
+  for (const f of fixtures) {
+    const approved = JSON.parse(await readFile(path.join(f.dir, 'approved.json'), 'utf8'));
+    const current = await parseFixture(f, opts.parserVersion);
+    reports.push({
+      fixture: f.name,
+      approved_parser_version: approved.parser_version ?? null,
+      current_parser_version: opts.parserVersion ?? null,
+      ...diffDocs(approved, current),
+    });
+  }
+  return { reports, clean: reports.every(r => r.clean) };
+}
+
+export function printRegressReport({ reports }, opts = {}) {
+  if (!reports.length) {
+    console.log('(no fixtures — create one with `node main.js regress snapshot <stem>`)');
+    return;
+  }
+  const max = opts.verbose ? Infinity : 10;
+  for (const r of reports) {
+    const status = r.clean ? 'clean' : 'CHANGED';
+    console.log(`\n${r.fixture}  [${status}]  ${r.approved_parser_version} → ${r.current_parser_version}  ` +
+      `cases ${r.case_count.approved} → ${r.case_count.current}`);
+    if (r.clean) continue;
+    for (const c of r.added.slice(0, max)) console.log(`  + ${c.case_curie}  (p.${c.first_page}) ${c.name || ''}`);
+    for (const c of r.lost.slice(0, max))  console.log(`  - ${c.case_curie}  (p.${c.first_page}) ${c.name || ''}`);
+    for (const c of r.changed.slice(0, max)) {
+      console.log(`  ~ ${c.case_curie}${c.previous_curie ? `  (was ${c.previous_curie})` : ''}`);
+      for (const [f, v] of Object.entries(c.fields)) {
+        console.log(`      ${f}: ${JSON.stringify(v.from)} → ${JSON.stringify(v.to)}`);
+      }
+      for (const line of c.opinions || []) console.log(`      opinions: ${line}`);
+    }
+    const hidden = Math.max(0, r.added.length - max) + Math.max(0, r.lost.length - max) + Math.max(0, r.changed.length - max);
+    if (hidden) console.log(`  … ${hidden} more (use --verbose)`);
+    const fn = r.footnotes;
+    if (fn.reattributed.length || fn.lost || fn.added) {
+      console.log(`  footnotes: ${fn.reattributed.length} reattributed, ${fn.lost} lost, ${fn.added} added`);
+      for (const x of fn.reattributed.slice(0, max)) {
+        console.log(`      [${x.marker ?? '?'}] ${x.from} → ${x.to}  "${x.text.slice(0, 50)}"`);
+      }
+    }
+  }
+  const changed = reports.filter(r => !r.clean).length;
+  console.log(`\n${reports.length} fixture(s): ${reports.length - changed} clean, ${changed} changed.`);
+}
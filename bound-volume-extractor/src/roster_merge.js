@@ -0,0 +1,183 @@
+/**
+ * Merge front-matter judge rosters into the historical department rosters.
+ *
+ * Each parsed Appellate Division volume carries the bench printed in its
+ * front matter (`roster` in cases.json, see judges.js): every justice
+ * sitting in each department during the volume's period. Those lists are
+ * authoritative, unlike the statistical roster scripts/build_justice_roster.js
+ * infers from DB panels, so they're folded into the hand-maintained
+ * caselaw-extractor/configs/historical_justices_dept_<d>.json files that
+ * department.js's loadHistoricalRoster / lookupHistorical read.
+ *
+ * Per observed justice (department d, volume period y0..y1):
+ *   - matched by surname (case-insensitive) in dept d's file; when several
+ *     entries share the surname, the one whose first name agrees, else the
+ *     one whose dept-d service overlaps the period
+ *   - an overlapping or adjacent dept-d service range is widened to cover
+ *     y0..y1 (an open end_year — still sitting — stays open); otherwise a
+ *     new range is appended
+ *   - unmatched justices are added as new entries
+ *   - a Presiding Justice role sets `presiding: true` (never cleared)
+ *
+ * Existing entries are only ever widened, never narrowed or removed, so
+ * re-running over the same outputs is a no-op. The files keep their
+ * layout (one-line `depts_served` arrays) so merges diff cleanly.
+ */
+
+import { readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_ROSTER_DIR = path.join(__dirname, '..', '..', 'caselaw-extractor', 'configs');
+
+const rosterPath = (dir, dept) => path.join(dir, `historical_justices_dept_${dept}.json`);
+const yearOf = (d) => (d ? parseInt(String(d).slice(0, 4), 10) : null);
+const firstToken = (name) => String(name || '').split(/\s+/)[0].replace(/\.$/, '').toLowerCase();
+
+/**
+ * Serialize a roster file in its established layout: 2-space JSON with
+ * each `depts_served` array on one line.
+ */
+function formatRosterFile(doc) {
+  const inline = (ranges) => '[' + ranges.map(r =>
+    '{' + Object.entries(r).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ') + '}'
+  ).join(', ') + ']';
+  const text = JSON.stringify(doc, (k, v) => (k === 'depts_served' && Array.isArray(v) ? `\u0000${inline(v)}\u0000` : v), 2);
+  return text.replace(/"\\u0000(.*?)\\u0000"/g, (_, s) => JSON.parse(`"${s}"`)) + '\n';
+}
+
+function overlaps(range, y0, y1, slack = 0) {
+  const lo = range.start_year ?? -Infinity;
+  const hi = range.end_year ?? Infinity;
+  return y0 <= hi + slack && y1 >= lo - slack;
+}
+
+function findEntry(justices, obs) {
+  const same = justices.filter(j => typeof j.surname === 'string' && j.surname.toLowerCase() === obs.surname.toLowerCase());
+  if (same.length <= 1) return same[0] || null;
+  const byFirst = same.filter(j => firstToken(j.full_name) === firstToken(obs.name));
+  if (byFirst.length === 1) return byFirst[0];
+  return same.find(j => (j.depts_served || []).some(r => r.dept === obs.dept && overlaps(r, obs.start_year, obs.end_year, 1))) || null;
+}
+
+/** Fold one observation into a roster file's justices. Returns the change kind or null. */
+function applyObservation(doc, obs) {
+  const entry = findEntry(doc.justices, obs);
+  if (!entry) {
+    doc.justices.push({
+      surname: obs.surname,
+      full_name: obs.name,
+      depts_served: [{ dept: obs.dept, start_year: obs.start_year, end_year: obs.end_year }],
+      presiding: obs.presiding,
+      notes: `From bound-volume front matter (${obs.volume})`,
+    });
+    return 'added';
+  }
+  let change = null;
+  const ranges = (entry.depts_served ||= []);
+  const range = ranges.find(r => r.dept === obs.dept && overlaps(r, obs.start_year, obs.end_year, 1));
+  if (range) {
+    if (range.start_year == null || obs.start_year < range.start_year) {
+      if (range.start_year != null) { range.start_year = obs.start_year; change = 'extended'; }
+    }
+    if (range.end_year != null && obs.end_year > range.end_year) { range.end_year = obs.end_year; change = 'extended'; }
+  } else {
+    ranges.push({ dept: obs.dept, start_year: obs.start_year, end_year: obs.end_year });
+    ranges.sort((a, b) => (a.start_year ?? 0) - (b.start_year ?? 0));
+    change = 'range_added';
+  }
+  if (obs.presiding && !entry.presiding) { entry.presiding = true; change ||= 'presiding'; }
+  return change;
+}
+
+/**
+ * Collect roster observations from every out/<volume>/cases.json and merge
+ * them into the per-department files under `rosterDir`. Returns a report;
+ * writes nothing when `dryRun`.
+ */
+export async function mergeFrontMatterRosters(outputDir, opts = {}) {
+  const rosterDir = opts.rosterDir || DEFAULT_ROSTER_DIR;
+  const dirents = await readdir(outputDir, { withFileTypes: true });
+  const observations = [];
+  const volumes = [];
+  for (const d of dirents.filter(d => d.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (opts.volume && d.name !== opts.volume) continue;
+    let data;
+    try {
+      data = JSON.parse(await readFile(path.join(outputDir, d.name, 'cases.json'), 'utf8'));
+    } catch {
+      continue;   // unparsed / unreadable volume — nothing to contribute
+    }
+    const judges = (data.roster?.judges || []).filter(j => j.department >= 1 && j.department <= 4);
+    if (!judges.length) continue;
+    const label = `${data.volume?.volume} ${data.volume?.reporter}`;
+    volumes.push(label);
+    for (const j of judges) {
+      const start = yearOf(j.period_start);
+      const end = yearOf(j.period_end);
+      if (start == null || end == null) continue;   // undated — can't bound a service range
+      observations.push({
+        surname: j.surname,
+        name: j.name,
+        dept: j.department,
+        start_year: start,
+        end_year: end,
+        presiding: j.role === 'presiding_justice',
+        volume: label,
+      });
+    }
+  }
+
+  const perDept = {};
+  for (let dept = 1; dept <= 4; dept++) {
+    const fp = rosterPath(rosterDir, dept);
+    let doc;
+    try {
+      doc = JSON.parse(await readFile(fp, 'utf8'));
+    } catch {
+      doc = { dept, compiled_at: null, coverage: null, sources: [], justices: [] };
+    }
+    if (!Array.isArray(doc.justices)) doc.justices = [];
+    const counts = { added: 0, extended: 0, range_added: 0, presiding: 0, unchanged: 0 };
+    const added = [];
+    for (const obs of observations.filter(o => o.dept === dept)) {
+      const change = applyObservation(doc, obs);
+      counts[change || 'unchanged']++;
+      if (change === 'added') added.push(`${obs.name} (${obs.volume})`);
+    }
+    const changed = counts.added + counts.extended + counts.range_added + counts.presiding > 0;
+    if (changed) {
+      const seen = new Set(doc.front_matter_volumes || []);
+      for (const o of observations) if (o.dept === dept) seen.add(o.volume);
+      doc.front_matter_volumes = [...seen].sort();
+      if (!opts.dryRun) await writeFile(fp, formatRosterFile(doc));
+    }
+    perDept[dept] = { file: fp, changed, ...counts, added_names: added };
+  }
+
+  return {
+    roster_dir: rosterDir,
+    dry_run: !!opts.dryRun,
+    volumes,
+    observations: observations.length,
+    departments: perDept,
+  };
+}
+
+export function printRosterMergeReport(report) {
+  console.log(`Front-matter rosters: ${report.volumes.length} volume(s), ${report.observations} dated observation(s)` +
+    (report.dry_run ? '  (dry run — nothing written)' : ''));
+  console.log(`\ndept  added  extended  new-range  presiding  unchanged`);
+  console.log(`────  ─────  ────────  ─────────  ─────────  ─────────`);
+  for (const [dept, r] of Object.entries(report.departments)) {
+    console.log(`${String(dept).padEnd(4)}  ${String(r.added).padStart(5)}  ${String(r.extended).padStart(8)}  ` +
+      `${String(r.range_added).padStart(9)}  ${String(r.presiding).padStart(9)}  ${String(r.unchanged).padStart(9)}`);
+  }
+  for (const [dept, r] of Object.entries(report.departments)) {
+    if (!r.added_names.length) continue;
+    console.log(`\nNew dept ${dept} entries (review the full_name / notes):`);
+    for (const n of r.added_names.slice(0, 20)) console.log(`  + ${n}`);
+    if (r.added_names.length > 20) console.log(`  … +${r.added_names.length - 20} more`);
+  }
+}
@@ -23,6 +23,12 @@
  * For AD3d / Misc 3d the banners may differ; the BANNER table is the place
  * to extend. The classifier ignores empty pages (blank versos) by inheriting
  * the prior section.
+ *
+ * The `digest` section holds two distinct reporter tables — the DIGEST-INDEX
+ * proper and the TABLE OF STATUTES CONSTRUED — which share a section so the
+ * opinion walker stops at either. Banners that open one of them carry a
+ * `part` label, and every page in the section is tagged with the part it
+ * falls under, so the per-table parsers can pick out their own pages.
  */
 
 const BANNERS = [
@@ -42,8 +48,8 @@ const BANNERS = [
   // index content into the previous case (e.g. Hayes v Mia's Bathhouse for
   // Pets, 57 Misc 3d 78, picks up 30+ pages of "APPELLATE TERM ABSTRACTS").
   { section: 'abstracts', re: /^Abstracts\s+of\s+(?:Other\s+Court|Appellate\s+Term)\s+Cases(\s+Selected\s+for)?$/i },
-  { section: 'digest',    re: /^DIGEST[-\s]INDEX$/i },
-  { section: 'digest',    re: /^TABLE\s+OF\s+STATUTES(\s+CONSTRUED)?$/i },
+  { section: 'digest',    part: 'digest_index',       re: /^DIGEST[-\s]INDEX$/i },
+  { section: 'digest',    part: 'statutes_construed', re: /^TABLE\s+OF\s+STATUTES(\s+CONSTRUED)?$/i },
   { section: 'errata',    re: /^(CUMULATIVE\s+)?ERRATA(\s+TABLE)?$/i },
 ];
 
@@ -66,35 +72,40 @@ function firstNonEmptyLines(page, n = 5) {
 }
 
 /**
- * Detect a banner heading on this page. Returns the section name or null.
- * A banner is the FIRST non-empty line and matches a known regex exactly.
- * Running heads like "MEMORANDA 927" are rejected by the `^…$` anchors.
+ * Detect a banner heading on this page. Returns the matching BANNERS entry
+ * ({ section, part? }) or null. A banner is the FIRST non-empty line and
+ * matches a known regex exactly. Running heads like "MEMORANDA 927" are
+ * rejected by the `^…$` anchors.
  */
 function detectBanner(page) {
   const lines = firstNonEmptyLines(page, 3);
   if (!lines.length) return null;
   const head = lines[0];
-  for (const { section, re } of BANNERS) {
-    if (re.test(head)) return section;
+  for (const banner of BANNERS) {
+    if (banner.re.test(head)) return banner;
   }
   return null;
 }
 
 /**
  * Classify every page in the volume. Returns a parallel array
- * [{ page_index, section, banner }] where `banner` is true on the page that
- * triggered the section change.
+ * [{ page_index, section, part, banner }] where `banner` is true on the page
+ * that triggered the section (or part) change. `part` is null outside
+ * sections whose banners carry one.
  */
 export function classifyPages(pages) {
   const result = [];
   let current = 'front_matter';
+  let currentPart = null;
   for (const page of pages) {
     const banner = detectBanner(page);
-    if (banner && banner !== current) {
-      current = banner;
-      result.push({ page_index: page.page_index, section: current, banner: true });
+    const part = banner?.part ?? null;
+    if (banner && (banner.section !== current || part !== currentPart)) {
+      current = banner.section;
+      currentPart = part;
+      result.push({ page_index: page.page_index, section: current, part: currentPart, banner: true });
     } else {
-      result.push({ page_index: page.page_index, section: current, banner: false });
+      result.push({ page_index: page.page_index, section: current, part: currentPart, banner: false });
     }
   }
   return result;
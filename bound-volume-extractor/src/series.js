@@ -0,0 +1,208 @@
+/**
+ * Per-series reporter profiles.
+ *
+ * Everything series-specific about a bound volume lives here: how the title
+ * page names it, what the running heads say, which parallel reporters its
+ * first-page cite header carries, the CURIE prefix, and the court the SQL
+ * output attributes cases to. The rest of the parser asks for the profile
+ * (or one of the combined regex fragments below) instead of hard-coding
+ * "3d SERIES" / `NYS3d` / `reporter === 'AD3d'`.
+ *
+ * `family` groups the series by court, since layout conventions follow the
+ * court rather than the series: 'NY' (Court of Appeals), 'AD' (Appellate
+ * Division — memo-number prefixes, department banners), 'Misc' (trial
+ * courts).
+ *
+ * `source_ref` is the merged co-backend's per-court source name (the
+ * caselaw-merge SOURCE_REFS), which cross-source records such as
+ * appellate-history edges use to say where each case lives.
+ *
+ * Parallel cites: Court of Appeals volumes print the regional + state pair
+ * (`[85 NE3d 57, 62 NYS3d 838]`); AD and Misc volumes print the state cite
+ * only (`[62 NYS3d 838]`). The 2d series pairs with NE2d / NYS2d.
+ *
+ * Adding the first series is a matter of appending profiles — the title
+ * token for those volumes is the bare reporter name with no "SERIES" line,
+ * so `title_series` will need to become optional when we have a scan to
+ * verify against.
+ */
+
+export const SERIES_PROFILES = [
+  {
+    reporter: 'NY3d',
+    family: 'NY',
+    source_ref: 'ny_supreme',
+    series: '3d',
+    court: 'Court of Appeals',
+    source_db: 'ny_reporter',
+    title: 'NEW\\s+YORK\\s+REPORTS|COURT\\s+OF\\s+APPEALS',
+    title_series: '3d',
+    parallels: { regional: 'NE3d', state: 'NYS3d' },
+    curie_prefix: 'ny3d',
+    court_name: 'New York Court of Appeals',
+    court_id: 24653,
+  },
+  {
+    reporter: 'AD3d',
+    family: 'AD',
+    source_ref: 'ny_appellate',
+    series: '3d',
+    court: 'Appellate Division',
+    source_db: 'ny_appellate_division',
+    title: 'APPELLATE\\s+DIVISION\\s+REPORTS',
+    title_series: '3d',
+    parallels: { regional: null, state: 'NYS3d' },
+    curie_prefix: 'ad3d',
+    court_name: 'New York Supreme Court, Appellate Division',
+    court_id: 8994,
+  },
+  {
+    reporter: 'Misc 3d',
+    family: 'Misc',
+    source_ref: 'ny_trial',
+    series: '3d',
+    court: 'Trial Courts',
+    source_db: 'ny_trial_courts',
+    title: 'MISCELLANEOUS\\s+REPORTS',
+    title_series: '3d',
+    parallels: { regional: null, state: 'NYS3d' },
+    curie_prefix: 'misc3d',
+    // Generic — Misc covers multiple trial courts; Supreme Court is the
+    // most common publisher, so it's the default court_id as well.
+    court_name: 'New York Supreme Court',
+    court_id: 8791,
+  },
+  // 2d series. Title pages of the scanned 2d volumes spell the series
+  // either "2d SERIES" or "SECOND SERIES"; both are accepted. Same
+  // source DBs and court ids as the 3d series — the DBs are per court,
+  // not per series.
+  {
+    reporter: 'NY2d',
+    family: 'NY',
+    source_ref: 'ny_supreme',
+    series: '2d',
+    court: 'Court of Appeals',
+    source_db: 'ny_reporter',
+    title: 'NEW\\s+YORK\\s+REPORTS|COURT\\s+OF\\s+APPEALS',
+    title_series: '2d|SECOND',
+    parallels: { regional: 'NE2d', state: 'NYS2d' },
+    curie_prefix: 'ny2d',
+    court_name: 'New York Court of Appeals',
+    court_id: 24653,
+  },
+  {
+    reporter: 'AD2d',
+    family: 'AD',
+    source_ref: 'ny_appellate',
+    series: '2d',
+    court: 'Appellate Division',
+    source_db: 'ny_appellate_division',
+    title: 'APPELLATE\\s+DIVISION\\s+REPORTS',
+    title_series: '2d|SECOND',
+    parallels: { regional: null, state: 'NYS2d' },
+    curie_prefix: 'ad2d',
+    court_name: 'New York Supreme Court, Appellate Division',
+    court_id: 8994,
+  },
+  {
+    reporter: 'Misc 2d',
+    family: 'Misc',
+    source_ref: 'ny_trial',
+    series: '2d',
+    court: 'Trial Courts',
+    source_db: 'ny_trial_courts',
+    title: 'MISCELLANEOUS\\s+REPORTS',
+    title_series: '2d|SECOND',
+    parallels: { regional: null, state: 'NYS2d' },
+    curie_prefix: 'misc2d',
+    court_name: 'New York Supreme Court',
+    court_id: 8791,
+  },
+];
+
+const BY_REPORTER = new Map(SERIES_PROFILES.map(p => [p.reporter, p]));
+
+/** Profile for a compact reporter string ("AD2d"), or null. */
+export function profileFor(reporter) {
+  return BY_REPORTER.get(reporter) || null;
+}
+
+/** Court family ('NY' | 'AD' | 'Misc') for a reporter, or null. */
+export function reporterFamily(reporter) {
+  return profileFor(reporter)?.family || null;
+}
+
+/**
+ * Map a printed reporter token in any spacing/punctuation ("N.Y.2d",
+ * "Misc. 3d", "AD2d") onto its compact profile spelling. Returns the
+ * input unchanged when no profile matches.
+ */
+export function normalizeReporterToken(token) {
+  const squashed = String(token || '').replace(/[\s.]/g, '').toLowerCase();
+  for (const p of SERIES_PROFILES) {
+    if (p.curie_prefix === squashed) return p.reporter;
+  }
+  return token;
+}
+
+const uniq = (xs) => [...new Set(xs)];
+const reporterPattern = (rep) => rep.replace(/\s+/g, '\\s*');
+
+// Regex-source fragments shared by the running-head and cite patterns.
+// Each is a non-capturing alternation over every profile.
+
+/** Series token in a running head: `(?:3d|2d)`. */
+export const SERIES_ALT = `(?:${uniq(SERIES_PROFILES.map(p => p.series)).join('|')})`;
+
+/** Compact reporter token in a bracketed cite: `(?:NY3d|AD3d|Misc\s*3d|…)`. */
+export const REPORTER_ALT = `(?:${SERIES_PROFILES.map(p => reporterPattern(p.reporter)).join('|')})`;
+
+/** Printed reporter token, dots optional: `N.Y.2d`, `A.D.3d`, `Misc. 2d`. */
+export const PRINTED_REPORTER_ALT = `(?:${uniq(SERIES_PROFILES.map(p => {
+  const [, name, series] = p.reporter.match(/^(.*?)\s*(\dd)$/);
+  const dotted = name === 'Misc' ? 'Misc\\.?' : `${name.split('').join('\\.?\\s*')}\\.?`;
+  return `${dotted}\\s*${series}`;
+})).join('|')})`;
+
+/** State parallel reporter token: `(?:NYS3d|NYS2d)`. */
+export const STATE_PARALLEL_ALT = `(?:${uniq(SERIES_PROFILES.map(p => p.parallels.state)).join('|')})`;
+
+/** Regional parallel reporter token: `(?:NE3d|NE2d)`. */
+export const REGIONAL_PARALLEL_ALT = `(?:${uniq(SERIES_PROFILES.map(p => p.parallels.regional).filter(Boolean)).join('|')})`;
+
+/**
+ * Title-page pattern for a profile. Layout (verified for the 3d series,
+ * see volume_detector.js): VOLUME <N>, then the reporter title, then the
+ * series line. Captures the volume number.
+ */
+export function titlePageRegex(profile) {
+  return new RegExp(
+    `VOLUME\\s+(\\d+)[\\s\\S]{0,200}?(?:${profile.title})[\\s\\S]{0,100}?(?:${profile.title_series})\\s+SERIES`,
+    'i'
+  );
+}
+
+/**
+ * First-page parallel cite header regexes for a volume's reporter. Returns
+ * { both, state, regional, stateRep } where `both` matches the two-cite
+ * form (null when the series has no regional parallel) and `state` the
+ * state-only form. Both carry /g so callers can exec-scan a page.
+ * Unknown reporters fall back to the NY3d profile, matching the parser's
+ * historical default.
+ */
+export function parallelHeaderRegexes(reporter) {
+  const p = profileFor(reporter) || BY_REPORTER.get('NY3d');
+  const { regional, state } = p.parallels;
+  // The regional pair is always scanned with the same series' regional
+  // reporter, even for AD/Misc volumes — it never matches there but keeps
+  // a mis-detected NY volume from silently losing its cites.
+  const regionalRep = regional || SERIES_PROFILES.find(q => q.series === p.series && q.parallels.regional)?.parallels.regional;
+  return {
+    both: regionalRep
+      ? new RegExp(`\\[\\s*(\\d+)\\s*${regionalRep}\\s*(\\d+)\\s*,\\s*(\\d+)\\s*${state}\\s*(\\d+)\\s*\\]`, 'g')
+      : null,
+    state: new RegExp(`\\[\\s*(\\d+)\\s*${state}\\s*(\\d+)\\s*\\]`, 'g'),
+    regional: regionalRep || null,
+    stateRep: state,
+  };
+}
@@ -0,0 +1,293 @@
+/**
+ * TABLE OF STATUTES CONSTRUED parser.
+ *
+ * Next to the digest, each bound volume prints a reporter-compiled table of
+ * every statute, rule and constitutional provision the volume's opinions
+ * construe, grouped by jurisdiction and then by law, with the volume pages
+ * where each provision is construed:
+ *
+ *   NEW YORK
+ *   CIVIL PRACTICE LAW AND RULES
+ *   R 3211 (a) (7) .................... 562, 601
+ *   § 5501 (a) (1) .................... 12
+ *   PENAL LAW
+ *   § 120.05 (2) ...................... 1113
+ *
+ * These are ground-truth case → statute links (a person read the opinion
+ * and indexed it), so each (provision, page) pair becomes one record linked
+ * to the case spanning that page. Pages are pinpoints, not first pages, so
+ * most links are `contained` matches (see case_lookup.js).
+ *
+ * Statute CURIEs follow nys-extractor's `units.canonical_id` form —
+ * `nys:<primary>-<section>` with the primary kebab name from
+ * nys-extractor/configs/law_aliases.json ("nys:cplr-3211",
+ * "nys:penal-law-120.05") — so the records join against `units` /
+ * `unit_aliases` directly. Only New York consolidated laws get one; federal
+ * provisions, court rules, session laws and the constitution (whose units
+ * are numbered per article in the Senate API) keep `statute_curie: null`
+ * with the printed law and section retained.
+ *
+ * Line roles:
+ *   - jurisdiction: all-caps "UNITED STATES" / "NEW YORK" / other states.
+ *   - law:          any other all-caps line. A heading that wraps
+ *                   ("ESTATES, POWERS AND TRUSTS" / "LAW") is joined when
+ *                   the joined form names a known law.
+ *   - entry:        a provision marker (§, §§, R, Rule, Art, Amend) plus
+ *                   the provision, then dot leaders and a page list.
+ *                   Lines opening with "(" are further subdivisions of
+ *                   the previous entry's section.
+ *
+ * Returns:
+ *   [{
+ *     jurisdiction, law, law_id,   // law_id: Senate API code ("CVP") or null
+ *     provision,                   // printed text, e.g. "R 3211 (a) (7)"
+ *     section, subdivision,        // "3211", "(a) (7)"
+ *     statute_curie,               // null when not a NY consolidated law
+ *     volume_page, case_curie, match, ambiguous,
+ *     page_index,                  // PDF page the entry was read from
+ *   }, ...]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { recombineWords } from './small_caps.js';
+import { buildVolumePageIndex, lookupVolumePage } from './case_lookup.js';
+import { SERIES_ALT } from './series.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// nys-extractor owns the lawId → kebab mapping that `units.canonical_id` is
+// built from; read it from the sibling package rather than keeping a copy.
+const LAW_ALIASES_PATH = path.join(__dirname, '..', '..', 'nys-extractor', 'configs', 'law_aliases.json');
+
+// Printed headings that don't normalize onto a law_aliases `name`.
+const PRINTED_LAW_IDS = {
+  'constitution': 'CNS',
+  'new york state constitution': 'CNS',
+};
+
+const JURISDICTION_RE = /^(?:UNITED\s+STATES|NEW\s+YORK(?:\s+CITY)?|(?:NEW\s+JERSEY|CONNECTICUT|PENNSYLVANIA|MASSACHUSETTS|CALIFORNIA|FLORIDA|VERMONT)|OTHER\s+(?:STATES|JURISDICTIONS)|FOREIGN)$/;
+
+const RUNNING_HEAD_RE = new RegExp(
+  '^(?:' +
+    'TABLE\\s+OF\\s+STATUTES(?:\\s+CONSTRUED)?(?:\\s+\\d+)?' +
+    '|' +
+    '\\d+\\s+\\d+\\s*(?:NEW\\s*YORK|APPELLATE\\s+DIVISION|MISCELLANEOUS)\\s+REPORTS,?\\s+' + SERIES_ALT + '\\s+SERIES' +
+    '|' +
+    '\\d{1,5}' +
+  ')$',
+  'i'
+);
+
+// "§ 5501 (a) (1) ........ 12, 44" / "R 3211 (a) (7) 562" / "Art VI, § 3 .... 1000".
+// Provision text runs up to the dot leaders (or the last gap before the
+// page list); leaders may come through as their own word or glued on.
+const ENTRY_RE = /^((?:§§?|(?:R|Rules?|Arts?|Amends?)\b)\s*\S.*?)\s*(?:\.{2,}\s*|\s)(\d+(?:\s*,\s*\d+)*)\.?$/;
+// A provision printed on its own line, its subdivisions indented below it:
+//   "§ 3211" / "(a) (7) ........ 562".
+const BARE_PROVISION_RE = /^(?:§§?|(?:R|Rules?)\b)\s*[0-9][0-9A-Za-z.\-]*$/;
+const SUBDIVISION_RE = /^(\(.*?)\s*(?:\.{2,}\s*|\s)(\d+(?:\s*,\s*\d+)*)\.?$/;
+
+let _lawIndex = null;
+/**
+ * Lazily build normalized-name → { law_id, primary } from nys-extractor's
+ * law_aliases.json. Absent config is non-fatal — records still carry the
+ * printed law and section, just no CURIE.
+ */
+function lawIndex() {
+  if (_lawIndex) return _lawIndex;
+  _lawIndex = new Map();
+  let cfg = {};
+  try {
+    cfg = JSON.parse(fs.readFileSync(LAW_ALIASES_PATH, 'utf8'));
+  } catch {
+    return _lawIndex;
+  }
+  for (const [lawId, entry] of Object.entries(cfg)) {
+    if (lawId.startsWith('_') || !entry?.primary) continue;
+    _lawIndex.set(normalizeLawName(entry.name || ''), { law_id: lawId, primary: entry.primary });
+  }
+  for (const [printed, lawId] of Object.entries(PRINTED_LAW_IDS)) {
+    if (cfg[lawId]?.primary) _lawIndex.set(printed, { law_id: lawId, primary: cfg[lawId].primary });
+  }
+  return _lawIndex;
+}
+
+// "Estates, Powers & Trusts" / "ESTATES, POWERS AND TRUSTS LAW" →
+// "estates powers and trusts". Drops the Law/Act suffix and the chapter
+// refs law_aliases carries on unconsolidated acts ("… Act 576/74").
+function normalizeLawName(name) {
+  return name
+    .toLowerCase()
+    .replace(/\s+(?:ch\.\s*)?\d+\/\d+.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/\s+(?:law|act)$/, '');
+}
+
+function lookupLaw(heading) {
+  return lawIndex().get(normalizeLawName(heading)) || null;
+}
+
+function statuteCurie(law, section) {
+  if (!law || !section || law.law_id === 'CNS') return null;
+  return `nys:${law.primary}-${String(section).trim().toLowerCase()}`;
+}
+
+// Split a provision ("R 3211 (a) (7)", "§§ 100, 101") into the section
+// number and the remaining subdivision text. Article / amendment entries
+// have no section number.
+function splitProvision(provision) {
+  const m = provision.match(/^(?:§§?|(?:R|Rules?)\b)\s*([0-9][0-9A-Za-z.\-]*?)(?:[,;])?(?:\s+(.*))?$/);
+  if (!m) return { section: null, subdivision: null };
+  return { section: m[1].replace(/\.$/, ''), subdivision: m[2] ? m[2].trim() : null };
+}
+
+/**
+ * Group one column's words into visual lines (2.5pt `top` tolerance, same
+ * as the ToC and digest parsers).
+ */
+function columnLines(words) {
+  const sorted = words.slice().sort((a, b) => (a.top - b.top) || (a.x0 - b.x0));
+  const lines = [];
+  let cur = [];
+  let curTop = null;
+  const flush = () => {
+    if (!cur.length) return;
+    const ws = cur.slice().sort((a, b) => a.x0 - b.x0);
+    lines.push({ top: curTop, words: ws, text: ws.map(w => w.text).join(' ').trim() });
+  };
+  for (const w of sorted) {
+    if (curTop === null || Math.abs(w.top - curTop) <= 2.5) {
+      cur.push(w);
+      if (curTop === null) curTop = w.top;
+    } else {
+      flush();
+      cur = [w];
+      curTop = w.top;
+    }
+  }
+  flush();
+  return lines;
+}
+
+/**
+ * Split a page into reading-order columns. The table is set two-up in some
+ * volumes and full-width in others; a full-width page's right half holds
+ * nothing but leaders and page numbers, so it's only treated as a second
+ * column when some right-half line carries text of its own.
+ */
+function pageColumns(page) {
+  const words = page.words || [];
+  const midX = (page.width || 612) / 2;
+  const left = words.filter(w => w.x0 < midX);
+  const right = words.filter(w => w.x0 >= midX);
+  const straddles = words.some(w => w.x0 < midX - 5 && w.x1 > midX + 5);
+  const rightHasText = columnLines(right).some(l => !/^[\d,.\s]+$/.test(l.text));
+  if (straddles || !rightHasText) return [columnLines(words)];
+  return [columnLines(left), columnLines(right)];
+}
+
+function isHeadingLine(line) {
+  const t = line.text;
+  if (/[a-z§]/.test(t)) return false;
+  if ((t.match(/[A-Z]/g) || []).length < 3) return false;
+  return !/\d/.test(t);
+}
+
+function headingText(line) {
+  return recombineWords(line.words).map(w => w.text).join(' ')
+    .replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Parse the TABLE OF STATUTES CONSTRUED pages of a volume and link each
+ * (provision, page) pair to its case. `cases` must already carry CURIEs.
+ */
+export function parseStatutesConstrued(pages, classification, volumeMeta, cases) {
+  const index = buildVolumePageIndex(cases);
+  const records = [];
+  let jurisdiction = null;
+  let law = null;             // printed heading
+  let lawRef = null;          // lookupLaw() result for `law`
+  let headingOpen = false;    // previous line was a law heading (wrap join)
+  let lastSection = null;
+  let lastProvision = null;
+
+  const emit = (provision, section, subdivision, pageList, pageIndex) => {
+    const nyLaw = (!jurisdiction || /^NEW\s+YORK$/.test(jurisdiction)) ? lawRef : null;
+    const volumePages = pageList.split(/\s*,\s*/).map(p => parseInt(p, 10)).filter(p => !isNaN(p));
+    for (const volumePage of volumePages) {
+      const hit = lookupVolumePage(index, volumePage);
+      records.push({
+        jurisdiction,
+        law,
+        law_id: nyLaw?.law_id ?? null,
+        provision,
+        section,
+        subdivision,
+        statute_curie: statuteCurie(nyLaw, section),
+        volume_page: volumePage,
+        case_curie: hit?.case_curie ?? null,
+        match: hit?.match ?? null,
+        ambiguous: hit?.ambiguous ?? false,
+        page_index: pageIndex,
+      });
+    }
+  };
+
+  for (let i = 0; i < pages.length; i++) {
+    if (classification[i].section !== 'digest' || classification[i].part !== 'statutes_construed') continue;
+    const page = pages[i];
+    if (!(page.words || []).length) continue;
+    for (const col of pageColumns(page)) {
+      for (const line of col) {
+        if (!line.text || RUNNING_HEAD_RE.test(line.text)) continue;
+        if (isHeadingLine(line)) {
+          const t = headingText(line);
+          if (JURISDICTION_RE.test(t)) {
+            jurisdiction = t;
+            law = null;
+            lawRef = null;
+            headingOpen = false;
+          } else if (headingOpen && !lookupLaw(t) && lookupLaw(`${law} ${t}`)) {
+            law = `${law} ${t}`;
+            lawRef = lookupLaw(law);
+          } else {
+            law = t;
+            lawRef = lookupLaw(t);
+            headingOpen = true;
+          }
+          lastSection = null;
+          lastProvision = null;
+          continue;
+        }
+        headingOpen = false;
+        const text = line.text.replace(/\s+/g, ' ').trim();
+        const entry = text.match(ENTRY_RE);
+        if (entry) {
+          const provision = entry[1].replace(/[\s.]+$/, '');
+          const { section, subdivision } = splitProvision(provision);
+          lastSection = section;
+          lastProvision = provision;
+          emit(provision, section, subdivision, entry[2], page.page_index);
+          continue;
+        }
+        if (BARE_PROVISION_RE.test(text)) {
+          lastProvision = text;
+          lastSection = splitProvision(text).section;
+          continue;
+        }
+        const sub = lastProvision && text.match(SUBDIVISION_RE);
+        if (sub) {
+          const subdivision = sub[1].replace(/[\s.]+$/, '');
+          emit(`${lastProvision} ${subdivision}`, lastSection, subdivision, sub[2], page.page_index);
+        }
+      }
+    }
+  }
+  return records;
+}
@@ -23,16 +23,21 @@
  *   Map<number, string>  // volume_page → case name
  */
 
+import { REPORTER_ALT } from './series.js';
+
 // Entry pattern: `<name>—<vol> <reporter> <page-list>`
 //   <name>      = [A-Z][^—]+? (lazy, stops at first em dash)
 //   <vol>       = digits
-//   <reporter>  = NY3d / AD3d / Misc 3d
+//   <reporter>  = any series.js profile (NY3d / AD3d / Misc 3d / NY2d / …)
 //   <page-list> = comma-separated digits (optionally with `(A)` abstract marker)
 //
 // Whitespace between reporter and page-list is `\s*` (zero or more) because
 // pdfplumber sometimes squashes the cite into one token: `NY3d1090` and
 // `NY3d 1113` both occur in the same volume's ToC.
-const ENTRY_RE = /([A-Z][^—]+?)\s*—\s*(\d+)\s*(NY3d|AD3d|Misc\s*3d)\s*(\d+(?:\(A\))?(?:\s*,\s*\d+(?:\(A\))?)*)/g;
+const ENTRY_RE = new RegExp(
+  `([A-Z][^—]+?)\\s*—\\s*(\\d+)\\s*(${REPORTER_ALT})\\s*(\\d+(?:\\(A\\))?(?:\\s*,\\s*\\d+(?:\\(A\\))?)*)`,
+  'g'
+);
 
 const RUNNING_HEAD_PATTERNS = [
   /^TABLE\s+OF\s+CASES.*$/im,
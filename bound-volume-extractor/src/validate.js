@@ -22,6 +22,10 @@
  *   - parser_version on volume doesn't match the current parser
  *   - department skew (AD3d): one department dominates the volume — the
  *     signature of a banner-detection failure that mislabelled page-runs
+ *   - OCR-sourced cases: text came (partly) from the tesseract fallback for
+ *     image-only pages; listed with the weakest page's confidence, lowest
+ *     first, so proofreading starts where recognition was worst
+ *   - image-only pages left un-OCR'd (stats.ocr_needed_page_count > 0)
  *
  * Usage (as module):
  *   import { validateAllOutputs, validateVolume } from './src/validate.js';
@@ -36,11 +40,16 @@
 
 import { readdir, readFile, stat } from 'fs/promises';
 import path from 'path';
+import { reporterFamily, SERIES_ALT } from './series.js';
 
 // Running-header signature that should never appear inside a caption. AD3d:
 // "<page> <volume> APPELLATE DIVISION REPORTS, 3d SERIES". NY3d and Misc 3d
-// variants follow the same structure with their own reporter text.
-const RUNNING_HEAD_RE = /\b\d+\s+\d+\s+(?:APPELLATE\s+DIVISION\s+REPORTS,?\s+3d\s+SERIES|N\.?\s*Y\.?\s*REPORTS,?\s+3d\s+SERIES|MISCELLANEOUS\s+REPORTS,?\s+3d\s+SERIES)\b/i;
+// variants follow the same structure with their own reporter text, and the
+// 2d series differ only in the series token.
+const RUNNING_HEAD_RE = new RegExp(
+  `\\b\\d+\\s+\\d+\\s+(?:APPELLATE\\s+DIVISION|N\\.?\\s*Y\\.?|MISCELLANEOUS)\\s+REPORTS,?\\s+${SERIES_ALT}\\s+SERIES\\b`,
+  'i'
+);
 
 const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
@@ -71,6 +80,8 @@ export function validateVolumeData(volumeName, data, opts = {}) {
       badDateFormat: [],
       parserVersionMismatch: false,
       departmentSkew: false,
+      ocrSourced: [],
+      ocrPendingPages: false,
     },
   };
 
@@ -107,18 +118,25 @@ export function validateVolumeData(volumeName, data, opts = {}) {
       issues.soft.badDateFormat.push({ ...ref, decision_date: c.decision_date });
     }
     if (!c.source_url) issues.soft.noSourceUrl.push(ref);
+    if (c.provenance?.ocr_pages?.length) {
+      issues.soft.ocrSourced.push({
+        ...ref,
+        ocr_pages: c.provenance.ocr_pages,
+        ocr_confidence: c.provenance.ocr_confidence ?? null,
+      });
+    }
     const captionTexts = [c.caption_text, ...(c.captions || []).map(cap => cap?.name)];
     if (captionTexts.some(t => t && RUNNING_HEAD_RE.test(t))) {
       issues.soft.runningHeadInCaption.push(ref);
     }
   }
 
-  // Department-skew tripwire (AD3d only): a real bound volume interleaves all
+  // Department-skew tripwire (AD3d / AD2d only): a real bound volume interleaves all
   // four departments fairly evenly. One department dominating is the
   // signature of a banner-detection failure that lumped page-runs together —
   // exactly what department.js's text-based resolution is meant to prevent,
   // so a skew surviving into the output warrants a look.
-  if (data?.volume?.reporter === 'AD3d') {
+  if (reporterFamily(data?.volume?.reporter) === 'AD') {
     const dist = [0, 0, 0, 0, 0];
     let withDept = 0;
     for (const c of cases) {
@@ -139,6 +157,11 @@ export function validateVolumeData(volumeName, data, opts = {}) {
     }
   }
 
+  issues.soft.ocrSourced.sort((a, b) => (a.ocr_confidence ?? 0) - (b.ocr_confidence ?? 0));
+  if (data?.stats?.ocr_needed_page_count > 0) {
+    issues.soft.ocrPendingPages = { page_count: data.stats.ocr_needed_page_count };
+  }
+
   const hardCount = Object.values(issues.hard).reduce((a, v) => a + (Array.isArray(v) ? v.length : 0), 0);
   const softCount = Object.entries(issues.soft).reduce((a, [k, v]) => a + (Array.isArray(v) ? v.length : (v ? 1 : 0)), 0);
 
@@ -198,6 +221,7 @@ export async function validateAllOutputs(outputDir, opts = {}) {
     soft_totals: {
       noDate: 0, noSourceUrl: 0, runningHeadInCaption: 0, badDateFormat: 0,
       parserVersionMismatch: 0, departmentSkew: 0,
+      ocrSourced: 0, ocrPendingPages: 0,
     },
   };
   for (const r of reports) {
@@ -211,6 +235,7 @@ export async function validateAllOutputs(outputDir, opts = {}) {
       const v = r.issues?.soft?.[k];
       if (Array.isArray(v)) rollup.soft_totals[k] += v.length;
       else if (v && (k === 'parserVersionMismatch' || k === 'departmentSkew')) rollup.soft_totals[k]++;
+      else if (v && k === 'ocrPendingPages') rollup.soft_totals[k] += v.page_count;
     }
   }
 
@@ -222,6 +247,7 @@ function formatRefList(refs, max = 5) {
   const shown = refs.slice(0, max).map(r => {
     const parts = [r.curie || '?'];
     if (r.first_page != null) parts.push(`page=${r.first_page}`);
+    if (r.ocr_confidence != null) parts.push(`ocr_conf=${r.ocr_confidence}`);
     if (r.source_url) parts.push(r.source_url);
     return '      ' + parts.join('  ');
   }).join('\n');
@@ -263,6 +289,8 @@ export function printValidationReport({ reports, rollup }, opts = {}) {
       } else if (v && k === 'departmentSkew') {
         console.log(`    soft departmentSkew: dept ${v.dominant_department} = ` +
           `${(v.dominant_share * 100).toFixed(0)}% of volume  dist=${JSON.stringify(v.distribution)}`);
+      } else if (v && k === 'ocrPendingPages') {
+        console.log(`    soft ocrPendingPages: ${v.page_count} image-only page(s) not OCR'd — install tesseract and re-parse`);
       }
     }
   }
@@ -5,10 +5,13 @@
  *   "REPORTS OF CASES DECIDED IN THE COURT OF APPEALS ... VOLUME 38"  → NY3d, Court of Appeals
  *   "OFFICIAL REPORTS APPELLATE DIVISION ... THIRD SERIES VOLUME 216" → AD3d, Appellate Division
  *   "MISCELLANEOUS REPORTS ... THIRD SERIES VOLUME 78"                → Misc 3d, trial courts
+ * and the same three courts' 2d series (NY2d, AD2d, Misc 2d).
  *
  * Returns { reporter, volume, court, source_db } or null if undetectable.
  */
 
+import { SERIES_PROFILES, titlePageRegex } from './series.js';
+
 // Title-page layout for all three series (verified against 30 NY3d, 157
 // AD3d, 57 Misc 3d):
 //   <descriptive header>
@@ -18,27 +21,14 @@
 //   <year>
 // VOLUME comes BEFORE the reporter title; "3d SERIES" is digit-d, not the
 // word "THIRD". Patterns capture the volume number and require the
-// reporter title to follow within a short window.
-const REPORTER_PATTERNS = [
-  {
-    reporter: 'NY3d',
-    court: 'Court of Appeals',
-    source_db: 'ny_reporter',
-    re: /VOLUME\s+(\d+)[\s\S]{0,200}?(?:NEW\s+YORK\s+REPORTS|COURT\s+OF\s+APPEALS)[\s\S]{0,100}?3d\s+SERIES/i,
-  },
-  {
-    reporter: 'AD3d',
-    court: 'Appellate Division',
-    source_db: 'ny_appellate_division',
-    re: /VOLUME\s+(\d+)[\s\S]{0,200}?APPELLATE\s+DIVISION\s+REPORTS[\s\S]{0,100}?3d\s+SERIES/i,
-  },
-  {
-    reporter: 'Misc 3d',
-    court: 'Trial Courts',
-    source_db: 'ny_trial_courts',
-    re: /VOLUME\s+(\d+)[\s\S]{0,200}?MISCELLANEOUS\s+REPORTS[\s\S]{0,100}?3d\s+SERIES/i,
-  },
-];
+// reporter title to follow within a short window. The per-series title and
+// series tokens come from the profiles in series.js.
+const REPORTER_PATTERNS = SERIES_PROFILES.map(p => ({
+  reporter: p.reporter,
+  court: p.court,
+  source_db: p.source_db,
+  re: titlePageRegex(p),
+}));
 
 export function detectVolume(firstPagesText) {
   const haystack = firstPagesText.replace(/\s+/g, ' ');
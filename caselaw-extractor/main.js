@@ -11,6 +11,7 @@ import dotenv from 'dotenv';
 import { getJurisdiction, getCliArgs, EXTRACTION_CONFIG } from './src/config.js';
 import { loadConfig } from './src/config_file.js';
 import { extractCitationsForSource, extractCitationsFromSourceRef } from './src/citation_extractor.js';
+import { resolveExtractedCitations, DEFAULT_TARGETS } from './src/citation_resolver.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,7 +29,7 @@ function parseStepArg() {
   const args = process.argv.slice(2);
   const stepArg = args.find(arg => arg.startsWith('--step='))?.split('=')[1];
 
-  const validSteps = ['all', 'scrape', 'download', 'extract', 'extract-citations', 'load'];
+  const validSteps = ['all', 'scrape', 'download', 'extract', 'extract-citations', 'resolve-citations', 'load'];
   const step = stepArg || 'all';
 
   if (!validSteps.includes(step)) {
@@ -67,7 +68,7 @@ Usage:
 Options:
   --jurisdiction=<code>    Jurisdiction to process (ny, ca, us, etc.) [default: ny]
   --step=<step>           Step to run [default: all]
-                          Steps: scrape, download, extract, extract-citations, load, all
+                          Steps: scrape, download, extract, extract-citations, resolve-citations, load, all
   --verbose, -v           Verbose output
   --dry-run              Show what would be done without executing
   --config=<path>        Use JSON config with multiple sources (overrides --jurisdiction)
@@ -80,6 +81,8 @@ Examples:
   node main.js --step=load                       # Only load data to database
   node main.js --config=./configs/ny_coa.json --step=extract-citations --verbose # Extract citations into app DB
   node main.js --source=nycoa --step=extract-citations --verbose --dry-run --limit=200 # Use app DB source ref
+  node main.js --step=resolve-citations --verbose  # Resolve extracted citations to case curies (ny_supreme, ny_appellate, ny_trial)
+  node main.js --step=resolve-citations --target=ny_caselaw --all  # Resolve against the merged DB, redoing resolved cites
 
 Available Jurisdictions:
   ny  - New York
@@ -373,6 +376,28 @@ async function runLoadStep(jurisdiction, options) {
   }
 }
 
+/**
+ * Step 3c: Resolve extracted citations to case curies (app DB mode).
+ * --targets=<ref,ref> picks the source DBs; --target=ny_caselaw uses the
+ * merged DB instead; --all re-resolves citations already resolved.
+ */
+async function runResolveCitationsStep(options) {
+  const args = process.argv.slice(2);
+  const targets = args.find(a => a.startsWith('--targets='))?.split('=')[1]?.split(',').filter(Boolean) || DEFAULT_TARGETS;
+  const all = args.includes('--all');
+  console.log(`\n🔗 Step 3c: Resolving extracted citations against ${options.target === 'ny_caselaw' ? 'the merged DB' : targets.join(', ')}...`);
+  const res = await resolveExtractedCitations({
+    targets,
+    target: options.target,
+    all,
+    limit: options.limit,
+    verbose: options.verbose,
+    dryRun: options.dryRun
+  });
+  console.log(`  ✅ Resolved ${res.resolved} of ${res.triples} cited triples (${res.ambiguous} ambiguous, ${res.unresolved} unresolved)`);
+  if (!options.dryRun) console.log(`  🔧 Updated ${res.rowsUpdated} extracted_citations rows`);
+}
+
 /**
  * Main execution function
  */
@@ -409,7 +434,10 @@ async function main() {
     const startTime = Date.now();
     const options = { verbose, dryRun, limit, offset, target };
     
-    if (config) {
+    if (step === 'resolve-citations') {
+      // Works across sources from the app DB; no per-source config needed
+      await runResolveCitationsStep(options);
+    } else if (config) {
       // Config-driven multi-source pipeline
       await runConfigPipeline(config, step, options);
     } else {
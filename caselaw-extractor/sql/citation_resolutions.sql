@@ -0,0 +1,50 @@
+-- Citation resolution (app DB), written by src/citation_resolver.js.
+-- One row per cited (reporter_norm, volume, page) triple seen in
+-- extracted_citations, with the case it resolved to — or why it didn't.
+-- The resolved curie is also copied onto extracted_citations.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS citation_resolutions (
+  cited_reporter_norm TEXT NOT NULL,
+  cited_volume INTEGER NOT NULL,
+  cited_page INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('resolved', 'ambiguous', 'unresolved')),
+  cited_curie TEXT,
+  cited_source_ref TEXT,          -- ny_supreme | ny_appellate | ny_trial
+  cited_case_id BIGINT,           -- cases.id in that source (or merged) DB
+  match_method TEXT,              -- exact | page_range, optionally +name
+  candidate_count INTEGER NOT NULL DEFAULT 0,
+  candidates JSONB,               -- [{curie, source_ref, name, first_page, last_page}]
+  mention_count INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  first_seen_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMPTZ,
+  PRIMARY KEY (cited_reporter_norm, cited_volume, cited_page)
+);
+
+CREATE INDEX IF NOT EXISTS idx_citation_resolutions_curie
+  ON citation_resolutions(cited_curie)
+  WHERE cited_curie IS NOT NULL;
+
+ALTER TABLE extracted_citations
+  ADD COLUMN IF NOT EXISTS cited_curie TEXT,
+  ADD COLUMN IF NOT EXISTS cited_source_ref TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_extracted_citations_cited_curie
+  ON extracted_citations(cited_curie)
+  WHERE cited_curie IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_extracted_citations_cited_triple
+  ON extracted_citations(cited_reporter_norm, cited_volume, cited_first_page);
+
+-- Work queue: triples still needing a volume load or a reviewer, most-cited first
+CREATE OR REPLACE VIEW citation_resolution_queue AS
+  SELECT cited_reporter_norm, cited_volume, cited_page, status,
+         candidate_count, candidates, mention_count, attempts, updated_at
+    FROM citation_resolutions
+   WHERE status <> 'resolved'
+   ORDER BY mention_count DESC, cited_reporter_norm, cited_volume, cited_page;
+
+COMMIT;
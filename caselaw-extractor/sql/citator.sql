@@ -0,0 +1,47 @@
+-- Citator tables (app DB), rebuilt by `node src/citator.js build` from the
+-- resolved rows of extracted_citations (sql/citation_resolutions.sql,
+-- sql/extracted_citations_opinion.sql). Depth is mentions per citing opinion.
+
+BEGIN;
+
+-- One row per citing case → cited case
+CREATE TABLE IF NOT EXISTS citator_edges (
+  citing_source_ref TEXT NOT NULL,
+  citing_case_id BIGINT NOT NULL,
+  cited_curie TEXT NOT NULL,
+  citing_curie TEXT,
+  citing_court TEXT,                  -- cases.court_name in the citing source DB
+  citing_year INTEGER,
+  cited_source_ref TEXT,
+  cited_name TEXT,                    -- as the citing opinion gave it
+  mentions INTEGER NOT NULL,          -- across the citing case's opinions
+  citing_opinions INTEGER NOT NULL,   -- distinct opinions of the case citing it
+  max_depth INTEGER NOT NULL,         -- most mentions in one citing opinion
+  signals TEXT[] NOT NULL DEFAULT '{}',
+  PRIMARY KEY (citing_source_ref, citing_case_id, cited_curie)
+);
+
+CREATE INDEX IF NOT EXISTS idx_citator_edges_cited
+  ON citator_edges(cited_curie);
+
+-- One row per cited case
+CREATE TABLE IF NOT EXISTS citator_stats (
+  cited_curie TEXT PRIMARY KEY,
+  cited_source_ref TEXT,
+  cited_name TEXT,
+  times_cited INTEGER NOT NULL,       -- distinct citing cases
+  citing_opinions INTEGER NOT NULL,   -- distinct citing opinions
+  mentions INTEGER NOT NULL,          -- every mention, incl. short form / id. / supra
+  avg_depth NUMERIC(8, 2),            -- mentions per citing opinion
+  max_depth INTEGER,                  -- most mentions in one citing opinion
+  by_court JSONB,                     -- { "<citing court>": <citing cases> }
+  by_year JSONB,                      -- { "<year>": <citing cases> }
+  first_cited_year INTEGER,
+  last_cited_year INTEGER,
+  built_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_citator_stats_rank
+  ON citator_stats(cited_source_ref, times_cited DESC);
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- extracted_citations: routing for non-NY cites (app DB). cited_jurisdiction
+-- is the reporter's target_jurisdiction from configs/reporters.json
+-- (ny | regional | federal | ny_statute); src/citation_resolver.js only
+-- takes reporters routed to the ny_cases resolver. Re-running the extractor
+-- fills it in for existing rows.
+
+BEGIN;
+
+ALTER TABLE extracted_citations
+  ADD COLUMN IF NOT EXISTS cited_jurisdiction TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_extracted_citations_jurisdiction
+  ON extracted_citations(cited_jurisdiction);
+
+COMMIT;
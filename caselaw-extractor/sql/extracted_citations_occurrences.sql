@@ -0,0 +1,49 @@
+-- extracted_citations: one row per mention instead of one per cited case
+-- (app DB). Adds the columns written by src/citation_extractor.js for pin
+-- pages and short-form / id. / supra references, and widens the unique key
+-- with citation_offset so repeated mentions of a case are all kept.
+--
+-- Existing rows get citation_offset = -1; the extractor replaces all of a
+-- case's rows when it re-extracts that case.
+
+BEGIN;
+
+ALTER TABLE extracted_citations
+  ADD COLUMN IF NOT EXISTS citation_offset INTEGER NOT NULL DEFAULT -1,
+  ADD COLUMN IF NOT EXISTS citation_form TEXT NOT NULL DEFAULT 'full',
+  ADD COLUMN IF NOT EXISTS pin_page INTEGER,
+  ADD COLUMN IF NOT EXISTS resolved_from_offset INTEGER;
+
+-- Drop the old per-cited-case unique constraint / index, whatever it was named
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT i.indexrelid::regclass::text AS index_name, c.conname
+    FROM pg_index i
+    LEFT JOIN pg_constraint c ON c.conindid = i.indexrelid
+    WHERE i.indrelid = 'extracted_citations'::regclass
+      AND i.indisunique AND NOT i.indisprimary
+      AND (
+        SELECT array_agg(a.attname::text ORDER BY a.attname)
+        FROM pg_attribute a
+        WHERE a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+      ) = ARRAY['cited_first_page', 'cited_reporter_norm', 'cited_volume', 'citing_case_id', 'citing_source_ref']
+  LOOP
+    IF r.conname IS NOT NULL THEN
+      EXECUTE format('ALTER TABLE extracted_citations DROP CONSTRAINT %I', r.conname);
+    ELSE
+      EXECUTE format('DROP INDEX %s', r.index_name);
+    END IF;
+  END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_extracted_citations_mention
+  ON extracted_citations(citing_source_ref, citing_case_id, cited_reporter_norm, cited_volume, cited_first_page, citation_offset);
+
+ALTER TABLE extracted_citations DROP CONSTRAINT IF EXISTS extracted_citations_citation_form_check;
+ALTER TABLE extracted_citations ADD CONSTRAINT extracted_citations_citation_form_check
+  CHECK (citation_form IN ('full', 'short', 'id', 'supra'));
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- extracted_citations: the citing opinion (app DB). citing_opinion_id is
+-- opinions.id in the citing source DB, written by src/citation_extractor.js
+-- so src/citator.js can count distinct citing opinions and mentions per
+-- opinion. Re-running the extractor fills it in for existing rows.
+
+BEGIN;
+
+ALTER TABLE extracted_citations
+  ADD COLUMN IF NOT EXISTS citing_opinion_id BIGINT;
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- extracted_citations: context for treatment analysis (app DB). Written by
+-- src/citation_extractor.js; re-running the extractor fills these in for
+-- rows extracted before this migration.
+--   signal         normalized introductory signal ("see", "but see", "cf.",
+--                  "accord", "contra", "overruled by", …), NULL if none
+--   parenthetical  trailing explanatory parenthetical, without its brackets
+--   sentence       the sentence the citation appears in
+
+BEGIN;
+
+ALTER TABLE extracted_citations
+  ADD COLUMN IF NOT EXISTS signal TEXT,
+  ADD COLUMN IF NOT EXISTS parenthetical TEXT,
+  ADD COLUMN IF NOT EXISTS sentence TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_extracted_citations_signal
+  ON extracted_citations(signal)
+  WHERE signal IS NOT NULL;
+
+COMMIT;
@@ -1,8 +1,19 @@
 /**
  * Regex-based citation extractor for opinion texts
  * - Parses citations like: "Foo v. Bar, 123 N.Y.3d 456" or "123 N.Y. 456"
- * - Normalizes reporter strings using allowlist at configs/reporters.json
- * - Upserts extracted rows into collection app DB table extracted_citations
+ * - Captures pin pages and resolves short-form, "id." and "supra" references
+ *   to the full citation they point back to (one row per mention)
+ * - Keeps each citation's signal ("see", "but see", …), explanatory
+ *   parenthetical and sentence for treatment analysis
+ * - Normalizes reporter strings using allowlist at configs/reporters.json,
+ *   which also gives each reporter's series, years and target_jurisdiction
+ *   (the resolver that handles its cites); session laws ("L 1998, ch 600")
+ *   are stored with the year as volume and the chapter as first page
+ * - Replaces each case's rows in collection app DB table extracted_citations
+ *   (needs sql/extracted_citations_occurrences.sql,
+ *   sql/extracted_citations_treatment.sql,
+ *   sql/extracted_citations_jurisdiction.sql and
+ *   sql/extracted_citations_opinion.sql applied)
  */
 
 import fs from 'fs/promises';
@@ -28,6 +39,8 @@ function buildReporterIndex(cfg) {
   const rules = cfg.normalize || { removeDots: true, removeSpaces: true, uppercase: true };
   const aliasToNorm = new Map();
   const tokens = new Set();
+  const yearChapterTokens = new Set(); // session laws: "L 1998, ch 600"
+  const normMeta = new Map();
 
   const normToken = (s) => {
     let t = s || '';
@@ -38,31 +51,67 @@ function buildReporterIndex(cfg) {
   };
 
   for (const rep of cfg.reporters || []) {
+    const shape = rep.shape || 'volume_page';
     const entries = new Set([rep.canonical, ...(rep.aliases || [])]);
     for (const e of entries) {
       const key = normToken(e);
       aliasToNorm.set(key, rep.norm);
-      tokens.add(e);
+      (shape === 'year_chapter' ? yearChapterTokens : tokens).add(e);
     }
     // Ensure canonical also maps
     aliasToNorm.set(normToken(rep.canonical), rep.norm);
+    normMeta.set(rep.norm, {
+      family: rep.family || null,
+      series: rep.series ?? null,
+      years: rep.years || null,
+      target_jurisdiction: rep.target_jurisdiction || null,
+      shape,
+    });
   }
 
-  // Build regex alternation of reporter tokens (escaped, flexible spaces)
+  // Build regex alternation of reporter tokens (escaped, flexible spaces),
+  // longest first so "Misc. 3d" is tried before "Misc." and "F. Supp. 2d"
+  // before "F."
   const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const tokenPatterns = Array.from(tokens).map((t) => {
+  const toAlt = (set) => Array.from(set).sort((a, b) => b.length - a.length).map((t) => {
+    // "A.", "P.", "So.": without its dot the token is ordinary prose
+    if (/^[A-Za-z]{1,2}\.$/.test(t)) return `(?:${escapeRegex(t)})`;
     // allow optional spaces after dots and between segments
     const escaped = escapeRegex(t)
       .replace(/\\\./g, '\\.?') // optional dots
       .replace(/\s+/g, '\\s*'); // flexible spaces
     return `(?:${escaped})`;
-  });
-  const reporterAlt = tokenPatterns.length ? tokenPatterns.join('|') : '[A-Za-z\\.\\s]+';
+  }).join('|');
+  const reporterAlt = tokens.size ? toAlt(tokens) : '[A-Za-z\\.\\s]+';
+  const yearChapterAlt = yearChapterTokens.size ? toAlt(yearChapterTokens) : null;
 
   // Denylist combined regex
   const denylist = (cfg.denylist_patterns || []).map((p) => new RegExp(p, 'i'));
 
-  return { rules, aliasToNorm, reporterAlt, denylist, normToken };
+  // target_jurisdiction → resolver name (null: stored, not resolved yet)
+  const resolvers = new Map(Object.entries(cfg.target_jurisdictions || {}).map(([k, v]) => [k, v?.resolver ?? null]));
+
+  return { rules, aliasToNorm, reporterAlt, yearChapterAlt, normMeta, resolvers, denylist, normToken };
+}
+
+// Reporter norms whose target_jurisdiction routes to `resolver`.
+function reporterNormsFor(repIndex, resolver) {
+  return [...repIndex.normMeta]
+    .filter(([, m]) => repIndex.resolvers.get(m.target_jurisdiction) === resolver)
+    .map(([norm]) => norm);
+}
+
+// A first-series cite (no "2d"/"3d" marker) whose year falls outside its
+// reporter's years but inside exactly one other series of the same family
+// left the series off ("123 N.Y.S. 456 [1995]" is N.Y.S.2d). A series the
+// writer gave is kept, as are overlapping ranges.
+function seriesForYear(repIndex, repNorm, year) {
+  const meta = repIndex.normMeta.get(repNorm);
+  if (!year || !meta?.family || !meta.years || meta.series !== 1) return repNorm;
+  const inRange = (y, [from, to]) => y >= from && (to === null || y <= to);
+  if (inRange(year, meta.years)) return repNorm;
+  const fits = [...repIndex.normMeta].filter(([, m]) => m.family === meta.family && m.years && inRange(year, m.years));
+  return fits.length === 1 ? fits[0][0] : repNorm;
 }
 
 // ---------- Text normalization ----------
@@ -81,60 +130,298 @@ function normalizeOpinionText(text) {
 }
 
 // ---------- Citation extraction ----------
-function extractCitationsFromText(text, repIndex) {
-  const results = [];
-  if (!text) return results;
-  const t = normalizeOpinionText(text);
-
-  // Optional case name (greedy but bounded), then volume, reporter, first page
-  // Example matches:
-  //   Foo v. Bar, 123 N.Y.3d 456
-  //   123 N.Y. 456
+//
+// Four citation forms are recognised, in text order:
+//   full   "Foo v. Bar, 123 N.Y.3d 456, 460"   (pin page optional)
+//   short  "Foo, 123 N.Y.3d at 460" / "123 N.Y.3d at 460"
+//   id     "id." / "id. at 457"
+//   supra  "Foo, supra" / "Foo, supra at 460"
+// Non-full forms are resolved back to the most recent matching full citation
+// in the same opinion and carry its volume/reporter/first page, so every
+// mention counts. Each result records:
+//   citation_offset       start of the match in the normalized opinion text
+//   citation_form         full | short | id | supra
+//   pin_page              pinpoint page, when given
+//   resolved_from_offset  citation_offset of the full citation a non-full
+//                         form resolved to (null for full citations)
+// A short form or supra with no antecedent is dropped (no first page to
+// record); id. follows whichever citation came immediately before it, so an
+// id. after a cite we don't extract (statutes, unknown reporters) can
+// misattribute.
+//
+// Every form also carries its surroundings, for treatment analysis:
+//   signal         introductory signal, normalized ("see", "see also", "cf.",
+//                  "but see", "accord", "contra", "overruled by", …) or null
+//   parenthetical  trailing explanatory parenthetical, past any date
+//                  bracket ("[2014] [holding that …]", "(2014) (noting …)")
+//   sentence       the sentence the citation appears in
+const PIN = '(?<pin>\\d{1,5})(?:\\s*[-–]\\s*\\d{1,5})?(?!\\d)';
+
+function citationPatterns(repIndex) {
   const VOL = '(?<vol>\\d{1,4})';
   const REP = `(?<rep>${repIndex.reporterAlt})`;
   const PAGE = '(?<page>\\d{1,5})';
-  const CASE_NAME = '(?<casename>[A-Z][^,\n]{3,}? v\\\.? [^,\n]{2,}?)';
+  const CASE_NAME = '(?<casename>[A-Z][^,;()\\[\\]\n]{3,}? v\\\.? [^,;()\\[\\]\n]{2,}?)';
+  // A ", 789" after the first page is a pin unless it starts a parallel cite.
+  const FULL_PIN = `(?:\\s*,\\s*${PIN}(?!\\s*(?:${repIndex.reporterAlt})\\s+\\d))?`;
+  const SHORT_NAME = '(?<casename>[A-Z][^,;()\\[\\]]{1,60}?)';
+  return {
+    // Optional case name (greedy but bounded), then volume, reporter, first page
+    // Example matches:
+    //   Foo v. Bar, 123 N.Y.3d 456
+    //   123 N.Y. 456
+    full: new RegExp(`(?:${CASE_NAME}\\s*[,;:]\\s*)?${VOL}\\s+${REP}\\s+${PAGE}${FULL_PIN}`, 'gd'),
+    short: new RegExp(`(?:${SHORT_NAME},\\s*)?${VOL}\\s+${REP}\\s+at\\s+${PIN}`, 'g'),
+    // Session laws: "L 1998, ch 600" → volume 1998, page 600
+    ...(repIndex.yearChapterAlt ? {
+      session_law: new RegExp(`\\b(?<rep>${repIndex.yearChapterAlt})\\s*(?<vol>1[6-9]\\d{2}|20\\d{2}),\\s*ch(?:apter|\\.)?\\s*(?<page>\\d{1,5})(?!\\d)`, 'g'),
+    } : {}),
+    id: new RegExp(`\\b[Ii]d\\.(?:,?\\s+at\\s+${PIN})?`, 'g'),
+    supra: new RegExp(`(?<casename>(?![Ii]d\\.)[A-Z][\\w'’.&-]*(?:\\s+[A-Z][\\w'’.&-]*){0,3}),?\\s+supra(?:,?\\s+at\\s+${PIN})?`, 'g'),
+  };
+}
 
-  const pattern = new RegExp(
-    `(?:${CASE_NAME}\\s*[,;:]\\s*)?${VOL}\\s+${REP}\\s+${PAGE}`,
-    'g'
-  );
+// Distinctive words of a case name, for matching "Smith, supra" back to
+// "Smith v. Jones, 1 N.Y.3d 2".
+const NAME_STOPWORDS = new Set(['v', 'vs', 'the', 'of', 'in', 're', 'matter', 'people', 'state', 'inc', 'co', 'corp', 'llc', 'et', 'al']);
+function nameWords(name) {
+  return (name || '').toLowerCase().split(/[^a-z0-9'’]+/).filter((w) => w.length > 1 && !NAME_STOPWORDS.has(w));
+}
 
-  for (const m of t.matchAll(pattern)) {
-    const raw = m[0];
-    // denylist check on raw
-    if (repIndex.denylist.some((rx) => rx.test(raw))) continue;
+// Longest first, so "but see" wins over "see".
+const SIGNAL = '(?:but\\s+see|but\\s+cf\\.?|see\\s+also|see\\s+generally|see,?\\s+e\\.\\s?g\\.,?|see|cf\\.?|compare|accord|contra|e\\.\\s?g\\.,?|overruled(?:\\s+on\\s+other\\s+grounds)?\\s+by|abrogated\\s+by)';
+const SIGNAL_AT_END_RE = new RegExp(`(?:^|[\\s(\\[;])(${SIGNAL})[\\s,]*$`, 'i');
+const SIGNAL_IN_NAME_RE = new RegExp(`(?:^|[\\s(\\[;])(${SIGNAL})[\\s,]+(?=[A-Z])`, 'gi');
+
+function normalizeSignal(s) {
+  return s.toLowerCase().replace(/,/g, '').replace(/\s+/g, ' ').replace(/e\. ?g\./, 'e.g.').replace(/^cf$/, 'cf.').trim();
+}
+
+// Split a captured case name from whatever the name pattern swept up in
+// front of it ("Plaintiff appeals. See Smith v. Jones"): drop everything up
+// to the last sentence end, then take the last signal as the citation's.
+// Without a signal in the name, look at the end of the preceding text.
+// Returns { caseName, signal, skip } — skip is how many characters of the
+// match precede the real citation.
+function splitLeadIn(t, start, caseName) {
+  let skip = 0;
+  let signal = null;
+  if (caseName) {
+    for (let i = 0; i < caseName.length; i++) if (isSentenceEnd(caseName, i)) skip = i + 1;
+    const rest = caseName.slice(skip);
+    // (the lookahead is case-insensitive too, so check the capital here)
+    const hits = [...rest.matchAll(SIGNAL_IN_NAME_RE)].filter((h) => /[A-Z]/.test(rest[h.index + h[0].length]));
+    const last = hits[hits.length - 1];
+    if (last) {
+      signal = last[1];
+      skip += last.index + last[0].length;
+    }
+    skip += caseName.slice(skip).length - caseName.slice(skip).trimStart().length;
+  }
+  if (!signal) {
+    const m = t.slice(Math.max(0, start + skip - 80), start + skip).match(SIGNAL_AT_END_RE);
+    if (m) signal = m[1];
+  }
+  return {
+    caseName: caseName ? caseName.slice(skip).trim() || null : null,
+    signal: signal ? normalizeSignal(signal) : null,
+    skip,
+  };
+}
+
+const DATE_GROUP_RE = /^\s*[\[(](?:[^\[\]()]{0,40}\s)?\d{4}[\])]/;
+const PAREN_GROUP_RE = /^\s*(?:\(([^()]{3,400})\)|\[([^\[\]]{3,400})\])/;
+
+// Decision year from the date group right after a citation, if any.
+function yearAfter(t, end) {
+  const m = t.slice(end, end + 60).match(DATE_GROUP_RE);
+  return m ? parseInt(m[0].match(/(\d{4})[\])]$/)[1], 10) : null;
+}
 
-    const vol = parseInt(m.groups?.vol || '0', 10);
-    const repRaw = (m.groups?.rep || '').trim();
-    const page = parseInt(m.groups?.page || '0', 10);
-    const caseName = (m.groups?.casename || '').trim() || null;
+function trailingParenthetical(t, end) {
+  let rest = t.slice(end, end + 500);
+  const date = rest.match(DATE_GROUP_RE);
+  if (date) rest = rest.slice(date[0].length);
+  const m = rest.match(PAREN_GROUP_RE);
+  if (!m) return null;
+  const inner = (m[1] ?? m[2]).trim();
+  // A second date / court-and-year group is not explanatory.
+  if (DATE_GROUP_RE.test(`(${inner})`)) return null;
+  return inner;
+}
 
-    // Normalize reporter and validate against allowlist
-    const repNormKey = repIndex.normToken(repRaw);
-    const repNorm = repIndex.aliasToNorm.get(repNormKey);
-    if (!repNorm) continue; // not an allowed reporter token
+// Abbreviations that end in a period without ending a sentence.
+const NON_TERMINAL_RE = /(?:^|[\s(\[])(?:[A-Za-z]\.)+$|(?:^|[\s(\[])(?:v|vs|id|Id|cf|Cf|Co|Inc|Corp|Ltd|Mr|Mrs|Ms|Dr|St|No|Nos|Misc|App|Div|Dept|Ct|Sup|Cir|Supp|Jr|Sr|Bd|Dist|Civ|Crim|Proc|art|al|Ass'n|Assn|Ins|Mut|Natl|Bros)\.$/;
+const SENTENCE_CAP = 600;
+
+function isSentenceEnd(t, i) {
+  if (!/[.?!]/.test(t[i])) return false;
+  let j = i + 1;
+  while (j < t.length && /["”’)\]]/.test(t[j])) j++;
+  if (j < t.length && t[j] !== ' ') return false;
+  const next = t.slice(j).trimStart()[0];
+  if (next && !/[A-Z"“(\[]/.test(next)) return false;
+  return t[i] !== '.' || !NON_TERMINAL_RE.test(t.slice(Math.max(0, i - 12), i + 1));
+}
 
-    // Basic guards
-    if (!vol || !page) continue;
+function sentenceAround(t, start, end) {
+  let from = start;
+  while (from > 0 && start - from < SENTENCE_CAP && !isSentenceEnd(t, from - 1)) from--;
+  let to = end;
+  while (to < t.length && to - end < SENTENCE_CAP && !isSentenceEnd(t, to - 1)) to++;
+  return t.slice(from, to).trim();
+}
+
+function pinOf(m) {
+  return m.groups?.pin ? parseInt(m.groups.pin, 10) : null;
+}
+
+function extractCitationsFromText(text, repIndex, { baseOffset = 0 } = {}) {
+  const results = [];
+  if (!text) return results;
+  const t = normalizeOpinionText(text);
+  const patterns = citationPatterns(repIndex);
+  const FORM_ORDER = { full: 0, session_law: 0, short: 1, supra: 2, id: 3 };
+
+  // Order by where each citation really starts, past any lead-in its case
+  // name swept up ("Id. at 106. See also Roe v. Wade, …" starts at "Roe").
+  const matches = [];
+  for (const form of Object.keys(patterns)) {
+    for (const m of t.matchAll(patterns[form])) {
+      const lead = splitLeadIn(t, m.index, m.groups?.casename);
+      matches.push({ form, m, lead, start: m.index + lead.skip, end: m.index + m[0].length });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || FORM_ORDER[a.form] - FORM_ORDER[b.form]);
+
+  const fulls = [];
+  let previous = null; // antecedent of the last citation emitted, for id.
+  let cursor = 0;
+  for (const match of matches) {
+    const { form, m, end } = match;
+    let { lead, start } = match;
+    if (start < cursor) {
+      // overlaps an earlier match; a full cite whose case name ran back into
+      // it ("Smith, 10 N.Y.3d at 108 and Brown v. Green, 20 A.D.3d 200")
+      // keeps the cite and whatever name follows the earlier match
+      const citeStart = m.indices?.groups?.vol?.[0] ?? m.index;
+      if (citeStart < cursor) continue;
+      const nameEnd = m.index + (m.groups?.casename?.length ?? 0);
+      const from = cursor + t.slice(cursor, nameEnd).search(/[A-Z]|$/);
+      const name = / v\.? /.test(t.slice(from, nameEnd)) ? t.slice(from, nameEnd) : null;
+      lead = splitLeadIn(t, name ? from : citeStart, name);
+      start = name ? from + lead.skip : citeStart;
+    }
+    const raw = t.slice(start, end);
+    // denylist check on raw
+    if (repIndex.denylist.some((rx) => rx.test(raw))) continue;
+
+    const context = {
+      signal: lead.signal,
+      parenthetical: trailingParenthetical(t, end),
+      sentence: sentenceAround(t, start, end),
+    };
+
+    let antecedent = null;
+    let repRaw = null;
+    if (form === 'full' || form === 'session_law' || form === 'short') {
+      repRaw = (m.groups?.rep || '').trim();
+      // Normalize reporter and validate against allowlist
+      let repNorm = repIndex.aliasToNorm.get(repIndex.normToken(repRaw));
+      if (!repNorm) continue; // not an allowed reporter token
+      const vol = parseInt(m.groups?.vol || '0', 10);
+      if (form !== 'short') {
+        if (form === 'full') repNorm = seriesForYear(repIndex, repNorm, yearAfter(t, end));
+        const page = parseInt(m.groups?.page || '0', 10);
+        // Basic guards
+        if (!vol || !page) continue;
+        const pin = pinOf(m);
+        const it = {
+          raw_citation_text: raw,
+          case_name: lead.caseName,
+          cited_volume: vol,
+          cited_reporter: repRaw,
+          cited_reporter_norm: repNorm,
+          cited_first_page: page,
+          cited_jurisdiction: repIndex.normMeta.get(repNorm)?.target_jurisdiction ?? null,
+          citation_offset: baseOffset + start,
+          citation_form: 'full',
+          pin_page: pin !== null && pin >= page ? pin : null,
+          resolved_from_offset: null,
+          ...context,
+        };
+        results.push(it);
+        fulls.push(it);
+        previous = it;
+        cursor = end;
+        continue;
+      }
+      // Latest full cite in the same volume that starts at or before the pin.
+      const pin = pinOf(m);
+      antecedent = findLast(fulls, (f) => f.cited_reporter_norm === repNorm && f.cited_volume === vol && f.cited_first_page <= pin)
+        || findLast(fulls, (f) => f.cited_reporter_norm === repNorm && f.cited_volume === vol);
+    } else if (form === 'supra') {
+      // The match may start a word or two early ("Then Brown, supra"), so
+      // try the name's trailing words, longest first.
+      const words = nameWords(m.groups?.casename);
+      for (let i = 0; i < words.length && !antecedent; i++) {
+        const tail = words.slice(i);
+        antecedent = findLast(fulls, (f) => {
+          const have = new Set(nameWords(f.case_name));
+          return tail.every((w) => have.has(w));
+        });
+      }
+    } else {
+      antecedent = previous;
+    }
+    if (!antecedent) continue;
 
     results.push({
       raw_citation_text: raw,
-      case_name: caseName,
-      cited_volume: vol,
-      cited_reporter: repRaw,
-      cited_reporter_norm: repNorm,
-      cited_first_page: page,
+      case_name: antecedent.case_name,
+      cited_volume: antecedent.cited_volume,
+      cited_reporter: repRaw || antecedent.cited_reporter,
+      cited_reporter_norm: antecedent.cited_reporter_norm,
+      cited_first_page: antecedent.cited_first_page,
+      cited_jurisdiction: antecedent.cited_jurisdiction,
+      citation_offset: baseOffset + start,
+      citation_form: form,
+      pin_page: pinOf(m),
+      resolved_from_offset: antecedent.citation_offset,
+      ...context,
     });
+    previous = antecedent;
+    cursor = end;
   }
 
   return results;
 }
 
+function findLast(list, pred) {
+  for (let i = list.length - 1; i >= 0; i--) if (pred(list[i])) return list[i];
+  return null;
+}
+
+// One case's opinions ({ id, text }, in opinions.id order): each is resolved
+// on its own (an id. never reaches into the previous opinion) and its rows
+// carry its id as citing_opinion_id, with offsets running on across opinions
+// so they stay unique within the case.
+function extractCitationsFromOpinions(opinions, repIndex) {
+  const out = [];
+  let baseOffset = 0;
+  for (const { id = null, text } of opinions) {
+    for (const it of extractCitationsFromText(text, repIndex, { baseOffset })) out.push({ ...it, citing_opinion_id: id });
+    baseOffset += normalizeOpinionText(text).length + 1;
+  }
+  return out;
+}
+
+// One row per mention: the same cited case repeated at different offsets is
+// kept. Items without an offset fall back to one row per cited case.
 function dedupeCitations(items) {
   const map = new Map();
   for (const it of items) {
-    const key = `${it.cited_reporter_norm}|${it.cited_volume}|${it.cited_first_page}`;
+    const key = `${it.cited_reporter_norm}|${it.cited_volume}|${it.cited_first_page}|${it.citation_offset ?? ''}`;
     if (!map.has(key)) map.set(key, it);
   }
   return Array.from(map.values());
@@ -153,21 +440,28 @@ function makeDbUrl(dbCfg) {
     : `postgresql://${user}@${host}:${port}/${db}`;
 }
 
+// Replaces the case's rows: match offsets move whenever the patterns or the
+// reporter list change, so rows are never updated in place.
 async function insertExtractedCitations(appPool, citingSourceRef, citingCaseId, citingOriginalId, items, { verbose = false } = {}) {
-  if (!items.length) return 0;
   let inserted = 0;
   const sql = `
     INSERT INTO extracted_citations (
       citing_source_ref, citing_case_id, citing_original_id,
       raw_citation_text, case_name,
-      cited_volume, cited_reporter, cited_reporter_norm, cited_first_page
-    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-    ON CONFLICT (citing_source_ref, citing_case_id, cited_reporter_norm, cited_volume, cited_first_page)
+      cited_volume, cited_reporter, cited_reporter_norm, cited_first_page,
+      citation_offset, citation_form, pin_page, resolved_from_offset,
+      signal, parenthetical, sentence, cited_jurisdiction, citing_opinion_id
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
+    ON CONFLICT (citing_source_ref, citing_case_id, cited_reporter_norm, cited_volume, cited_first_page, citation_offset)
     DO NOTHING
   `;
   const client = await appPool.connect();
   try {
     await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM extracted_citations WHERE citing_source_ref = $1 AND citing_case_id = $2',
+      [citingSourceRef, citingCaseId]
+    );
     for (const it of items) {
       await client.query(sql, [
         citingSourceRef,
@@ -179,6 +473,15 @@ async function insertExtractedCitations(appPool, citingSourceRef, citingCaseId,
         it.cited_reporter,
         it.cited_reporter_norm,
         it.cited_first_page,
+        it.citation_offset ?? -1,
+        it.citation_form || 'full',
+        it.pin_page ?? null,
+        it.resolved_from_offset ?? null,
+        it.signal ?? null,
+        it.parenthetical ?? null,
+        it.sentence ?? null,
+        it.cited_jurisdiction ?? null,
+        it.citing_opinion_id ?? null,
       ]);
       inserted++;
     }
@@ -239,24 +542,23 @@ async function extractCitationsForSource({ configPath, sourceId, sourceRef = nul
       const caseIds = caseRows.map((r) => r.id);
 
       const { rows: opRows } = await srcPool.query(
-        'SELECT case_id, text FROM opinions WHERE case_id = ANY($1::bigint[])',
+        'SELECT id, case_id, text FROM opinions WHERE case_id = ANY($1::bigint[]) ORDER BY id',
         [caseIds]
       );
       const byCaseId = new Map();
       for (const r of opRows) {
         const arr = byCaseId.get(r.case_id) || [];
-        arr.push(r.text || '');
+        arr.push({ id: r.id, text: r.text || '' });
         byCaseId.set(r.case_id, arr);
       }
 
       for (const c of caseRows) {
-        const texts = byCaseId.get(c.id) || [];
-        if (!texts.length) { processedCases++; continue; }
-        const joined = texts.join(' \n ');
-        const extracted = extractCitationsFromText(joined, repIndex);
+        const opinions = byCaseId.get(c.id) || [];
+        if (!opinions.length) { processedCases++; continue; }
+        const extracted = extractCitationsFromOpinions(opinions, repIndex);
         const deduped = dedupeCitations(extracted);
 
-        if (deduped.length && !dryRun) {
+        if (!dryRun) {
           await insertExtractedCitations(appPool, citingSourceRef, c.id, c.original_id, deduped, { verbose });
         }
         if (verbose && processedCases % 200 === 0) {
@@ -323,24 +625,23 @@ async function extractCitationsFromSourceRef({ sourceRef, limit = null, offset =
       const caseIds = caseRows.map((r) => r.id);
 
       const { rows: opRows } = await srcPool.query(
-        'SELECT case_id, text FROM opinions WHERE case_id = ANY($1::bigint[])',
+        'SELECT id, case_id, text FROM opinions WHERE case_id = ANY($1::bigint[]) ORDER BY id',
         [caseIds]
       );
       const byCaseId = new Map();
       for (const r of opRows) {
         const arr = byCaseId.get(r.case_id) || [];
-        arr.push(r.text || '');
+        arr.push({ id: r.id, text: r.text || '' });
         byCaseId.set(r.case_id, arr);
       }
 
       for (const c of caseRows) {
-        const texts = byCaseId.get(c.id) || [];
-        if (!texts.length) { processedCases++; continue; }
-        const joined = texts.join(' \n ');
-        const extracted = extractCitationsFromText(joined, repIndex);
+        const opinions = byCaseId.get(c.id) || [];
+        if (!opinions.length) { processedCases++; continue; }
+        const extracted = extractCitationsFromOpinions(opinions, repIndex);
         const deduped = dedupeCitations(extracted);
 
-        if (deduped.length && !dryRun) {
+        if (!dryRun) {
           await insertExtractedCitations(appPool, sourceRef, c.id, c.original_id, deduped, { verbose });
         }
         if (verbose && processedCases % 200 === 0) {
@@ -399,7 +700,7 @@ async function main() {
   }
 }
 
-export { loadReporterConfig, buildReporterIndex, normalizeOpinionText, extractCitationsFromText, dedupeCitations, extractCitationsForSource, extractCitationsFromSourceRef };
+export { loadReporterConfig, buildReporterIndex, reporterNormsFor, seriesForYear, normalizeOpinionText, nameWords, extractCitationsFromText, extractCitationsFromOpinions, dedupeCitations, insertExtractedCitations, extractCitationsForSource, extractCitationsFromSourceRef };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   main();
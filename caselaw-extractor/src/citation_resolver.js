@@ -0,0 +1,356 @@
+/**
+ * Resolve extracted citations to the cases they cite
+ * - Reads distinct (cited_reporter_norm, cited_volume, cited_first_page)
+ *   triples from app DB extracted_citations, for the reporters
+ *   configs/reporters.json routes to this resolver (target_jurisdiction
+ *   with resolver "ny_cases"); federal, other regional and session-law
+ *   cites are left for their own resolvers
+ * - Looks them up in the case DBs' citations tables: ny_supreme,
+ *   ny_appellate and ny_trial (connections from app DB sources), or the
+ *   merged DB (MERGE_TARGET_URL) with --target=ny_caselaw
+ * - Records the outcome per triple in citation_resolutions and copies the
+ *   resolved curie onto extracted_citations
+ *   (needs sql/citation_resolutions.sql applied)
+ *
+ * Match methods, tried in order:
+ *   exact       a case carries a cite with the same volume/reporter/page
+ *   page_range  the page falls inside a case's first_page..last_page — a
+ *               pin cite written as if it were the first page. last_page
+ *               comes from the case row for its official cite; for other
+ *               cites the next case's first page in the volume bounds it
+ * When several distinct cases match (memorandum decisions often share a
+ * page), the case names the citing opinions gave decide if they point at
+ * exactly one ("exact+name", "page_range+name"); otherwise the triple is
+ * `ambiguous`. A triple with no match is `unresolved`. Both stay in the
+ * citation_resolution_queue view and are retried on every run, since new
+ * volumes may have been loaded since; --all re-resolves resolved triples too.
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { loadReporterConfig, buildReporterIndex, reporterNormsFor, nameWords } from './citation_extractor.js';
+
+// Load env
+dotenv.config();
+
+const { Pool } = pg;
+
+const RESOLVER = 'ny_cases';
+const DEFAULT_TARGETS = ['ny_supreme', 'ny_appellate', 'ny_trial'];
+const PAGE_SIZE = 20000; // citations rows per page when indexing a target
+const WRITE_BATCH = 500; // triples per transaction
+const MAX_CANDIDATES = 10; // stored per ambiguous triple
+
+// Greedy reporter match so embedded whitespace ("Misc. 2d") and series
+// suffixes ("2d", "3d") stay attached. Page anchors to the last \d+.
+function parseVolumeReporterPage(cite) {
+  if (!cite || typeof cite !== 'string') return null;
+  const m = cite.match(/^(\d+)\s+(.+)\s+(\d+)(.*)$/);
+  if (!m) return null;
+  return {
+    volume: parseInt(m[1], 10),
+    reporter: m[2].replace(/\s+/g, ' ').trim(),
+    page: parseInt(m[3], 10),
+  };
+}
+
+function toPage(v) {
+  const n = parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+// ---------- Targets ----------
+async function openTargets(appPool, { targets, target }) {
+  if (target === 'ny_caselaw') {
+    if (!process.env.MERGE_TARGET_URL) throw new Error('--target=ny_caselaw requires MERGE_TARGET_URL env var.');
+    return [{ sourceRef: null, merged: true, pool: new Pool({ connectionString: process.env.MERGE_TARGET_URL }) }];
+  }
+  const out = [];
+  for (const ref of targets) {
+    const { rows } = await appPool.query('SELECT reference, database_url, enabled FROM sources WHERE reference = $1', [ref]);
+    const src = rows[0];
+    if (!src) throw new Error(`Source not found in app DB: ${ref}`);
+    if (src.enabled === false) throw new Error(`Source is disabled: ${ref}`);
+    if (!src.database_url) throw new Error(`Source ${ref} missing database_url`);
+    out.push({ sourceRef: ref, merged: false, pool: new Pool({ connectionString: src.database_url }) });
+  }
+  return out;
+}
+
+/**
+ * Index every cite in `tgt` whose reporter/volume is in `wanted` (a Set of
+ * "<norm>|<vol>") → Map<"<norm>|<vol>", entry[]>, where an entry is
+ * { curie, source_ref, case_id, name, page, last_page, upper }.
+ */
+async function indexTarget(tgt, repIndex, wanted, byVolume, { verbose = false } = {}) {
+  let lastId = 0;
+  let rowsSeen = 0;
+  for (;;) {
+    const { rows } = await tgt.pool.query(
+      `SELECT ci.id, ci.cite, ci.citation_type, c.id AS case_id, c.curie,
+              c.name_abbreviation, c.name, c.first_page, c.last_page
+              ${tgt.merged ? ', c.source_ref' : ''}
+         FROM citations ci
+         JOIN cases c ON c.id = ci.case_id
+        WHERE ci.id > $1 AND c.curie IS NOT NULL
+        ORDER BY ci.id
+        LIMIT $2`,
+      [lastId, PAGE_SIZE]
+    );
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    rowsSeen += rows.length;
+    for (const r of rows) {
+      const parsed = parseVolumeReporterPage(r.cite);
+      if (!parsed) continue;
+      const norm = repIndex.aliasToNorm.get(repIndex.normToken(parsed.reporter));
+      const key = `${norm}|${parsed.volume}`;
+      if (!norm || !wanted.has(key)) continue;
+      const official = r.citation_type === 'official' && toPage(r.first_page) === parsed.page;
+      const list = byVolume.get(key) || [];
+      list.push({
+        curie: r.curie,
+        source_ref: tgt.merged ? r.source_ref : tgt.sourceRef,
+        case_id: Number(r.case_id),
+        name: r.name_abbreviation || r.name,
+        page: parsed.page,
+        last_page: official ? toPage(r.last_page) : null,
+        upper: null,
+      });
+      byVolume.set(key, list);
+    }
+  }
+  if (verbose) console.log(`  Indexed ${rowsSeen} cites from ${tgt.sourceRef || 'merged DB'}`);
+}
+
+// Sort each volume by page and fill in each entry's upper page bound: its
+// own last page when known, else the next higher first page in the volume.
+function finishIndex(byVolume) {
+  for (const list of byVolume.values()) {
+    list.sort((a, b) => a.page - b.page);
+    let nextPage = null;
+    for (let i = list.length - 1; i >= 0; i--) {
+      const e = list[i];
+      e.upper = e.last_page !== null && e.last_page >= e.page ? e.last_page : nextPage;
+      if (i === 0 || list[i - 1].page !== e.page) nextPage = e.page;
+    }
+  }
+}
+
+// ---------- Matching ----------
+function distinctByCurie(entries) {
+  const seen = new Map();
+  for (const e of entries) if (!seen.has(e.curie)) seen.set(e.curie, e);
+  return [...seen.values()];
+}
+
+// Candidates sharing the most name words with what the citing opinions
+// called the case; one clear winner or nothing.
+function narrowByName(hits, citedNames) {
+  const want = new Set((citedNames || []).flatMap(nameWords));
+  if (!want.size) return null;
+  const scored = hits.map((h) => ({ h, score: nameWords(h.name).filter((w) => want.has(w)).length }));
+  const best = Math.max(...scored.map((s) => s.score));
+  const top = scored.filter((s) => s.score === best);
+  return best > 0 && top.length === 1 ? top[0].h : null;
+}
+
+function resolveTriple(triple, byVolume) {
+  const entries = byVolume.get(`${triple.cited_reporter_norm}|${triple.cited_volume}`) || [];
+  const page = triple.cited_page;
+  let method = 'exact';
+  let hits = distinctByCurie(entries.filter((e) => e.page === page));
+  if (!hits.length) {
+    method = 'page_range';
+    hits = distinctByCurie(entries.filter((e) => e.upper !== null && e.page < page && page <= e.upper));
+  }
+  if (!hits.length) return { status: 'unresolved', method: null, hit: null, candidates: [] };
+  if (hits.length > 1) {
+    const one = narrowByName(hits, triple.case_names);
+    if (!one) return { status: 'ambiguous', method, hit: null, candidates: hits };
+    return { status: 'resolved', method: `${method}+name`, hit: one, candidates: hits };
+  }
+  return { status: 'resolved', method, hit: hits[0], candidates: hits };
+}
+
+// ---------- DB helpers ----------
+async function loadTriples(appPool, norms, { all = false, limit = null } = {}) {
+  const { rows } = await appPool.query(
+    `SELECT ec.cited_reporter_norm, ec.cited_volume, ec.cited_first_page AS cited_page,
+            COUNT(*)::int AS mentions,
+            (ARRAY_AGG(DISTINCT ec.case_name) FILTER (WHERE ec.case_name IS NOT NULL))[1:20] AS case_names
+       FROM extracted_citations ec
+       LEFT JOIN citation_resolutions r
+         ON r.cited_reporter_norm = ec.cited_reporter_norm
+        AND r.cited_volume = ec.cited_volume
+        AND r.cited_page = ec.cited_first_page
+      WHERE ec.cited_reporter_norm = ANY($2::text[])
+        AND ($1::boolean OR r.status IS DISTINCT FROM 'resolved')
+      GROUP BY 1, 2, 3
+      ORDER BY mentions DESC, 1, 2, 3
+      ${limit ? 'LIMIT $3' : ''}`,
+    limit ? [all, norms, Number(limit)] : [all, norms]
+  );
+  return rows;
+}
+
+async function writeResolutions(appPool, batch) {
+  const sql = `
+    INSERT INTO citation_resolutions (
+      cited_reporter_norm, cited_volume, cited_page,
+      status, cited_curie, cited_source_ref, cited_case_id, match_method,
+      candidate_count, candidates, mention_count,
+      attempts, first_seen_at, updated_at, resolved_at
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, 1, NOW(), NOW(), CASE WHEN $4 = 'resolved' THEN NOW() END)
+    ON CONFLICT (cited_reporter_norm, cited_volume, cited_page)
+    DO UPDATE SET
+      status = EXCLUDED.status,
+      cited_curie = EXCLUDED.cited_curie,
+      cited_source_ref = EXCLUDED.cited_source_ref,
+      cited_case_id = EXCLUDED.cited_case_id,
+      match_method = EXCLUDED.match_method,
+      candidate_count = EXCLUDED.candidate_count,
+      candidates = EXCLUDED.candidates,
+      mention_count = EXCLUDED.mention_count,
+      attempts = citation_resolutions.attempts + 1,
+      updated_at = NOW(),
+      resolved_at = CASE WHEN EXCLUDED.status = 'resolved'
+                         THEN COALESCE(citation_resolutions.resolved_at, NOW()) END
+  `;
+  const client = await appPool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { triple, res } of batch) {
+      await client.query(sql, [
+        triple.cited_reporter_norm,
+        triple.cited_volume,
+        triple.cited_page,
+        res.status,
+        res.hit?.curie ?? null,
+        res.hit?.source_ref ?? null,
+        res.hit?.case_id ?? null,
+        res.method,
+        res.candidates.length,
+        JSON.stringify(res.candidates.slice(0, MAX_CANDIDATES).map((c) => ({
+          curie: c.curie, source_ref: c.source_ref, name: c.name, first_page: c.page, last_page: c.last_page,
+        }))),
+        triple.mentions,
+      ]);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Copy resolutions onto every extracted_citations row of their triple
+// (including rows extracted after the triple was resolved).
+async function propagateResolutions(appPool) {
+  const { rowCount } = await appPool.query(`
+    UPDATE extracted_citations ec
+       SET cited_curie = r.cited_curie,
+           cited_source_ref = r.cited_source_ref
+      FROM citation_resolutions r
+     WHERE r.cited_reporter_norm = ec.cited_reporter_norm
+       AND r.cited_volume = ec.cited_volume
+       AND r.cited_page = ec.cited_first_page
+       AND (ec.cited_curie IS DISTINCT FROM r.cited_curie
+            OR ec.cited_source_ref IS DISTINCT FROM r.cited_source_ref)
+  `);
+  return rowCount;
+}
+
+// ---------- Main processing ----------
+// `pool` stands in for the app DB (APP_DATABASE_URL); the caller keeps
+// ownership of a pool it passes.
+async function resolveExtractedCitations({ targets = DEFAULT_TARGETS, target = null, all = false, limit = null, verbose = false, dryRun = false, pool = null } = {}) {
+  const appDbUrl = process.env.APP_DATABASE_URL;
+  if (!pool && !appDbUrl) throw new Error('APP_DATABASE_URL is required to read extracted_citations');
+
+  const appPool = pool || new Pool({ connectionString: appDbUrl });
+  let opened = [];
+  const summary = { triples: 0, resolved: 0, ambiguous: 0, unresolved: 0, byMethod: {}, rowsUpdated: 0 };
+  try {
+    const repIndex = buildReporterIndex(await loadReporterConfig());
+    const triples = await loadTriples(appPool, reporterNormsFor(repIndex, RESOLVER), { all, limit });
+    summary.triples = triples.length;
+    if (verbose) {
+      if (appDbUrl) console.log(`App DB: ${new URL(appDbUrl).host}`);
+      console.log(`Triples to resolve: ${triples.length}${all ? ' (--all)' : ''}`);
+    }
+
+    if (triples.length) {
+      const wanted = new Set(triples.map((t) => `${t.cited_reporter_norm}|${t.cited_volume}`));
+      const byVolume = new Map();
+      opened = await openTargets(appPool, { targets, target });
+      for (const tgt of opened) await indexTarget(tgt, repIndex, wanted, byVolume, { verbose });
+      finishIndex(byVolume);
+
+      let batch = [];
+      for (const triple of triples) {
+        const res = resolveTriple(triple, byVolume);
+        summary[res.status]++;
+        if (res.method) summary.byMethod[res.method] = (summary.byMethod[res.method] || 0) + 1;
+        if (dryRun) continue;
+        batch.push({ triple, res });
+        if (batch.length >= WRITE_BATCH) {
+          await writeResolutions(appPool, batch);
+          batch = [];
+        }
+      }
+      if (batch.length) await writeResolutions(appPool, batch);
+    }
+    // Even with nothing left to resolve: a case re-extracted since its
+    // triples resolved has fresh rows with no curie yet.
+    if (!dryRun) summary.rowsUpdated = await propagateResolutions(appPool);
+  } finally {
+    for (const tgt of opened) await tgt.pool.end();
+    if (!pool) await appPool.end();
+  }
+
+  if (verbose) {
+    console.log(`Done. ${summary.resolved} resolved, ${summary.ambiguous} ambiguous, ${summary.unresolved} unresolved of ${summary.triples} triples`);
+    for (const [m, n] of Object.entries(summary.byMethod)) console.log(`  ${m}: ${n}`);
+  }
+  return summary;
+}
+
+// ---------- CLI ----------
+function parseCli() {
+  const args = process.argv.slice(2);
+  const targets = args.find((a) => a.startsWith('--targets='))?.split('=')[1]?.split(',').filter(Boolean) || DEFAULT_TARGETS;
+  const target = args.find((a) => a.startsWith('--target='))?.split('=')[1] || null;
+  const all = args.includes('--all');
+  const verbose = args.includes('--verbose') || args.includes('-v');
+  const dryRun = args.includes('--dry-run');
+  const limit = args.find((a) => a.startsWith('--limit='))?.split('=')[1] || null;
+  const help = args.includes('--help') || args.includes('-h');
+  return { targets, target, all, verbose, dryRun, limit, help };
+}
+
+async function main() {
+  try {
+    const { targets, target, all, verbose, dryRun, limit, help } = parseCli();
+    if (help) {
+      console.log(`Citation Resolver\n\nUsage:\n  node src/citation_resolver.js [--targets=ny_supreme,ny_appellate,ny_trial] [--all] [--limit=1000] [--verbose] [--dry-run]\n  node src/citation_resolver.js --target=ny_caselaw [--all] [--limit=1000] [--verbose] [--dry-run]\n`);
+      process.exit(0);
+    }
+    if (target && target !== 'ny_caselaw') throw new Error(`--target=${target} is not supported (use --target=ny_caselaw or omit).`);
+
+    const res = await resolveExtractedCitations({ targets, target, all, limit, verbose, dryRun });
+    console.log(`Resolved ${res.resolved} of ${res.triples} cited volume/reporter/page triples (${res.ambiguous} ambiguous, ${res.unresolved} unresolved).`);
+  } catch (e) {
+    console.error('❌ Citation resolution failed:', e.message);
+    if (process.env.NODE_ENV === 'development') console.error(e.stack);
+    process.exit(1);
+  }
+}
+
+export { DEFAULT_TARGETS, parseVolumeReporterPage, finishIndex, resolveTriple, resolveExtractedCitations };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,395 @@
+/**
+ * Citator: aggregate resolved extracted_citations into per-case stats
+ * - build     rebuild citator_edges (one row per citing case → cited case,
+ *             with its mentions and citing opinions) and citator_stats
+ *             (per cited case: times cited, citing opinions, mentions,
+ *             depth, by citing court, by year) in the app DB
+ * - top       most-cited cases, optionally by cited source (ny_appellate
+ *             for AD decisions), citing court, year, or a topic phrase
+ *             matched against the citing sentence / parenthetical
+ * - cited-by  who relies on a case: its citing cases, deepest first
+ * - export    the citation graph as a CSV edge list or GraphML
+ *
+ * Only rows resolved by citation_resolver.js (cited_curie set) count.
+ * Citing court and year come from the citing case's row in its source DB
+ * (app DB sources). times_cited counts citing cases; depth is mentions per
+ * citing opinion (extracted_citations.citing_opinion_id), so a case cited
+ * by both majority and dissent counts once with two citing opinions. Rows
+ * extracted before citing_opinion_id count as one opinion per case.
+ * Needs sql/citator.sql applied.
+ *
+ * build and export take an optional `pool` standing in for the app DB
+ * (APP_DATABASE_URL); the caller keeps ownership of it.
+ */
+
+import fs from 'fs/promises';
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+// Load env
+dotenv.config();
+
+const { Pool } = pg;
+
+const META_CHUNK = 5000; // citing cases per source DB lookup
+const EXPORT_PAGE = 50000; // edges per page when exporting
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function xmlEscape(v) {
+  return String(v ?? '').replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function yearOf(decisionDate) {
+  const m = String(decisionDate || '').match(/^(\d{4})/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+function appPoolFromEnv() {
+  const appDbUrl = process.env.APP_DATABASE_URL;
+  if (!appDbUrl) throw new Error('APP_DATABASE_URL is required for the citator');
+  return new Pool({ connectionString: appDbUrl });
+}
+
+// ---------- Build ----------
+
+// Fill citing_curie / citing_court / citing_year on citator_edges from each
+// citing source DB.
+async function fillCitingMeta(client, appPool, { verbose = false } = {}) {
+  const { rows: refs } = await client.query('SELECT DISTINCT citing_source_ref FROM citator_edges ORDER BY 1');
+  for (const { citing_source_ref: ref } of refs) {
+    const { rows } = await appPool.query('SELECT database_url FROM sources WHERE reference = $1', [ref]);
+    if (!rows[0]?.database_url) {
+      console.warn(`  ⚠️  No source DB for citing source_ref='${ref}' — its court/year stay empty`);
+      continue;
+    }
+    const srcPool = new Pool({ connectionString: rows[0].database_url });
+    try {
+      const { rows: ids } = await client.query(
+        'SELECT DISTINCT citing_case_id FROM citator_edges WHERE citing_source_ref = $1 ORDER BY 1',
+        [ref]
+      );
+      for (let i = 0; i < ids.length; i += META_CHUNK) {
+        const chunk = ids.slice(i, i + META_CHUNK).map((r) => r.citing_case_id);
+        const { rows: cases } = await srcPool.query(
+          'SELECT id, curie, court_name, decision_date FROM cases WHERE id = ANY($1::bigint[])',
+          [chunk]
+        );
+        await client.query(
+          `UPDATE citator_edges e
+              SET citing_curie = m.curie, citing_court = m.court, citing_year = m.year
+             FROM UNNEST($2::bigint[], $3::text[], $4::text[], $5::int[]) AS m(id, curie, court, year)
+            WHERE e.citing_source_ref = $1 AND e.citing_case_id = m.id`,
+          [
+            ref,
+            cases.map((c) => c.id),
+            cases.map((c) => c.curie),
+            cases.map((c) => c.court_name),
+            cases.map((c) => yearOf(c.decision_date)),
+          ]
+        );
+      }
+      if (verbose) console.log(`  ${ref}: court/year for ${ids.length} citing cases`);
+    } finally {
+      await srcPool.end();
+    }
+  }
+}
+
+async function buildCitator({ verbose = false, pool = null } = {}) {
+  const appPool = pool || appPoolFromEnv();
+  const client = await appPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('TRUNCATE citator_edges, citator_stats');
+    const { rowCount: edges } = await client.query(`
+      INSERT INTO citator_edges (
+        citing_source_ref, citing_case_id, cited_curie, cited_source_ref, cited_name,
+        mentions, citing_opinions, max_depth, signals
+      )
+      SELECT citing_source_ref, citing_case_id, cited_curie,
+             MAX(cited_source_ref), MAX(case_name), COUNT(*),
+             COUNT(DISTINCT COALESCE(citing_opinion_id, -1)), MAX(opinion_mentions),
+             ARRAY_REMOVE(ARRAY_AGG(DISTINCT signal), NULL)
+        FROM (SELECT ec.*, COUNT(*) OVER (
+                       PARTITION BY citing_source_ref, citing_case_id, cited_curie, citing_opinion_id
+                     ) AS opinion_mentions
+                FROM extracted_citations ec
+               WHERE cited_curie IS NOT NULL) ec
+       GROUP BY citing_source_ref, citing_case_id, cited_curie
+    `);
+    if (verbose) console.log(`  ${edges} citing → cited edges`);
+
+    await fillCitingMeta(client, appPool, { verbose });
+    // A case resolving a cite to itself (its own parallel cite) is not a
+    // citation. Citing cases whose source DB is missing have no citing_curie;
+    // match those on the resolved case's source ref and id instead.
+    const { rowCount: selfCites } = await client.query(`
+      DELETE FROM citator_edges e
+       WHERE e.citing_curie = e.cited_curie
+          OR (e.citing_curie IS NULL AND EXISTS (
+                SELECT 1 FROM citation_resolutions r
+                 WHERE r.cited_curie = e.cited_curie
+                   AND r.cited_source_ref = e.citing_source_ref
+                   AND r.cited_case_id = e.citing_case_id))
+    `);
+    if (verbose) console.log(`  ${selfCites} self-citations dropped`);
+
+    const { rowCount: cases } = await client.query(`
+      WITH by_court AS (
+        SELECT cited_curie, jsonb_object_agg(court, n) AS by_court
+          FROM (SELECT cited_curie, COALESCE(citing_court, 'unknown') AS court, COUNT(*) AS n
+                  FROM citator_edges GROUP BY 1, 2) x
+         GROUP BY 1
+      ), by_year AS (
+        SELECT cited_curie, jsonb_object_agg(yr, n) AS by_year
+          FROM (SELECT cited_curie, COALESCE(citing_year::text, 'unknown') AS yr, COUNT(*) AS n
+                  FROM citator_edges GROUP BY 1, 2) x
+         GROUP BY 1
+      )
+      INSERT INTO citator_stats (
+        cited_curie, cited_source_ref, cited_name, times_cited, citing_opinions, mentions,
+        avg_depth, max_depth, by_court, by_year, first_cited_year, last_cited_year, built_at
+      )
+      SELECT e.cited_curie, MAX(e.cited_source_ref), MAX(e.cited_name),
+             COUNT(*), SUM(e.citing_opinions), SUM(e.mentions),
+             ROUND(SUM(e.mentions)::numeric / SUM(e.citing_opinions), 2), MAX(e.max_depth),
+             c.by_court, y.by_year, MIN(e.citing_year), MAX(e.citing_year), NOW()
+        FROM citator_edges e
+        JOIN by_court c USING (cited_curie)
+        JOIN by_year y USING (cited_curie)
+       GROUP BY e.cited_curie, c.by_court, y.by_year
+    `);
+    await client.query('COMMIT');
+    if (verbose) console.log(`  Stats for ${cases} cited cases`);
+    return { edges, cases };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+    if (!pool) await appPool.end();
+  }
+}
+
+// ---------- Queries ----------
+
+/**
+ * Most-cited cases. Without filters this reads citator_stats; a citing
+ * court / year / topic filter recounts from the edges that qualify.
+ */
+async function topCited({ citedSource = null, court = null, since = null, topic = null, limit = 25 } = {}) {
+  const appPool = appPoolFromEnv();
+  try {
+    if (!court && !since && !topic) {
+      const { rows } = await appPool.query(
+        `SELECT cited_curie, cited_source_ref, cited_name, times_cited, citing_opinions, mentions, avg_depth
+           FROM citator_stats
+          WHERE $1::text IS NULL OR cited_source_ref = $1
+          ORDER BY times_cited DESC, mentions DESC, cited_curie
+          LIMIT $2`,
+        [citedSource, limit]
+      );
+      return rows;
+    }
+    const { rows } = await appPool.query(
+      `SELECT e.cited_curie, MAX(e.cited_source_ref) AS cited_source_ref, MAX(e.cited_name) AS cited_name,
+              COUNT(*)::int AS times_cited, SUM(e.citing_opinions)::int AS citing_opinions,
+              SUM(e.mentions)::int AS mentions,
+              ROUND(SUM(e.mentions)::numeric / SUM(e.citing_opinions), 2) AS avg_depth
+         FROM citator_edges e
+        WHERE ($1::text IS NULL OR e.cited_source_ref = $1)
+          AND ($2::text IS NULL OR e.citing_court ILIKE '%' || $2 || '%')
+          AND ($3::int IS NULL OR e.citing_year >= $3)
+          AND ($4::text IS NULL OR EXISTS (
+                SELECT 1 FROM extracted_citations ec
+                 WHERE ec.citing_source_ref = e.citing_source_ref
+                   AND ec.citing_case_id = e.citing_case_id
+                   AND ec.cited_curie = e.cited_curie
+                   AND (ec.sentence ILIKE '%' || $4 || '%' OR ec.parenthetical ILIKE '%' || $4 || '%')))
+        GROUP BY e.cited_curie
+        ORDER BY times_cited DESC, mentions DESC, e.cited_curie
+        LIMIT $5`,
+      [citedSource, court, since, topic, limit]
+    );
+    return rows;
+  } finally {
+    await appPool.end();
+  }
+}
+
+async function citedBy(curie, { limit = 100 } = {}) {
+  const appPool = appPoolFromEnv();
+  try {
+    const { rows } = await appPool.query(
+      `SELECT citing_curie, citing_source_ref, citing_case_id, citing_court, citing_year,
+              mentions, citing_opinions, max_depth, signals
+         FROM citator_edges
+        WHERE cited_curie = $1
+        ORDER BY max_depth DESC, mentions DESC, citing_year DESC NULLS LAST, citing_curie
+        LIMIT $2`,
+      [curie, limit]
+    );
+    return rows;
+  } finally {
+    await appPool.end();
+  }
+}
+
+// ---------- Export ----------
+
+const citingNode = (e) => e.citing_curie || `${e.citing_source_ref}:${e.citing_case_id}`;
+
+const GRAPHML_HEAD = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="source_ref" for="node" attr.name="source_ref" attr.type="string"/>
+  <key id="court" for="node" attr.name="court" attr.type="string"/>
+  <key id="year" for="node" attr.name="year" attr.type="int"/>
+  <key id="name" for="node" attr.name="name" attr.type="string"/>
+  <key id="mentions" for="edge" attr.name="mentions" attr.type="int"/>
+  <key id="citing_opinions" for="edge" attr.name="citing_opinions" attr.type="int"/>
+  <key id="max_depth" for="edge" attr.name="max_depth" attr.type="int"/>
+  <key id="signals" for="edge" attr.name="signals" attr.type="string"/>
+  <graph id="citations" edgedefault="directed">
+`;
+
+function graphmlNode(id, data) {
+  const attrs = Object.entries(data)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `<data key="${k}">${xmlEscape(v)}</data>`)
+    .join('');
+  return `    <node id="${xmlEscape(id)}">${attrs}</node>\n`;
+}
+
+/**
+ * Write the edge list (citing → cited) to `out` as CSV or GraphML, paging
+ * through citator_edges. Returns { edges, nodes }.
+ */
+async function exportGraph({ out, format = 'csv', citedSource = null, minMentions = 1, verbose = false, pool = null } = {}) {
+  if (!out) throw new Error('--out=<file> is required');
+  if (!['csv', 'graphml'].includes(format)) throw new Error(`Unknown format: ${format} (use csv or graphml)`);
+  const appPool = pool || appPoolFromEnv();
+  const fh = await fs.open(out, 'w');
+  const seen = new Set();
+  let edges = 0;
+  try {
+    await fh.write(format === 'csv'
+      ? 'source,target,mentions,citing_opinions,max_depth,citing_source_ref,citing_court,citing_year,cited_source_ref,signals\n'
+      : GRAPHML_HEAD);
+    let after = ['', 0, ''];
+    for (;;) {
+      const { rows } = await appPool.query(
+        `SELECT * FROM citator_edges
+          WHERE (citing_source_ref, citing_case_id, cited_curie) > ($1, $2, $3)
+            AND ($4::text IS NULL OR cited_source_ref = $4)
+            AND mentions >= $5
+          ORDER BY citing_source_ref, citing_case_id, cited_curie
+          LIMIT $6`,
+        [...after, citedSource, minMentions, EXPORT_PAGE]
+      );
+      if (!rows.length) break;
+      const last = rows[rows.length - 1];
+      after = [last.citing_source_ref, last.citing_case_id, last.cited_curie];
+
+      let chunk = '';
+      for (const e of rows) {
+        const source = citingNode(e);
+        if (format === 'csv') {
+          chunk += [source, e.cited_curie, e.mentions, e.citing_opinions, e.max_depth, e.citing_source_ref, e.citing_court, e.citing_year, e.cited_source_ref, (e.signals || []).join(';')]
+            .map(csvCell).join(',') + '\n';
+        } else {
+          if (!seen.has(source)) {
+            seen.add(source);
+            chunk += graphmlNode(source, { source_ref: e.citing_source_ref, court: e.citing_court, year: e.citing_year });
+          }
+          if (!seen.has(e.cited_curie)) {
+            seen.add(e.cited_curie);
+            chunk += graphmlNode(e.cited_curie, { source_ref: e.cited_source_ref, name: e.cited_name });
+          }
+          const signals = e.signals?.length ? `<data key="signals">${xmlEscape(e.signals.join(';'))}</data>` : '';
+          chunk += `    <edge source="${xmlEscape(source)}" target="${xmlEscape(e.cited_curie)}"><data key="mentions">${e.mentions}</data><data key="citing_opinions">${e.citing_opinions}</data><data key="max_depth">${e.max_depth}</data>${signals}</edge>\n`;
+        }
+        edges++;
+      }
+      await fh.write(chunk);
+      if (verbose) console.log(`  ${edges} edges written...`);
+    }
+    if (format === 'graphml') await fh.write('  </graph>\n</graphml>\n');
+  } finally {
+    await fh.close();
+    if (!pool) await appPool.end();
+  }
+  return { edges, nodes: format === 'graphml' ? seen.size : null };
+}
+
+// ---------- CLI ----------
+function parseCli() {
+  const args = process.argv.slice(2);
+  const opt = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3) ?? null;
+  return {
+    command: args.find((a) => !a.startsWith('-')) || null,
+    curie: args.filter((a) => !a.startsWith('-'))[1] || null,
+    citedSource: opt('cited-source'),
+    court: opt('court'),
+    since: opt('since') ? parseInt(opt('since'), 10) : null,
+    topic: opt('topic'),
+    limit: opt('limit') ? parseInt(opt('limit'), 10) : null,
+    format: opt('format') || 'csv',
+    out: opt('out'),
+    minMentions: opt('min-mentions') ? parseInt(opt('min-mentions'), 10) : 1,
+    json: args.includes('--json'),
+    verbose: args.includes('--verbose') || args.includes('-v'),
+    help: args.includes('--help') || args.includes('-h'),
+  };
+}
+
+const USAGE = `Citator
+
+Usage:
+  node src/citator.js build [--verbose]
+  node src/citator.js top [--cited-source=ny_appellate] [--court=<citing court>] [--since=<year>] [--topic=<phrase>] [--limit=25] [--json]
+  node src/citator.js cited-by <curie> [--limit=100] [--json]
+  node src/citator.js export --out=<file> [--format=csv|graphml] [--cited-source=<ref>] [--min-mentions=1] [--verbose]
+`;
+
+async function main() {
+  try {
+    const o = parseCli();
+    if (o.help || !o.command) {
+      console.log(USAGE);
+      process.exit(o.help ? 0 : 1);
+    }
+    if (o.command === 'build') {
+      const res = await buildCitator({ verbose: o.verbose });
+      console.log(`Built citator: ${res.edges} edges, ${res.cases} cited cases.`);
+    } else if (o.command === 'top') {
+      const rows = await topCited({ ...o, limit: o.limit || 25 });
+      if (o.json) console.log(JSON.stringify(rows, null, 2));
+      else rows.forEach((r, i) => console.log(`${String(i + 1).padStart(3)}. ${r.cited_curie}  ${r.cited_name || ''}  — cited by ${r.times_cited} (${r.citing_opinions} opinions, ${r.mentions} mentions, depth ${r.avg_depth})`));
+    } else if (o.command === 'cited-by') {
+      if (!o.curie) throw new Error('cited-by needs a curie');
+      const rows = await citedBy(o.curie, { limit: o.limit || 100 });
+      if (o.json) console.log(JSON.stringify(rows, null, 2));
+      else rows.forEach((r) => console.log(`${citingNode(r)}  ${r.citing_court || '-'}  ${r.citing_year ?? '-'}  ×${r.mentions} in ${r.citing_opinions} opinion(s)${r.signals?.length ? `  [${r.signals.join(', ')}]` : ''}`));
+    } else if (o.command === 'export') {
+      const res = await exportGraph(o);
+      console.log(`Wrote ${res.edges} edges${res.nodes !== null ? ` and ${res.nodes} nodes` : ''} to ${o.out}.`);
+    } else {
+      console.log(USAGE);
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error('❌ Citator failed:', e.message);
+    if (process.env.NODE_ENV === 'development') console.error(e.stack);
+    process.exit(1);
+  }
+}
+
+export { buildCitator, topCited, citedBy, exportGraph };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
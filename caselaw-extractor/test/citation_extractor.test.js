@@ -0,0 +1,127 @@
+// Fixture sentences through extractCitationsFromText / extractCitationsFromOpinions
+// against the real configs/reporters.json (run from the package directory).
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadReporterConfig,
+  buildReporterIndex,
+  extractCitationsFromText,
+  extractCitationsFromOpinions,
+  dedupeCitations,
+} from '../src/citation_extractor.js';
+
+let repIndex;
+
+before(async () => { repIndex = buildReporterIndex(await loadReporterConfig()); });
+
+// [form, case_name, reporter_norm, volume, first_page, pin_page]
+function rows(text) {
+  return extractCitationsFromText(text, repIndex).map((r) => [
+    r.citation_form, r.case_name, r.cited_reporter_norm, r.cited_volume, r.cited_first_page, r.pin_page,
+  ]);
+}
+
+test('full citation with and without a pin page', () => {
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100, 104 (2008).'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, 104],
+  ]);
+  assert.deepEqual(rows('As held in 10 N.Y.3d 100, the rule applies.'), [
+    ['full', null, 'NY3D', 10, 100, null],
+  ]);
+});
+
+test('a comma-number that starts a parallel cite is not a pin', () => {
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100, 850 N.Y.S.2d 12 (2008).'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, null],
+    ['full', null, 'NYS2D', 850, 12, null],
+  ]);
+});
+
+test('short form, id. and supra resolve to their full cite', () => {
+  const text = 'Smith v. Jones, 10 N.Y.3d 100 (2008). Later, Smith, 10 N.Y.3d at 108. '
+    + 'The court agreed (id. at 109). As Smith, supra at 110, explains, it is settled.';
+  const got = extractCitationsFromText(text, repIndex);
+  assert.deepEqual(got.map((r) => [r.citation_form, r.cited_first_page, r.pin_page]), [
+    ['full', 100, null],
+    ['short', 100, 108],
+    ['id', 100, 109],
+    ['supra', 100, 110],
+  ]);
+  for (const r of got.slice(1)) assert.equal(r.resolved_from_offset, got[0].citation_offset);
+});
+
+test('a short form with no antecedent is dropped', () => {
+  assert.deepEqual(rows('See 10 N.Y.3d at 108.'), []);
+});
+
+test('a short form followed by a named full cite keeps both', () => {
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100. Smith, 10 N.Y.3d at 108. See Brown v. Green, 20 A.D.3d 200.'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, null],
+    ['short', 'Smith v. Jones', 'NY3D', 10, 100, 108],
+    ['full', 'Brown v. Green', 'AD3D', 20, 200, null],
+  ]);
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100. Smith, 10 N.Y.3d at 108 and Brown v. Green, 20 A.D.3d 200.'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, null],
+    ['short', 'Smith v. Jones', 'NY3D', 10, 100, 108],
+    ['full', 'Brown v. Green', 'AD3D', 20, 200, null],
+  ]);
+});
+
+test('an id. followed by a named full cite keeps both', () => {
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100. Id. at 106. See also Brown v. Green, 410 U.S. 113.'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, null],
+    ['id', 'Smith v. Jones', 'NY3D', 10, 100, 106],
+    ['full', 'Brown v. Green', 'US', 410, 113, null],
+  ]);
+});
+
+test('a supra followed by a named full cite keeps both', () => {
+  assert.deepEqual(rows('Smith v. Jones, 10 N.Y.3d 100. Smith, supra at 104. But see Brown v. Green, 20 A.D.3d 200.'), [
+    ['full', 'Smith v. Jones', 'NY3D', 10, 100, null],
+    ['supra', 'Smith v. Jones', 'NY3D', 10, 100, 104],
+    ['full', 'Brown v. Green', 'AD3D', 20, 200, null],
+  ]);
+});
+
+test('id. never reaches into the previous opinion; offsets stay unique', () => {
+  const got = extractCitationsFromOpinions([
+    { id: 7, text: 'Smith v. Jones, 10 N.Y.3d 100.' },
+    { id: 8, text: 'Id. at 104. Brown v. Green, 20 A.D.3d 200.' },
+  ], repIndex);
+  assert.deepEqual(got.map((r) => [r.citation_form, r.cited_first_page, r.citing_opinion_id]), [['full', 100, 7], ['full', 200, 8]]);
+  assert.ok(got[1].citation_offset > got[0].citation_offset);
+});
+
+test('dedupeCitations keeps repeated mentions at different offsets', () => {
+  const got = extractCitationsFromText('Smith v. Jones, 10 N.Y.3d 100. Again, 10 N.Y.3d 100.', repIndex);
+  assert.equal(dedupeCitations(got).length, 2);
+  assert.equal(dedupeCitations([...got, ...got]).length, 2);
+});
+
+test('signal is split off the case name and normalized', () => {
+  const got = extractCitationsFromText(
+    'The rule is settled (see e.g. Matter of Doe v. Roe, 5 N.Y.3d 50 [2005]; cf. Smith v. Jones, 10 N.Y.3d 100, 104 [2008]).',
+    repIndex
+  );
+  assert.deepEqual(got.map((r) => [r.case_name, r.signal]), [
+    ['Matter of Doe v. Roe', 'see e.g.'],
+    ['Smith v. Jones', 'cf.'],
+  ]);
+  assert.equal(extractCitationsFromText('Plaintiff appeals. But see Brown v. Green, 20 A.D.3d 200.', repIndex)[0].signal, 'but see');
+  assert.equal(extractCitationsFromText('Smith v. Jones, 10 N.Y.3d 100.', repIndex)[0].signal, null);
+});
+
+test('explanatory parenthetical past the date group, and the sentence', () => {
+  const [a] = extractCitationsFromText(
+    'Plaintiff appeals. See Smith v. Jones, 10 N.Y.3d 100 [2008] [holding that the statute applies]. Next.',
+    repIndex
+  );
+  assert.equal(a.parenthetical, 'holding that the statute applies');
+  assert.equal(a.sentence, 'See Smith v. Jones, 10 N.Y.3d 100 [2008] [holding that the statute applies].');
+  const [b] = extractCitationsFromText('But see Brown v. Green, 20 A.D.3d 200 (2d Dept 2005) (declining to follow rule).', repIndex);
+  assert.equal(b.parenthetical, 'declining to follow rule');
+  // a court-and-year group alone is not explanatory
+  const [c] = extractCitationsFromText('Brown v. Green, 20 A.D.3d 200 (2d Dept 2005).', repIndex);
+  assert.equal(c.parenthetical, null);
+});
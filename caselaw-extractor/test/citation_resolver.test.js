@@ -0,0 +1,157 @@
+// resolveTriple / finishIndex on hand-built volume indexes — no DB — and a
+// resolver run against an in-memory stand-in for the app DB tables.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVolumeReporterPage, finishIndex, resolveTriple, resolveExtractedCitations } from '../src/citation_resolver.js';
+import {
+  loadReporterConfig,
+  buildReporterIndex,
+  extractCitationsFromText,
+  insertExtractedCitations,
+} from '../src/citation_extractor.js';
+
+function entry(curie, page, { name = curie, last_page = null } = {}) {
+  return { curie, source_ref: 'ny_appellate', case_id: page, name, page, last_page, upper: null };
+}
+
+function index(entries) {
+  const byVolume = new Map([['AD3D|20', entries]]);
+  finishIndex(byVolume);
+  return byVolume;
+}
+
+function triple(page, case_names = []) {
+  return { cited_reporter_norm: 'AD3D', cited_volume: 20, cited_page: page, case_names };
+}
+
+test('parseVolumeReporterPage keeps multi-word reporters together', () => {
+  assert.deepEqual(parseVolumeReporterPage('10 Misc. 3d 5'), { volume: 10, reporter: 'Misc. 3d', page: 5 });
+  assert.deepEqual(parseVolumeReporterPage('20 AD3d 200'), { volume: 20, reporter: 'AD3d', page: 200 });
+  assert.equal(parseVolumeReporterPage('2005 NY Slip Op'), null);
+});
+
+test('finishIndex bounds each case by its last page, else the next first page', () => {
+  const byVolume = index([entry('c', 220), entry('a', 200, { last_page: 205 }), entry('b', 210)]);
+  assert.deepEqual(byVolume.get('AD3D|20').map((e) => [e.curie, e.upper]), [['a', 205], ['b', 220], ['c', null]]);
+});
+
+test('exact page match', () => {
+  const res = resolveTriple(triple(210), index([entry('a', 200), entry('b', 210)]));
+  assert.equal(res.status, 'resolved');
+  assert.equal(res.method, 'exact');
+  assert.equal(res.hit.curie, 'b');
+});
+
+test('a pin written as the first page falls inside the page range', () => {
+  const byVolume = index([entry('a', 200, { last_page: 204 }), entry('b', 210)]);
+  const res = resolveTriple(triple(203), byVolume);
+  assert.equal(res.status, 'resolved');
+  assert.equal(res.method, 'page_range');
+  assert.equal(res.hit.curie, 'a');
+  // past a's last page and before b: nothing
+  assert.equal(resolveTriple(triple(207), byVolume).status, 'unresolved');
+  // the last case in a volume with no last page has no upper bound
+  assert.equal(resolveTriple(triple(215), byVolume).status, 'unresolved');
+});
+
+test('cases sharing a page are ambiguous unless the cited name picks one', () => {
+  const byVolume = index([entry('a', 200, { name: 'Smith v Jones' }), entry('b', 200, { name: 'Matter of Brown' }), entry('c', 201)]);
+  const amb = resolveTriple(triple(200), byVolume);
+  assert.equal(amb.status, 'ambiguous');
+  assert.deepEqual(amb.candidates.map((c) => c.curie), ['a', 'b']);
+  const res = resolveTriple(triple(200, ['Brown v. Green']), byVolume);
+  assert.equal(res.status, 'resolved');
+  assert.equal(res.method, 'exact+name');
+  assert.equal(res.hit.curie, 'b');
+  // a name matching neither stays ambiguous
+  assert.equal(resolveTriple(triple(200, ['Doe v. Roe']), byVolume).status, 'ambiguous');
+});
+
+test('the same case under two cites counts once', () => {
+  const res = resolveTriple(triple(200), index([entry('a', 200), entry('a', 200)]));
+  assert.equal(res.status, 'resolved');
+  assert.equal(res.candidates.length, 1);
+});
+
+test('an unknown volume is unresolved', () => {
+  const res = resolveTriple({ ...triple(200), cited_volume: 21 }, index([entry('a', 200)]));
+  assert.deepEqual(res, { status: 'unresolved', method: null, hit: null, candidates: [] });
+});
+
+// Just the statements loadTriples, propagateResolutions and
+// insertExtractedCitations send, over extracted_citations rows and
+// citation_resolutions.
+function fakeAppDb() {
+  const db = { rows: [], resolutions: [] };
+  const sameTriple = (ec, r) => r.cited_reporter_norm === ec.cited_reporter_norm
+    && r.cited_volume === ec.cited_volume && r.cited_page === ec.cited_first_page;
+  const query = async (sql, params = []) => {
+    const s = sql.trim();
+    if (/^(?:BEGIN|COMMIT|ROLLBACK)$/.test(s)) return { rows: [], rowCount: 0 };
+    if (s.startsWith('DELETE FROM extracted_citations')) {
+      const before = db.rows.length;
+      db.rows = db.rows.filter((ec) => !(ec.citing_source_ref === params[0] && ec.citing_case_id === params[1]));
+      return { rows: [], rowCount: before - db.rows.length };
+    }
+    if (s.startsWith('INSERT INTO extracted_citations')) {
+      const [citing_source_ref, citing_case_id, , , , cited_volume, , cited_reporter_norm, cited_first_page] = params;
+      db.rows.push({ citing_source_ref, citing_case_id, cited_reporter_norm, cited_volume, cited_first_page, cited_curie: null, cited_source_ref: null });
+      return { rows: [], rowCount: 1 };
+    }
+    if (s.startsWith('SELECT ec.cited_reporter_norm')) {
+      const [all, norms] = params;
+      const triples = new Map();
+      for (const ec of db.rows) {
+        if (!norms.includes(ec.cited_reporter_norm)) continue;
+        if (!all && db.resolutions.some((r) => sameTriple(ec, r) && r.status === 'resolved')) continue;
+        const k = `${ec.cited_reporter_norm}|${ec.cited_volume}|${ec.cited_first_page}`;
+        if (!triples.has(k)) triples.set(k, { cited_reporter_norm: ec.cited_reporter_norm, cited_volume: ec.cited_volume, cited_page: ec.cited_first_page, mentions: 0, case_names: [] });
+        triples.get(k).mentions++;
+      }
+      return { rows: [...triples.values()] };
+    }
+    if (s.startsWith('UPDATE extracted_citations')) {
+      let rowCount = 0;
+      for (const ec of db.rows) {
+        const r = db.resolutions.find((x) => sameTriple(ec, x));
+        if (!r || (ec.cited_curie === r.cited_curie && ec.cited_source_ref === r.cited_source_ref)) continue;
+        ec.cited_curie = r.cited_curie;
+        ec.cited_source_ref = r.cited_source_ref;
+        rowCount++;
+      }
+      return { rows: [], rowCount };
+    }
+    throw new Error(`fakeAppDb: unexpected query ${s.slice(0, 60)}`);
+  };
+  return { db, query, connect: async () => ({ query, release() {} }) };
+}
+
+test('a case re-extracted after every triple resolved gets its curies back', async () => {
+  const repIndex = buildReporterIndex(await loadReporterConfig());
+  const items = extractCitationsFromText('See Smith v Jones, 20 AD3d 200 [2d Dept 2005].', repIndex);
+  const pool = fakeAppDb();
+  pool.db.resolutions.push({
+    cited_reporter_norm: 'AD3D', cited_volume: 20, cited_page: 200,
+    status: 'resolved', cited_curie: 'ad3d:20:200', cited_source_ref: 'ny_appellate',
+  });
+
+  await insertExtractedCitations(pool, 'ny_supreme', 7, 'orig-7', items);
+  let summary = await resolveExtractedCitations({ pool });
+  assert.equal(summary.triples, 0);
+  assert.equal(summary.rowsUpdated, 1);
+  assert.deepEqual(pool.db.rows.map((ec) => ec.cited_curie), ['ad3d:20:200']);
+
+  // Re-extraction deletes and re-inserts the case's rows, curie-less.
+  await insertExtractedCitations(pool, 'ny_supreme', 7, 'orig-7', items);
+  assert.deepEqual(pool.db.rows.map((ec) => ec.cited_curie), [null]);
+  summary = await resolveExtractedCitations({ pool });
+  assert.equal(summary.triples, 0);
+  assert.equal(summary.rowsUpdated, 1);
+  assert.deepEqual(pool.db.rows.map((ec) => [ec.cited_curie, ec.cited_source_ref]), [['ad3d:20:200', 'ny_appellate']]);
+
+  // --dry-run writes nothing.
+  await insertExtractedCitations(pool, 'ny_supreme', 7, 'orig-7', items);
+  assert.equal((await resolveExtractedCitations({ pool, dryRun: true })).rowsUpdated, 0);
+  assert.deepEqual(pool.db.rows.map((ec) => ec.cited_curie), [null]);
+});
@@ -0,0 +1,177 @@
+// exportGraph over a stand-in pool (no DB), and buildCitator against a
+// scratch Postgres when TEST_DATABASE_URL is set — the aggregation is SQL.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+import { buildCitator, exportGraph } from '../src/citator.js';
+
+const EDGES = [
+  {
+    citing_source_ref: 'ny_trial', citing_case_id: '7', citing_curie: null,
+    cited_curie: 'ny3d:5:5', cited_source_ref: 'ny_supreme', cited_name: 'Smith & Sons v "Jones" <Corp>',
+    mentions: 3, citing_opinions: 2, max_depth: 2,
+    citing_court: 'Sup Ct, Kings County', citing_year: 2005, signals: ['see', 'cf'],
+  },
+  {
+    citing_source_ref: 'ny_appellate', citing_case_id: '1', citing_curie: 'ad3d:1:1',
+    cited_curie: 'ny3d:5:5', cited_source_ref: 'ny_supreme', cited_name: 'Smith v Jones',
+    mentions: 1, citing_opinions: 1, max_depth: 1,
+    citing_court: 'App Div, "2d" Dept\nKings', citing_year: null, signals: [],
+  },
+];
+
+// One page of citator_edges, then the empty page that ends the export.
+function edgesPool(rows) {
+  let served = false;
+  return {
+    query: async () => {
+      if (served) return { rows: [] };
+      served = true;
+      return { rows };
+    },
+  };
+}
+
+let tmp;
+
+before(async () => { tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'citator-')); });
+after(async () => { await fs.rm(tmp, { recursive: true, force: true }); });
+
+test('CSV export quotes commas, quotes and line breaks', async () => {
+  const out = path.join(tmp, 'edges.csv');
+  const res = await exportGraph({ out, pool: edgesPool(EDGES) });
+  assert.deepEqual(res, { edges: 2, nodes: null });
+  assert.equal(await fs.readFile(out, 'utf8'), [
+    'source,target,mentions,citing_opinions,max_depth,citing_source_ref,citing_court,citing_year,cited_source_ref,signals',
+    'ny_trial:7,ny3d:5:5,3,2,2,ny_trial,"Sup Ct, Kings County",2005,ny_supreme,see;cf',
+    'ad3d:1:1,ny3d:5:5,1,1,1,ny_appellate,"App Div, ""2d"" Dept\nKings",,ny_supreme,',
+    '',
+  ].join('\n'));
+});
+
+test('GraphML export escapes markup and writes each node once', async () => {
+  const out = path.join(tmp, 'edges.graphml');
+  const res = await exportGraph({ out, format: 'graphml', pool: edgesPool(EDGES) });
+  assert.deepEqual(res, { edges: 2, nodes: 3 });
+  const xml = await fs.readFile(out, 'utf8');
+  assert.match(xml, /<node id="ny3d:5:5"><data key="source_ref">ny_supreme<\/data><data key="name">Smith &amp; Sons v &quot;Jones&quot; &lt;Corp&gt;<\/data><\/node>/);
+  assert.match(xml, /<node id="ny_trial:7"><data key="source_ref">ny_trial<\/data><data key="court">Sup Ct, Kings County<\/data><data key="year">2005<\/data><\/node>/);
+  // a null year is left out rather than written empty
+  assert.match(xml, /<node id="ad3d:1:1"><data key="source_ref">ny_appellate<\/data><data key="court">App Div, &quot;2d&quot; Dept\nKings<\/data><\/node>/);
+  assert.match(xml, /<edge source="ny_trial:7" target="ny3d:5:5"><data key="mentions">3<\/data><data key="citing_opinions">2<\/data><data key="max_depth">2<\/data><data key="signals">see;cf<\/data><\/edge>/);
+  assert.equal((xml.match(/<node /g) || []).length, 3);
+  assert.ok(xml.endsWith('  </graph>\n</graphml>\n'));
+});
+
+test('an unknown export format is refused before any output', async () => {
+  await assert.rejects(exportGraph({ out: path.join(tmp, 'x'), format: 'dot', pool: edgesPool([]) }), /Unknown format: dot/);
+});
+
+// ---------- build (needs Postgres) ----------
+
+const DB_URL = process.env.TEST_DATABASE_URL;
+const SCHEMA = `citator_test_${process.pid}`;
+
+// The same database, scoped to the test schema; fillCitingMeta opens its
+// own pool from sources.database_url, so the scope rides in the URL.
+function scoped(url) {
+  const u = new URL(url);
+  u.searchParams.set('options', `-c search_path=${SCHEMA}`);
+  return u.toString();
+}
+
+const X = 'ny3d:5:5';
+const Y = 'ny3d:6:6';
+
+async function seed(pool) {
+  await pool.query(`
+    CREATE TABLE extracted_citations (
+      citing_source_ref TEXT NOT NULL, citing_case_id BIGINT NOT NULL, case_name TEXT,
+      cited_reporter_norm TEXT, cited_volume INTEGER, cited_first_page INTEGER,
+      signal TEXT, sentence TEXT, parenthetical TEXT, citing_opinion_id BIGINT
+    );
+    CREATE TABLE sources (reference TEXT PRIMARY KEY, database_url TEXT);
+    CREATE TABLE cases (id BIGINT PRIMARY KEY, curie TEXT, court_name TEXT, decision_date TEXT);
+  `);
+  for (const f of ['citation_resolutions.sql', 'citator.sql']) {
+    await pool.query(await fs.readFile(new URL(`../sql/${f}`, import.meta.url), 'utf8'));
+  }
+  // ny_appellate is its own "source DB" here; ny_trial has none.
+  await pool.query('INSERT INTO sources VALUES ($1, $2)', ['ny_appellate', scoped(DB_URL)]);
+  await pool.query(`INSERT INTO cases VALUES (1, 'ad3d:1:1', 'App Div, 2d Dept', '2005-03-01'),
+                                             (3, 'ad3d:1:9', 'App Div, 2d Dept', '2006-01-10')`);
+  await pool.query(`INSERT INTO citation_resolutions (cited_reporter_norm, cited_volume, cited_page, status, cited_curie, cited_source_ref, cited_case_id)
+                    VALUES ('MISC3D', 2, 2, 'resolved', 'misc3d:2:2', 'ny_trial', 2)`);
+
+  // [citing_source_ref, citing_case_id, citing_opinion_id, cited_curie, signal]
+  const mentions = [
+    ['ny_appellate', 1, 10, X, 'see'],
+    ['ny_appellate', 1, 10, X, null],
+    ['ny_appellate', 1, 11, X, 'cf'],         // the dissent
+    ['ny_appellate', 1, 10, Y, null],
+    ['ny_appellate', 1, 11, Y, null],
+    ['ny_appellate', 1, 10, 'ad3d:1:1', null], // its own parallel cite
+    ['ny_trial', 2, 20, 'misc3d:2:2', null],   // ditto, with no source DB to name it
+    ['ny_trial', 2, 20, X, null],
+    ['ny_appellate', 3, null, X, null],        // extracted before citing_opinion_id
+    ['ny_appellate', 3, null, X, null],
+  ];
+  for (const [ref, caseId, opinionId, curie, signal] of mentions) {
+    const [norm, vol, page] = curie.split(':');
+    await pool.query(
+      `INSERT INTO extracted_citations (citing_source_ref, citing_case_id, citing_opinion_id, signal,
+                                        cited_reporter_norm, cited_volume, cited_first_page, cited_curie, cited_source_ref)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [ref, caseId, opinionId, signal, norm.toUpperCase(), Number(vol), Number(page), curie, 'ny_supreme']
+    );
+  }
+}
+
+test('build: edges and stats count citing cases, opinions and depth per opinion', { skip: !DB_URL && 'set TEST_DATABASE_URL to a scratch Postgres' }, async () => {
+  const admin = new pg.Pool({ connectionString: DB_URL });
+  const pool = new pg.Pool({ connectionString: scoped(DB_URL) });
+  try {
+    await admin.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE; CREATE SCHEMA ${SCHEMA}`);
+    await seed(pool);
+    assert.deepEqual(await buildCitator({ pool }), { edges: 6, cases: 2 });
+
+    const { rows: edges } = await pool.query(
+      `SELECT citing_source_ref, citing_case_id::int, cited_curie, citing_curie, citing_year,
+              mentions, citing_opinions, max_depth, signals
+         FROM citator_edges ORDER BY cited_curie, citing_source_ref, citing_case_id`
+    );
+    assert.deepEqual(edges, [
+      { citing_source_ref: 'ny_appellate', citing_case_id: 1, cited_curie: X, citing_curie: 'ad3d:1:1', citing_year: 2005, mentions: 3, citing_opinions: 2, max_depth: 2, signals: ['cf', 'see'] },
+      { citing_source_ref: 'ny_appellate', citing_case_id: 3, cited_curie: X, citing_curie: 'ad3d:1:9', citing_year: 2006, mentions: 2, citing_opinions: 1, max_depth: 2, signals: [] },
+      { citing_source_ref: 'ny_trial', citing_case_id: 2, cited_curie: X, citing_curie: null, citing_year: null, mentions: 1, citing_opinions: 1, max_depth: 1, signals: [] },
+      { citing_source_ref: 'ny_appellate', citing_case_id: 1, cited_curie: Y, citing_curie: 'ad3d:1:1', citing_year: 2005, mentions: 2, citing_opinions: 2, max_depth: 1, signals: [] },
+    ]);
+
+    const { rows: stats } = await pool.query(
+      `SELECT cited_curie, times_cited, citing_opinions, mentions, avg_depth::text, max_depth,
+              by_court, by_year, first_cited_year, last_cited_year
+         FROM citator_stats ORDER BY cited_curie`
+    );
+    assert.deepEqual(stats, [
+      {
+        cited_curie: X, times_cited: 3, citing_opinions: 4, mentions: 6, avg_depth: '1.50', max_depth: 2,
+        by_court: { 'App Div, 2d Dept': 2, unknown: 1 }, by_year: { 2005: 1, 2006: 1, unknown: 1 },
+        first_cited_year: 2005, last_cited_year: 2006,
+      },
+      {
+        // cited by the majority and the dissent of one case
+        cited_curie: Y, times_cited: 1, citing_opinions: 2, mentions: 2, avg_depth: '1.00', max_depth: 1,
+        by_court: { 'App Div, 2d Dept': 1 }, by_year: { 2005: 1 },
+        first_cited_year: 2005, last_cited_year: 2005,
+      },
+    ]);
+  } finally {
+    await pool.end();
+    await admin.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+    await admin.end();
+  }
+});
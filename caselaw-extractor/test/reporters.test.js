@@ -0,0 +1,57 @@
+// configs/reporters.json routing: series, years, target jurisdictions and
+// session laws.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadReporterConfig,
+  buildReporterIndex,
+  reporterNormsFor,
+  seriesForYear,
+  extractCitationsFromText,
+} from '../src/citation_extractor.js';
+
+let repIndex;
+
+before(async () => { repIndex = buildReporterIndex(await loadReporterConfig()); });
+
+// [reporter_norm, volume, first_page]
+function cites(text) {
+  return extractCitationsFromText(text, repIndex).map((r) => [r.cited_reporter_norm, r.cited_volume, r.cited_first_page]);
+}
+
+test('longer reporter tokens win over their prefixes', () => {
+  assert.deepEqual(cites('10 Misc. 3d 5; 20 F. Supp. 2d 30; 40 L. Ed. 2d 50.'), [
+    ['MISC3D', 10, 5], ['FSUPP2D', 20, 30], ['LED2D', 40, 50],
+  ]);
+});
+
+test('single-letter regional reporters need their dot', () => {
+  assert.deepEqual(cites('Exhibit 3 A 12 and Schedule 2 P 4. So 3 So 4.'), []);
+  assert.deepEqual(cites('Doe v. Roe, 120 A. 45 (1923); Doe v. Roe, 20 P. 4 (1889); Doe v. Roe, 30 So. 7 (1901).'), [
+    ['A', 120, 45], ['P', 20, 4], ['SO', 30, 7],
+  ]);
+});
+
+test('seriesForYear supplies a missing series but keeps one the writer gave', () => {
+  assert.equal(seriesForYear(repIndex, 'NYS', 1995), 'NYS2D');
+  assert.equal(seriesForYear(repIndex, 'NYS', 1920), 'NYS');
+  assert.equal(seriesForYear(repIndex, 'NYS', null), 'NYS');
+  assert.equal(seriesForYear(repIndex, 'NY3D', 2002), 'NY3D');
+  assert.deepEqual(cites('Doe v. Roe, 123 N.Y.S. 456 [1995].'), [['NYS2D', 123, 456]]);
+  assert.deepEqual(cites('Doe v. Roe, 12 NY3d 99 [2002].'), [['NY3D', 12, 99]]);
+});
+
+test('session laws store the year as volume and the chapter as page', () => {
+  const [r] = extractCitationsFromText('The amendment (L 1998, ch 600, § 2) applies.', repIndex);
+  assert.deepEqual([r.cited_reporter_norm, r.cited_volume, r.cited_first_page, r.cited_jurisdiction], ['L', 1998, 600, 'ny_statute']);
+  assert.deepEqual(cites('See L. 2004, chapter 12.'), [['L', 2004, 12]]);
+});
+
+test('cited_jurisdiction and resolver routing', () => {
+  const got = extractCitationsFromText('Doe v. Roe, 10 N.Y.3d 100; Doe v. Roe, 410 U.S. 113; Doe v. Roe, 120 A.2d 45.', repIndex);
+  assert.deepEqual(got.map((r) => r.cited_jurisdiction), ['ny', 'federal', 'regional']);
+  const ny = reporterNormsFor(repIndex, 'ny_cases');
+  for (const norm of ['NY3D', 'AD2D', 'MISC3D', 'NYS2D', 'NE2D']) assert.ok(ny.includes(norm), norm);
+  for (const norm of ['US', 'F3D', 'A2D', 'L']) assert.ok(!ny.includes(norm), norm);
+});
@@ -0,0 +1,33 @@
+/**
+ * NY county → Appellate Division department, the one table both extractors
+ * use to fill a payload's court_department from a recited county:
+ * bound-volume-extractor/src/department.js (text-based AD resolution) and
+ * slip-op-extractor/src/case_details.js (the lower-court county).
+ *
+ * Keys are lower-cased county names ("new york", "st. lawrence").
+ *
+ * Usage:
+ *   import { COUNTY_DEPT } from '../ingest-client/county_department.js';
+ *   COUNTY_DEPT['kings'] // → 2
+ */
+
+// Verified against the NY Board of Law Examiners county list (which
+// misspells NY's "Allegany" as "Allegheny" — corrected here). Stable for the
+// whole 1896-present range: no county has ever crossed a department
+// boundary, so no date-conditional logic is needed.
+export const COUNTY_DEPT = {
+  'new york': 1, 'bronx': 1,
+  'kings': 2, 'queens': 2, 'richmond': 2, 'nassau': 2, 'suffolk': 2,
+  'westchester': 2, 'dutchess': 2, 'orange': 2, 'putnam': 2, 'rockland': 2,
+  'albany': 3, 'broome': 3, 'chemung': 3, 'chenango': 3, 'clinton': 3,
+  'columbia': 3, 'cortland': 3, 'delaware': 3, 'essex': 3, 'franklin': 3,
+  'fulton': 3, 'greene': 3, 'hamilton': 3, 'madison': 3, 'montgomery': 3,
+  'otsego': 3, 'rensselaer': 3, 'st. lawrence': 3, 'saratoga': 3,
+  'schenectady': 3, 'schoharie': 3, 'schuyler': 3, 'sullivan': 3, 'tioga': 3,
+  'tompkins': 3, 'ulster': 3, 'warren': 3, 'washington': 3,
+  'allegany': 4, 'cattaraugus': 4, 'cayuga': 4, 'chautauqua': 4, 'erie': 4,
+  'genesee': 4, 'herkimer': 4, 'jefferson': 4, 'lewis': 4, 'livingston': 4,
+  'monroe': 4, 'niagara': 4, 'oneida': 4, 'onondaga': 4, 'ontario': 4,
+  'orleans': 4, 'oswego': 4, 'seneca': 4, 'steuben': 4, 'wayne': 4,
+  'wyoming': 4, 'yates': 4,
+};
@@ -0,0 +1,463 @@
+/**
+ * Bulk-ingest client shared by bound-volume-extractor/upload.js and
+ * slip-op-extractor/upload.js.
+ *
+ * Everything the two uploaders do identically lives here — arg parsing,
+ * base-URL resolution, the Phoenix session + CSRF login, the HTTP client,
+ * the existing-SHA index behind --skip-existing, terminal-status polling and
+ * the per-file upload loop with its summary. Each uploader keeps only what
+ * differs: how it discovers files (out/<vol>/cases.json vs
+ * compiled/<source>-<window>.json) and how it maps a file to a source ref.
+ *
+ * Auth: co-backend uses Phoenix session + CSRF (the old co-collection
+ * bearer-token flow is gone). `login()` POSTs /api/auth/login, stashes the
+ * _curia_obscura_backend_key cookie from Set-Cookie, then re-fetches the
+ * CSRF token (see the note in login()). Subsequent admin calls send both
+ * `Cookie:` and `X-CSRF-Token:` headers.
+ *
+ * Status enum (auto-apply on validation pass):
+ *   uploaded → applying → applied | needs_review | failed
+ *
+ * Before anything is POSTed, runUploads checks each payload against the
+ * versioned JSON Schema (payload_schema.js, schema/) and holds back files
+ * that would be rejected; --no-validate sends them anyway.
+ *
+ * mock_backend.js in this directory implements the same endpoints in-process
+ * so `upload --wait` can run end to end with no network (see test/).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { Blob } from 'node:buffer';
+import { validatePayload } from './payload_schema.js';
+
+// -------- args --------
+
+export function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      if (eq === -1) flags[arg.slice(2)] = true;
+      else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+export function bool(v) { return v === true || v === 'true' || v === '1'; }
+
+// -------- target resolution --------
+
+// --target=… → base URL. Hostnames match the co-backend Fly app names;
+// bump if those ever change.
+export const TARGET_URLS = {
+  local:   'http://localhost:4000',
+  staging: 'https://curia-backend-staging.fly.dev',
+  prod:    'https://curia-obscura-backend.fly.dev',
+};
+
+export function resolveTargetUrl(target) {
+  if (!target) return null;
+  return TARGET_URLS[String(target).toLowerCase()] || null;
+}
+
+/**
+ * Explicit --base-url and CO_BACKEND_URL win over --target so existing CI
+ * scripts keep their behavior; local is the default.
+ */
+export function resolveBaseUrl(flags) {
+  return flags['base-url']
+    || process.env.CO_BACKEND_URL
+    || resolveTargetUrl(flags.target)
+    || TARGET_URLS.local;
+}
+
+// -------- HTTP --------
+
+export const SESSION_COOKIE_NAME = '_curia_obscura_backend_key';
+
+function sessionCookieFrom(res) {
+  // Set-Cookie may concatenate multiple cookies — pull the session one by name.
+  const setCookie = res.headers.get('set-cookie') || '';
+  const m = setCookie.match(new RegExp(`${SESSION_COOKIE_NAME}=([^;,\\s]+)`));
+  return m ? m[1] : null;
+}
+
+async function readBody(res) {
+  const ct = res.headers.get('content-type') || '';
+  return ct.includes('application/json')
+    ? await res.json().catch(() => null)
+    : await res.text();
+}
+
+function httpError(label, res, payload) {
+  const detail = typeof payload === 'object' && payload
+    ? (payload.error || payload.message || JSON.stringify(payload))
+    : payload;
+  const err = new Error(`${label} → HTTP ${res.status}: ${detail}`);
+  err.status = res.status;
+  err.payload = payload;
+  return err;
+}
+
+export class IngestClient {
+  constructor({ baseUrl }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.sessionCookie = null;
+    this.csrfToken = null;
+  }
+
+  authHeaders() {
+    const h = {};
+    if (this.sessionCookie) h['Cookie'] = `${SESSION_COOKIE_NAME}=${this.sessionCookie}`;
+    if (this.csrfToken) h['X-CSRF-Token'] = this.csrfToken;
+    return h;
+  }
+
+  async login(email, password) {
+    const res = await fetch(`${this.baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Admin login failed (HTTP ${res.status}): ${text}`);
+    }
+    this.sessionCookie = sessionCookieFrom(res);
+    if (!this.sessionCookie) {
+      throw new Error(`Admin login succeeded but no ${SESSION_COOKIE_NAME} cookie returned`);
+    }
+    // Phoenix's auth/login doesn't persist `_csrf_token` into the session
+    // cookie it sends back (the `get_csrf_token()` call mutates a local conn
+    // that doesn't make it into the response pipeline). So the login-response
+    // token is bound to nothing the server can verify. Fix: GET /api/csrf_token
+    // with the login cookie. That call generates a token AND mutates the
+    // session, producing a Set-Cookie whose new session payload carries the
+    // matching `_csrf_token`. Both the new cookie AND the new token must be
+    // captured for subsequent calls to validate.
+    const csrfRes = await fetch(`${this.baseUrl}/api/csrf_token`, {
+      headers: { Cookie: `${SESSION_COOKIE_NAME}=${this.sessionCookie}` },
+    });
+    if (!csrfRes.ok) {
+      throw new Error(`Failed to fetch post-login CSRF token (HTTP ${csrfRes.status})`);
+    }
+    this.sessionCookie = sessionCookieFrom(csrfRes) || this.sessionCookie;
+    const csrfPayload = await csrfRes.json().catch(() => null);
+    if (!csrfPayload || !csrfPayload.csrf_token) {
+      throw new Error('CSRF token endpoint returned no csrf_token');
+    }
+    this.csrfToken = csrfPayload.csrf_token;
+  }
+
+  async request(method, p, { json, query } = {}) {
+    const qs = query ? '?' + new URLSearchParams(query).toString() : '';
+    const headers = { ...this.authHeaders() };
+    let body;
+    if (json !== undefined) {
+      headers['content-type'] = 'application/json';
+      body = JSON.stringify(json);
+    }
+    const res = await fetch(`${this.baseUrl}${p}${qs}`, { method, headers, body });
+    const payload = await readBody(res);
+    if (!res.ok) throw httpError(`${method} ${p}`, res, payload);
+    return payload;
+  }
+
+  /** POST one payload file; resolves to the created ingestion row. */
+  async upload(filePath, fileName, sourceRef) {
+    if (!sourceRef) {
+      throw new Error(`upload(${fileName}) requires a source ref — the server now strictly requires ?source=<ref>`);
+    }
+    const buf = await readFile(filePath);
+    const fd = new FormData();
+    fd.append('file', new Blob([buf], { type: 'application/json' }), fileName);
+    const qs = `?${new URLSearchParams({ source: sourceRef })}`;
+    const res = await fetch(`${this.baseUrl}/admin/api/bulk-ingest/upload${qs}`, {
+      method: 'POST',
+      headers: this.authHeaders(),
+      body: fd,
+    });
+    const payload = await readBody(res);
+    if (!res.ok) throw httpError(`upload ${fileName}`, res, payload);
+    return payload.ingestion;
+  }
+
+  async get(id) {
+    // Server wraps as { ingestion: {...} }. Unwrap for caller convenience —
+    // mirrors `upload()` which already returns `payload.ingestion`.
+    const payload = await this.request('GET', `/admin/api/bulk-ingest/${id}`);
+    return payload?.ingestion ?? payload;
+  }
+
+  list({ source, status, limit = 200 } = {}) {
+    const query = { limit: String(limit) };
+    if (source) query.source = source;
+    if (status) query.status = status;
+    return this.request('GET', '/admin/api/bulk-ingest', { query });
+  }
+}
+
+/**
+ * Log in when the command will talk to the API. `list` without creds, and
+ * `--dry-run` without `--skip-existing`, both stay local and return null.
+ */
+export async function connectFromFlags(cmd, flags) {
+  const haveAnyCred = !!(flags.email || process.env.CO_ADMIN_EMAIL);
+  const isDryNoCheck = bool(flags['dry-run']) && !bool(flags['skip-existing']);
+  if ((cmd === 'list' && !haveAnyCred) || isDryNoCheck) return null;
+
+  const email = flags.email || process.env.CO_ADMIN_EMAIL;
+  const password = flags.password || process.env.CO_ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new Error('Missing credentials: pass --email=… --password=… (or set CO_ADMIN_EMAIL + CO_ADMIN_PASSWORD)');
+  }
+  const client = new IngestClient({ baseUrl: resolveBaseUrl(flags) });
+  await client.login(email, password);
+  return client;
+}
+
+// -------- existing-ingestion lookup (for --skip-existing) --------
+
+// All non-failed rows block re-upload of the same SHA.
+export const TERMINAL_BLOCKING_STATUSES = new Set([
+  'uploaded',
+  'applying',
+  'applied',
+  'needs_review',
+]);
+
+export const TERMINAL_FINAL_STATUSES = new Set([
+  'applied', 'failed', 'needs_review',
+]);
+
+/**
+ * sha256 → newest blocking ingestion row, across the recent ingestions of
+ * each source ref we'll touch. The list endpoint caps at 200 per call,
+ * which is plenty for a single source under our current cadence.
+ */
+export async function buildExistingIndex(client, sourceRefs) {
+  const index = new Map();
+  for (const ref of sourceRefs) {
+    let res;
+    try {
+      res = await client.list({ source: ref, limit: 200 });
+    } catch (err) {
+      console.warn(`[skip-existing] could not list ${ref}: ${err.message}`);
+      continue;
+    }
+    for (const row of res.ingestions || []) {
+      if (!row.source_pdf_sha256) continue;
+      if (!TERMINAL_BLOCKING_STATUSES.has(row.status)) continue;
+      // Keep newest (list returns DESC by created_at — first wins).
+      if (!index.has(row.source_pdf_sha256)) {
+        index.set(row.source_pdf_sha256, row);
+      }
+    }
+  }
+  return index;
+}
+
+// -------- waiter --------
+
+export async function waitForTerminal(client, id, { intervalMs, timeoutMs }) {
+  const started = Date.now();
+  while (true) {
+    const row = await client.get(id);
+    if (TERMINAL_FINAL_STATUSES.has(row.status)) return row;
+    if (Date.now() - started > timeoutMs) {
+      const err = new Error(`Wait timed out after ${Math.round(timeoutMs / 1000)}s (status=${row.status})`);
+      err.lastRow = row;
+      throw err;
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+}
+
+// -------- payload metadata --------
+
+/** Header fields of a parsed payload. */
+export function payloadMeta(obj) {
+  return {
+    sha256: obj.source_pdf_sha256 || null,
+    batchId: obj.batch_id || null,
+    targetSourceDb: obj.target_source_db || null,
+    schemaVersion: obj.schema_version || null,
+    parserVersion: obj.parser_version || null,
+    cases: Array.isArray(obj.cases) ? obj.cases.length : 0,
+  };
+}
+
+/**
+ * Header fields of a payload file. The schema doesn't guarantee
+ * header-first ordering, so this is a full parse (payloads are 0.2–6 MB;
+ * trivial for Node).
+ */
+export async function readPayloadMeta(filePath) {
+  return payloadMeta(JSON.parse(await readFile(filePath, 'utf8')));
+}
+
+// -------- upload loop --------
+
+const validationItems = (v) => v?.items || (Array.isArray(v) ? v : []);
+
+/**
+ * Upload `items` in order: [{ label, path, fileName, size, sourceRef,
+ * sourceError? }]. Honors --dry-run, --wait, --skip-existing,
+ * --no-validate, --poll-interval and --poll-timeout. Prints one line per
+ * item and a summary; returns the summary counts. Local schema failures
+ * count under "with validation errors", same as server-side ones.
+ */
+export async function runUploads(client, items, flags) {
+  const dryRun = bool(flags['dry-run']);
+  const wait = bool(flags.wait);
+  const skipExisting = bool(flags['skip-existing']);
+  const validate = !bool(flags['no-validate']);
+  const intervalMs = parseInt(flags['poll-interval'] || '3000', 10);
+  const timeoutMs = parseInt(flags['poll-timeout'] || '600', 10) * 1000;
+
+  let existingIndex = null;
+  if (skipExisting && client) {
+    const refs = [...new Set(items.map(it => it.sourceRef).filter(Boolean))];
+    existingIndex = await buildExistingIndex(client, refs);
+    console.log(`[skip-existing] indexed ${existingIndex.size} prior ingestions across ${refs.length} source(s)`);
+  }
+
+  const summary = { uploaded: 0, skipped: 0, failed: 0, validationErrors: 0, applied: 0, needsReview: 0 };
+  let i = 0;
+  for (const it of items) {
+    i++;
+    const tag = `[${i}/${items.length}] ${it.label}`;
+    let doc;
+    try {
+      doc = JSON.parse(await readFile(it.path, 'utf8'));
+    } catch (err) {
+      console.error(`${tag} failed to read payload: ${err.message}`);
+      summary.failed++;
+      continue;
+    }
+    const meta = payloadMeta(doc);
+
+    if (existingIndex && meta.sha256) {
+      const hit = existingIndex.get(meta.sha256);
+      if (hit) {
+        console.log(`${tag} skip — already ingested (id=${hit.id}, status=${hit.status})`);
+        summary.skipped++;
+        continue;
+      }
+    }
+
+    if (!it.sourceRef) {
+      console.error(`${tag} ${it.sourceError || 'cannot resolve source ref'}; pass --source=<ref> to override`);
+      summary.failed++;
+      continue;
+    }
+
+    if (validate) {
+      const { errors } = validatePayload(doc);
+      if (errors.length) {
+        summary.validationErrors++;
+        console.error(`${tag} fails schema ${meta.schemaVersion ?? '?'} locally — ${errors.length} violation(s), NOT uploaded (--no-validate sends it anyway)`);
+        for (const e of errors.slice(0, 3)) {
+          console.error(`${tag}     ${e.pointer || '(root)'}: ${e.message}`);
+        }
+        continue;
+      }
+    }
+
+    if (dryRun) {
+      console.log(`${tag} dry-run — would upload ${meta.cases} cases (${(it.size / 1024 / 1024).toFixed(1)} MiB), source=${it.sourceRef}, schema=${meta.schemaVersion}`);
+      continue;
+    }
+
+    let ingestion;
+    try {
+      ingestion = await client.upload(it.path, it.fileName, it.sourceRef);
+    } catch (err) {
+      console.error(`${tag} upload failed: ${err.message}`);
+      // Surface validation errors when the server returned them on a 422.
+      const vErrs = validationItems(err.payload?.ingestion?.validation_errors || err.payload?.validation_errors);
+      if (vErrs.length) {
+        for (const e of vErrs.slice(0, 3)) {
+          console.error(`${tag}     ${e.path || e.field || ''}: ${e.message}`);
+        }
+        summary.validationErrors++;
+      } else {
+        summary.failed++;
+      }
+      continue;
+    }
+    summary.uploaded++;
+    // Server wraps errors/warnings as { items: [...] } to keep JSON shape flat-ish.
+    const errors = validationItems(ingestion.validation_errors);
+    const warnCount = validationItems(ingestion.validation_warnings).length;
+    const counts = ingestion.metrics?.counts || {};
+    console.log(
+      `${tag} uploaded id=${ingestion.id} source=${ingestion.source_ref} status=${ingestion.status} ` +
+      `cases=${counts.cases ?? '?'} ops=${counts.opinions ?? '?'} ` +
+      `cites=${counts.citations ?? '?'} errs=${errors.length} warns=${warnCount}`
+    );
+
+    if (errors.length > 0) {
+      summary.validationErrors++;
+      console.warn(`${tag}   has ${errors.length} validation error(s) — left at status=uploaded, NOT enqueued`);
+      for (const e of errors.slice(0, 3)) {
+        console.warn(`${tag}     ${e.path || e.field || ''}: ${e.message}`);
+      }
+      continue;
+    }
+
+    if (!wait) continue;
+
+    try {
+      const final = await waitForTerminal(client, ingestion.id, { intervalMs, timeoutMs });
+      const dur = final.completed_at && final.started_at
+        ? `${Math.round((new Date(final.completed_at) - new Date(final.started_at)) / 1000)}s`
+        : '?';
+      if (final.status === 'applied') {
+        summary.applied++;
+        console.log(`${tag}   ✓ applied in ${dur}`);
+      } else if (final.status === 'needs_review') {
+        summary.needsReview++;
+        const queued = final.result_json?.cases_queued ?? '?';
+        console.log(`${tag}   ⌛ needs_review in ${dur} — ${queued} fuzzy candidate(s) await review at /admin/case-matches`);
+      } else {
+        summary.failed++;
+        console.error(`${tag}   ✗ ended status=${final.status}: ${final.error_message || '(no error message)'}`);
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`${tag}   wait error: ${err.message}`);
+    }
+  }
+
+  console.log('');
+  console.log('Summary:');
+  console.log(`  uploaded:                ${summary.uploaded}`);
+  console.log(`  skipped (existing):      ${summary.skipped}`);
+  console.log(`  with validation errors:  ${summary.validationErrors}`);
+  console.log(`  applied:                 ${summary.applied}`);
+  console.log(`  needs_review:            ${summary.needsReview}`);
+  console.log(`  failed:                  ${summary.failed}`);
+  return summary;
+}
+
+/** Render the ingestion-state table rows for `list` (both uploaders). */
+export async function printIngestionStates(client, entries, { width = 45, heading = 'payload' } = {}) {
+  const refs = [...new Set(entries.map(e => e.sourceRef).filter(Boolean))];
+  const idx = await buildExistingIndex(client, refs);
+  console.log(`local payloads: ${entries.length}    existing ingestions indexed: ${idx.size}`);
+  console.log(`${heading.padEnd(width)}  ${'size'.padStart(10)}  ${'status'.padEnd(14)}  ingestion`);
+  for (const e of entries) {
+    let meta;
+    try { meta = await readPayloadMeta(e.path); } catch { meta = {}; }
+    const hit = meta.sha256 ? idx.get(meta.sha256) : null;
+    console.log(
+      `${e.label.padEnd(width)}  ${String(Math.round(e.size / 1024)).padStart(6)} KiB  ` +
+      `${(hit ? hit.status : '—').padEnd(14)}  ${hit ? `id=${hit.id}` : ''}`
+    );
+  }
+}
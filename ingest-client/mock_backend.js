@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * In-process mock of co-backend's bulk-ingest API, for running the
+ * uploaders end to end with no network.
+ *
+ * Endpoints (same paths, status codes and shapes the client relies on):
+ *   POST /api/auth/login                 { email, password } → session cookie + csrf_token
+ *   GET  /api/csrf_token                 rotates the session cookie, returns the
+ *                                        csrf_token bound to it (the Phoenix quirk
+ *                                        IngestClient.login works around)
+ *   POST /admin/api/bulk-ingest/upload?source=<ref>   multipart `file`
+ *   GET  /admin/api/bulk-ingest?source=&status=&limit=
+ *   GET  /admin/api/bulk-ingest/:id
+ *
+ * Admin calls need the session cookie AND the matching X-CSRF-Token (403
+ * otherwise). Uploads are validated against the same JSON Schema the
+ * uploaders check locally (payload_schema.js), and a file whose
+ * source_pdf_sha256 already has a non-failed ingestion is refused with 409.
+ *
+ * A valid upload starts at `uploaded`; each GET of it advances one step,
+ * uploaded → applying → <outcome>, so `--wait` sees every transition. The
+ * outcome is 'applied' unless `outcome(payload)` (or --outcome=) says
+ * 'needs_review' or 'failed'. Uploads with validation errors stay at
+ * `uploaded`, as on the real server.
+ *
+ *   node mock_backend.js [--port=4000] [--email=admin@local] [--password=changeme]
+ *                        [--outcome=applied|needs_review|failed]
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { SESSION_COOKIE_NAME, TERMINAL_BLOCKING_STATUSES, parseArgs } from './index.js';
+import { validatePayload as validateAgainstPayloadSchema } from './payload_schema.js';
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/** The `file` part of a multipart/form-data body, or null. */
+function multipartFile(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!m) return null;
+  const delim = Buffer.from(`--${m[1] || m[2]}`);
+  let start = buf.indexOf(delim);
+  while (start !== -1) {
+    const next = buf.indexOf(delim, start + delim.length);
+    if (next === -1) break;
+    const part = buf.subarray(start + delim.length, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      if (/name="file"/i.test(headers)) {
+        const nameM = /filename="([^"]*)"/i.exec(headers);
+        // Strip the CRLF that precedes the next delimiter.
+        return { filename: nameM ? nameM[1] : null, data: part.subarray(headerEnd + 4, part.length - 2) };
+      }
+    }
+    start = next;
+  }
+  return null;
+}
+
+function cookieValue(req) {
+  const m = new RegExp(`${SESSION_COOKIE_NAME}=([^;,\\s]+)`).exec(req.headers.cookie || '');
+  return m ? m[1] : null;
+}
+
+// Server-side rows carry { path, message } items.
+function validatePayload(payload) {
+  return validateAgainstPayloadSchema(payload).errors
+    .map(e => ({ path: e.pointer, message: e.message }));
+}
+
+/**
+ * Create a mock backend. Returns { server, listen(port=0) → base URL,
+ * close(), ingestions } — `ingestions` is the live id → row map, for
+ * assertions.
+ */
+export function createMockBackend({ email = 'admin@local', password = 'changeme', outcome = () => 'applied' } = {}) {
+  const sessions = new Map();   // session cookie → csrf token (null until fetched)
+  const ingestions = new Map(); // id → row
+  let nextId = 1;
+
+  const isAuthed = (req) => {
+    const sid = cookieValue(req);
+    return sid && sessions.has(sid) && sessions.get(sid) && req.headers['x-csrf-token'] === sessions.get(sid);
+  };
+
+  const advance = (row) => {
+    const now = new Date().toISOString();
+    if (row.status === 'uploaded' && !row.validation_errors.items.length) {
+      row.status = 'applying';
+      row.started_at = now;
+    } else if (row.status === 'applying') {
+      row.status = row._outcome;
+      row.completed_at = now;
+      if (row.status === 'needs_review') row.result_json = { cases_queued: row.metrics.counts.cases };
+      if (row.status === 'failed') row.error_message = 'mock backend: apply failed';
+      if (row.status === 'applied') row.result_json = { cases_applied: row.metrics.counts.cases };
+    }
+  };
+
+  const publicRow = ({ _outcome, ...row }) => row;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://mock');
+
+      if (req.method === 'POST' && url.pathname === '/api/auth/login') {
+        let creds = null;
+        try { creds = JSON.parse((await readRequestBody(req)).toString('utf8')); } catch { /* fall through */ }
+        if (!creds || creds.email !== email || creds.password !== password) {
+          return send(res, 401, { error: 'invalid credentials' });
+        }
+        const sid = randomUUID();
+        sessions.set(sid, null);
+        // The login-response token is bound to nothing, as on the real server.
+        return send(res, 200, { csrf_token: randomUUID() }, { 'set-cookie': `${SESSION_COOKIE_NAME}=${sid}; path=/; HttpOnly` });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/csrf_token') {
+        const sid = cookieValue(req);
+        if (!sid || !sessions.has(sid)) return send(res, 401, { error: 'not logged in' });
+        sessions.delete(sid);
+        const rotated = randomUUID();
+        const token = randomUUID();
+        sessions.set(rotated, token);
+        return send(res, 200, { csrf_token: token }, { 'set-cookie': `${SESSION_COOKIE_NAME}=${rotated}; path=/; HttpOnly` });
+      }
+
+      if (url.pathname.startsWith('/admin/api/bulk-ingest')) {
+        if (!isAuthed(req)) return send(res, 403, { error: 'invalid CSRF token or session' });
+
+        if (req.method === 'POST' && url.pathname === '/admin/api/bulk-ingest/upload') {
+          const source = url.searchParams.get('source');
+          if (!source) return send(res, 400, { error: 'source query param is required' });
+          const file = multipartFile(await readRequestBody(req), req.headers['content-type']);
+          if (!file) return send(res, 400, { error: 'multipart field "file" is required' });
+          let payload = null;
+          let errors;
+          try {
+            payload = JSON.parse(file.data.toString('utf8'));
+            errors = validatePayload(payload);
+          } catch (e) {
+            errors = [{ path: '', message: `invalid JSON: ${e.message}` }];
+          }
+          const sha = payload?.source_pdf_sha256 || null;
+          const dup = sha && [...ingestions.values()].find(r =>
+            r.source_pdf_sha256 === sha && r.source_ref === source && TERMINAL_BLOCKING_STATUSES.has(r.status));
+          if (dup) return send(res, 409, { error: `already ingested as id=${dup.id}`, ingestion: publicRow(dup) });
+
+          const cases = Array.isArray(payload?.cases) ? payload.cases : [];
+          const row = {
+            id: nextId++,
+            source_ref: source,
+            status: 'uploaded',
+            file_name: file.filename,
+            batch_id: payload?.batch_id || null,
+            source_pdf_sha256: sha,
+            metrics: {
+              counts: {
+                cases: cases.length,
+                opinions: cases.reduce((n, c) => n + (c.opinions?.length || 0), 0),
+                citations: cases.reduce((n, c) => n + (c.citations?.length || 0), 0),
+              },
+            },
+            validation_errors: { items: errors },
+            validation_warnings: { items: [] },
+            result_json: null,
+            error_message: null,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            completed_at: null,
+            _outcome: errors.length ? 'uploaded' : outcome(payload),
+          };
+          ingestions.set(row.id, row);
+          return send(res, 201, { ingestion: publicRow(row) });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/admin/api/bulk-ingest') {
+          const source = url.searchParams.get('source');
+          const status = url.searchParams.get('status');
+          const limit = parseInt(url.searchParams.get('limit') || '200', 10);
+          const rows = [...ingestions.values()]
+            .filter(r => (!source || r.source_ref === source) && (!status || r.status === status))
+            .reverse()   // DESC by created_at
+            .slice(0, limit)
+            .map(publicRow);
+          return send(res, 200, { ingestions: rows });
+        }
+
+        const idM = /^\/admin\/api\/bulk-ingest\/(\d+)$/.exec(url.pathname);
+        if (req.method === 'GET' && idM) {
+          const row = ingestions.get(parseInt(idM[1], 10));
+          if (!row) return send(res, 404, { error: 'not found' });
+          const snapshot = publicRow(row);
+          advance(row);
+          return send(res, 200, { ingestion: snapshot });
+        }
+      }
+
+      send(res, 404, { error: `no route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      send(res, 500, { error: e.message });
+    }
+  });
+
+  return {
+    server,
+    ingestions,
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+// -------- entry --------
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const { flags } = parseArgs(process.argv.slice(2));
+  const fixed = flags.outcome ? String(flags.outcome) : 'applied';
+  const backend = createMockBackend({
+    email: flags.email || 'admin@local',
+    password: flags.password || 'changeme',
+    outcome: () => fixed,
+  });
+  backend.listen(parseInt(flags.port || '4000', 10)).then(url => {
+    console.log(`mock co-backend listening on ${url} (outcome=${fixed}) — Ctrl-C to stop`);
+  });
+}
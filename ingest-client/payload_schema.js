@@ -0,0 +1,263 @@
+/**
+ * Offline validation of bulk-ingest payloads against the versioned JSON
+ * Schema in ./schema/bulk-ingest-<version>.schema.json.
+ *
+ * The schema is the written-down form of the contract co-backend's
+ * validateParsedVolume enforces; checking it here lets both extractors (and
+ * runUploads, before it POSTs) catch a rejection without a staging
+ * round-trip. Every violation is reported with an RFC 6901 JSON pointer
+ * into the payload, e.g. `/cases/12/citations/0/citation_type` ('' is the
+ * payload root).
+ *
+ * The uploaders are dependency-free, so rather than pull in Ajv this
+ * evaluates the draft-07 subset the schema uses: type, const, enum,
+ * required, properties, additionalProperties, items, minItems, minLength,
+ * pattern, minimum, maximum, oneOf, anyOf, not and local `#/definitions/…`
+ * $refs. A schema using anything else fails loudly at load time rather than
+ * silently passing payloads.
+ *
+ * Usage:
+ *   import { validatePayload } from '../ingest-client/payload_schema.js';
+ *   const { valid, errors } = validatePayload(JSON.parse(raw));
+ *   // errors: [{ pointer, keyword, message }]
+ */
+
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEMA_DIR = path.join(__dirname, 'schema');
+
+// schema_version → schema file. Add a row (and a file) per contract bump;
+// payloads declaring a version not listed here fail validation outright.
+export const PAYLOAD_SCHEMAS = {
+  '0.3': 'bulk-ingest-0.3.schema.json',
+};
+
+export const CURRENT_SCHEMA_VERSION = '0.3';
+
+const SUPPORTED_KEYWORDS = new Set([
+  '$schema', '$id', '$ref', 'title', 'description', 'definitions',
+  'type', 'const', 'enum', 'required', 'properties', 'additionalProperties',
+  'items', 'minItems', 'minLength', 'pattern', 'minimum', 'maximum',
+  'oneOf', 'anyOf', 'not',
+]);
+
+const schemaCache = new Map();
+
+/** Parsed schema for a schema_version; throws for unknown versions. */
+export function loadPayloadSchema(version = CURRENT_SCHEMA_VERSION) {
+  const file = PAYLOAD_SCHEMAS[version];
+  if (!file) throw new Error(`no payload schema for schema_version ${JSON.stringify(version)}`);
+  if (!schemaCache.has(version)) {
+    const schema = JSON.parse(readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+    assertSupported(schema, '#');
+    schemaCache.set(version, schema);
+  }
+  return schemaCache.get(version);
+}
+
+function assertSupported(schema, where) {
+  if (typeof schema !== 'object' || schema === null) return;
+  for (const k of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.has(k)) throw new Error(`payload schema uses unsupported keyword "${k}" at ${where}`);
+  }
+  for (const [k, sub] of Object.entries(schema.properties || {})) assertSupported(sub, `${where}/properties/${k}`);
+  for (const [k, sub] of Object.entries(schema.definitions || {})) assertSupported(sub, `${where}/definitions/${k}`);
+  for (const key of ['oneOf', 'anyOf']) (schema[key] || []).forEach((sub, i) => assertSupported(sub, `${where}/${key}/${i}`));
+  for (const key of ['items', 'not', 'additionalProperties']) {
+    if (typeof schema[key] === 'object') assertSupported(schema[key], `${where}/${key}`);
+  }
+}
+
+// -------- evaluator --------
+
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function matchesType(v, t) {
+  const actual = typeOf(v);
+  return actual === t || (t === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  const m = /^#\/definitions\/(.+)$/.exec(ref);
+  const target = m && root.definitions?.[m[1]];
+  if (!target) throw new Error(`payload schema: unresolvable $ref ${ref}`);
+  return target;
+}
+
+function preview(v) {
+  const s = JSON.stringify(v);
+  return s && s.length > 40 ? `${s.slice(0, 40)}…` : s;
+}
+
+/**
+ * Combinator branches that failed on type/const/enum at their own root
+ * didn't apply to this value at all (e.g. the `null` arm of a nullable
+ * oneOf). If exactly one branch did apply, its errors are the useful ones.
+ */
+function applicableBranchErrors(branchErrors, pointer) {
+  const applicable = branchErrors.filter(errs =>
+    !errs.some(e => e.pointer === pointer && (e.keyword === 'type' || e.keyword === 'const' || e.keyword === 'enum')));
+  return applicable.length === 1 ? applicable[0] : null;
+}
+
+function check(root, schema, value, pointer, errors) {
+  if (schema.$ref) {
+    check(root, resolveRef(root, schema.$ref), value, pointer, errors);
+    return;
+  }
+  const push = (keyword, message) => errors.push({ pointer, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      push('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    push('const', `must be ${JSON.stringify(schema.const)}, got ${preview(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    push('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${preview(value)}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      push('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      push('pattern', `${preview(value)} does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) push('minimum', `must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum != null && value > schema.maximum) push('maximum', `must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      push('minItems', `must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(root, schema.items, item, `${pointer}/${i}`, errors));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) push('required', `missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, sub] of Object.entries(value)) {
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      if (props[key]) check(root, props[key], sub, childPointer, errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: `unexpected property "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(root, schema.additionalProperties, sub, childPointer, errors);
+      }
+    }
+  }
+
+  for (const key of ['oneOf', 'anyOf']) {
+    if (!schema[key]) continue;
+    const branchErrors = schema[key].map(sub => {
+      const errs = [];
+      check(root, sub, value, pointer, errs);
+      return errs;
+    });
+    const passing = branchErrors.filter(errs => errs.length === 0).length;
+    if (key === 'anyOf' ? passing > 0 : passing === 1) continue;
+    if (key === 'oneOf' && passing > 1) {
+      push('oneOf', `matches ${passing} oneOf branches, expected exactly one`);
+      continue;
+    }
+    const only = applicableBranchErrors(branchErrors, pointer);
+    if (only) errors.push(...only);
+    else push(key, `does not match any allowed shape (${key})`);
+  }
+
+  if (schema.not) {
+    const errs = [];
+    check(root, schema.not, value, pointer, errs);
+    if (errs.length === 0) push('not', schema.not.description || 'must not match the "not" schema');
+  }
+}
+
+/**
+ * Validate `value` against a parsed schema. Returns
+ * [{ pointer, keyword, message }], empty when valid.
+ */
+export function validateAgainstSchema(schema, value) {
+  const errors = [];
+  check(schema, schema, value, '', errors);
+  return errors;
+}
+
+/**
+ * Validate a parsed payload against the schema its own schema_version
+ * names. Returns { valid, schema_version, errors }.
+ */
+export function validatePayload(payload) {
+  const version = payload?.schema_version ?? null;
+  if (!PAYLOAD_SCHEMAS[version]) {
+    const known = Object.keys(PAYLOAD_SCHEMAS).join(', ');
+    return {
+      valid: false,
+      schema_version: version,
+      errors: [{
+        pointer: typeOf(payload) === 'object' ? '/schema_version' : '',
+        keyword: 'schema_version',
+        message: `unsupported schema_version ${preview(version)} (known: ${known})`,
+      }],
+    };
+  }
+  const errors = validateAgainstSchema(loadPayloadSchema(version), payload);
+  return { valid: errors.length === 0, schema_version: version, errors };
+}
+
+/**
+ * Read + validate one payload file. Unreadable or non-JSON files come back
+ * invalid with a single root-pointer error instead of throwing, so a sweep
+ * over a directory reports every file.
+ */
+export async function validatePayloadFile(filePath) {
+  let payload;
+  try {
+    payload = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (err) {
+    return { valid: false, schema_version: null, errors: [{ pointer: '', keyword: 'json', message: err.message }] };
+  }
+  return validatePayload(payload);
+}
+
+/**
+ * Print one file's result: a ✓ line, or ✗ plus up to `max` violations.
+ * Shared by both extractors' `validate-payload` commands.
+ */
+export function printPayloadValidation(label, result, { max = 20 } = {}) {
+  if (result.valid) {
+    console.log(`✓ ${label}`);
+    return;
+  }
+  console.log(`✗ ${label} — ${result.errors.length} violation(s)`);
+  for (const e of result.errors.slice(0, max)) {
+    console.log(`    ${e.pointer || '(root)'}: ${e.message}`);
+  }
+  if (result.errors.length > max) {
+    console.log(`    … ${result.errors.length - max} more (--json for all)`);
+  }
+}
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  validatePayload,
+  validatePayloadFile,
+  validateAgainstSchema,
+  loadPayloadSchema,
+  PAYLOAD_SCHEMAS,
+  CURRENT_SCHEMA_VERSION,
+} from '../payload_schema.js';
+
+const SHA = 'a'.repeat(64);
+
+function slipPayload() {
+  return {
+    schema_version: '0.3',
+    batch_id: '7b30b9c5-d34e-4480-a95c-64489f4eb46d',
+    parser_version: '0.2.0',
+    source_pdf_sha256: SHA,
+    target_source_db: 'ny_supreme',
+    cases: [{
+      case_curie: 'nyslopop:2003:17888',
+      name: 'People v Mills',
+      decision_date: '2003-10-28',
+      court_department: null,
+      court: { level: 'court_of_appeals', name: 'New York Court of Appeals', department: null, districts: null, county: null },
+      opinions: [{ opinion_index: 0, opinion_type: 'opinion', author: null, text: '…', curie: 'nyslopop:2003:17888#0-opinion' }],
+      citations: [
+        { cite: '2003 NY Slip Op 17888', citation_type: 'slip_op', curie: 'nyslopop:2003:17888' },
+        { cite: '1 NY3d 29', citation_type: 'official', curie: 'ny3d:1:29:people-v-mills' },
+      ],
+      counsel: [{ role: 'appellant' }],
+    }],
+  };
+}
+
+function boundPayload() {
+  return {
+    ...slipPayload(),
+    target_source_db: 'ny_reporter',
+    volume: { reporter: 'NY3d', volume: 1, court: 'Court of Appeals', source_db: 'ny_reporter' },
+    cases: [{
+      case_curie: 'ny3d:1:29:people-v-mills',
+      name: 'People v Mills',
+      first_page: 29,
+      decision_date: null,
+      opinions: [{ opinion_index: 0, opinion_type: 'per_curiam', text: '…', curie: 'ny3d:1:29:people-v-mills#0-per-curiam' }],
+      citations: [
+        { cite: '1 N.Y.3d 29', citation_type: 'official', curie: 'ny3d:1:29:people-v-mills' },
+        { cite: '804 N.E.2d 392', citation_type: 'parallel', curie: null },
+      ],
+      digest: [],
+    }],
+    digest: [],
+    roster: null,
+  };
+}
+
+test('current extractor shapes validate', () => {
+  assert.deepEqual(validatePayload(slipPayload()).errors, []);
+  assert.deepEqual(validatePayload(boundPayload()).errors, []);
+  assert.ok(PAYLOAD_SCHEMAS[CURRENT_SCHEMA_VERSION]);
+});
+
+test('every violation is reported with a JSON pointer', () => {
+  const p = slipPayload();
+  p.source_pdf_sha256 = '';
+  p.cases[0].decision_date = '10/28/2003';
+  p.cases[0].citations[1].citation_type = 'offical';
+  p.cases[0].citations[1].page = 29;
+  p.cases[0].opinions[0].opinion_index = -1;
+  delete p.cases[0].name;
+  const pointers = validatePayload(p).errors.map(e => `${e.pointer} ${e.keyword}`).sort();
+  assert.deepEqual(pointers, [
+    '/cases/0 required',
+    '/cases/0/citations/1/citation_type enum',
+    '/cases/0/citations/1/page additionalProperties',
+    '/cases/0/decision_date pattern',
+    '/cases/0/opinions/0/opinion_index minimum',
+    '/source_pdf_sha256 pattern',
+  ]);
+});
+
+test('legacy citation / parallel_cites fields are rejected as mixed shape', () => {
+  const p = slipPayload();
+  p.cases[0].parallel_cites = ['1 NY3d 29'];
+  const [err] = validatePayload(p).errors;
+  assert.equal(err.pointer, '/cases/0');
+  assert.equal(err.keyword, 'not');
+  assert.match(err.message, /mixed-shape/);
+});
+
+test('slip-op tombstones validate, and malformed ones point at the field', () => {
+  const p = slipPayload();
+  p.tombstones = [
+    { case_curie: 'nyslopop:2003:17890', status: 'withdrawn', superseded_by: null, withdrawn_on: '2003-11-04', reason: null, source_ref: 'ny_supreme' },
+    { case_curie: 'nyslopop:2003:17891', status: 'superseded', superseded_by: 'nyslopop:2003:17999', withdrawn_on: null, reason: 'recalled and vacated', source_ref: null },
+  ];
+  assert.equal(validatePayload(p).valid, true);
+
+  p.tombstones[1].status = 'recalled';
+  p.tombstones[0].withdrawn_on = '11/04/2003';
+  const pointers = validatePayload(p).errors.map(e => e.pointer).sort();
+  assert.deepEqual(pointers, ['/tombstones/0/withdrawn_on', '/tombstones/1/status']);
+});
+
+test('slip-op court objects carry level, department and districts', () => {
+  const p = slipPayload();
+  p.cases[0].court = {
+    level: 'appellate_term', name: 'New York Supreme Court, Appellate Term', department: 2, districts: [9, 10], county: null,
+  };
+  assert.equal(validatePayload(p).valid, true);
+
+  p.cases[0].court.level = 'appellate';
+  p.cases[0].court.districts = [14];
+  const pointers = validatePayload(p).errors.map(e => e.pointer).sort();
+  assert.deepEqual(pointers, ['/cases/0/court/districts/0', '/cases/0/court/level']);
+});
+
+test('nullable oneOf reports the applicable branch, not both', () => {
+  const p = boundPayload();
+  p.volume.volume = 'one';
+  assert.deepEqual(validatePayload(p).errors, [
+    { pointer: '/volume/volume', keyword: 'type', message: 'must be integer, got string' },
+  ]);
+});
+
+test('unknown schema_version fails before any schema is applied', () => {
+  const p = slipPayload();
+  p.schema_version = '0.2';
+  const r = validatePayload(p);
+  assert.equal(r.valid, false);
+  assert.deepEqual(r.errors.map(e => e.pointer), ['/schema_version']);
+  assert.throws(() => loadPayloadSchema('0.2'), /no payload schema/);
+});
+
+test('pointer tokens are escaped per RFC 6901', () => {
+  const schema = { type: 'object', additionalProperties: false };
+  assert.deepEqual(validateAgainstSchema(schema, { 'a/b~c': 1 }).map(e => e.pointer), ['/a~1b~0c']);
+});
+
+test('validatePayloadFile reports unreadable JSON at the root', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'payload-schema-'));
+  try {
+    const file = path.join(dir, 'cases.json');
+    await writeFile(file, '{ "schema_version": ');
+    const r = await validatePayloadFile(file);
+    assert.equal(r.valid, false);
+    assert.equal(r.errors[0].pointer, '');
+    assert.equal(r.errors[0].keyword, 'json');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,206 @@
+// End-to-end: both uploaders against mock_backend.js, no network.
+//
+// Each test writes a throwaway payload tree under os.tmpdir(), starts the
+// mock on an ephemeral port, and runs the real upload.js with --base-url,
+// --wait and a 10 ms poll so the uploaded → applying → <outcome> walk
+// finishes in a few round trips.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMockBackend } from '../mock_backend.js';
+import { IngestClient, waitForTerminal } from '../index.js';
+
+const execFileP = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO = path.resolve(__dirname, '..', '..');
+const BOUND_UPLOAD = path.join(REPO, 'bound-volume-extractor', 'upload.js');
+const SLIP_UPLOAD = path.join(REPO, 'slip-op-extractor', 'upload.js');
+const CREDS = ['--email=admin@local', '--password=changeme'];
+
+let tmp;
+
+before(async () => { tmp = await mkdtemp(path.join(os.tmpdir(), 'ingest-client-')); });
+after(async () => { await rm(tmp, { recursive: true, force: true }); });
+
+function payload({ sha, source, cases = 2 }) {
+  return {
+    schema_version: '0.3',
+    parser_version: 'test',
+    batch_id: `batch-${sha}`,
+    source_pdf_sha256: createHash('sha256').update(sha).digest('hex'),
+    target_source_db: source,
+    cases: Array.from({ length: cases }, (_, i) => ({
+      case_curie: `ny3d:${i + 1}:${i + 10}:case-${i}`,
+      name: `Case ${i}`,
+      opinions: [{
+        opinion_index: 0,
+        opinion_type: 'majority',
+        text: 'Affirmed.',
+        curie: `ny3d:${i + 1}:${i + 10}:case-${i}#0-majority`,
+      }],
+      citations: [{ cite: `${i + 1} N.Y.3d ${i + 10}`, citation_type: 'official', curie: `ny3d:${i + 1}:${i + 10}:case-${i}` }],
+    })),
+  };
+}
+
+async function boundTree(name, volumes) {
+  const dir = path.join(tmp, name);
+  for (const [vol, body] of Object.entries(volumes)) {
+    await mkdir(path.join(dir, vol), { recursive: true });
+    await writeFile(path.join(dir, vol, 'cases.json'), JSON.stringify(body));
+  }
+  return dir;
+}
+
+async function compiledTree(name, artifacts) {
+  const dir = path.join(tmp, name);
+  await mkdir(dir, { recursive: true });
+  for (const [file, body] of Object.entries(artifacts)) {
+    await writeFile(path.join(dir, file), JSON.stringify(body));
+  }
+  return dir;
+}
+
+async function run(script, args) {
+  // The uploaders don't exit non-zero on per-file failures, so callers
+  // assert on the printed summary.
+  const { stdout, stderr } = await execFileP(process.execPath, [script, ...args], { timeout: 30_000 });
+  return { stdout, stderr };
+}
+
+function summaryCount(stdout, label) {
+  const m = new RegExp(`^\\s+${label}:\\s+(\\d+)$`, 'm').exec(stdout);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+async function withBackend(opts, fn) {
+  const backend = createMockBackend(opts);
+  const url = await backend.listen(0);
+  try {
+    return await fn(url, backend);
+  } finally {
+    await backend.close();
+  }
+}
+
+test('mock backend enforces the post-login CSRF re-fetch', async () => {
+  await withBackend({}, async (url) => {
+    const client = new IngestClient({ baseUrl: url });
+    await assert.rejects(client.login('admin@local', 'wrong'), /HTTP 401/);
+    await client.login('admin@local', 'changeme');
+    const res = await client.list({ source: 'ny_supreme' });
+    assert.deepEqual(res.ingestions, []);
+
+    const stale = new IngestClient({ baseUrl: url });
+    stale.sessionCookie = client.sessionCookie;
+    stale.csrfToken = 'not-the-bound-token';
+    await assert.rejects(stale.list(), (err) => err.status === 403);
+  });
+});
+
+test('waitForTerminal walks uploaded → applying → applied', async () => {
+  await withBackend({}, async (url, backend) => {
+    const dir = await compiledTree('wait', { 'ny_trial-2026-05-05.json': payload({ sha: 'w1', source: 'ny_trial' }) });
+    const client = new IngestClient({ baseUrl: url });
+    await client.login('admin@local', 'changeme');
+    const row = await client.upload(path.join(dir, 'ny_trial-2026-05-05.json'), 'ny_trial-2026-05-05.json', 'ny_trial');
+    assert.equal(row.status, 'uploaded');
+    assert.equal(row.metrics.counts.cases, 2);
+    const final = await waitForTerminal(client, row.id, { intervalMs: 5, timeoutMs: 5000 });
+    assert.equal(final.status, 'applied');
+    assert.ok(final.started_at && final.completed_at);
+    assert.equal(backend.ingestions.get(row.id).status, 'applied');
+  });
+});
+
+test('bound-volume upload-all --wait applies every volume', async () => {
+  const outDir = await boundTree('bound-applied', {
+    '1NY3d': payload({ sha: 'b1', source: 'ny_supreme' }),
+    '157AD3d': payload({ sha: 'b2', source: 'ny_appellate', cases: 3 }),
+  });
+  await withBackend({}, async (url, backend) => {
+    const { stdout } = await run(BOUND_UPLOAD, [
+      'upload-all', `--base-url=${url}`, ...CREDS, `--out-dir=${outDir}`, '--wait', '--poll-interval=10',
+    ]);
+    assert.equal(summaryCount(stdout, 'uploaded'), 2);
+    assert.equal(summaryCount(stdout, 'applied'), 2);
+    assert.equal(summaryCount(stdout, 'failed'), 0);
+    const refs = [...backend.ingestions.values()].map(r => r.source_ref).sort();
+    assert.deepEqual(refs, ['ny_appellate', 'ny_supreme']);
+    assert.match(stdout, /157AD3d\s+✓ applied/);
+  });
+});
+
+test('slip-op upload-all --wait reports needs_review and then skips existing', async () => {
+  const compiledDir = await compiledTree('slip-review', {
+    'ny_appellate-2026-05-05.json': payload({ sha: 's1', source: 'ny_appellate' }),
+    'ny_appellate-2026-05-05.manifest.json': { ignored: true },
+  });
+  await withBackend({ outcome: () => 'needs_review' }, async (url, backend) => {
+    const base = ['upload-all', `--base-url=${url}`, ...CREDS, `--compiled-dir=${compiledDir}`];
+
+    const first = await run(SLIP_UPLOAD, [...base, '--wait', '--poll-interval=10']);
+    assert.equal(summaryCount(first.stdout, 'uploaded'), 1);
+    assert.equal(summaryCount(first.stdout, 'needs_review'), 1);
+    assert.match(first.stdout, /2 fuzzy candidate\(s\) await review/);
+
+    const second = await run(SLIP_UPLOAD, [...base, '--skip-existing']);
+    assert.equal(summaryCount(second.stdout, 'uploaded'), 0);
+    assert.equal(summaryCount(second.stdout, 'skipped \\(existing\\)'), 1);
+    assert.equal(backend.ingestions.size, 1);
+  });
+});
+
+test('failed applies and validation errors are counted, not thrown', async () => {
+  const broken = payload({ sha: 'f2', source: 'ny_supreme' });
+  broken.cases[1].citations[0].citation_type = 'offical';
+  const outDir = await boundTree('bound-failed', {
+    '2NY3d': payload({ sha: 'f1', source: 'ny_supreme' }),
+    '3NY3d': broken,
+  });
+  await withBackend({ outcome: () => 'failed' }, async (url, backend) => {
+    const { stdout, stderr } = await run(BOUND_UPLOAD, [
+      'upload-all', `--base-url=${url}`, ...CREDS, `--out-dir=${outDir}`, '--wait', '--poll-interval=10',
+    ]);
+    assert.equal(summaryCount(stdout, 'uploaded'), 1);
+    assert.equal(summaryCount(stdout, 'with validation errors'), 1);
+    assert.equal(summaryCount(stdout, 'failed'), 1);
+    assert.match(stderr, /2NY3d\s+✗ ended status=failed/);
+    // Held back locally, with a pointer to the bad field.
+    assert.match(stderr, /3NY3d fails schema 0\.3 locally/);
+    assert.match(stderr, /\/cases\/1\/citations\/0\/citation_type: must be one of/);
+    assert.equal(backend.ingestions.size, 1);
+  });
+});
+
+test('--no-validate defers to the server, which leaves the row at uploaded', async () => {
+  const broken = payload({ sha: 'n1', source: 'ny_supreme' });
+  delete broken.cases[0].name;
+  const outDir = await boundTree('bound-no-validate', { '4NY3d': broken });
+  await withBackend({}, async (url, backend) => {
+    const { stdout } = await run(BOUND_UPLOAD, [
+      'upload-all', `--base-url=${url}`, ...CREDS, `--out-dir=${outDir}`, '--wait', '--poll-interval=10', '--no-validate',
+    ]);
+    assert.equal(summaryCount(stdout, 'uploaded'), 1);
+    assert.equal(summaryCount(stdout, 'with validation errors'), 1);
+    const [row] = backend.ingestions.values();
+    assert.equal(row.status, 'uploaded');
+    assert.deepEqual(row.validation_errors.items, [{ path: '/cases/0', message: 'missing required property "name"' }]);
+  });
+});
+
+test('dry-run without --skip-existing never logs in', async () => {
+  const compiledDir = await compiledTree('slip-dry', {
+    'ny_trial-2026-05-12.json': payload({ sha: 'd1', source: 'ny_trial' }),
+  });
+  // No backend and no creds: any network call would fail the run.
+  const { stdout } = await run(SLIP_UPLOAD, ['upload-all', '--base-url=http://127.0.0.1:9', `--compiled-dir=${compiledDir}`, '--dry-run']);
+  assert.match(stdout, /dry-run — would upload 2 cases .* source=ny_trial/);
+});
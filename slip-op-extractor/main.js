@@ -8,10 +8,14 @@
  *   in/html/<file>.html          — slip-opinion HTML pages
  *   in/pdf/<file>.pdf            — slip-opinion PDFs
  *   in/index/<MM_YY_court>.html  — LRB monthly index pages, used by
- *                                  scripts/resolve_index.js (NOT this
- *                                  command). Kept in a sibling dir so
- *                                  parse-all can't accidentally treat
- *                                  an index page as an opinion.
+ *                                  scripts/resolve_index.js and `harvest`
+ *                                  (never parsed as opinions). Kept in a
+ *                                  sibling dir so parse-all can't
+ *                                  accidentally treat an index page as an
+ *                                  opinion.
+ *   in/harvest.manifest.json     — what `harvest` fetched, keyed by URL;
+ *                                  also supplies source_url when parsing
+ *                                  harvested HTML
  *   out/<stem>/cases.json        — one parsed case per input file
  *   out/<stem>/source.meta.json  — sha256 + parsed-at + parser_version
  *   compiled/<source>-<window>.json   — merged batch payloads ready to
@@ -19,6 +23,9 @@
  *   compiled/<source>-<window>.manifest.json — provenance: which
  *                                       per-stem files contributed which
  *                                       case_curies
+ *   compiled/<label>.reconcile.json   — reconcile match report (not uploaded)
+ *   withdrawals.json             — hand-kept tombstone list (committed),
+ *                                  written by `withdraw`, read by compile
  *
  * Commands:
  *   node main.js parse <file>            # parse one file → out/<stem>/cases.json
@@ -26,9 +33,51 @@
  *   node main.js parse-all --force       # re-parse regardless of freshness
  *   node main.js parse-all --in=<dir>    # custom input dir (overrides the default in/html/ + in/pdf/ pair)
  *   node main.js status                  # list each input + parse state
- *   node main.js compile [--source=<ref>] [--window=<label>]
- *                                        # merge per-stem cases.json into
- *                                        # compiled/<source>-<window>.json
+ *   node main.js compile [--source=<ref>] [--window=<label>] [--full]
+ *                                        # merge per-stem cases.json that earlier
+ *                                        # windows didn't carry (or carried with
+ *                                        # different content), plus tombstones,
+ *                                        # into compiled/<source>-<window>.json;
+ *                                        # --full re-emits everything
+ *   node main.js withdraw <case_curie> [--superseded-by=<case_curie>] [--date=YYYY-MM-DD]
+ *                         [--reason=<text>] [--source=<ref>]
+ *                                        # record a recalled slip op in
+ *                                        # withdrawals.json; the next compile
+ *                                        # emits its tombstone
+ *   node main.js reconcile [--compiled=<file|stem>] [--source=<ref>] [--window=<label>]
+ *                          [--bound-dir=<dir>] [--json] [--verbose] [--strict]
+ *                                        # link slip ops to local bound-volume
+ *                                        # cases (src/reconcile.js) and report
+ *                                        # matches, flagged joins, unmatched
+ *   node main.js revisions [--source=<ref>] [--bound-dir=<dir>] [--min-confidence=<0..1>]
+ *                          [--dry-run] [--verbose]
+ *                                        # diff each linked slip op against its
+ *                                        # bound-volume opinion and stamp
+ *                                        # `revisions` on out/<stem>/cases.json
+ *                                        # (src/revisions.js). A re-parse drops
+ *                                        # the field; re-run revisions after it.
+ *   node main.js validate-payload [<file>...] [--out] [--source=<ref>] [--window=<label>]
+ *                                 [--json] [--verbose]
+ *                                        # check compiled artifacts (or, with
+ *                                        # --out, per-stem cases.json) against
+ *                                        # the bulk-ingest JSON Schema in
+ *                                        # ../ingest-client/schema/; exit 1 on
+ *                                        # any violation, before upload.js runs
+ *   node main.js triage [<resolved.json>...] [--source=<ref>] [--decisions=<file>]
+ *                       [--top=<n>] [--include-skipped] [--reviewer=<name>]
+ *                                        # accept / reject / skip resolve_index.js's
+ *                                        # unresolved entries from the terminal
+ *                                        # (src/triage.js); decisions append to
+ *                                        # out/index-resolution/decisions.jsonl,
+ *                                        # which the next resolve run honours
+ *   node main.js harvest [--index-dir=<dir>] [--from-dir=<mirror>] [--base-url=<url>]
+ *                        [--delay=<ms>] [--limit=<n>] [--source=<ref>] [--force]
+ *                        [--retry-missing] [--dry-run] [--user-agent=<ua>]
+ *                                        # fetch every opinion linked from the
+ *                                        # in/index/ pages into in/html|pdf/
+ *                                        # (src/harvest.js); resumable via
+ *                                        # in/harvest.manifest.json. Run
+ *                                        # parse-all afterwards.
  *
  * Window labels default to today's date (YYYY-MM-DD) so re-running compile
  * on the same day overwrites the same artifact. Pass --window for explicit
@@ -38,13 +87,21 @@
  * targets a single source DB. Within a source, cases are ordered by
  * decision_date asc for deterministic, diff-friendly output.
  *
+ * Compile is incremental (src/windows.js): each manifest records a content
+ * hash per emitted case, and a new window carries only cases no earlier
+ * window for that source carried, or carried with different content.
+ * Withdrawn / superseded slip ops (withdrawals.json) are left out of
+ * `cases` and announced once in a top-level `tombstones` array:
+ *   { case_curie, status: withdrawn|superseded, superseded_by,
+ *     withdrawn_on, reason, source_ref }
+ *
  * The output JSON is what you'd POST to co-collection's
  * `/admin/api/bulk-ingest/upload` endpoint. The `target_source_db` field
  * indicates which source DB the case is destined for (ny_supreme /
  * ny_appellate / ny_trial), derived from the document's court line.
  */
 
-import { readFile, readdir, mkdir, writeFile, stat } from 'fs/promises';
+import { readFile, readdir, mkdir, writeFile, stat, unlink } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -55,14 +112,29 @@ import { parseHtml } from './src/parser_html.js';
 import { parsePdf } from './src/parser_pdf.js';
 import { buildPayload } from './src/output.js';
 import { sha256OfBuffer, PARSER_VERSION } from './src/shared.js';
+import { loadBoundIndex, loadBoundCase, reconcile, reconcileCase, printReconcileReport } from './src/reconcile.js';
+import { compareOpinions, countByKind } from './src/revisions.js';
+import { validatePayloadFile, printPayloadValidation } from '../ingest-client/payload_schema.js';
+import { listIndexFiles } from './src/lrb_index.js';
+import { loadPriorState, diffWindow, loadWithdrawals, recordWithdrawal } from './src/windows.js';
+import { loadDecisions, latestResolutionFiles, buildQueue, runTriage } from './src/triage.js';
+import {
+  collectHarvestTargets, harvest, createHttpFetcher, createDirectoryFetcher,
+  loadHarvestManifest, harvestedUrlsByFile, DEFAULT_INDEX_BASE, DEFAULT_DELAY_MS,
+} from './src/harvest.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = __dirname;
 const IN_DIR       = path.join(ROOT, 'in');
 const HTML_DIR     = path.join(IN_DIR, 'html');
 const PDF_DIR      = path.join(IN_DIR, 'pdf');
+const INDEX_DIR    = path.join(IN_DIR, 'index');
+const HARVEST_MANIFEST = path.join(IN_DIR, 'harvest.manifest.json');
 const OUT_DIR      = path.join(ROOT, 'out');
 const COMPILED_DIR = path.join(ROOT, 'compiled');
+const BOUND_OUT_DIR = path.join(ROOT, '..', 'bound-volume-extractor', 'out');
+const WITHDRAWALS_FILE = path.join(ROOT, 'withdrawals.json');
+const RESOLUTION_DIR = path.join(OUT_DIR, 'index-resolution');
 
 const INPUT_EXTENSIONS_RE = /\.(html?|pdf)$/i;
 
@@ -97,19 +169,49 @@ Usage:
   node main.js parse <file>
   node main.js parse-all [--in=<dir>] [--force]
   node main.js status     [--in=<dir>]
-  node main.js compile    [--source=<ref>] [--window=<label>]
+  node main.js compile    [--source=<ref>] [--window=<label>] [--full]
+  node main.js withdraw   <case_curie> [--superseded-by=<case_curie>] [--date=YYYY-MM-DD]
+                          [--reason=<text>] [--source=<ref>]
+  node main.js reconcile  [--compiled=<file|stem>] [--source=<ref>] [--window=<label>]
+                          [--bound-dir=<dir>] [--json] [--verbose] [--strict]
+  node main.js revisions  [--source=<ref>] [--bound-dir=<dir>] [--min-confidence=<0..1>]
+                          [--dry-run] [--verbose]
+  node main.js validate-payload [<file>...] [--out] [--source=<ref>] [--window=<label>]
+                          [--json] [--verbose]
+  node main.js triage     [<resolved.json>...] [--source=<ref>] [--decisions=<file>]
+                          [--top=<n>] [--include-skipped] [--reviewer=<name>]
+  node main.js harvest    [--index-dir=<dir>] [--from-dir=<mirror>] [--base-url=<url>]
+                          [--delay=<ms>] [--limit=<n>] [--source=<ref>] [--force]
+                          [--retry-missing] [--dry-run] [--user-agent=<ua>]
 
 Convention:
   in/html/<file>.html          slip-opinion HTML pages
   in/pdf/<file>.pdf            slip-opinion PDFs
-  in/index/<MM_YY_court>.html  LRB monthly index pages (resolve_index.js, not this command)
+  in/index/<MM_YY_court>.html  LRB monthly index pages (resolve_index.js and harvest)
+  in/harvest.manifest.json     harvest record, keyed by opinion URL
   out/<stem>/cases.json        per-file parsed payload
   compiled/<source>-<win>.json merged batch ready to upload
+  compiled/<label>.reconcile.json  reconcile report (upload.js skips it)
+  withdrawals.json             withdrawn / superseded slip ops → compile tombstones
 `.trim());
 }
 
 // --- core parse ---
 
+/**
+ * Harvested HTML has no browser "saved from url" comment, so source_url
+ * comes from the harvest manifest instead (absolute path → URL).
+ */
+let harvestedUrls = null;
+async function harvestedUrlFor(filePath) {
+  if (!harvestedUrls) {
+    harvestedUrls = existsSync(HARVEST_MANIFEST)
+      ? harvestedUrlsByFile(await loadHarvestManifest(HARVEST_MANIFEST), ROOT)
+      : new Map();
+  }
+  return harvestedUrls.get(path.resolve(filePath)) ?? undefined;
+}
+
 async function parseOne(filePath) {
   const buf = await readFile(filePath);
   const sourceSha256 = sha256OfBuffer(buf);
@@ -117,7 +219,7 @@ async function parseOne(filePath) {
 
   let caseObj = null;
   if (format === 'html-modern' || format === 'html-legacy') {
-    caseObj = parseHtml(buf.toString('utf8'), format, {});
+    caseObj = parseHtml(buf.toString('utf8'), format, { sourceUrlOverride: await harvestedUrlFor(filePath) });
   } else if (format === 'pdf') {
     caseObj = parsePdf(filePath);
   } else {
@@ -270,12 +372,14 @@ function pad(s, w) {
 async function cmdCompile(args) {
   const filterSource = args.source || null;
   const window = args.window || todayLabel();
+  const full = !!args.full;
 
   if (!existsSync(OUT_DIR)) {
     console.error(`No out/ dir found. Run parse-all first.`);
     process.exit(1);
   }
   await mkdir(COMPILED_DIR, { recursive: true });
+  const withdrawals = await loadWithdrawals(WITHDRAWALS_FILE);
 
   const stems = (await readdir(OUT_DIR, { withFileTypes: true }))
     .filter(d => d.isDirectory())
@@ -284,7 +388,7 @@ async function cmdCompile(args) {
   // Bucket per source. Each stem contributes 0+ cases (well, exactly 1 in
   // the slip-op extractor's per-doc model, but we keep this generic so
   // future per-doc-multi-case formats Just Work).
-  const bySource = new Map();   // source_ref -> { cases: [...], stems: Map<stem, [curies]> }
+  const bySource = new Map();   // source_ref -> { cases: [...], stemOf: Map<curie, stem> }
 
   for (const stem of stems) {
     const casesPath = path.join(OUT_DIR, stem, 'cases.json');
@@ -305,13 +409,20 @@ async function cmdCompile(args) {
     if (!Array.isArray(payload.cases) || payload.cases.length === 0) continue;
 
     if (!bySource.has(sourceRef)) {
-      bySource.set(sourceRef, { cases: [], stems: new Map() });
+      bySource.set(sourceRef, { cases: [], stemOf: new Map() });
     }
     const bucket = bySource.get(sourceRef);
     for (const c of payload.cases) {
       bucket.cases.push(c);
+      bucket.stemOf.set(c, stem);
+    }
+  }
+
+  // A source whose every case is gone can still owe tombstones.
+  for (const t of withdrawals.values()) {
+    if (t.source_ref && !bySource.has(t.source_ref) && (!filterSource || t.source_ref === filterSource)) {
+      bySource.set(t.source_ref, { cases: [], stemOf: new Map() });
     }
-    bucket.stems.set(stem, payload.cases.map(c => c.case_curie).filter(Boolean));
   }
 
   if (bySource.size === 0) {
@@ -320,6 +431,9 @@ async function cmdCompile(args) {
   }
 
   for (const [sourceRef, bucket] of bySource) {
+    const compiledPath = path.join(COMPILED_DIR, `${sourceRef}-${window}.json`);
+    const manifestPath = path.join(COMPILED_DIR, `${sourceRef}-${window}.manifest.json`);
+
     // Deterministic ordering for diff-friendliness.
     bucket.cases.sort((a, b) => {
       const da = a.decision_date || '';
@@ -328,16 +442,36 @@ async function cmdCompile(args) {
       return (a.case_curie || '').localeCompare(b.case_curie || '');
     });
 
+    const prior = await loadPriorState(COMPILED_DIR, sourceRef, { excludeWindow: window });
+    const diff = diffWindow(bucket.cases, prior, withdrawals, { sourceRef, full });
+
+    if (diff.emit.length === 0 && diff.tombstones.length === 0) {
+      // Re-running a window that no longer has anything to say: drop the
+      // stale artifact so upload-all can't send it.
+      for (const p of [compiledPath, manifestPath]) if (existsSync(p)) await unlink(p);
+      console.error(`UP-TO-DATE ${sourceRef} — ${diff.unchanged.length} unchanged case(s) already in ${prior.windows.length} earlier window(s), nothing to compile`);
+      continue;
+    }
+
+    // Per-stem provenance, for the emitted cases only.
+    const stemCuries = new Map();
+    for (const c of diff.emit) {
+      const stem = bucket.stemOf.get(c);
+      if (!stemCuries.has(stem)) stemCuries.set(stem, []);
+      if (c.case_curie) stemCuries.get(stem).push(c.case_curie);
+    }
+    const stemNames = [...stemCuries.keys()].sort();
+
     // Synthetic top-level metadata. source_pdf is a comma-list of stem
-    // names; source_pdf_sha256 is a sha256 of the sorted curie list so
-    // re-running compile against the same set of inputs produces the same
-    // hash (and hits the bulk-ingest dedup if re-uploaded).
-    const stemNames = [...bucket.stems.keys()].sort();
-    const allCuries = [...new Set(
-      [...bucket.stems.values()].flat()
-    )].sort();
+    // names; source_pdf_sha256 hashes the sorted curie + content-hash
+    // lines (and tombstones) so re-running compile against the same inputs
+    // produces the same hash (and hits the bulk-ingest dedup if
+    // re-uploaded), while a changed case yields a new one.
     const compiledHash = createHash('sha256')
-      .update(allCuries.join('\n'))
+      .update([
+        ...Object.entries(diff.hashes).map(([curie, sha]) => `${curie}\t${sha}`).sort(),
+        ...diff.tombstones.map(t => `tombstone\t${JSON.stringify(t)}`),
+      ].join('\n'))
       .digest('hex');
 
     const compiled = {
@@ -348,10 +482,12 @@ async function cmdCompile(args) {
       source_pdf_sha256: compiledHash,
       target_source_db: sourceRef,
       // volume omitted — slip-op compile carries no reporter metadata.
-      cases: bucket.cases,
+      cases: diff.emit,
     };
+    // Withdrawn / superseded slip ops. Only present when there are any, so
+    // tombstone-free batches are byte-for-byte what they always were.
+    if (diff.tombstones.length) compiled.tombstones = diff.tombstones;
 
-    const compiledPath = path.join(COMPILED_DIR, `${sourceRef}-${window}.json`);
     await writeFile(compiledPath, JSON.stringify(compiled, null, 2));
 
     const manifest = {
@@ -361,28 +497,341 @@ async function cmdCompile(args) {
       generated_at: new Date().toISOString(),
       parser_version: PARSER_VERSION,
       compiled_sha256: compiledHash,
-      case_count: bucket.cases.length,
+      mode: full ? 'full' : 'incremental',
+      // Earlier windows this one was diffed against (src/windows.js).
+      base_windows: full ? [] : prior.windows,
+      case_count: diff.emit.length,
       stem_count: stemNames.length,
+      added: diff.added.filter(Boolean),
+      changed: diff.changed,
+      unchanged_count: diff.unchanged.length,
+      suppressed: diff.suppressed,
       // Per-stem provenance: which input file contributed which case_curies.
       // Drives revert/audit ("which slip-op file produced this case?").
       contributions: stemNames.map(stem => ({
         stem,
-        case_curies: bucket.stems.get(stem),
+        case_curies: stemCuries.get(stem),
       })),
+      // What later windows diff against.
+      case_hashes: diff.hashes,
+      tombstones: diff.tombstones,
     };
-    const manifestPath = path.join(COMPILED_DIR, `${sourceRef}-${window}.manifest.json`);
     await writeFile(manifestPath, JSON.stringify(manifest, null, 2));
 
-    console.error(`OK    compiled ${sourceRef} → ${path.relative(ROOT, compiledPath)} (${bucket.cases.length} cases from ${stemNames.length} stems)`);
+    const tomb = diff.tombstones.length ? `, ${diff.tombstones.length} tombstone(s)` : '';
+    console.error(`OK    compiled ${sourceRef} → ${path.relative(ROOT, compiledPath)} (${diff.added.length} new, ${diff.changed.length} changed, ${diff.unchanged.length} unchanged${tomb})`);
+    if (diff.suppressed.length) console.error(`      left out ${diff.suppressed.length} withdrawn/superseded case(s): ${diff.suppressed.join(', ')}`);
     console.error(`      manifest → ${path.relative(ROOT, manifestPath)}`);
   }
 }
 
+/**
+ * Record a recalled slip op in withdrawals.json; the next compile emits
+ * its tombstone and stops emitting the case.
+ */
+async function cmdWithdraw(args) {
+  const curie = args._[1];
+  if (!curie) { usage(); process.exit(2); }
+  const supersededBy = typeof args['superseded-by'] === 'string' ? args['superseded-by'] : null;
+  const tombstone = {
+    case_curie: curie,
+    status: supersededBy ? 'superseded' : 'withdrawn',
+    superseded_by: supersededBy,
+    withdrawn_on: typeof args.date === 'string' ? args.date : todayLabel(),
+    reason: typeof args.reason === 'string' ? args.reason : null,
+    source_ref: typeof args.source === 'string' ? args.source : null,
+  };
+  try {
+    const { replaced, count } = await recordWithdrawal(WITHDRAWALS_FILE, tombstone);
+    console.error(`OK    ${replaced ? 'updated' : 'recorded'} ${tombstone.status} ${curie}${supersededBy ? ` → ${supersededBy}` : ''} in ${path.relative(ROOT, WITHDRAWALS_FILE)} (${count} total)`);
+    console.error('next: node main.js compile');
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(2);
+  }
+}
+
 function todayLabel() {
   const d = new Date();
   return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
 }
 
+// --- reconcile ---
+
+/**
+ * Match slip ops against bound-volume-extractor's local out/ before upload.
+ * Reads either one compiled artifact (--compiled) or every per-stem
+ * out/<stem>/cases.json (optionally --source-filtered), writes the report
+ * beside the compiled batches, and with --strict exits 1 when any join is
+ * flagged so a bad batch can be held back from upload.js.
+ */
+async function cmdReconcile(args) {
+  const boundDir = path.resolve(args['bound-dir'] || BOUND_OUT_DIR);
+  const index = await loadBoundIndex(boundDir);
+  if (index.volumes === 0) {
+    console.error(`No bound-volume cases.json under ${boundDir}. Parse some volumes first or pass --bound-dir.`);
+    process.exit(1);
+  }
+
+  const payloads = [];
+  let label;
+  if (args.compiled) {
+    let p = path.resolve(args.compiled);
+    if (!existsSync(p)) p = path.join(COMPILED_DIR, args.compiled.replace(/\.json$/, '') + '.json');
+    if (!existsSync(p)) {
+      console.error(`Compiled artifact not found: ${args.compiled}`);
+      process.exit(1);
+    }
+    payloads.push(JSON.parse(await readFile(p, 'utf8')));
+    label = path.basename(p).replace(/\.json$/, '');
+  } else {
+    if (!existsSync(OUT_DIR)) {
+      console.error(`No out/ dir found. Run parse-all first.`);
+      process.exit(1);
+    }
+    for (const d of await readdir(OUT_DIR, { withFileTypes: true })) {
+      if (!d.isDirectory()) continue;
+      const casesPath = path.join(OUT_DIR, d.name, 'cases.json');
+      if (!existsSync(casesPath)) continue;
+      try {
+        const payload = JSON.parse(await readFile(casesPath, 'utf8'));
+        if (args.source && payload.target_source_db !== args.source) continue;
+        payloads.push(payload);
+      } catch (e) {
+        console.error(`SKIP  ${d.name} — failed to parse cases.json: ${e.message}`);
+      }
+    }
+    label = `${args.source || 'all'}-${args.window || todayLabel()}`;
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    parser_version: PARSER_VERSION,
+    bound_dir: boundDir,
+    input: args.compiled ? label : 'out/',
+    ...reconcile(payloads, index),
+  };
+
+  await mkdir(COMPILED_DIR, { recursive: true });
+  const reportPath = path.join(COMPILED_DIR, `${label}.reconcile.json`);
+  await writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printReconcileReport(report, { verbose: !!args.verbose });
+  console.error(`\nreport → ${path.relative(ROOT, reportPath)}`);
+
+  if (args.strict && report.summary.flagged > 0) process.exit(1);
+}
+
+// --- revisions ---
+
+// Joins reconcile flags as suspect are never diffed — a diff against the
+// wrong opinion would read as a wholesale rewrite.
+const UNSAFE_JOIN_ISSUES = new Set(['name_mismatch', 'date_mismatch', 'ambiguous']);
+
+async function cmdRevisions(args) {
+  const boundDir = path.resolve(args['bound-dir'] || BOUND_OUT_DIR);
+  const minConfidence = args['min-confidence'] != null ? Number(args['min-confidence']) : 0.9;
+  const index = await loadBoundIndex(boundDir);
+  if (index.volumes === 0) {
+    console.error(`No bound-volume cases.json under ${boundDir}. Parse some volumes first or pass --bound-dir.`);
+    process.exit(1);
+  }
+  if (!existsSync(OUT_DIR)) {
+    console.error(`No out/ dir found. Run parse-all first.`);
+    process.exit(1);
+  }
+
+  const volumeCache = new Map();
+  const totals = {};
+  let compared = 0, skipped = 0;
+  const stems = (await readdir(OUT_DIR, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => d.name).sort();
+  for (const stem of stems) {
+    const casesPath = path.join(OUT_DIR, stem, 'cases.json');
+    if (!existsSync(casesPath)) continue;
+    let payload;
+    try {
+      payload = JSON.parse(await readFile(casesPath, 'utf8'));
+    } catch (e) {
+      console.error(`SKIP  ${stem} — failed to parse cases.json: ${e.message}`);
+      continue;
+    }
+    if (args.source && payload.target_source_db !== args.source) continue;
+
+    let touched = false;
+    for (const c of payload.cases || []) {
+      const match = reconcileCase(c, payload.target_source_db, index);
+      if (!match.method) { skipped++; continue; }
+      const unsafe = match.issues.filter(i => UNSAFE_JOIN_ISSUES.has(i));
+      if (match.confidence < minConfidence || unsafe.length) {
+        console.error(`SKIP  ${stem} — join to ${match.bound.case_curie} not trusted (confidence ${match.confidence}${unsafe.length ? `, ${unsafe.join(', ')}` : ''})`);
+        skipped++;
+        continue;
+      }
+      const boundCase = await loadBoundCase(boundDir, match.bound, volumeCache);
+      if (!boundCase?.opinions?.length) { skipped++; continue; }
+
+      c.revisions = compareOpinions(c, boundCase, match.bound);
+      touched = true;
+      compared++;
+      const kinds = countByKind(c.revisions);
+      for (const [k, n] of Object.entries(kinds)) totals[k] = (totals[k] || 0) + n;
+      const summary = Object.entries(kinds).map(([k, n]) => `${k} ${n}`).join(', ') || 'no substantive edits';
+      console.error(`OK    ${stem} ↔ ${match.bound.cite || match.bound.case_curie}: ${c.revisions.records.length} revision(s) (${summary})`);
+      if (args.verbose) {
+        for (const r of c.revisions.records) {
+          console.error(`        ${r.kind.padEnd(18)} −"${excerptLine(r.removed)}"  +"${excerptLine(r.added)}"`);
+        }
+      }
+    }
+    if (touched && !args['dry-run']) await writeFile(casesPath, JSON.stringify(payload, null, 2));
+  }
+
+  const summary = Object.entries(totals).map(([k, n]) => `${k}=${n}`).join(' ');
+  console.error(`\nrevisions done: compared=${compared} skipped=${skipped}${summary ? ` ${summary}` : ''}` +
+    (args['dry-run'] ? '  (dry run — nothing written)' : ''));
+}
+
+function excerptLine(s, w = 60) {
+  s = String(s || '');
+  return s.length > w ? s.slice(0, w - 1) + '…' : s;
+}
+
+// --- validate-payload ---
+
+/**
+ * Offline check against the bulk-ingest JSON Schema, so a contract
+ * violation surfaces here instead of as a staging rejection. Explicit file
+ * paths win; otherwise the compiled artifacts upload.js would send
+ * (--source / --window filter them), or with --out every per-stem
+ * out/<stem>/cases.json.
+ */
+async function cmdValidatePayload(args) {
+  const targets = args._.slice(1).map(f => ({ label: f, file: path.resolve(f) }));
+  if (!targets.length && args.out) {
+    if (existsSync(OUT_DIR)) {
+      for (const d of (await readdir(OUT_DIR, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+        const file = path.join(OUT_DIR, d.name, 'cases.json');
+        if (d.isDirectory() && existsSync(file)) targets.push({ label: d.name, file });
+      }
+    }
+  } else if (!targets.length && existsSync(COMPILED_DIR)) {
+    for (const f of (await readdir(COMPILED_DIR)).sort()) {
+      if (!f.endsWith('.json') || f.endsWith('.manifest.json') || f.endsWith('.reconcile.json')) continue;
+      const stem = f.replace(/\.json$/, '');
+      if (args.source && !stem.startsWith(`${args.source}-`)) continue;
+      if (args.window && !stem.endsWith(`-${args.window}`)) continue;
+      targets.push({ label: stem, file: path.join(COMPILED_DIR, f) });
+    }
+  }
+  if (!targets.length) {
+    console.error(`Nothing to validate (no ${args.out ? 'out/<stem>/cases.json' : 'compiled artifacts'} matched).`);
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const t of targets) {
+    results.push({ file: path.relative(ROOT, t.file), label: t.label, ...await validatePayloadFile(t.file) });
+  }
+  const invalid = results.filter(r => !r.valid).length;
+  if (args.json) {
+    console.log(JSON.stringify({ checked: results.length, invalid, results }, null, 2));
+  } else {
+    for (const r of results) printPayloadValidation(r.label, r, { max: args.verbose ? Infinity : 20 });
+    console.log(`\n${results.length} payload(s) checked, ${invalid} invalid`);
+  }
+  if (invalid > 0) process.exit(1);
+}
+
+// --- harvest ---
+
+async function cmdHarvest(args) {
+  const indexDir = args['index-dir'] ? path.resolve(args['index-dir']) : INDEX_DIR;
+  const indexFiles = existsSync(indexDir) ? listIndexFiles(indexDir) : [];
+  if (indexFiles.length === 0) {
+    console.error(`No MM_YY_<court>.html index pages under ${path.relative(ROOT, indexDir) || indexDir}`);
+    return;
+  }
+
+  const { targets, skipped } = collectHarvestTargets(indexFiles, {
+    baseUrl: args['base-url'] || DEFAULT_INDEX_BASE,
+    source: args.source || null,
+  });
+  for (const s of skipped) {
+    console.error(`SKIP  ${s.index_file}${s.slip_op_cite ? `  ${s.slip_op_cite}` : ''} — ${s.reason}`);
+  }
+
+  // --from-dir serves the site out of a local mirror; no politeness delay
+  // needed unless asked for.
+  const fetcher = args['from-dir']
+    ? createDirectoryFetcher(path.resolve(args['from-dir']))
+    : createHttpFetcher({ userAgent: args['user-agent'] || undefined });
+  const delayMs = args.delay != null
+    ? parseInt(args.delay, 10)
+    : (fetcher.kind === 'directory' ? 0 : DEFAULT_DELAY_MS);
+  const limit = args.limit ? parseInt(args.limit, 10) : Infinity;
+  if (!Number.isFinite(delayMs) || delayMs < 0 || !(limit > 0)) {
+    console.error('--delay must be >= 0 and --limit > 0');
+    process.exit(2);
+  }
+
+  await mkdir(HTML_DIR, { recursive: true });
+  await mkdir(PDF_DIR, { recursive: true });
+  const manifest = await loadHarvestManifest(HARVEST_MANIFEST);
+  console.error(`harvest: ${targets.length} opinion link(s) in ${indexFiles.length} index page(s) via ${fetcher.kind}${args['dry-run'] ? ' (dry-run)' : ''}`);
+
+  const summary = await harvest(targets, {
+    fetcher,
+    root: ROOT,
+    htmlDir: HTML_DIR,
+    pdfDir: PDF_DIR,
+    manifest,
+    manifestPath: HARVEST_MANIFEST,
+    delayMs,
+    limit,
+    force: !!args.force,
+    retryMissing: !!args['retry-missing'],
+    dryRun: !!args['dry-run'],
+  });
+
+  console.error(`\nharvest done: fetched=${summary.fetched} adopted=${summary.adopted} skipped=${summary.skipped} missing=${summary.missing} failed=${summary.failed}`);
+  if (summary.stopped) console.error(`stopped early: ${summary.stopped}`);
+  if (summary.fetched || summary.adopted) console.error('next: node main.js parse-all');
+  if (summary.failed > 0) process.exit(1);
+}
+
+// --- triage ---
+
+/**
+ * Review scripts/resolve_index.js's unresolved entries from the terminal
+ * (src/triage.js). Decisions append to the decisions file, which the next
+ * resolve_index.js run honours.
+ */
+async function cmdTriage(args) {
+  const files = args._.length > 1
+    ? args._.slice(1).map(f => path.resolve(f))
+    : latestResolutionFiles(RESOLUTION_DIR, { source: args.source || null });
+  if (files.length === 0) {
+    console.error(`No resolved-<source>-<stamp>.json under ${path.relative(ROOT, RESOLUTION_DIR)}/. Run scripts/resolve_index.js first.`);
+    process.exit(1);
+  }
+  const decisionsPath = args.decisions ? path.resolve(args.decisions) : path.join(RESOLUTION_DIR, 'decisions.jsonl');
+  const queue = buildQueue(files, loadDecisions(decisionsPath), { includeSkipped: !!args['include-skipped'] });
+  for (const f of files) console.error(`from ${path.relative(ROOT, f)}`);
+  if (queue.length === 0) {
+    console.error('Nothing to triage — every unresolved entry has a decision.');
+    return;
+  }
+  const top = args.top ? parseInt(args.top, 10) : 3;
+  const tally = await runTriage(queue, {
+    decisionsPath,
+    reviewer: typeof args.reviewer === 'string' ? args.reviewer : (process.env.USER || null),
+    top: top > 0 ? top : 3,
+  });
+  console.error(`\ntriage: accepted=${tally.accepted} rejected=${tally.rejected} skipped=${tally.skipped} remaining=${tally.remaining}`);
+  if (tally.accepted || tally.rejected) console.error('next: node scripts/resolve_index.js (honours the decisions file)');
+}
+
 // --- arg parsing ---
 
 function parseArgs(argv) {
@@ -407,6 +856,12 @@ const HANDLERS = {
   'parse-all':  cmdParseAll,
   status:       cmdStatus,
   compile:      cmdCompile,
+  withdraw:     cmdWithdraw,
+  reconcile:    cmdReconcile,
+  revisions:    cmdRevisions,
+  'validate-payload': cmdValidatePayload,
+  harvest:      cmdHarvest,
+  triage:       cmdTriage,
 };
 
 if (HANDLERS[cmd]) {
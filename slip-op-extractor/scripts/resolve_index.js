@@ -19,7 +19,8 @@
  * PDFs) are consumed by main.js, NOT this script.
  *
  * Filename pattern: `MM_YY_<court>.html`. The court code maps to a source
- * DB and a court_id via COURT_SIGNALS below.
+ * DB and a court_id via COURT_SIGNALS in src/lrb_index.js (shared with
+ * `main.js harvest`, which walks the same pages to fetch the opinions).
  *
  * Resolution algorithm
  *   1. Filter by (court_id, decision_date) — narrows to ~5–30 cases per
@@ -48,14 +49,25 @@
  * each `resolved` entry it inserts a slip-op citation row pointing at
  * `target_case_id`; for each `unresolved` entry it writes a row to a
  * match-candidates queue table for human triage in the admin UI.
+ *
+ * Local review: `node main.js triage` walks the `unresolved` entries and
+ * appends accept / reject / skip calls to
+ * out/index-resolution/decisions.jsonl (override with --decisions=<file>).
+ * This script honours that file on every run (src/triage.js):
+ *   accepted  → resolved with reason `reviewer_accepted`, no scoring
+ *   rejected  → those case_ids never count as candidates again; an entry
+ *               whose every candidate was rejected stays unresolved as
+ *               `all_candidates_rejected`
+ * Each such record carries a `review` block { decision, reviewer,
+ * decided_at, note }.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import * as cheerio from 'cheerio';
 import pg from 'pg';
-import { parseLrbDate } from '../src/shared.js';
+import { parseIndexFile, listIndexFiles } from '../src/lrb_index.js';
+import { loadDecisions, applyReview } from '../src/triage.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -67,62 +79,7 @@ const SCORE_FLOOR = 0.25;        // top.best_score must clear this
 const MARGIN_FLOOR = 0.10;       // best_score margin to runner-up
 const NAME_MARGIN_FLOOR = 0.05;  // name_score tiebreaker when best_scores tie
 
-/**
- * Court signal table. Maps the `_<code>` token in the filename and the
- * page <h1> to the source DB + court_id pair we'll resolve against. The
- * filename gives a strong narrowing signal; the H1 cross-checks it so a
- * mistyped filename (or a mid-page redirect) doesn't quietly resolve
- * against the wrong court.
- */
-/**
- * Each entry maps a filename `_<code>` token to the source DB the entries
- * land in. The CoA case is simple — one court, one court_id. The AD case
- * is multi-department: the four departments share court_id=8994 in CAP
- * (only court_department differs), and CAP didn't populate
- * court_department on older rows (2003 has 0% coverage). So we detect
- * the department from the page <h1> for downstream display, but don't
- * use it as a narrowing filter unless the DB row also has it populated.
- */
-const COURT_SIGNALS = {
-  coa: {
-    db: 'ny_reporter',
-    source_ref: 'ny_supreme',
-    court_id: 24653,
-    expected_h1: /Court of Appeals/i,
-    label: 'NY Court of Appeals',
-    detectDepartment: () => null,
-  },
-  apd: {
-    db: 'ny_appellate_division',
-    source_ref: 'ny_appellate',
-    court_id: 8994,
-    expected_h1: /Appellate Division/i,
-    label: 'NY Supreme Court, Appellate Division',
-    detectDepartment: (h1) => {
-      const m = h1.match(/(First|Second|Third|Fourth)\s+Department/i);
-      if (!m) return null;
-      const map = { first: 1, second: 2, third: 3, fourth: 4 };
-      return map[m[1].toLowerCase()];
-    },
-  },
-};
-
-// ---------- HTML parse ----------
-
-/**
- * Locate Title and Slip Opinion column indices by reading <th> headers.
- * Layouts seen: 3-col 2003 (Title|Judge|Slip Op), 4-col 2004+ (Title|
- * Judge|Docket|Slip Op). Falls back to fixed positions when headers
- * are absent.
- */
-function locateColumns($, $table) {
-  const ths = $table.find('th').toArray().map(th => $(th).text().trim());
-  let titleIdx = ths.findIndex(t => /^Title$/i.test(t));
-  let slipIdx  = ths.findIndex(t => /Slip\s*Opinion/i.test(t));
-  if (titleIdx < 0) titleIdx = 0;
-  if (slipIdx  < 0) slipIdx  = ths.length === 4 ? 3 : 2;
-  return { titleIdx, slipIdx };
-}
+// ---------- index name normalisation ----------
 
 /**
  * Pre-normalise the index title for similarity comparison. CAP stores
@@ -138,73 +95,6 @@ function normalizeIndexName(s) {
     .trim();
 }
 
-function parseSlipOpFromText(text) {
-  // Index variants: "2003 NYSlipOp 17894", "2004 NY Slip Op 09408".
-  const m = text.match(/(\d{4})\s*NY\s*Slip\s*Op\s*(\d+)/i);
-  if (!m) return null;
-  const year = Number(m[1]);
-  const num = String(parseInt(m[2], 10));
-  return {
-    year,
-    number: num,
-    cite: `${year} NY Slip Op ${m[2].padStart(5, '0')}`,
-    curie: `nyslopop:${year}:${num}`,
-  };
-}
-
-function parseIndexFile(filePath) {
-  const html = fs.readFileSync(filePath, 'utf8');
-  const $ = cheerio.load(html);
-
-  const fname = path.basename(filePath);
-  const m = fname.match(/^(\d{2})_(\d{2})_([a-z]+)\.html$/i);
-  if (!m) throw new Error(`Filename "${fname}" does not match MM_YY_<court>.html`);
-  const courtCode = m[3].toLowerCase();
-  const sig = COURT_SIGNALS[courtCode];
-  if (!sig) throw new Error(`Unknown court code "${courtCode}" in ${fname}`);
-  const h1 = $('h1').first().text().trim();
-  if (!sig.expected_h1.test(h1)) {
-    throw new Error(`H1 "${h1}" doesn't match expected ${sig.expected_h1} for code ${courtCode}`);
-  }
-  const courtDepartment = sig.detectDepartment ? sig.detectDepartment(h1) : null;
-
-  const entries = [];
-  $('table').each((_, tbl) => {
-    const $t = $(tbl);
-    const captionText = $t.find('caption').text().trim();
-    const cm = captionText.match(/Cases Decided\s+(.+)/i);
-    if (!cm) return;
-    const decisionDate = parseLrbDate(cm[1]);
-    if (!decisionDate) return;
-
-    const { titleIdx, slipIdx } = locateColumns($, $t);
-
-    $t.find('tr').each((_, tr) => {
-      const tds = $(tr).find('td');
-      if (tds.length === 0) return;
-      const titleText = $(tds[titleIdx]).text().replace(/\s+/g, ' ').trim();
-      const slipText  = $(tds[slipIdx]).text().trim();
-      if (!titleText || !slipText) return;
-      const slip = parseSlipOpFromText(slipText);
-      if (!slip) return;  // header row or malformed — skip
-      entries.push({
-        court_id: sig.court_id,
-        court_department: courtDepartment,
-        source_db: sig.db,
-        source_ref: sig.source_ref,
-        decision_date: decisionDate,
-        index_name: titleText,
-        slip_op_year: slip.year,
-        slip_op_number: slip.number,
-        slip_op_cite: slip.cite,
-        slip_op_curie: slip.curie,
-        url: $(tds[titleIdx]).find('a').attr('href') || null,
-      });
-    });
-  });
-  return { sig, entries, source_file: fname };
-}
-
 // ---------- DB resolve ----------
 
 /**
@@ -234,6 +124,7 @@ async function fetchCandidates(client, e, { merged = false } = {}) {
             c.first_page,
             c.last_page,
             c.court_department,
+            c.decision_date::text AS decision_date,
             similarity(c.name, $1) AS name_score,
             similarity(c.name_abbreviation, $1) AS abbr_score,
             GREATEST(similarity(c.name, $1), similarity(c.name_abbreviation, $1)) AS best_score,
@@ -255,6 +146,7 @@ async function fetchCandidates(client, e, { merged = false } = {}) {
     first_page: r.first_page,
     last_page: r.last_page,
     court_department: r.court_department,
+    decision_date: r.decision_date,
     name_score: Number(r.name_score),
     abbr_score: Number(r.abbr_score),
     best_score: Number(r.best_score),
@@ -423,6 +315,11 @@ const inDir = path.resolve(args.in);
 const outDir = args.out_dir
   ? path.resolve(args.out_dir)
   : path.join(ROOT, 'out', 'index-resolution');
+const decisionsPath = args.decisions
+  ? path.resolve(args.decisions)
+  : path.join(outDir, 'decisions.jsonl');
+const reviews = loadDecisions(decisionsPath);
+if (reviews.size) console.log(`Honouring ${reviews.size} triage decision(s) from ${decisionsPath}`);
 
 function ts() {
   const d = new Date();
@@ -430,10 +327,7 @@ function ts() {
   return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
 }
 
-const indexFiles = fs.readdirSync(inDir)
-  .filter(f => /^\d{2}_\d{2}_[a-z]+\.html$/i.test(f))
-  .sort()
-  .map(f => path.join(inDir, f));
+const indexFiles = listIndexFiles(inDir);
 
 if (indexFiles.length === 0) {
   console.error(`No index files matching MM_YY_<court>.html in ${inDir}`);
@@ -494,8 +388,10 @@ for (const [db, entries] of byDb) {
   const client = await pool.connect();
   try {
     for (const e of entries) {
-      const candidates = await fetchCandidates(client, e, { merged: MERGED });
-      const decision = decide(candidates);
+      const review = reviews.get(e.slip_op_curie);
+      const fetched = await fetchCandidates(client, e, { merged: MERGED });
+      const candidates = fetched.filter(c => !review?.rejected.has(c.case_id));
+      const decision = applyReview(review, fetched) || decide(candidates);
       const bucket = bucketFor(e.source_ref);
 
       const baseRecord = {
@@ -511,6 +407,14 @@ for (const [db, entries] of byDb) {
           title: e.index_name,
           url: e.url,
         },
+        ...(review && review.decision !== 'skip' ? {
+          review: {
+            decision: review.decision,
+            reviewer: review.reviewer,
+            decided_at: review.decided_at,
+            note: review.note,
+          },
+        } : {}),
       };
 
       if (decision.status === 'resolved') {
@@ -523,9 +427,9 @@ for (const [db, entries] of byDb) {
           target_name_abbreviation: decision.target.name_abbreviation,
           match: {
             reason: decision.reason,
-            best_score: round3(decision.target.best_score),
-            name_score: round3(decision.target.name_score),
-            abbr_score: round3(decision.target.abbr_score),
+            best_score: round3OrNull(decision.target.best_score),
+            name_score: round3OrNull(decision.target.name_score),
+            abbr_score: round3OrNull(decision.target.abbr_score),
             citation_count: decision.target.citation_count,
             page_first: decision.target.first_page,
             page_last: decision.target.last_page,
@@ -553,6 +457,8 @@ for (const [db, entries] of byDb) {
             citation_count: c.citation_count,
             page_first: c.first_page,
             page_last: c.last_page,
+            court_department: c.court_department,
+            decision_date: c.decision_date,
           })),
         });
       }
@@ -566,6 +472,7 @@ for (const [db, entries] of byDb) {
 if (MERGED && mergedPool) await mergedPool.end();
 
 function round3(n) { return Math.round(Number(n) * 1000) / 1000; }
+function round3OrNull(n) { return n == null ? null : round3(n); }
 function tally(arr, key) {
   const out = {};
   for (const x of arr) {
@@ -0,0 +1,276 @@
+/**
+ * Counsel, docket numbers and lower-court details from slip-op text.
+ *
+ * Both parsers hand this module plain text (HTML paragraphs / pdftotext
+ * blocks); the patterns are the LRB's own conventions, which are the same in
+ * either rendering:
+ *
+ *   counsel       "Legal Aid Society, New York City (Harold Ferguson of
+ *                  counsel), for appellant."  /  "Appellant pro se."
+ *   docket        "Index No. 159876/20|Appeal No. 1234|Case No. 2021-04567|",
+ *                 "Docket Number: …", "Ind. No. 1234/19", CoA "No. 112"
+ *   lower court   "Appeal from an order of the Supreme Court, New York County
+ *                  (Lyle E. Frank, J.), entered on or about May 5, 2023, …"
+ *                 CoA: "People v Mills, 302 AD2d 141, affirmed." and
+ *                 "… order of the Appellate Division of the Supreme Court in
+ *                  the Second Judicial Department, entered May 1, 2019"
+ *
+ * Case-object fields (0.3):
+ *   counsel[]        { role, party, firm, location, attorneys[], pro_se, raw }
+ *   docket_numbers[] { type, number }   type ∈ index | appeal | case |
+ *                                       indictment | docket | motion | calendar
+ *   lower_court      { court, county, judge, date, citation } | null
+ *
+ * A recited lower-court county also fills an Appellate Division case's
+ * court_department when the court line didn't name one, using the
+ * county → department map shared with bound-volume-extractor
+ * (ingest-client/county_department.js).
+ */
+
+import { parseLrbDate } from './shared.js';
+import { COUNTY_DEPT } from '../../ingest-client/county_department.js';
+
+function lookupCounty(raw) {
+  if (!raw) return null;
+  const words = raw.trim().replace(/\s+/g, ' ').split(' ');
+  for (const cand of [words.join(' '), words.slice(-2).join(' '), words.slice(-1).join(' ')]) {
+    if (cand.toLowerCase() in COUNTY_DEPT) return cand;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Counsel
+// ---------------------------------------------------------------------------
+
+const PARTY_WORDS = 'appellants?|respondents?|petitioners?|defendants?|plaintiffs?|claimants?|movants?|intervenors?|' +
+  'amic(?:us|i)(?:\\s+curiae)?|the People|People|(?:third|non)-party[\\w -]*|[\\w-]+-(?:appellants?|respondents?)';
+// "…, for appellant." / "…, for defendant-respondent Smith and others."
+const COUNSEL_TAIL_RE = new RegExp(`,\\s+for\\s+((?:${PARTY_WORDS})\\b[^.]{0,120}?)\\.?\\s*$`, 'i');
+const PRO_SE_RE = new RegExp(`^((?:${PARTY_WORDS}))\\b[^.]{0,80}?\\bpro se\\.?$`, 'i');
+const NAME_SUFFIX_RE = /^(?:Jr|Sr|II|III|IV|Esq)\.?$/;
+const STATE_RE = /^(?:N\.?Y\.?|New York|N\.?J\.?|New Jersey|Conn\.?|Connecticut|Pa\.?|Mass\.?|D\.?C\.?)$/;
+// An office title before the location ("District Attorney, New York") —
+// there "New York" is the city, not a state after one.
+const OFFICE_TITLE_RE = /\b(?:Attorney|Counsel|Defender|Solicitor|General|Society|Office|Bureau|Department|Services|Commission|Board|Project)\b/i;
+
+/** 'defendant-appellant' → 'appellant'; 'amici curiae' → 'amicus_curiae'. */
+function normalizeRole(party) {
+  const p = party.toLowerCase();
+  for (const r of ['appellant', 'respondent', 'petitioner', 'claimant', 'movant', 'intervenor']) {
+    if (new RegExp(`\\b${r}s?\\b`).test(p)) return r;
+  }
+  if (/\bamic/.test(p)) return 'amicus_curiae';
+  if (/\bpeople\b/.test(p)) return 'respondent';
+  if (/\bdefendant/.test(p)) return 'defendant';
+  if (/\bplaintiff/.test(p)) return 'plaintiff';
+  return 'other';
+}
+
+/** "A, B, Jr. and C" → ['A', 'B, Jr.', 'C']. */
+function splitAttorneys(s) {
+  const parts = s.split(/\s*,\s*(?:and\s+)?|\s+and\s+/).filter(Boolean);
+  const out = [];
+  for (const p of parts) {
+    if (NAME_SUFFIX_RE.test(p) && out.length) out[out.length - 1] += `, ${p}`;
+    else out.push(p);
+  }
+  return out;
+}
+
+/** True for a counsel-of-record paragraph; revisions.js skips these. */
+export function isCounselLine(line) {
+  const s = String(line || '').replace(/\s+/g, ' ').trim();
+  return s.length <= 600 && (COUNSEL_TAIL_RE.test(s) || PRO_SE_RE.test(s));
+}
+
+/** Parse one counsel paragraph; null when it isn't one. */
+export function parseCounselLine(line) {
+  const raw = String(line || '').replace(/\s+/g, ' ').trim();
+  if (!raw || raw.length > 600) return null;
+
+  const proSe = raw.match(PRO_SE_RE);
+  if (proSe) {
+    return { role: normalizeRole(proSe[1]), party: proSe[1], firm: null, location: null, attorneys: [], pro_se: true, raw };
+  }
+  const tail = raw.match(COUNSEL_TAIL_RE);
+  if (!tail) return null;
+  const party = tail[1].trim();
+  let head = raw.slice(0, tail.index).trim();
+
+  let attorneys = [];
+  const ofCounsel = head.match(/\(([^()]*?)\s+of\s+counsel\)/i);
+  if (ofCounsel) {
+    attorneys = splitAttorneys(ofCounsel[1]);
+    head = (head.slice(0, ofCounsel.index) + head.slice(ofCounsel.index + ofCounsel[0].length)).trim();
+  }
+  head = head.replace(/,\s*$/, '');
+
+  // The trailing comma segment is the office location ("New York City",
+  // "Mineola", "Brooklyn, NY" — a city before a state); everything before it
+  // is the firm / office.
+  const segs = head.split(/\s*,\s*/).filter(Boolean);
+  let location = null;
+  if (segs.length >= 2) {
+    const last = segs[segs.length - 1];
+    const takeTwo = STATE_RE.test(last) && segs.length >= 3 && !OFFICE_TITLE_RE.test(segs[segs.length - 2]);
+    const loc = takeTwo ? segs.slice(-2) : [last];
+    if (loc.every(s => /^[A-Z][\w.'’ -]{1,40}$/.test(s) && s.split(' ').length <= 4 && !/\b(?:LLP|LLC|P\.?C|Esq|Inc)\b/.test(s))) {
+      location = loc.join(', ');
+      segs.splice(segs.length - loc.length);
+    }
+  }
+  const firm = segs.join(', ') || null;
+  // A lone attorney of record ("Jane Doe, Mineola, for appellant.") is
+  // both the firm line and the attorney.
+  if (!attorneys.length && firm && /^[A-Z][a-z'’]+(?:\s+[A-Z]\.?)*(?:\s+[A-Z][a-z'’-]+)+$/.test(firm)) attorneys = [firm];
+
+  return { role: normalizeRole(party), party, firm, location, attorneys, pro_se: false, raw };
+}
+
+// First paragraph of the opinion proper; counsel lines all precede it.
+const OPINION_START_RE = /^(?:Opinion by\b|OPINION OF THE COURT|MEMORANDUM|PER CURIAM|DECISION AND ORDER|[A-Z][A-Za-z'’-]+,\s+(?:J|P\.\s?J|J\.\s?P)\.\s*$)/;
+
+/**
+ * Counsel entries from a document's paragraphs, in order, deduplicated on
+ * raw text. Only the paragraphs before the opinion proper are considered,
+ * so a sentence in the body ending ", for plaintiff." is never taken for
+ * an appearance.
+ */
+export function extractCounsel(paragraphs) {
+  const out = [];
+  const seen = new Set();
+  for (const p of paragraphs || []) {
+    if (OPINION_START_RE.test(String(p).trim())) break;
+    const c = parseCounselLine(p);
+    if (c && !seen.has(c.raw)) { seen.add(c.raw); out.push(c); }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Docket numbers
+// ---------------------------------------------------------------------------
+
+const DOCKET_RES = [
+  ['index',      /\bIndex\s+Nos?\.?\s*:?\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  ['appeal',     /\bAppeal\s+Nos?\.?\s*:?\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  ['case',       /\bCase\s+Nos?\.?\s*:?\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  ['indictment', /\b(?:Ind(?:ictment)?\.?|SCI)\s+Nos?\.?\s*:?\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  ['motion',     /\bMotion\s+Nos?\.?\s*:?\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  ['docket',     /\b(?:Docket\s+(?:Number|Nos?\.?)\s*:?|Dkt\.?\s+Nos?\.?)\s*([\w\-\/]+(?:\s*,\s*[\w\-\/]*\d[\w\-\/]*)*)/gi],
+  // Court of Appeals slips head the decision with a bare "No. 112".
+  ['calendar',   /^\s*No\.\s+(\d{1,4})\s*$/gm],
+];
+
+/** Every labelled docket / index number in `text`, deduplicated by (type, number). */
+export function extractDocketNumbers(text) {
+  const out = [];
+  const seen = new Set();
+  const src = String(text || '');
+  for (const [type, re] of DOCKET_RES) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(src))) {
+      for (const raw of m[1].split(/\s*,\s*/)) {
+        const number = raw.replace(/^(?:Index|Case|Docket|Appeal)\s+No\.?\s*/i, '').replace(/[|.,;]+$/, '').trim();
+        if (!number || !/\d/.test(number)) continue;
+        const k = `${type}|${number}`;
+        if (seen.has(k)) continue;
+        seen.add(k);
+        out.push({ type, number });
+      }
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Lower court
+// ---------------------------------------------------------------------------
+
+const COURT_NAMES = [
+  'Supreme Court', 'County Court', 'Family Court', 'Surrogate[\'’]?s Court', 'Court of Claims',
+  'Civil Court of the City of New York', 'Criminal Court of the City of New York',
+  'Housing Court', 'District Court', 'City Court', 'Justice Court', 'Town Court', 'Village Court',
+  'Appellate Term(?: of the Supreme Court)?',
+].join('|');
+const DATE_SRC = '[A-Z][a-z]+\\.?\\s+\\d{1,2},\\s*\\d{4}';
+// "<court>, <County> County (<judge>, J.), entered <date>"
+// "County Court of Albany County (Lynch, J.)", "Court of Claims (Ferreira, J.)"
+const LOWER_COURT_RE = new RegExp(
+  `\\b(${COURT_NAMES})(?:(?:,\\s*|\\s+of\\s+|\\s+)([A-Z][A-Za-z.]+(?:\\s[A-Z][A-Za-z.]+){0,2})\\s+County)?\\s*` +
+  `\\(([^()]{2,100})\\)(?:[,\\s]*(?:rendered|entered|dated|filed|made|issued|granted|signed)(?:\\s+on\\s+or\\s+about)?\\s+(${DATE_SRC}))?`);
+const JUDGE_ROLE_RE = /,\s*(?:J\.?|JJ\.?|S\.?|A\.?J\.?S\.?C\.?|J\.?H\.?O\.?|Ct\.?\s*Cl\.?|Surr\.?|Ref\.?|Referee|R\.?|Acting\s+Justice|J\.?\s*Ct\.?|Judge)\s*(?:,.*)?$/i;
+// CoA: "… order of the Appellate Division of the Supreme Court in the
+// Second Judicial Department, entered May 1, 2019".
+const AD_BELOW_RE = new RegExp(
+  `Appellate Division(?: of the Supreme Court)?(?: in the|,)\\s+(First|Second|Third|Fourth)\\s+(?:Judicial\\s+)?Department` +
+  `(?:[^.;]{0,60}?\\b(?:entered|dated|made)(?:\\s+on\\s+or\\s+about)?\\s+(${DATE_SRC}))?`, 'i');
+// CoA decision-line "<caption>, 302 AD2d 141, affirmed."
+const BELOW_CITE_RE = /^[^\n]{3,300}?,\s*(\d+\s+(?:A\.?D\.?\s?\d?d|Misc\.?\s?\d?d|N\.?Y\.?\s?\d?d)\s+\d+(?:\(A\))?)\s*,\s*(?:affirmed|reversed|modified|dismissed|appeal dismissed|vacated)/im;
+
+/**
+ * The court whose decision this slip op reviews, from the opinion's
+ * opening: { court, county, judge, date, citation }, or null. Only the head
+ * of the text is searched — later mentions are usually other cases.
+ */
+export function extractLowerCourt(text) {
+  const head = String(text || '').slice(0, 4000).replace(/[ \t]*\n[ \t]*(?!\n)/g, ' ');
+
+  const m = head.match(LOWER_COURT_RE);
+  const ad = head.match(AD_BELOW_RE);
+  const cite = head.match(BELOW_CITE_RE);
+  if (!m && !ad && !cite) return null;
+
+  if (m && !(ad && ad.index < m.index)) {
+    const county = lookupCounty(m[2]) || (m[2] && /^[A-Z]/.test(m[2]) ? m[2] : null);
+    const judge = m[3].replace(JUDGE_ROLE_RE, '').trim();
+    return {
+      court: m[1].replace(/\s+/g, ' '),
+      county: county || null,
+      judge: /[A-Z][a-z]/.test(judge) && !/\d/.test(judge) ? judge : null,
+      date: m[4] ? parseLrbDate(m[4]) : null,
+      citation: cite ? cite[1].replace(/\s+/g, ' ') : null,
+    };
+  }
+  return {
+    court: ad ? `Appellate Division, ${ad[1][0].toUpperCase()}${ad[1].slice(1).toLowerCase()} Department` : 'Appellate Division',
+    county: null,
+    judge: null,
+    date: ad?.[2] ? parseLrbDate(ad[2]) : null,
+    citation: cite ? cite[1].replace(/\s+/g, ' ') : null,
+  };
+}
+
+/**
+ * An AD slip's department from the lower-court county when the court line
+ * didn't carry one ("Appellate Division" with no "Nth Department").
+ */
+export function departmentFromLowerCourt(court, lowerCourt) {
+  if (court?.department != null || court?.source_ref !== 'ny_appellate') return court?.department ?? null;
+  const county = lowerCourt?.county?.toLowerCase();
+  return county && county in COUNTY_DEPT ? COUNTY_DEPT[county] : null;
+}
+
+/**
+ * All of the above for one parsed document. `paragraphs` are the
+ * document's text blocks in order (counsel lines precede the opinion),
+ * `docketText` the metadata text carrying docket labels, `opinionText` the
+ * opinion body. A legacy unlabelled `docketNumber` is kept as a 'docket'
+ * entry when no labelled number repeats it.
+ */
+export function extractCaseDetails({ paragraphs, docketText, opinionText, court, docketNumber }) {
+  const counsel = extractCounsel(paragraphs);
+  const docketNumbers = extractDocketNumbers(docketText);
+  if (docketNumber && !docketNumbers.some(d => d.number === docketNumber)) {
+    docketNumbers.unshift({ type: 'docket', number: docketNumber });
+  }
+  const lowerCourt = extractLowerCourt(opinionText);
+  return {
+    counsel,
+    docket_numbers: docketNumbers,
+    lower_court: lowerCourt,
+    court_department: departmentFromLowerCourt(court, lowerCourt),
+  };
+}
@@ -0,0 +1,356 @@
+/**
+ * Harvest slip opinions listed on locally mirrored LRB monthly index pages
+ * (in/index/MM_YY_<court>.html) into in/html/ and in/pdf/, replacing the
+ * manual save-as step before `parse-all`.
+ *
+ * Flow:
+ *   collectHarvestTargets  index pages → one target per distinct opinion
+ *                          URL (title-cell hrefs resolved against the
+ *                          page's <base href>, else DEFAULT_INDEX_BASE)
+ *   harvest                fetch each target through a pluggable fetcher,
+ *                          write it under in/html|pdf/, and record it in
+ *                          the manifest after every attempt
+ *
+ * Fetchers share one shape — `fetch(url) → { status, contentType, body }`
+ * (body a Buffer) — so the run logic doesn't care where bytes come from:
+ *   createHttpFetcher       the live site (global fetch, per-request timeout)
+ *   createDirectoryFetcher  a directory standing in for the site: URL
+ *                           /reporter/3dseries/2003/2003_17894.htm is served
+ *                           from <dir>/www.nycourts.gov/reporter/…,
+ *                           <dir>/reporter/… or <dir>/2003_17894.htm,
+ *                           whichever exists. Offline tests and re-harvests
+ *                           from an old wget mirror both use it.
+ *
+ * Politeness: `delayMs` between consecutive fetches (not before skips),
+ * and a 429 / 503 stops the run outright — the manifest makes resuming
+ * later free.
+ *
+ * Resumability: the manifest (in/harvest.manifest.json) is keyed by URL
+ * and rewritten atomically after every attempt, so an interrupted run
+ * picks up where it stopped. `fetched` entries whose file still exists are
+ * skipped; `failed` ones are retried; `missing` (404 / 410) ones only with
+ * retryMissing. A file already sitting at the target path with no
+ * manifest entry (an earlier manual save-as) is adopted, not re-fetched.
+ *
+ * Manifest shape:
+ *   { harvest_version, created_at, updated_at,
+ *     entries: { <url>: { status: fetched|failed|missing, file, format,
+ *       http_status, content_type, sha256, bytes, attempts, fetched_at,
+ *       last_attempt_at, error, adopted?, slip_op_cite, slip_op_curie,
+ *       decision_date, source_ref, index_name, index_file } } }
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { parseIndexFile } from './lrb_index.js';
+import { sha256OfBuffer } from './shared.js';
+
+export const HARVEST_VERSION = 1;
+
+// Where the slipidx pages live on the public site; their title links are
+// relative to it ("../3dseries/2003/2003_17894.htm").
+export const DEFAULT_INDEX_BASE = 'https://www.nycourts.gov/reporter/slipidx/';
+
+export const DEFAULT_DELAY_MS = 2000;
+export const DEFAULT_USER_AGENT = 'curia-obscura-slip-op-harvest/1 (+https://github.com/curia-obscura)';
+
+// Statuses that mean "slow down" — stop the run rather than keep hitting.
+const BACKOFF_STATUSES = new Set([429, 503]);
+const MISSING_STATUSES = new Set([404, 410]);
+
+// -------- targets --------
+
+function formatForUrl(url) {
+  return /\.pdf$/i.test(new URL(url).pathname) ? 'pdf' : 'html';
+}
+
+/**
+ * Local file name for a target: the URL's own basename when it has a
+ * usable one (so re-harvests land on the same path), else one built from
+ * the slip-op cite.
+ */
+function localNameFor(url, entry, format) {
+  const base = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+  const safe = base.replace(/[^A-Za-z0-9._-]+/g, '_');
+  if (/\.(html?|pdf)$/i.test(safe)) return safe;
+  return `${entry.slip_op_year}_${String(entry.slip_op_number).padStart(5, '0')}.${format === 'pdf' ? 'pdf' : 'htm'}`;
+}
+
+/**
+ * Walk index pages into fetch targets, one per distinct opinion URL (an
+ * opinion listed twice keeps its first listing). Returns
+ * { targets, skipped } — skipped entries carry a reason (unparseable
+ * page, no title link, filtered source).
+ */
+export function collectHarvestTargets(indexFiles, { baseUrl = DEFAULT_INDEX_BASE, source = null } = {}) {
+  const targets = [];
+  const skipped = [];
+  const seen = new Set();
+  for (const file of indexFiles) {
+    let parsed;
+    try {
+      parsed = parseIndexFile(file);
+    } catch (err) {
+      skipped.push({ index_file: path.basename(file), reason: err.message });
+      continue;
+    }
+    const base = parsed.base_href ? new URL(parsed.base_href, baseUrl).href : baseUrl;
+    for (const e of parsed.entries) {
+      if (source && e.source_ref !== source) continue;
+      if (!e.url) {
+        skipped.push({ index_file: parsed.source_file, slip_op_cite: e.slip_op_cite, reason: 'no title link' });
+        continue;
+      }
+      let url;
+      try {
+        url = new URL(e.url, base).href;
+      } catch {
+        skipped.push({ index_file: parsed.source_file, slip_op_cite: e.slip_op_cite, reason: `bad href ${e.url}` });
+        continue;
+      }
+      if (seen.has(url)) continue;
+      seen.add(url);
+      const format = formatForUrl(url);
+      targets.push({
+        url,
+        format,
+        file_name: localNameFor(url, e, format),
+        slip_op_cite: e.slip_op_cite,
+        slip_op_curie: e.slip_op_curie,
+        decision_date: e.decision_date,
+        source_ref: e.source_ref,
+        index_name: e.index_name,
+        index_file: parsed.source_file,
+      });
+    }
+  }
+  return { targets, skipped };
+}
+
+// -------- fetchers --------
+
+export function createHttpFetcher({ userAgent = DEFAULT_USER_AGENT, timeoutMs = 60000 } = {}) {
+  return {
+    kind: 'http',
+    async fetch(url) {
+      const res = await fetch(url, {
+        headers: { 'user-agent': userAgent },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      return {
+        status: res.status,
+        contentType: res.headers.get('content-type') || null,
+        body: Buffer.from(await res.arrayBuffer()),
+      };
+    },
+  };
+}
+
+const CONTENT_TYPES = { '.pdf': 'application/pdf', '.htm': 'text/html', '.html': 'text/html' };
+
+export function createDirectoryFetcher(dir) {
+  const root = path.resolve(dir);
+  const inside = (p) => p === root || p.startsWith(root + path.sep);
+  return {
+    kind: 'directory',
+    async fetch(url) {
+      const u = new URL(url);
+      const rel = path.posix.normalize(decodeURIComponent(u.pathname)).replace(/^\/+/, '');
+      const candidates = [
+        path.join(root, u.host, rel),
+        path.join(root, rel),
+        path.join(root, path.posix.basename(rel)),
+      ].filter(inside);
+      for (const p of candidates) {
+        if (!existsSync(p)) continue;
+        return {
+          status: 200,
+          contentType: CONTENT_TYPES[path.extname(p).toLowerCase()] || 'application/octet-stream',
+          body: await readFile(p),
+        };
+      }
+      return { status: 404, contentType: null, body: Buffer.alloc(0) };
+    },
+  };
+}
+
+// -------- manifest --------
+
+export async function loadHarvestManifest(manifestPath) {
+  if (!existsSync(manifestPath)) {
+    const now = new Date().toISOString();
+    return { harvest_version: HARVEST_VERSION, created_at: now, updated_at: now, entries: {} };
+  }
+  const m = JSON.parse(await readFile(manifestPath, 'utf8'));
+  if (m.harvest_version !== HARVEST_VERSION) {
+    throw new Error(`${path.basename(manifestPath)} is harvest_version ${m.harvest_version}, expected ${HARVEST_VERSION}`);
+  }
+  return m;
+}
+
+async function writeAtomic(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, filePath);
+}
+
+export async function saveHarvestManifest(manifestPath, manifest) {
+  manifest.updated_at = new Date().toISOString();
+  await writeAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * url → absolute local path for every `fetched` entry, so parse can stamp
+ * source_url on harvested HTML (which lacks a browser's "saved from url"
+ * comment).
+ */
+export function harvestedUrlsByFile(manifest, root) {
+  const out = new Map();
+  for (const [url, e] of Object.entries(manifest?.entries || {})) {
+    if (e.status === 'fetched' && e.file) out.set(path.resolve(root, e.file), url);
+  }
+  return out;
+}
+
+// -------- run --------
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function looksLikePdf(buf) {
+  return buf.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Fetch `targets` into htmlDir / pdfDir. Paths in the manifest are stored
+ * relative to `root`. Returns { planned, fetched, adopted, skipped,
+ * failed, missing, stopped } — `stopped` names the reason when the run
+ * ended early (limit, backoff).
+ */
+export async function harvest(targets, {
+  fetcher,
+  root,
+  htmlDir,
+  pdfDir,
+  manifest,
+  manifestPath,
+  delayMs = DEFAULT_DELAY_MS,
+  limit = Infinity,
+  force = false,
+  retryMissing = false,
+  dryRun = false,
+  log = console.error,
+}) {
+  const summary = { planned: targets.length, fetched: 0, adopted: 0, skipped: 0, failed: 0, missing: 0, stopped: null };
+  let attempts = 0;
+
+  for (const t of targets) {
+    const prev = manifest.entries[t.url];
+    if (!force && prev?.status === 'fetched' && prev.file && existsSync(path.resolve(root, prev.file))) {
+      summary.skipped++;
+      continue;
+    }
+    if (!force && prev?.status === 'missing' && !retryMissing) {
+      summary.skipped++;
+      continue;
+    }
+
+    const dest = path.join(t.format === 'pdf' ? pdfDir : htmlDir, t.file_name);
+    const record = {
+      ...(prev || {}),
+      format: t.format,
+      slip_op_cite: t.slip_op_cite,
+      slip_op_curie: t.slip_op_curie,
+      decision_date: t.decision_date,
+      source_ref: t.source_ref,
+      index_name: t.index_name,
+      index_file: t.index_file,
+    };
+
+    if (!force && !prev && existsSync(dest)) {
+      // Saved by hand before harvest existed — take it as-is.
+      const buf = await readFile(dest);
+      manifest.entries[t.url] = {
+        ...record,
+        status: 'fetched',
+        adopted: true,
+        file: path.relative(root, dest),
+        sha256: sha256OfBuffer(buf),
+        bytes: buf.length,
+        fetched_at: null,
+      };
+      if (!dryRun) await saveHarvestManifest(manifestPath, manifest);
+      summary.adopted++;
+      continue;
+    }
+
+    if (attempts >= limit) {
+      summary.stopped = `limit ${limit} reached`;
+      break;
+    }
+    if (dryRun) {
+      log(`WOULD ${t.slip_op_cite}  ${t.url} → ${path.relative(root, dest)}`);
+      attempts++;
+      continue;
+    }
+
+    if (attempts > 0 && delayMs > 0) await sleep(delayMs);
+    attempts++;
+    record.attempts = (prev?.attempts || 0) + 1;
+    record.last_attempt_at = new Date().toISOString();
+
+    let res;
+    try {
+      res = await fetcher.fetch(t.url);
+    } catch (err) {
+      manifest.entries[t.url] = { ...record, status: 'failed', http_status: null, error: err.message };
+      await saveHarvestManifest(manifestPath, manifest);
+      log(`FAIL  ${t.slip_op_cite}  ${t.url} — ${err.message}`);
+      summary.failed++;
+      continue;
+    }
+
+    if (res.status !== 200 || res.body.length === 0) {
+      const status = MISSING_STATUSES.has(res.status) ? 'missing' : 'failed';
+      const error = res.status === 200 ? 'empty body' : `HTTP ${res.status}`;
+      manifest.entries[t.url] = { ...record, status, http_status: res.status, error };
+      await saveHarvestManifest(manifestPath, manifest);
+      log(`${status === 'missing' ? 'MISS ' : 'FAIL '} ${t.slip_op_cite}  ${t.url} — ${error}`);
+      summary[status]++;
+      if (BACKOFF_STATUSES.has(res.status)) {
+        summary.stopped = `server answered HTTP ${res.status}; resume later`;
+        break;
+      }
+      continue;
+    }
+
+    // An HTML-looking link that serves a PDF (or the reverse) goes where
+    // parse-all will read it as what it is.
+    let out = dest;
+    const isPdf = looksLikePdf(res.body) || /application\/pdf/i.test(res.contentType || '');
+    if (isPdf !== (t.format === 'pdf')) {
+      const ext = isPdf ? '.pdf' : '.htm';
+      out = path.join(isPdf ? pdfDir : htmlDir, t.file_name.replace(/\.(html?|pdf)$/i, '') + ext);
+      record.format = isPdf ? 'pdf' : 'html';
+    }
+    await mkdir(path.dirname(out), { recursive: true });
+    await writeAtomic(out, res.body);
+    manifest.entries[t.url] = {
+      ...record,
+      status: 'fetched',
+      adopted: undefined,
+      file: path.relative(root, out),
+      http_status: res.status,
+      content_type: res.contentType,
+      sha256: sha256OfBuffer(res.body),
+      bytes: res.body.length,
+      fetched_at: new Date().toISOString(),
+      error: null,
+    };
+    await saveHarvestManifest(manifestPath, manifest);
+    log(`OK    ${t.slip_op_cite}  → ${path.relative(root, out)} (${res.body.length} bytes)`);
+    summary.fetched++;
+  }
+  return summary;
+}
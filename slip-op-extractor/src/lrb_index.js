@@ -0,0 +1,153 @@
+/**
+ * LRB monthly slip-opinion index pages (`/reporter/slipidx/…`, mirrored
+ * locally as in/index/MM_YY_<court>.html).
+ *
+ * Two consumers: scripts/resolve_index.js binds each listed slip-op cite to
+ * an existing DB row, and `main.js harvest` (src/harvest.js) follows each
+ * listed title link to fetch the opinion itself into in/html/ or in/pdf/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { parseLrbDate } from './shared.js';
+
+export const INDEX_FILE_RE = /^(\d{2})_(\d{2})_([a-z]+)\.html$/i;
+
+/**
+ * Court signal table. Maps the `_<code>` token in the filename and the
+ * page <h1> to the source DB + court_id pair we'll resolve against. The
+ * filename gives a strong narrowing signal; the H1 cross-checks it so a
+ * mistyped filename (or a mid-page redirect) doesn't quietly resolve
+ * against the wrong court.
+ */
+/**
+ * Each entry maps a filename `_<code>` token to the source DB the entries
+ * land in. The CoA case is simple — one court, one court_id. The AD case
+ * is multi-department: the four departments share court_id=8994 in CAP
+ * (only court_department differs), and CAP didn't populate
+ * court_department on older rows (2003 has 0% coverage). So we detect
+ * the department from the page <h1> for downstream display, but don't
+ * use it as a narrowing filter unless the DB row also has it populated.
+ */
+export const COURT_SIGNALS = {
+  coa: {
+    db: 'ny_reporter',
+    source_ref: 'ny_supreme',
+    court_id: 24653,
+    expected_h1: /Court of Appeals/i,
+    label: 'NY Court of Appeals',
+    detectDepartment: () => null,
+  },
+  apd: {
+    db: 'ny_appellate_division',
+    source_ref: 'ny_appellate',
+    court_id: 8994,
+    expected_h1: /Appellate Division/i,
+    label: 'NY Supreme Court, Appellate Division',
+    detectDepartment: (h1) => {
+      const m = h1.match(/(First|Second|Third|Fourth)\s+Department/i);
+      if (!m) return null;
+      const map = { first: 1, second: 2, third: 3, fourth: 4 };
+      return map[m[1].toLowerCase()];
+    },
+  },
+};
+
+/**
+ * Locate Title and Slip Opinion column indices by reading <th> headers.
+ * Layouts seen: 3-col 2003 (Title|Judge|Slip Op), 4-col 2004+ (Title|
+ * Judge|Docket|Slip Op). Falls back to fixed positions when headers
+ * are absent.
+ */
+function locateColumns($, $table) {
+  const ths = $table.find('th').toArray().map(th => $(th).text().trim());
+  let titleIdx = ths.findIndex(t => /^Title$/i.test(t));
+  let slipIdx  = ths.findIndex(t => /Slip\s*Opinion/i.test(t));
+  if (titleIdx < 0) titleIdx = 0;
+  if (slipIdx  < 0) slipIdx  = ths.length === 4 ? 3 : 2;
+  return { titleIdx, slipIdx };
+}
+
+export function parseSlipOpFromText(text) {
+  // Index variants: "2003 NYSlipOp 17894", "2004 NY Slip Op 09408".
+  const m = text.match(/(\d{4})\s*NY\s*Slip\s*Op\s*(\d+)/i);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const num = String(parseInt(m[2], 10));
+  return {
+    year,
+    number: num,
+    cite: `${year} NY Slip Op ${m[2].padStart(5, '0')}`,
+    curie: `nyslopop:${year}:${num}`,
+  };
+}
+
+/**
+ * Parse one local MM_YY_<court>.html index page into per-opinion entries
+ * ({ decision_date, index_name, slip_op_cite, slip_op_curie, url, … }).
+ * `url` is the title cell's href exactly as written — usually relative to
+ * the page's original location; `base_href` carries the page's own
+ * <base href> when the mirror kept one, for callers that need absolute
+ * URLs. Throws on an unrecognised filename, court code or <h1>.
+ */
+export function parseIndexFile(filePath) {
+  const html = fs.readFileSync(filePath, 'utf8');
+  const $ = cheerio.load(html);
+
+  const fname = path.basename(filePath);
+  const m = fname.match(INDEX_FILE_RE);
+  if (!m) throw new Error(`Filename "${fname}" does not match MM_YY_<court>.html`);
+  const courtCode = m[3].toLowerCase();
+  const sig = COURT_SIGNALS[courtCode];
+  if (!sig) throw new Error(`Unknown court code "${courtCode}" in ${fname}`);
+  const h1 = $('h1').first().text().trim();
+  if (!sig.expected_h1.test(h1)) {
+    throw new Error(`H1 "${h1}" doesn't match expected ${sig.expected_h1} for code ${courtCode}`);
+  }
+  const courtDepartment = sig.detectDepartment ? sig.detectDepartment(h1) : null;
+
+  const entries = [];
+  $('table').each((_, tbl) => {
+    const $t = $(tbl);
+    const captionText = $t.find('caption').text().trim();
+    const cm = captionText.match(/Cases Decided\s+(.+)/i);
+    if (!cm) return;
+    const decisionDate = parseLrbDate(cm[1]);
+    if (!decisionDate) return;
+
+    const { titleIdx, slipIdx } = locateColumns($, $t);
+
+    $t.find('tr').each((_, tr) => {
+      const tds = $(tr).find('td');
+      if (tds.length === 0) return;
+      const titleText = $(tds[titleIdx]).text().replace(/\s+/g, ' ').trim();
+      const slipText  = $(tds[slipIdx]).text().trim();
+      if (!titleText || !slipText) return;
+      const slip = parseSlipOpFromText(slipText);
+      if (!slip) return;  // header row or malformed — skip
+      entries.push({
+        court_id: sig.court_id,
+        court_department: courtDepartment,
+        source_db: sig.db,
+        source_ref: sig.source_ref,
+        decision_date: decisionDate,
+        index_name: titleText,
+        slip_op_year: slip.year,
+        slip_op_number: slip.number,
+        slip_op_cite: slip.cite,
+        slip_op_curie: slip.curie,
+        url: $(tds[titleIdx]).find('a').attr('href') || null,
+      });
+    });
+  });
+  return { sig, entries, source_file: fname, base_href: $('base[href]').attr('href') || null };
+}
+
+/** Sorted absolute paths of the MM_YY_<court>.html pages in `dir`. */
+export function listIndexFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => INDEX_FILE_RE.test(f))
+    .sort()
+    .map(f => path.join(dir, f));
+}
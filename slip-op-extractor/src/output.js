@@ -34,6 +34,10 @@
  *
  * Opinion CURIEs get a placeholder derived from `case_curie`; the inserter
  * regenerates the real curie from case_id at insert time.
+ *
+ * The contract itself is written down as a JSON Schema in
+ * ../ingest-client/schema/bulk-ingest-0.3.schema.json; `main.js
+ * validate-payload` checks output against it. Change both together.
  */
 
 import { randomUUID } from 'crypto';
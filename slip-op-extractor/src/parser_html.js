@@ -9,10 +9,13 @@
  * vs. a yellow table) but agree on the schema of what's there: case name,
  * slip-op cite, decision date, court. The extractor branches on layout to
  * find the right elements, then merges into a single normalised case object.
+ * Counsel, docket numbers and the lower court are mined from the resulting
+ * text by case_details.js, shared with the PDF parser.
  */
 
 import * as cheerio from 'cheerio';
 import { parseSlipOpCiteFromText } from './extract_slip_cite.js';
+import { extractCaseDetails } from './case_details.js';
 import {
   classifyCourt,
   parseLrbDate,
@@ -20,6 +23,7 @@ import {
   slugify,
   slipOpCurie,
   slipOpCite,
+  courtWithDepartment,
 } from './shared.js';
 
 /**
@@ -59,6 +63,14 @@ export function parseHtml(html, layout, { sourceUrlOverride } = {}) {
 
   const parallel = meta.parallelCite ? [meta.parallelCite.raw] : [];
 
+  const details = extractCaseDetails({
+    paragraphs: layout === 'html-modern' ? counselParagraphsModern($) : blockTexts($, 'p, td'),
+    docketText: meta.docketText,
+    opinionText: opinions[0]?.text,
+    court,
+    docketNumber: meta.docketNumber,
+  });
+
   return {
     case_curie: curie,
     name: meta.fullCaption || meta.title || null,
@@ -69,9 +81,13 @@ export function parseHtml(html, layout, { sourceUrlOverride } = {}) {
     first_page: null,
     last_page: null,
     source_url: sourceUrl,
-    court_department: court.department,
+    court_department: details.court_department,
+    court: courtWithDepartment(court, details.court_department),
     citation: citeStr,
     parallel_cites: parallel,
+    docket_numbers: details.docket_numbers,
+    counsel: details.counsel,
+    lower_court: details.lower_court,
     captions: [],
     opinions,
     _routing: {
@@ -125,6 +141,7 @@ function extractMetaModern($) {
     .filter((_, el) => /Index No\.|Case No\.|Appeal No\./.test($(el).text()))
     .first().text();
   const docketNumber = pickDocketNumber(docketLine);
+  const docketText = [docketLine, ...ps].filter(Boolean).join('\n');
 
   const fullCaption = extractCaptionModern($);
   const parallelCite = findParallelCite($('div.case-info').text());
@@ -135,11 +152,27 @@ function extractMetaModern($) {
     slipOp,
     decisionDate,
     docketNumber,
+    docketText,
     courtText: courtLine,
     parallelCite,
   };
 }
 
+/**
+ * Attorneys of record: modern pages keep them in their own counsel block;
+ * older modern pages put them in the body paragraphs ahead of the opinion.
+ */
+function counselParagraphsModern($) {
+  const block = blockTexts($, 'div.current-counsel-block p');
+  return block.length ? block : blockTexts($, 'div.current-legal-document p, main#main p');
+}
+
+function blockTexts($, selector) {
+  return $(selector).toArray()
+    .map(el => $(el).text().replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
 function extractCaptionModern($) {
   const partyLines = $('div.parties p')
     .toArray()
@@ -218,6 +251,9 @@ function extractMetaLegacy($) {
   // Docket: legacy layout sometimes has a standalone token like "2024-801 K C"
   // immediately before the cyan table — search nearby text for it.
   const docketNumber = extractDocketLegacy($);
+  // Labelled numbers ("Index No.", CoA "No. 112") sit in the metadata rows
+  // or the first lines of the body.
+  const docketText = [...rowTexts, $('body').text().slice(0, 5000)].join('\n');
 
   if (!slipOp) return null;
 
@@ -227,6 +263,7 @@ function extractMetaLegacy($) {
     slipOp,
     decisionDate,
     docketNumber,
+    docketText,
     courtText,
     parallelCite,
   };
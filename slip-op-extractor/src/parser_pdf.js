@@ -4,7 +4,11 @@
  * Strategy: shell out to `pdftotext -layout` (system poppler binary) and run
  * the resulting plaintext through pattern-based metadata extraction. Slip-op
  * PDFs from nycourts.gov have a canonical cover page that we mine for cite,
- * date, court, and docket — the opinion body lives below.
+ * date, court, and docket — the opinion body lives below. Counsel, docket
+ * numbers and the lower court come from case_details.js, as for HTML.
+ * Trial-court decisions that follow the standard decision-and-order layout
+ * also get labelled sections and their ORDERED paragraphs
+ * (trial_decision.js); everything else stays one opinion blob.
  *
  * `pdftotext` is a hard dep (we don't ship a PDF parser). Install via the
  * system package manager (`apt-get install poppler-utils` on Debian/Ubuntu).
@@ -13,12 +17,15 @@
 import { execFileSync } from 'child_process';
 import path from 'path';
 import { parseSlipOpCiteFromText } from './extract_slip_cite.js';
+import { extractCaseDetails } from './case_details.js';
+import { parseTrialDecision } from './trial_decision.js';
 import {
   classifyCourt,
   parseLrbDate,
   findParallelCite,
   slipOpCurie,
   slipOpCite,
+  courtWithDepartment,
   pdfPublicUrl,
 } from './shared.js';
 
@@ -64,6 +71,21 @@ export function parsePdf(filePath) {
   // boundary (the cover page repeats some metadata, then the body starts).
   const bodyText = extractOpinionBody(text);
 
+  // Counsel lines wrap across several layout lines; blank lines separate
+  // them, so each block is one candidate paragraph.
+  const details = extractCaseDetails({
+    paragraphs: text.split(/\n\s*\n|\f/).map(b => b.replace(/\s+/g, ' ').trim()).filter(Boolean),
+    docketText: text.slice(0, 5000),
+    opinionText: bodyText,
+    court,
+    docketNumber,
+  });
+
+  // Only trial-level courts write decisions in this layout; an appellate
+  // (including Appellate Term) memorandum that happens to quote "ORDERED
+  // that" must stay a blob.
+  const trial = court.court?.level === 'trial' ? parseTrialDecision(bodyText) : null;
+
   return {
     case_curie: curie,
     name: titleLine || null,
@@ -74,17 +96,27 @@ export function parsePdf(filePath) {
     first_page: null,
     last_page: null,
     source_url: sourceUrl,
-    court_department: court.department,
+    court_department: details.court_department,
+    court: courtWithDepartment(court, details.court_department),
     citation: cite,
     parallel_cites: parallelCites,
+    docket_numbers: details.docket_numbers,
+    counsel: details.counsel,
+    lower_court: details.lower_court,
     captions: [],
     opinions: bodyText ? [{
       opinion_index: 0,
       opinion_type: detectOpinionType(text),
-      author: null,
+      author: trial?.author ?? null,
       text: bodyText,
       page_breaks: [],
       footnotes: [],
+      ...(trial ? {
+        sections: trial.sections,
+        ordered_paragraphs: trial.ordered_paragraphs,
+        disposition: trial.disposition,
+        signed_on: trial.signed_on,
+      } : {}),
     }] : [],
     _routing: {
       reporter: court.reporter,
@@ -110,15 +142,23 @@ function findSlipOpInText(text) {
 }
 
 function findCourtLine(text) {
-  // Cover page lists court between the slip-op cite and the docket. Pull the
-  // first line matching the "Court of Appeals / Appellate Division / Supreme
-  // Court / etc" idiom from the top of the document.
+  // Cover page lists court between the slip-op cite and the docket. Take the
+  // first line naming a court ("Court of Appeals", "Appellate Division,
+  // Second Department", "Appellate Term, Second Department, 9th and 10th
+  // Judicial Districts", "Court of Claims", "Surrogate's Court, Kings County",
+  // …) from the top of the document, whole, so classifyCourt sees the
+  // department / district / county that follows the court name.
   const head = text.slice(0, 3000);
-  const lineRe = /(?:Court of Appeals|Appellate Division[, ]+\w+\s+Department|Appellate Term[, ]+[\w ]+Department|Supreme Court[,\.\s][^\n]{0,80}|County Court[^\n]{0,80}|Civil Court[^\n]{0,80}|Surrogate'?s Court[^\n]{0,80}|Family Court[^\n]{0,80}|Criminal Court[^\n]{0,80})/i;
-  const m = head.match(lineRe);
-  return m ? m[0].trim() : null;
+  for (const raw of head.split('\n')) {
+    const line = raw.trim().replace(/\s{2,}/g, ' ');
+    const m = line.match(COURT_LINE_RE);
+    if (m) return line.slice(m.index, m.index + 160).trim();
+  }
+  return null;
 }
 
+const COURT_LINE_RE = /(?:Court of Appeals|Appellate Division|Appellate Term|Court of Claims|Supreme Court[,.\s]|County Court|Civil Court|Housing Court|Surrogate'?’?s Court|Family Court|Criminal Court|District Court|City Court|Justice Court|Town Court|Village Court)/i;
+
 function findDecisionDate(text) {
   // The cover page typically lists the decision date right after the slip
   // cite. Best-effort: look for any "<Month> <day>, <year>" in the head.
@@ -0,0 +1,277 @@
+/**
+ * Local slip-op ↔ bound-volume reconciliation.
+ *
+ * buildPayload (output.js) pre-stamps a slip op's bracketed reporter cite
+ * with a synthesised bound-volume CURIE and leaves the actual join to the
+ * server's tier-1 / tier-1.25 matcher. This module runs the same join
+ * locally against bound-volume-extractor's out/<volume>/cases.json files,
+ * so bad joins surface before a compiled batch is uploaded instead of in
+ * `needs_review` afterwards.
+ *
+ * Per slip-op case, in order:
+ *   1. cite         — the slip op's official (bracketed) cite equals a
+ *                     bound-volume case's official cite. Confidence 1.0,
+ *                     lowered when the names or dates disagree (each such
+ *                     disagreement is recorded in `issues` — a cite join
+ *                     whose names don't match is the classic bad join).
+ *   2. court_date_name — same source_ref and decision_date, best name
+ *                     similarity ≥ NAME_MATCH_MIN. Confidence = 0.9 ×
+ *                     similarity; a runner-up within AMBIGUITY_MARGIN
+ *                     flags `ambiguous`.
+ *
+ * `curie_mismatch` is flagged when a match's bound-volume case_curie
+ * differs from the CURIE buildPayload synthesised for the slip op — the
+ * server's tier-1 join would miss that case even though the cite agrees.
+ *
+ * Bound-volume cases in the same source_ref and decision-date window as
+ * the slip ops but matched by none of them are listed as
+ * `unmatched_bound` (slip ops not yet harvested, or joins that failed).
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+
+export const NAME_MATCH_MIN = 0.6;
+export const AMBIGUITY_MARGIN = 0.05;
+const NAME_OK_FOR_CITE = 0.5;
+
+// Bound-volume reporters → the source ref classifyCourt assigns the same
+// court's slip ops.
+function sourceRefForReporter(reporter) {
+  const r = String(reporter || '').replace(/[\s.]/g, '');
+  if (/^NY\dd$/i.test(r)) return 'ny_supreme';
+  if (/^AD\dd$/i.test(r)) return 'ny_appellate';
+  if (/^Misc\dd$/i.test(r)) return 'ny_trial';
+  return null;
+}
+
+/** Comparison key for a cite in compact or dotted form: "1 N.Y.3d 29" → "1ny3d29". */
+export function citeKey(cite) {
+  return cite ? String(cite).replace(/[\s.]/g, '').toLowerCase() : null;
+}
+
+const NAME_STOP = new Set(['v', 'vs', 'of', 'the', 'in', 're', 'matter', 'inc', 'llc', 'co', 'corp', 'et', 'al', 'and', 'a', 'people']);
+function nameTokens(name) {
+  return new Set(String(name || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ').split(' ')
+    .filter(t => t && !NAME_STOP.has(t)));
+}
+
+/**
+ * Name similarity in [0, 1]: the larger of the Dice coefficient and the
+ * overlap over the shorter name, so "People v Mills" vs "People v Mills
+ * (Arthur)" scores 1 while unrelated captions sharing only "People" stay low.
+ */
+export function nameSimilarity(a, b) {
+  const A = nameTokens(a), B = nameTokens(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const t of A) if (B.has(t)) shared++;
+  const dice = (2 * shared) / (A.size + B.size);
+  const overlap = shared / Math.min(A.size, B.size);
+  // Overlap alone over-rewards one-token names ("People"); only trust it
+  // when at least two tokens are shared.
+  return Math.round(Math.max(dice, shared >= 2 ? overlap : 0) * 1000) / 1000;
+}
+
+const displayName = (c) => c.name_abbreviation || c.name || null;
+const officialCites = (c) => (c.citations || []).filter(x => x.citation_type === 'official');
+
+/**
+ * Index every out/<volume>/cases.json under `boundDir`:
+ * { byCite: Map(citeKey → case), byDate: Map(`${source_ref}|${date}` → [case]) }.
+ * Each indexed case is a slim { case_curie, name, cite, decision_date,
+ * source_ref, volume } record.
+ */
+export async function loadBoundIndex(boundDir) {
+  const byCite = new Map();
+  const byDate = new Map();
+  const all = [];
+  if (!existsSync(boundDir)) return { byCite, byDate, all, volumes: 0 };
+  let volumes = 0;
+  for (const d of await readdir(boundDir, { withFileTypes: true })) {
+    if (!d.isDirectory()) continue;
+    let doc;
+    try {
+      doc = JSON.parse(await readFile(path.join(boundDir, d.name, 'cases.json'), 'utf8'));
+    } catch {
+      continue;
+    }
+    const sourceRef = sourceRefForReporter(doc.volume?.reporter);
+    if (!sourceRef) continue;
+    volumes++;
+    for (const c of doc.cases || []) {
+      const official = officialCites(c)[0];
+      const rec = {
+        case_curie: c.case_curie || null,
+        name: displayName(c),
+        cite: official?.cite || null,
+        decision_date: c.decision_date || null,
+        source_ref: sourceRef,
+        volume: d.name,
+      };
+      all.push(rec);
+      const key = citeKey(rec.cite);
+      if (key && !byCite.has(key)) byCite.set(key, rec);
+      if (rec.decision_date) {
+        const dk = `${sourceRef}|${rec.decision_date}`;
+        if (!byDate.has(dk)) byDate.set(dk, []);
+        byDate.get(dk).push(rec);
+      }
+    }
+  }
+  return { byCite, byDate, all, volumes };
+}
+
+/**
+ * Full bound-volume case (opinions included) behind an index record.
+ * `cache` maps volume dir → parsed cases.json across calls.
+ */
+export async function loadBoundCase(boundDir, rec, cache = new Map()) {
+  if (!cache.has(rec.volume)) {
+    cache.set(rec.volume, JSON.parse(await readFile(path.join(boundDir, rec.volume, 'cases.json'), 'utf8')));
+  }
+  return (cache.get(rec.volume).cases || []).find(c => c.case_curie === rec.case_curie) || null;
+}
+
+/** Reconcile one slip-op case (cases.json 0.3 shape) against the index. */
+export function reconcileCase(c, sourceRef, index) {
+  const slipCite = (c.citations || []).find(x => x.citation_type === 'slip_op')?.cite || null;
+  const base = {
+    case_curie: c.case_curie || null,
+    slip_cite: slipCite,
+    name: displayName(c),
+    decision_date: c.decision_date || null,
+    source_ref: sourceRef,
+  };
+
+  for (const oc of officialCites(c)) {
+    const hit = index.byCite.get(citeKey(oc.cite));
+    if (!hit) continue;
+    const similarity = nameSimilarity(base.name, hit.name);
+    const issues = [];
+    let confidence = 1;
+    if (similarity < NAME_OK_FOR_CITE) { issues.push('name_mismatch'); confidence = 0.5; }
+    if (base.decision_date && hit.decision_date && base.decision_date !== hit.decision_date) {
+      issues.push('date_mismatch');
+      confidence = Math.min(confidence, 0.9);
+    }
+    if (oc.curie && hit.case_curie && oc.curie !== hit.case_curie) issues.push('curie_mismatch');
+    return { ...base, method: 'cite', confidence, name_similarity: similarity, official_cite: oc.cite, synthesised_curie: oc.curie || null, bound: hit, issues };
+  }
+
+  const candidates = (index.byDate.get(`${sourceRef}|${base.decision_date}`) || [])
+    .map(b => ({ b, similarity: nameSimilarity(base.name, b.name) }))
+    .filter(x => x.similarity >= NAME_MATCH_MIN)
+    .sort((x, y) => y.similarity - x.similarity);
+  if (candidates.length) {
+    const [best, next] = candidates;
+    const issues = [];
+    if (next && best.similarity - next.similarity < AMBIGUITY_MARGIN) issues.push('ambiguous');
+    const synthesised = officialCites(c).find(x => x.curie)?.curie || null;
+    if (synthesised && best.b.case_curie && synthesised !== best.b.case_curie) issues.push('curie_mismatch');
+    if (officialCites(c).length) issues.push('cite_mismatch');   // carries a cite, but not this case's
+    return {
+      ...base,
+      method: 'court_date_name',
+      confidence: Math.round(0.9 * best.similarity * 1000) / 1000,
+      name_similarity: best.similarity,
+      official_cite: officialCites(c)[0]?.cite || null,
+      synthesised_curie: synthesised,
+      bound: best.b,
+      runner_up: next ? { ...next.b, name_similarity: next.similarity } : null,
+      issues,
+    };
+  }
+  return { ...base, method: null, official_cite: officialCites(c)[0]?.cite || null };
+}
+
+/**
+ * Reconcile slip-op payloads against the bound-volume index. `payloads` is
+ * a list of cases.json / compiled documents ({ target_source_db, cases }).
+ */
+export function reconcile(payloads, index) {
+  const matched = [];
+  const unmatched = [];
+  const usedBound = new Set();
+  const window = new Map();   // source_ref → [minDate, maxDate]
+
+  for (const p of payloads) {
+    for (const c of p.cases || []) {
+      const r = reconcileCase(c, p.target_source_db, index);
+      if (r.method) {
+        matched.push(r);
+        if (r.bound.case_curie) usedBound.add(r.bound.case_curie);
+      } else {
+        unmatched.push(r);
+      }
+      if (r.decision_date && r.source_ref) {
+        const w = window.get(r.source_ref) || [r.decision_date, r.decision_date];
+        if (r.decision_date < w[0]) w[0] = r.decision_date;
+        if (r.decision_date > w[1]) w[1] = r.decision_date;
+        window.set(r.source_ref, w);
+      }
+    }
+  }
+
+  const unmatchedBound = index.all.filter(b => {
+    const w = window.get(b.source_ref);
+    return w && b.decision_date && b.decision_date >= w[0] && b.decision_date <= w[1]
+      && !usedBound.has(b.case_curie);
+  });
+
+  const flagged = matched.filter(m => m.issues.length);
+  const byMethod = {};
+  for (const m of matched) byMethod[m.method] = (byMethod[m.method] || 0) + 1;
+  const byIssue = {};
+  for (const m of flagged) for (const i of m.issues) byIssue[i] = (byIssue[i] || 0) + 1;
+
+  return {
+    summary: {
+      slip_cases: matched.length + unmatched.length,
+      matched: matched.length,
+      unmatched: unmatched.length,
+      flagged: flagged.length,
+      by_method: byMethod,
+      by_issue: byIssue,
+      bound_volumes: index.volumes,
+      unmatched_bound: unmatchedBound.length,
+      windows: Object.fromEntries(window),
+    },
+    matched,
+    unmatched,
+    unmatched_bound: unmatchedBound,
+  };
+}
+
+export function printReconcileReport(report, { verbose = false } = {}) {
+  const s = report.summary;
+  console.log(`Slip ops: ${s.slip_cases}   matched: ${s.matched}   unmatched: ${s.unmatched}   flagged: ${s.flagged}` +
+    `   (bound-volume volumes indexed: ${s.bound_volumes})`);
+  for (const [m, n] of Object.entries(s.by_method)) console.log(`  via ${m.padEnd(16)} ${n}`);
+  for (const [i, n] of Object.entries(s.by_issue)) console.log(`  issue ${i.padEnd(14)} ${n}`);
+
+  const flagged = report.matched.filter(m => m.issues.length).sort((a, b) => a.confidence - b.confidence);
+  if (flagged.length) {
+    console.log(`\nFlagged joins (lowest confidence first):`);
+    for (const m of flagged.slice(0, verbose ? flagged.length : 20)) {
+      console.log(`  ${m.confidence.toFixed(2)}  ${m.slip_cite || m.case_curie}  "${m.name}"  →  ${m.bound.case_curie}  "${m.bound.name}"  [${m.issues.join(', ')}]`);
+    }
+    if (!verbose && flagged.length > 20) console.log(`  … +${flagged.length - 20} more (--verbose)`);
+  }
+  if (report.unmatched.length) {
+    console.log(`\nUnmatched slip ops:`);
+    for (const u of report.unmatched.slice(0, verbose ? report.unmatched.length : 20)) {
+      console.log(`  ${u.slip_cite || u.case_curie}  ${u.decision_date || '-'}  ${u.source_ref || '-'}  "${u.name}"${u.official_cite ? `  [${u.official_cite}]` : ''}`);
+    }
+    if (!verbose && report.unmatched.length > 20) console.log(`  … +${report.unmatched.length - 20} more (--verbose)`);
+  }
+  if (report.unmatched_bound.length) {
+    console.log(`\nBound-volume cases in the same window with no slip op: ${report.unmatched_bound.length}`);
+    for (const b of report.unmatched_bound.slice(0, verbose ? report.unmatched_bound.length : 10)) {
+      console.log(`  ${b.case_curie}  ${b.decision_date}  "${b.name}"`);
+    }
+    if (!verbose && report.unmatched_bound.length > 10) console.log(`  … +${report.unmatched_bound.length - 10} more (--verbose)`);
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Slip-op → bound-volume revision records.
+ *
+ * Slip opinions are revised before official publication. For a slip op
+ * linked to its bound-volume case (reconcile.js), this module aligns the
+ * two opinion texts paragraph by paragraph and records substantive edits:
+ *
+ *   case.revisions = {
+ *     compared_against: { case_curie, cite, volume },
+ *     slip_paragraphs, bound_paragraphs, aligned, unchanged,
+ *     records: [{
+ *       kind,              // see below
+ *       slip_paragraph,    // index into the slip op's paragraphs, or null
+ *       bound_paragraph,   // index into the bound case's paragraphs, or null
+ *       opinion_index,     // bound-volume opinion the paragraph belongs to
+ *       removed, added,    // slip-only / bound-only wording ('' when none)
+ *       slip_text, bound_text,   // the paragraph(s), truncated
+ *       similarity,        // aligned-paragraph similarity, 0..1
+ *     }, ...],
+ *   }
+ *
+ * Kinds, most specific first:
+ *   holding_changed   — an edit touching dispositional language
+ *                       ("affirmed" → "modified", "should be reversed")
+ *   party_renamed     — a short capitalised name swapped for another, or the
+ *                       case name itself changed
+ *   citation_changed  — an edit inside a citation (placeholder "___" page
+ *                       fill-ins are cosmetic and not recorded)
+ *   footnote_removed / footnote_added
+ *   paragraph_removed / paragraph_added
+ *   wording_changed   — any other edit that changes a content word
+ *
+ * Comparison is on normalised word keys (lower-case alphanumerics), so
+ * encoding damage ("�" for "§"), curly quotes, page markers ("[*2]",
+ * "{**1 NY3d at 33}"), footnote callouts and line wrapping never count as
+ * edits. Short unmatched paragraphs and slip-op headers ("Argued …;
+ * decided …", bylines, counsel, concurrence lines) are not recorded — the
+ * bound volume prints those in its own headnote layout.
+ */
+
+import { isCounselLine } from './case_details.js';
+
+export const REVISIONS_VERSION = 1;
+
+const PAIR_MIN = 0.5;          // paragraph similarity needed to align two paragraphs
+const MIN_PARA_TOKENS = 8;     // shorter unmatched paragraphs are layout, not content
+const MAX_DIFF_TOKENS = 4000;  // per-paragraph word-diff size cap
+const EXCERPT = 400;
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'as', 'that', 'this', 'is', 'was', 'be']);
+const DISPOSITION_RE = /^(?:affirm|revers|modif|vacat|remit|remand|dismiss|grant|den(?:y|ied)|annul|confirm|unanimously)/;
+const HOLDING_CONTEXT_RE = /\bwe (?:hold|conclude)\b|\baccordingly\b|\bshould be (?:affirmed|reversed|modified|vacated)\b|\border (?:affirmed|reversed|modified)\b/i;
+const CITE_TOKEN_RE = /^(?:\d+|n\.?y\.?\d?d?|a\.?d\.?\d?d|misc|slip|op|s\.?\s?ct|u\.?s\.?|f\.?\d?d|supp|§+|§)$/i;
+const FOOTNOTE_PARA_RE = /^(?:\[?FN\s*[\w*]+\]?|Footnote\s+[\w*]+\s*:)/i;
+// Slip-op header / trailer lines the bound volume replaces with its own
+// headnote layout; never recorded as removed paragraphs.
+const SLIP_LAYOUT_RE = /^(?:(?:Argued|Submitted)\b.*\bdecided\b|Opinion by\b|Decided\b)|\bconcur\.?$|^(?:Order|Judgment)\s+(?:affirmed|reversed|modified)\b/i;
+
+const key = (w) => w.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Strip page markers, star paging and footnote callouts. */
+function stripMarkers(text) {
+  return String(text || '')
+    .replace(/\[\*\d+\]/g, ' ')
+    .replace(/\{\*\*[^}]*\}/g, ' ')
+    .replace(/\[FN[\w*]*\]/g, ' ');
+}
+
+/** Word tokens with their comparison keys; punctuation-only tokens dropped. */
+function tokenize(text) {
+  return stripMarkers(text).split(/\s+/)
+    .map(w => ({ w, k: key(w) }))
+    .filter(t => t.k);
+}
+
+/**
+ * Split opinion text into paragraphs. Slip-op HTML separates paragraphs
+ * with blank lines (single newlines are wraps); bound-volume text puts one
+ * paragraph per line.
+ */
+export function splitParagraphs(text, { blankLineSeparated = true } = {}) {
+  const raw = String(text || '');
+  const parts = blankLineSeparated && /\n\s*\n/.test(raw) ? raw.split(/\n\s*\n/) : raw.split(/\n/);
+  return parts.map(p => p.replace(/\s+/g, ' ').trim()).filter(p => tokenize(p).length);
+}
+
+function bag(tokens) {
+  const m = new Map();
+  for (const t of tokens) m.set(t.k, (m.get(t.k) || 0) + 1);
+  return m;
+}
+
+/** Multiset Dice similarity of two paragraphs' word keys. */
+function similarity(a, b) {
+  if (!a.tokens.length || !b.tokens.length) return 0;
+  let shared = 0;
+  for (const [k, n] of a.bag) shared += Math.min(n, b.bag.get(k) || 0);
+  return (2 * shared) / (a.tokens.length + b.tokens.length);
+}
+
+function para(text, extra = {}) {
+  const tokens = tokenize(text);
+  return { text, tokens, bag: bag(tokens), ...extra };
+}
+
+/**
+ * Order-preserving paragraph alignment: the monotone pairing maximising the
+ * summed similarity of pairs at or above PAIR_MIN. Returns
+ * [[slipIdx|null, boundIdx|null, sim], ...] in document order.
+ */
+function alignParagraphs(slip, bound) {
+  const n = slip.length, m = bound.length;
+  const sim = slip.map(s => bound.map(b => similarity(s, b)));
+  const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const pair = sim[i][j] >= PAIR_MIN ? sim[i][j] + score[i + 1][j + 1] : -1;
+      score[i][j] = Math.max(pair, score[i + 1][j], score[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (sim[i][j] >= PAIR_MIN && score[i][j] === sim[i][j] + score[i + 1][j + 1]) {
+      out.push([i, j, sim[i][j]]); i++; j++;
+    } else if (score[i][j] === score[i + 1][j]) {
+      out.push([i, null, 0]); i++;
+    } else {
+      out.push([null, j, 0]); j++;
+    }
+  }
+  while (i < n) out.push([i++, null, 0]);
+  while (j < m) out.push([null, j++, 0]);
+  return out;
+}
+
+/**
+ * Word-level diff of two token lists as hunks of { removed, added } word
+ * runs between common words (LCS on keys).
+ */
+function diffWords(a, b) {
+  if (a.length * b.length > MAX_DIFF_TOKENS * MAX_DIFF_TOKENS / 4) {
+    return [{ removed: a, added: b }];
+  }
+  const n = a.length, m = b.length;
+  const L = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      L[i][j] = a[i].k === b[j].k ? L[i + 1][j + 1] + 1 : Math.max(L[i + 1][j], L[i][j + 1]);
+    }
+  }
+  const hunks = [];
+  let cur = null;
+  const flush = () => { if (cur) hunks.push(cur); cur = null; };
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i].k === b[j].k) { flush(); i++; j++; continue; }
+    cur ||= { removed: [], added: [] };
+    if (j >= m || (i < n && L[i + 1][j] >= L[i][j + 1])) cur.removed.push(a[i++]);
+    else cur.added.push(b[j++]);
+  }
+  flush();
+  return hunks;
+}
+
+const words = (toks) => toks.map(t => t.w).join(' ');
+const excerpt = (s) => (s && s.length > EXCERPT ? s.slice(0, EXCERPT) + '…' : s || null);
+// "New York" ↔ "N.Y.": one side is the other's initials.
+const isAbbreviation = (a, b) => {
+  const [long, short] = a.length >= b.length ? [a, b] : [b, a];
+  return long.length > 1 && short.length >= 1 && long.map(t => t.k[0]).join('') === short.map(t => t.k).join('');
+};
+const isNameish = (toks) => toks.length >= 1 && toks.length <= 4 && toks.every(t => /^[A-Z][A-Za-z'’.-]*,?$/.test(t.w));
+
+/** Classify one hunk within an aligned paragraph pair; null when cosmetic. */
+function classifyHunk(h, slipText, boundText) {
+  const changed = [...h.removed, ...h.added];
+  if (!changed.some(t => !STOPWORDS.has(t.k))) return null;
+
+  // Bound volumes fill in slip-op page placeholders ("___ AD3d ___"); the
+  // underscores carry no word key, so the hunk is a bare number insertion.
+  if (!h.removed.length && h.added.every(t => /^\d+$/.test(t.k))) return null;
+  if (changed.every(t => CITE_TOKEN_RE.test(t.w) || /^\d+$/.test(t.k))) return 'citation_changed';
+
+  if (changed.some(t => DISPOSITION_RE.test(t.k))) return 'holding_changed';
+  if (HOLDING_CONTEXT_RE.test(slipText) || HOLDING_CONTEXT_RE.test(boundText)) {
+    if (changed.some(t => t.k === 'not' || t.k === 'no')) return 'holding_changed';
+  }
+  if (h.removed.length && h.added.length && isNameish(h.removed) && isNameish(h.added)) {
+    return isAbbreviation(h.removed, h.added) ? null : 'party_renamed';
+  }
+  return 'wording_changed';
+}
+
+/**
+ * Compare a slip-op case with its bound-volume counterpart (both in
+ * cases.json shape). Returns the `revisions` object described above.
+ */
+export function compareOpinions(slipCase, boundCase, boundRef = {}) {
+  const slip = [];
+  for (const op of slipCase.opinions || []) {
+    let inFootnotes = false;
+    const start = slip.length;
+    for (const p of splitParagraphs(op.text)) {
+      if (/^Footnotes?:?$/i.test(p)) { inFootnotes = true; continue; }
+      slip.push(para(p, { footnote: inFootnotes || FOOTNOTE_PARA_RE.test(p) }));
+    }
+    // Legacy slip HTML appends the footnote texts after the decretal line
+    // with no heading: one trailing paragraph per distinct [FN…] callout.
+    const callouts = new Set(String(op.text || '').match(/\[FN[\w*]*\]/g) || []).size;
+    if (callouts && !slip.slice(start).some(x => x.footnote)) {
+      for (const x of slip.slice(Math.max(start, slip.length - callouts))) x.footnote = true;
+    }
+  }
+  const bound = [];
+  for (const op of boundCase.opinions || []) {
+    for (const p of splitParagraphs(op.text, { blankLineSeparated: false })) {
+      bound.push(para(p, { footnote: false, opinion_index: op.opinion_index ?? null }));
+    }
+  }
+  for (const op of boundCase.opinions || []) {
+    for (const fn of op.footnotes || []) {
+      if (fn?.text) bound.push(para(fn.text, { footnote: true, opinion_index: op.opinion_index ?? null }));
+    }
+  }
+
+  const records = [];
+  const slipName = slipCase.name_abbreviation || slipCase.name;
+  const boundName = boundCase.name_abbreviation || boundCase.name;
+  if (slipName && boundName) {
+    const h = diffWords(tokenize(slipName), tokenize(boundName));
+    if (h.length) {
+      records.push({
+        kind: 'party_renamed', slip_paragraph: null, bound_paragraph: null, opinion_index: null,
+        removed: h.map(x => words(x.removed)).filter(Boolean).join(' … '),
+        added: h.map(x => words(x.added)).filter(Boolean).join(' … '),
+        slip_text: slipName, bound_text: boundName, similarity: null,
+      });
+    }
+  }
+
+  let aligned = 0, unchanged = 0;
+  for (const [si, bi, sim] of alignParagraphs(slip, bound)) {
+    const s = si != null ? slip[si] : null;
+    const b = bi != null ? bound[bi] : null;
+    if (s && b) {
+      aligned++;
+      const hunks = diffWords(s.tokens, b.tokens);
+      let recorded = false;
+      for (const h of hunks) {
+        const kind = classifyHunk(h, s.text, b.text);
+        if (!kind) continue;
+        recorded = true;
+        records.push({
+          kind, slip_paragraph: si, bound_paragraph: bi, opinion_index: b.opinion_index ?? null,
+          removed: words(h.removed), added: words(h.added),
+          slip_text: excerpt(s.text), bound_text: excerpt(b.text),
+          similarity: Math.round(sim * 1000) / 1000,
+        });
+      }
+      if (!recorded) unchanged++;
+      continue;
+    }
+    const only = s || b;
+    if (!only.footnote && (only.tokens.length < MIN_PARA_TOKENS || (s && (SLIP_LAYOUT_RE.test(s.text) || isCounselLine(s.text))))) continue;
+    const kind = only.footnote
+      ? (s ? 'footnote_removed' : 'footnote_added')
+      : (s ? 'paragraph_removed' : 'paragraph_added');
+    records.push({
+      kind, slip_paragraph: si, bound_paragraph: bi, opinion_index: b?.opinion_index ?? null,
+      removed: s ? excerpt(s.text) : '', added: b ? excerpt(b.text) : '',
+      slip_text: s ? excerpt(s.text) : null, bound_text: b ? excerpt(b.text) : null,
+      similarity: null,
+    });
+  }
+
+  return {
+    compared_against: {
+      case_curie: boundCase.case_curie || boundRef.case_curie || null,
+      cite: boundRef.cite || null,
+      volume: boundRef.volume || null,
+    },
+    revisions_version: REVISIONS_VERSION,
+    slip_paragraphs: slip.length,
+    bound_paragraphs: bound.length,
+    aligned,
+    unchanged,
+    records,
+  };
+}
+
+/** Per-kind record counts, for summaries. */
+export function countByKind(revisions) {
+  const out = {};
+  for (const r of revisions?.records || []) out[r.kind] = (out[r.kind] || 0) + 1;
+  return out;
+}
@@ -9,7 +9,7 @@
 
 import crypto from 'crypto';
 
-export const PARSER_VERSION = '0.1.0';
+export const PARSER_VERSION = '0.4.0';
 
 /**
  * Strip leading zeros from a slip-op number while preserving its string form.
@@ -52,44 +52,143 @@ export function slipOpCite({ year, slipOpNumber, isUnreported }) {
  * "reporter" name that co-collection's inserter.js consults via COURT_DEFAULTS,
  * AND to the source-DB ref the case should land in. The court-name parsing is
  * intentionally tolerant — the LRB renders the same court several ways across
- * formats and decades.
+ * formats and decades ("Appellate Term, Second Department, 9th and 10th
+ * Judicial Districts" / "App Term, 2d Dept, 9th & 10th Jud Dists").
  *
- * Returns { reporter, source_ref, department } where:
+ * Returns { reporter, source_ref, department, court } where:
  *   reporter   ∈ 'NY3d' | 'AD3d' | 'Misc 3d' (matches inserter COURT_DEFAULTS)
  *   source_ref ∈ 'ny_supreme' | 'ny_appellate' | 'ny_trial'
- *   department ∈ 1..4 | null  (only set for AD)
+ *   department ∈ 1..4 | null  (only set for AD — it becomes the case's
+ *                              court_department, which CAP reserves for AD)
+ *   court      the specific court, carried on the case as `court`:
+ *     { level, name, department, districts, county } | null
+ *     level      ∈ 'court_of_appeals' | 'appellate_division' |
+ *                  'appellate_term' | 'trial'
+ *     name       CAP-style court name ("New York Supreme Court, Appellate
+ *                Term", "New York Court of Claims", …) so slip ops filter
+ *                the same way as bound-volume / CAP rows
+ *     department AD 1..4, Appellate Term 1..2
+ *     districts  Appellate Term judicial districts, e.g. [9, 10] or
+ *                [2, 11, 13]; null elsewhere
+ *     county     trial courts' county ("Kings"), when the text names one
+ *
+ * Routing is unchanged by the finer classification: Appellate Term and
+ * every trial-level court still land in ny_trial as Misc 3d.
  */
 export function classifyCourt(courtText) {
   const t = String(courtText || '').toLowerCase().replace(/\s+/g, ' ').trim();
 
-  if (!t) return { reporter: null, source_ref: null, department: null };
+  if (!t) return { reporter: null, source_ref: null, department: null, court: null };
 
   if (/court of appeals/.test(t)) {
-    return { reporter: 'NY3d', source_ref: 'ny_supreme', department: null };
+    return {
+      reporter: 'NY3d',
+      source_ref: 'ny_supreme',
+      department: null,
+      court: courtObject('court_of_appeals', 'New York Court of Appeals'),
+    };
   }
 
-  if (/appellate division/.test(t)) {
+  if (/appellate division|\bapp\.? div\b/.test(t)) {
     const dept = parseDepartment(t);
-    return { reporter: 'AD3d', source_ref: 'ny_appellate', department: dept };
+    return {
+      reporter: 'AD3d',
+      source_ref: 'ny_appellate',
+      department: dept,
+      court: courtObject('appellate_division', 'New York Supreme Court, Appellate Division', { department: dept }),
+    };
+  }
+
+  if (/appellate term|\bapp\.? term\b/.test(t)) {
+    return {
+      reporter: 'Misc 3d',
+      source_ref: 'ny_trial',
+      department: null,
+      court: courtObject('appellate_term', 'New York Supreme Court, Appellate Term', {
+        department: parseDepartment(t),
+        districts: parseDistricts(t),
+      }),
+    };
+  }
+
+  // Supreme Court (trial-level), Court of Claims, Surrogate's, County,
+  // Family, Civil, Criminal, District, City, Justice Court — all land in
+  // ny_trial as Misc 3d.
+  const trial = TRIAL_COURTS.find(({ re }) => re.test(t));
+  return {
+    reporter: 'Misc 3d',
+    source_ref: 'ny_trial',
+    department: null,
+    court: courtObject('trial', trial ? trial.name : 'New York Trial Court', {
+      county: trial?.statewide ? null : parseCounty(courtText),
+    }),
+  };
+}
+
+/**
+ * The case's `court` object, with an AD department inferred elsewhere
+ * (case_details.js, from the lower-court county) filled in when the court
+ * line itself didn't name one.
+ */
+export function courtWithDepartment(classified, courtDepartment) {
+  const court = classified?.court;
+  if (!court) return null;
+  if (court.level === 'appellate_division' && court.department == null && courtDepartment != null) {
+    return { ...court, department: courtDepartment };
   }
+  return court;
+}
 
-  // Appellate Term, Supreme Court (trial-level), Civil Court, Surrogate's,
-  // County, Family, Criminal Court — all land in ny_trial as Misc 3d.
-  return { reporter: 'Misc 3d', source_ref: 'ny_trial', department: null };
+function courtObject(level, name, { department = null, districts = null, county = null } = {}) {
+  return { level, name, department, districts, county };
 }
 
+// Most specific first: "Civil Court of the City of New York" must not hit
+// the bare "city court" row, nor "Supreme Court, … County" the county row.
+const TRIAL_COURTS = [
+  { re: /court of claims/, name: 'New York Court of Claims', statewide: true },
+  { re: /surrogate'?’?s court/, name: "New York Surrogate's Court" },
+  { re: /family court/, name: 'New York Family Court' },
+  { re: /civil court|housing court|housing part/, name: 'New York City Civil Court' },
+  { re: /criminal court/, name: 'New York City Criminal Court' },
+  { re: /supreme court/, name: 'New York Supreme Court' },
+  { re: /county court/, name: 'New York County Court' },
+  { re: /district court/, name: 'New York District Court' },
+  { re: /justice court|town court|village court/, name: 'New York Justice Court' },
+  { re: /city court/, name: 'New York City Court' },
+];
+
 const DEPT_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+const ORDINAL_NUMS = { '1st': 1, '2d': 2, '2nd': 2, '3d': 3, '3rd': 3, '4th': 4 };
 function parseDepartment(text) {
-  const m = text.match(/\b(first|second|third|fourth)\b\s*department/);
+  const m = text.match(/\b(first|second|third|fourth)\b\s*(?:judicial\s+)?department/);
   if (m) return DEPT_WORDS[m[1]];
-  return null;
+  const n = text.match(/\b(1st|2n?d|3r?d|4th)\s*(?:judicial\s+)?dep(?:artmen)?t\b/);
+  return n ? ORDINAL_NUMS[n[1]] : null;
+}
+
+/**
+ * Appellate Term district list: "9th and 10th Judicial Districts",
+ * "2d, 11th & 13th Jud Dists" → [2, 11, 13].
+ */
+function parseDistricts(text) {
+  const m = text.match(/((?:\b\d{1,2}(?:st|nd|rd|th|d)?\b[\s,&]*(?:and\s+)?)+)\s*(?:judicial\s+|jud\.?\s+)?dist(?:rict)?s?\b/);
+  if (!m) return null;
+  const nums = [...m[1].matchAll(/\d{1,2}/g)].map(x => Number(x[0])).filter(n => n >= 1 && n <= 13);
+  return nums.length ? [...new Set(nums)].sort((a, b) => a - b) : null;
 }
 
 /**
- * Court-of-Appeals departments don't exist; 'Appellate Term' uses department
- * vocabulary but routes to ny_trial — only carry the number when the document
- * says "Appellate Division, Nth Department".
+ * "Supreme Court, Kings County" / "Family Court of Queens County" /
+ * "Civil Court of the City of New York, Bronx County" → "Kings" etc.
+ * Preserves the document's capitalisation.
  */
+function parseCounty(text) {
+  const m = String(text || '').match(/([A-Z][A-Za-z.]+(?:\s+[A-Z][A-Za-z.]+)?)\s+County\b/);
+  if (!m) return null;
+  const words = m[1].split(/\s+/).filter(w => !/^(?:Court|Of|The|Civil|Criminal|Family|Supreme|Surrogate'?s)$/i.test(w));
+  return words.length ? words.join(' ') : null;
+}
 
 /**
  * Compute a stable digest of the source document for the JSON output's audit
@@ -0,0 +1,302 @@
+/**
+ * Reviewer triage for scripts/resolve_index.js's `unresolved[]` entries.
+ *
+ * `main.js triage` walks the unresolved entries of the newest
+ * out/index-resolution/resolved-<source>-<stamp>.json per source, shows
+ * each entry's top candidates side by side, and appends the reviewer's
+ * call to a decisions file. The next resolve_index.js run reads the same
+ * file (loadDecisions) and honours it (applyReview):
+ *   accept  → the entry resolves to that case_id (reason reviewer_accepted)
+ *   reject  → those case_ids are dropped from the candidate set before
+ *             decide(); rejecting every candidate leaves the entry
+ *             unresolved as all_candidates_rejected
+ *   skip    → no effect on resolve; triage stops offering the entry
+ *             unless --include-skipped
+ *
+ * Decisions file (default out/index-resolution/decisions.jsonl): one JSON
+ * object per line, append-only, so concurrent reviewers and re-runs never
+ * rewrite history. The last line for a slip_op_curie wins, except that
+ * rejections accumulate until an accept replaces them:
+ *   { slip_op_curie, slip_op_cite, source_ref, decision: accept|reject|skip,
+ *     case_id?, case_ids?, note?, reviewer, decided_at }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+export const DECISIONS = ['accept', 'reject', 'skip'];
+
+// -------- decisions file --------
+
+/**
+ * slip_op_curie → { decision, case_id?, rejected: Set<case_id>, note,
+ * reviewer, decided_at } from an append-only decisions file. A missing
+ * file is empty; an unparseable line throws with its line number.
+ */
+export function loadDecisions(filePath) {
+  const out = new Map();
+  if (!filePath || !fs.existsSync(filePath)) return out;
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let d;
+    try {
+      d = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${path.basename(filePath)}:${i + 1}: ${e.message}`);
+    }
+    if (!d.slip_op_curie || !DECISIONS.includes(d.decision)) {
+      throw new Error(`${path.basename(filePath)}:${i + 1}: needs slip_op_curie and decision ∈ ${DECISIONS.join('|')}`);
+    }
+    const prev = out.get(d.slip_op_curie);
+    const rejected = new Set(d.decision === 'accept' ? [] : prev?.rejected || []);
+    if (d.decision === 'reject') for (const id of d.case_ids || []) rejected.add(Number(id));
+    out.set(d.slip_op_curie, {
+      decision: d.decision,
+      case_id: d.decision === 'accept' ? Number(d.case_id) : null,
+      rejected,
+      note: d.note ?? null,
+      reviewer: d.reviewer ?? null,
+      decided_at: d.decided_at ?? null,
+    });
+  });
+  return out;
+}
+
+export function appendDecision(filePath, record) {
+  if (!DECISIONS.includes(record.decision)) throw new Error(`unknown decision ${record.decision}`);
+  if (record.decision === 'accept' && !Number.isInteger(record.case_id)) throw new Error('accept needs an integer case_id');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify({ ...record, decided_at: record.decided_at || new Date().toISOString() }) + '\n');
+}
+
+// -------- resolve --------
+
+/**
+ * Apply a reviewer's call (a loadDecisions() value) before
+ * scripts/resolve_index.js scores `candidates`. Returns a decide()-shaped
+ * result, or null to fall through to decide() over `candidates` minus any
+ * rejected rows. An accepted case_id that the date+court query no longer
+ * returns is still honoured — the reviewer may have picked it from an
+ * earlier run's candidate list.
+ */
+export function applyReview(review, candidates) {
+  if (review?.decision === 'accept') {
+    const target = candidates.find(c => c.case_id === review.case_id) || { case_id: review.case_id };
+    return { status: 'resolved', target, alternates: [], reason: 'reviewer_accepted' };
+  }
+  if (review?.rejected.size && candidates.length && candidates.every(c => review.rejected.has(c.case_id))) {
+    return { status: 'unresolved', candidates: [], reason: 'all_candidates_rejected' };
+  }
+  return null;
+}
+
+// -------- queue --------
+
+/**
+ * Newest resolved-<source>-<stamp>.json per source in `dir` (stamps sort
+ * lexically), optionally limited to one source.
+ */
+export function latestResolutionFiles(dir, { source = null } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const newest = new Map();
+  for (const f of fs.readdirSync(dir).sort()) {
+    const m = f.match(/^resolved-(.+)-(\d{8}-\d{6})\.json$/);
+    if (!m || (source && m[1] !== source)) continue;
+    newest.set(m[1], path.join(dir, f));
+  }
+  return [...newest.values()].sort();
+}
+
+/**
+ * Unresolved entries still needing a reviewer: not accepted, not skipped
+ * (unless includeSkipped), and with at least one candidate left once
+ * earlier rejections are removed. De-duplicated by slip_op_curie, first
+ * file wins.
+ */
+export function buildQueue(files, decisions, { includeSkipped = false } = {}) {
+  const queue = [];
+  const seen = new Set();
+  for (const file of files) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const e of data.unresolved || []) {
+      if (seen.has(e.slip_op_curie)) continue;
+      seen.add(e.slip_op_curie);
+      const d = decisions.get(e.slip_op_curie);
+      if (d?.decision === 'accept') continue;
+      if (d?.decision === 'skip' && !includeSkipped) continue;
+      const candidates = (e.candidates || []).filter(c => !d?.rejected.has(c.case_id));
+      if (!candidates.length) continue;
+      queue.push({ ...e, candidates, resolution_file: path.basename(file) });
+    }
+  }
+  return queue;
+}
+
+// -------- rendering --------
+
+function clip(s, w) {
+  s = String(s ?? '-');
+  return s.length > w ? `${s.slice(0, w - 1)}…` : s.padEnd(w);
+}
+
+function pageSpan(c) {
+  if (c.page_first == null) return '-';
+  return c.page_last != null && c.page_last !== c.page_first ? `${c.page_first}–${c.page_last}` : String(c.page_first);
+}
+
+const DEPT_ORDINALS = { 1: '1st', 2: '2d', 3: '3d', 4: '4th' };
+
+function courtLabel(entry, c) {
+  const dept = c.court_department ?? entry.court_department;
+  const base = entry.source_ref === 'ny_appellate' ? 'App Div' : entry.source_ref === 'ny_supreme' ? 'Ct App' : entry.source_ref;
+  return dept ? `${base}, ${DEPT_ORDINALS[dept] || dept} Dept` : base;
+}
+
+/**
+ * One entry as text: a header (slip-op cite, index title, date, why it
+ * was unresolved) and a grid with one column per candidate.
+ */
+export function renderEntry(entry, { top = 3, width = 100, position = null } = {}) {
+  const shown = entry.candidates.slice(0, top);
+  const labelW = 8;
+  const colW = Math.max(16, Math.floor((width - labelW) / Math.max(shown.length, 1)) - 2);
+  const rows = [
+    ['', c => `[${shown.indexOf(c) + 1}] case ${c.case_id}`],
+    ['name', c => c.name_abbreviation || c.name],
+    ['date', c => c.decision_date || entry.decision_date],
+    ['court', c => courtLabel(entry, c)],
+    ['cites', c => c.citation_count],
+    ['pages', c => pageSpan(c)],
+    ['score', c => `${c.best_score} (name ${c.name_score})`],
+  ];
+  const lines = [
+    `${position ? `${position}  ` : ''}${entry.slip_op_cite}  ${entry.decision_date}  ${entry.source_ref}  — ${entry.reason}`,
+    `  index title: ${entry.index?.title ?? '-'}`,
+  ];
+  if (entry.index?.url) lines.push(`  index link:  ${entry.index.url}`);
+  lines.push('');
+  for (const [label, get] of rows) {
+    lines.push(`  ${label.padEnd(labelW)}${shown.map(c => clip(get(c), colW)).join('  ')}`.trimEnd());
+  }
+  if (entry.candidates.length > shown.length) lines.push(`  (+${entry.candidates.length - shown.length} more — "m" to show all)`);
+  return lines.join('\n');
+}
+
+const HELP = `  <n> / a <n>   accept candidate n (a = 1)
+  r <n> [<n>…]  reject candidate(s) n;  r  rejects every candidate shown
+  s             skip for now             m   show every candidate
+  n <text>      attach a note to the next decision
+  q             quit (decisions so far are kept)`;
+
+// -------- interactive loop --------
+
+/**
+ * A line reader that queues input, so piped answers aren't dropped while
+ * no prompt is pending. next() resolves null at end of input.
+ */
+function lineReader(input) {
+  const rl = readline.createInterface({ input, terminal: false });
+  const lines = [];
+  const waiters = [];
+  let closed = false;
+  rl.on('line', l => (waiters.length ? waiters.shift()(l) : lines.push(l)));
+  rl.on('close', () => {
+    closed = true;
+    while (waiters.length) waiters.shift()(null);
+  });
+  return {
+    next: () => (lines.length ? Promise.resolve(lines.shift())
+      : closed ? Promise.resolve(null)
+        : new Promise(r => waiters.push(r))),
+    close: () => rl.close(),
+  };
+}
+
+/**
+ * Walk `queue`, appending one decision per answered entry to
+ * `decisionsPath`. Returns { accepted, rejected, skipped, remaining }.
+ */
+export async function runTriage(queue, {
+  decisionsPath,
+  reviewer = null,
+  top = 3,
+  input = process.stdin,
+  output = process.stdout,
+}) {
+  const reader = lineReader(input);
+  const say = (s) => output.write(`${s}\n`);
+  const width = output.columns || 100;
+  const tally = { accepted: 0, rejected: 0, skipped: 0, remaining: queue.length };
+  let note = null;
+
+  say(`${queue.length} unresolved entr${queue.length === 1 ? 'y' : 'ies'} to triage → ${decisionsPath}`);
+  say('Type ? for help.\n');
+
+  entries: for (let i = 0; i < queue.length; i++) {
+    const entry = queue[i];
+    let shownTop = top;
+    say(renderEntry(entry, { top: shownTop, width, position: `[${i + 1}/${queue.length}]` }));
+    for (;;) {
+      output.write('\ndecision> ');
+      const raw = await reader.next();
+      if (raw === null) {
+        say('');
+        break entries;
+      }
+      const [cmd, ...rest] = raw.trim().split(/\s+/);
+      const shown = entry.candidates.slice(0, shownTop);
+      const pick = (n) => shown[Number(n) - 1];
+      const base = {
+        slip_op_curie: entry.slip_op_curie,
+        slip_op_cite: entry.slip_op_cite,
+        source_ref: entry.source_ref,
+        reviewer,
+        ...(note ? { note } : {}),
+      };
+
+      if (cmd === 'q') break entries;
+      if (cmd === '?' || cmd === 'h' || cmd === '') { say(HELP); continue; }
+      if (cmd === 'm') {
+        shownTop = entry.candidates.length;
+        say(renderEntry(entry, { top: shownTop, width, position: `[${i + 1}/${queue.length}]` }));
+        continue;
+      }
+      if (cmd === 'n') { note = rest.join(' ') || null; say(note ? `  note: ${note}` : '  note cleared'); continue; }
+      if (cmd === 's') {
+        appendDecision(decisionsPath, { ...base, decision: 'skip' });
+        tally.skipped++;
+      } else if (/^\d+$/.test(cmd) || cmd === 'a') {
+        const c = pick(cmd === 'a' ? (rest[0] || 1) : cmd);
+        if (!c) { say(`  no candidate ${cmd === 'a' ? rest[0] || 1 : cmd} shown`); continue; }
+        appendDecision(decisionsPath, { ...base, decision: 'accept', case_id: c.case_id });
+        say(`  accepted case ${c.case_id} (${c.name_abbreviation})`);
+        tally.accepted++;
+      } else if (cmd === 'r') {
+        const picked = rest.length ? rest.map(pick) : shown;
+        if (picked.some(c => !c)) { say(`  no such candidate among 1–${shown.length}`); continue; }
+        appendDecision(decisionsPath, { ...base, decision: 'reject', case_ids: picked.map(c => c.case_id) });
+        say(`  rejected case${picked.length === 1 ? '' : 's'} ${picked.map(c => c.case_id).join(', ')}`);
+        tally.rejected++;
+        note = null;
+        const left = entry.candidates.filter(c => !picked.includes(c));
+        if (rest.length && left.length) {
+          // Partial reject: stay on the entry with what's left.
+          entry.candidates = left;
+          say(renderEntry(entry, { top: shownTop, width, position: `[${i + 1}/${queue.length}]` }));
+          continue;
+        }
+      } else {
+        say(`  unknown command "${cmd}" — ? for help`);
+        continue;
+      }
+      note = null;
+      tally.remaining--;
+      say('');
+      break;
+    }
+  }
+  reader.close();
+  return tally;
+}
@@ -0,0 +1,240 @@
+/**
+ * Structure for trial-court "(U)" decisions (Supreme Court motion
+ * decisions, Civil/Family/County/Surrogate's Court orders) that reach us as
+ * PDFs. parser_pdf.js otherwise keeps the whole body as one opinion blob.
+ *
+ * The standard layout, top to bottom (every part is optional except as
+ * noted under detection):
+ *
+ *   caption            "Jane Roe, Plaintiff, -against- John Doe, Defendant."
+ *                      and the Index No. block
+ *   decision_and_order a "DECISION AND ORDER" / "DECISION & ORDER" /
+ *                      "DECISION/ORDER" heading line
+ *   papers_considered  "The following e-filed papers read herein: …
+ *                      Papers Numbered / Notice of Motion … 1-3"
+ *                      (the CPLR 2219[a] recital), up to "Upon the
+ *                      foregoing papers"
+ *   facts              "Background" / "Facts" / "Procedural History" …
+ *   discussion         "Discussion" / "Analysis" / "Legal Standard" …
+ *   conclusion         "Conclusion"
+ *   ordered            the decretal paragraphs: "ORDERED that the motion
+ *                      is granted …", "ADJUDGED that …"
+ *   signature          "This constitutes the decision and order of the
+ *                      court." / "Dated: …" / "ENTER:" / "HON. …, J.S.C."
+ *
+ * Detection: the text counts as this layout when it has a
+ * decision_and_order heading or a papers-considered recital, AND at least
+ * one ORDERED paragraph or a signature. Anything else returns null and the
+ * caller keeps the blob as-is — appellate memoranda never match.
+ *
+ * Opinion-object fields (set by parsePdf on opinions[0] when detected):
+ *   sections[]            { label, heading, text } in document order;
+ *                         label ∈ caption | decision_and_order |
+ *                         papers_considered | facts | discussion |
+ *                         conclusion | ordered | signature | body
+ *   ordered_paragraphs[]  { index, text, disposition }
+ *   disposition           the decision's overall outcome (see below)
+ *   author                the signing judge, when the signature names one
+ *   signed_on             the signature block's "Dated:" date (YYYY-MM-DD)
+ *
+ * disposition ∈ granted | denied | granted_in_part | dismissed | moot |
+ * vacated | other — per ordered paragraph by wording, and overall from the
+ * first paragraph that says something other than `other` (falling back to
+ * the conclusion's closing sentences when there are no ORDERED lines).
+ */
+
+import { parseLrbDate } from './shared.js';
+
+const PAGE_NOISE_RE = /^(?:Page\s+\d+\s+of\s+\d+|-?\s*\d{1,3}\s*-?|\[\*\d+\])$/i;
+
+// Heading line → section label. Headings are short, standalone lines;
+// a sentence starting "Discussion of …" mid-paragraph is not one.
+const HEADINGS = [
+  { label: 'decision_and_order', re: /^(?:DECISION\s*(?:AND|&|\/)\s*ORDER|ORDER\s+AND\s+DECISION|DECISION,?\s+ORDER\s+(?:AND|&)\s+JUDGMENT)(?:\s+ON\s+MOTION)?\.?$/i },
+  { label: 'facts', re: /^(?:(?:Relevant\s+|Factual\s+(?:and\s+Procedural\s+)?)?Background|(?:Statement\s+of\s+|Relevant\s+|The\s+)?Facts|Procedural\s+(?:History|Background)|Factual\s+Allegations)\.?:?$/i },
+  { label: 'discussion', re: /^(?:Discussion|Analysis|Legal\s+(?:Standard|Analysis)|Law\s+and\s+Analysis|Applicable\s+Law|Arguments?(?:\s+of\s+the\s+Parties)?|Contentions)\.?:?$/i },
+  { label: 'conclusion', re: /^(?:Conclusion|Conclusions\s+of\s+Law)\.?:?$/i },
+];
+
+const PAPERS_START_RE = /^(?:The\s+following\s+(?:e-?filed\s+|numbered\s+)?papers|Papers\s+Numbered|Recitation,?\s+as\s+required\s+by\s+CPLR\s*2219|NYSCEF\s+Doc(?:ument)?s?\.?\s+(?:Nos?\.?|#)|The\s+following\s+papers\s+numbered)/i;
+const PAPERS_END_RE = /^(?:Upon\s+(?:the\s+)?(?:foregoing|reading\s+of\s+the\s+foregoing)\s+(?:cited\s+)?papers|Upon\s+the\s+foregoing)/i;
+const ORDERED_RE = /^(?:(?:and\s+)?it\s+is\s+(?:hereby\s+|further\s+)*)?(?:ORDERED|ADJUDGED)(?:,?\s+(?:and|&)\s+(?:ADJUDGED|DECREED))?,?\s+that\b/i;
+// "Upon the foregoing papers, it is ORDERED that …" — the recital's
+// closing line doubling as the first decretal paragraph.
+const DECRETAL_LEAD_RE = /^Upon\s+(?:the\s+)?(?:foregoing|reading)[^,]{0,80},\s*/i;
+const SIGNATURE_START_RE = /^(?:This\s+(?:constitutes|shall\s+constitute)\s+the\s+(?:decision|order|decision\s+and\s+order|decision,\s+order)|The\s+foregoing\s+constitutes\s+the\s+(?:decision|order)|Dated:|ENTER:?$|E\s*N\s*T\s*E\s*R:?$|SO\s+ORDERED\.?$)/i;
+const JUDGE_TITLE_RE = /^(?:HON(?:ORABLE|\.)?\s+)?([A-Z][A-Za-z.'’-]+(?:\s+[A-Z][A-Za-z.'’-]+){0,4}),?\s+(J\.?\s*S\.?\s*C\.?|A\.?\s*J\.?\s*S\.?\s*C\.?|J\.?\s*C\.?\s*C\.?|J\.?\s*F\.?\s*C\.?|J\.?\s*H\.?\s*O\.?|S\.?\s*C\.?\s*J\.?|Surrogate|J\.?)$/;
+const CAPTION_HINT_RE = /(?:-?\s*against\s*-?|\bPlaintiffs?\b|\bDefendants?\b|\bPetitioners?\b|\bRespondents?\b|\bClaimants?\b|\bIndex\s+No\b|\bIn\s+the\s+Matter\s+of\b)/i;
+
+/**
+ * Blank-line paragraphs with layout padding collapsed; page furniture
+ * (page numbers, "[*2]" markers) dropped. Each keeps its lines so
+ * line-oriented parts (the papers table, the signature block) can still
+ * be read line by line.
+ */
+function toParagraphs(text) {
+  const out = [];
+  for (const block of text.replace(/\f/g, '\n\n').split(/\n\s*\n/)) {
+    let lines = [];
+    const flush = () => {
+      if (lines.length) out.push({ lines, text: lines.join(' ').replace(/\s+/g, ' ') });
+      lines = [];
+    };
+    for (const raw of block.split('\n')) {
+      const line = raw.trim().replace(/\s+/g, ' ');
+      if (!line || PAGE_NOISE_RE.test(line)) continue;
+      // Dropping a page number can leave a heading glued to the text
+      // around it; a heading line is always its own paragraph.
+      if (headingLabelOf(line)) {
+        flush();
+        lines.push(line);
+        flush();
+        continue;
+      }
+      lines.push(line);
+    }
+    flush();
+  }
+  return out;
+}
+
+function headingLabelOf(line) {
+  if (line.length > 60) return null;
+  const h = HEADINGS.find(({ re }) => re.test(line));
+  return h ? h.label : null;
+}
+
+function headingLabel(p) {
+  return p.lines.length === 1 ? headingLabelOf(p.text) : null;
+}
+
+/** Outcome of one decretal paragraph (or a closing sentence), by wording. */
+export function classifyDisposition(text) {
+  const t = text.replace(/\s+/g, ' ').toLowerCase();
+  if (/\bgranted\s+(?:solely\s+)?(?:in\s+part|to\s+the\s+extent)|\bdenied\s+in\s+part|\bgranted\s+only\b/.test(t)) return 'granted_in_part';
+  if (/\b(?:denied|dismissed)\s+as\s+(?:moot|academic)|\bmooted\b/.test(t)) return 'moot';
+  if (/\bis\s+(?:hereby\s+)?(?:in\s+all\s+respects\s+)?granted\b|\bare\s+(?:hereby\s+)?granted\b|\bbe\s+and\s+(?:the\s+same\s+)?hereby\s+is\s+granted\b/.test(t)) return 'granted';
+  if (/\bis\s+(?:hereby\s+)?(?:in\s+all\s+respects\s+)?denied\b|\bare\s+(?:hereby\s+)?denied\b|\bbe\s+and\s+(?:the\s+same\s+)?hereby\s+is\s+denied\b/.test(t)) return 'denied';
+  if (/\b(?:complaint|petition|action|proceeding|claim|counterclaims?|indictment)\b[^.;]{0,80}\b(?:is|are|be)\s+(?:hereby\s+)?dismissed\b/.test(t)) return 'dismissed';
+  if (/\bis\s+(?:hereby\s+)?vacated\b/.test(t)) return 'vacated';
+  return 'other';
+}
+
+function signatureJudge(paragraphs) {
+  for (const p of paragraphs) {
+    for (const line of p.lines) {
+      const m = line.replace(/^_+\s*/, '').match(JUDGE_TITLE_RE);
+      if (m && !/^(?:Dated|ENTER)/i.test(m[1])) return `${m[1]}, ${m[2].replace(/\s+/g, '')}`;
+    }
+  }
+  return null;
+}
+
+function signatureDate(paragraphs) {
+  for (const p of paragraphs) {
+    const m = p.text.match(/Dated:?\s*(?:[A-Z][A-Za-z .]+,\s*(?:New York|N\.?Y\.?)\s*)?([A-Z][a-z]+\.?\s+\d{1,2},\s*\d{4})/);
+    if (m) return parseLrbDate(m[1]);
+  }
+  return null;
+}
+
+/**
+ * Split a trial-court decision body into labelled sections. Returns
+ * { sections, ordered_paragraphs, disposition, author, signed_on } or
+ * null when the text doesn't follow the layout (see module doc).
+ */
+export function parseTrialDecision(bodyText) {
+  if (!bodyText) return null;
+  const paragraphs = toParagraphs(bodyText);
+  if (paragraphs.length < 2) return null;
+
+  const sections = [];
+  let current = null;
+  const open = (label, heading = null) => {
+    current = { label, heading, parts: [] };
+    sections.push(current);
+  };
+  const ordered = [];
+  let inPapers = false;
+  let inSignature = false;
+
+  paragraphs.forEach((p, i) => {
+    if (inSignature) {
+      current.parts.push(p);
+      return;
+    }
+    const label = headingLabel(p);
+    if (label) {
+      inPapers = false;
+      open(label, p.text);
+      return;
+    }
+    if (SIGNATURE_START_RE.test(p.text)) {
+      inPapers = false;
+      inSignature = true;
+      open('signature');
+      current.parts.push(p);
+      return;
+    }
+    if (ORDERED_RE.test(p.text.replace(DECRETAL_LEAD_RE, ''))) {
+      inPapers = false;
+      if (current?.label !== 'ordered') open('ordered');
+      ordered.push({ index: ordered.length, text: p.text, disposition: classifyDisposition(p.text) });
+      current.parts.push(p);
+      return;
+    }
+    if (PAPERS_START_RE.test(p.text)) {
+      inPapers = true;
+      open('papers_considered');
+      current.parts.push(p);
+      return;
+    }
+    if (inPapers && PAPERS_END_RE.test(p.text)) {
+      inPapers = false;
+      open('body');
+      current.parts.push(p);
+      return;
+    }
+    if (!current) {
+      // Before any marker: the caption block, if it reads like one.
+      open(CAPTION_HINT_RE.test(p.text) || i === 0 ? 'caption' : 'body');
+    } else if (current.label === 'ordered') {
+      // A non-ORDERED line between decretal paragraphs ("and it is
+      // further") belongs to them; anything long is back to prose.
+      if (p.text.length > 200) open('body');
+    } else if (current.label === 'decision_and_order' && current.parts.length === 0 && !inPapers) {
+      // A bare heading followed by prose: the prose is the body.
+      open('body');
+    }
+    current.parts.push(p);
+  });
+
+  const has = (l) => sections.some(s => s.label === l);
+  const looksLikeLayout = (has('decision_and_order') || has('papers_considered'))
+    && (ordered.length > 0 || has('signature'));
+  if (!looksLikeLayout) return null;
+
+  const signatureParas = sections.filter(s => s.label === 'signature').flatMap(s => s.parts);
+  let disposition = ordered.map(o => o.disposition).find(d => d !== 'other') || null;
+  if (!disposition) {
+    const closing = sections.filter(s => s.label === 'conclusion' || s.label === 'body').pop();
+    const tail = closing ? closing.parts.slice(-2).map(p => p.text).join(' ') : '';
+    const d = classifyDisposition(tail);
+    disposition = d === 'other' ? (ordered.length ? 'other' : null) : d;
+  }
+
+  return {
+    sections: sections
+      .filter(s => s.parts.length || s.heading)
+      .map(s => ({
+        label: s.label,
+        heading: s.heading,
+        // The papers list is a table; keep its rows.
+        text: s.parts.map(p => (s.label === 'papers_considered' ? p.lines.join('\n') : p.text)).join('\n\n'),
+      })),
+    ordered_paragraphs: ordered,
+    disposition,
+    author: signatureJudge(signatureParas),
+    signed_on: signatureDate(signatureParas),
+  };
+}
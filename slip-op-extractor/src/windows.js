@@ -0,0 +1,195 @@
+/**
+ * Incremental compile windows: what earlier compiled/<source>-<window>
+ * artifacts already carried, so `compile` emits only new or changed cases
+ * plus tombstones for withdrawn / superseded slip ops.
+ *
+ * State lives in the per-window .manifest.json files compile already
+ * writes. Each manifest records, besides per-stem contributions:
+ *   case_hashes  { <case_curie>: <sha256 of the case JSON> } for every
+ *                case that window emitted
+ *   tombstones   the tombstones that window emitted
+ * Folding every earlier manifest for a source in generated_at order gives
+ * the cumulative "already sent" state (loadPriorState). Manifests written
+ * before case_hashes existed count their contributions' curies as sent
+ * with an unknown hash — those cases are treated as unchanged until their
+ * content is next seen in a hashed window or `compile --full` is run.
+ *
+ * Compiling the same window label twice replaces that window rather than
+ * diffing against it, so re-running compile on the same day is idempotent.
+ *
+ * Tombstones come from withdrawals.json at the extractor root — a
+ * hand-kept (and committed) list, appended to by `main.js withdraw`:
+ *   [{ case_curie, status: 'withdrawn' | 'superseded', superseded_by,
+ *      withdrawn_on, reason, source_ref }]
+ * A recalled opinion reissued under a new slip-op number is `superseded`
+ * with superseded_by naming the new case's curie; one simply pulled is
+ * `withdrawn`. A tombstoned curie is never emitted as a case again, and
+ * its tombstone is emitted once — in the first window after it is
+ * recorded (or again if the record changes).
+ *
+ * Nothing here knows whether a window was actually uploaded; "compiled"
+ * is taken to mean "sent". Delete a window's artifact + manifest to have
+ * its cases re-emitted.
+ */
+
+import { readFile, readdir, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const TOMBSTONE_STATUSES = ['withdrawn', 'superseded'];
+
+const CURIE_RE = /^[a-z][a-z0-9]*:[^\s#]+$/;
+
+/** Stable content hash of one case (key order as parsed). */
+export function caseContentHash(c) {
+  return createHash('sha256').update(JSON.stringify(c)).digest('hex');
+}
+
+/**
+ * Fold every compiled/*.manifest.json for `sourceRef` except
+ * `excludeWindow` into { windows, hashes: Map<curie, sha|null>,
+ * tombstones: Map<curie, tombstone> }.
+ */
+export async function loadPriorState(compiledDir, sourceRef, { excludeWindow = null } = {}) {
+  const state = { windows: [], hashes: new Map(), tombstones: new Map() };
+  if (!existsSync(compiledDir)) return state;
+
+  const manifests = [];
+  for (const f of await readdir(compiledDir)) {
+    if (!f.endsWith('.manifest.json')) continue;
+    let m;
+    try {
+      m = JSON.parse(await readFile(path.join(compiledDir, f), 'utf8'));
+    } catch {
+      continue;
+    }
+    if (m.source_ref !== sourceRef || m.window === excludeWindow) continue;
+    manifests.push(m);
+  }
+  manifests.sort((a, b) => String(a.generated_at || '').localeCompare(String(b.generated_at || '')));
+
+  for (const m of manifests) {
+    state.windows.push(m.window);
+    if (m.case_hashes) {
+      for (const [curie, sha] of Object.entries(m.case_hashes)) state.hashes.set(curie, sha);
+    } else {
+      for (const c of m.contributions || []) {
+        for (const curie of c.case_curies || []) {
+          if (!state.hashes.has(curie)) state.hashes.set(curie, null);
+        }
+      }
+    }
+    for (const t of m.tombstones || []) state.tombstones.set(t.case_curie, t);
+  }
+  return state;
+}
+
+// -------- withdrawals --------
+
+function normaliseTombstone(t) {
+  return {
+    case_curie: t.case_curie,
+    status: t.status,
+    superseded_by: t.superseded_by ?? null,
+    withdrawn_on: t.withdrawn_on ?? null,
+    reason: t.reason ?? null,
+    source_ref: t.source_ref ?? null,
+  };
+}
+
+/** Problems with one withdrawals.json record, as strings (empty when ok). */
+export function tombstoneProblems(t) {
+  const problems = [];
+  if (!CURIE_RE.test(t.case_curie || '')) problems.push(`case_curie ${JSON.stringify(t.case_curie)} is not a curie`);
+  if (!TOMBSTONE_STATUSES.includes(t.status)) problems.push(`status must be one of ${TOMBSTONE_STATUSES.join(', ')}`);
+  if (t.status === 'superseded' && !CURIE_RE.test(t.superseded_by || '')) {
+    problems.push('superseded needs superseded_by=<case_curie>');
+  }
+  if (t.status === 'withdrawn' && t.superseded_by) problems.push('withdrawn takes no superseded_by (use status superseded)');
+  if (t.superseded_by && t.superseded_by === t.case_curie) problems.push('superseded_by names the case itself');
+  if (t.withdrawn_on != null && !/^\d{4}-\d{2}-\d{2}$/.test(t.withdrawn_on)) problems.push('withdrawn_on must be YYYY-MM-DD');
+  return problems;
+}
+
+/**
+ * Read withdrawals.json → Map<curie, tombstone>. Missing file is an empty
+ * map; a malformed record throws (naming it) rather than being dropped,
+ * since a silently ignored withdrawal would re-publish a recalled opinion.
+ */
+export async function loadWithdrawals(filePath) {
+  const out = new Map();
+  if (!existsSync(filePath)) return out;
+  const list = JSON.parse(await readFile(filePath, 'utf8'));
+  if (!Array.isArray(list)) throw new Error(`${path.basename(filePath)}: expected a JSON array`);
+  list.forEach((raw, i) => {
+    const problems = tombstoneProblems(raw);
+    if (problems.length) throw new Error(`${path.basename(filePath)}[${i}]: ${problems.join('; ')}`);
+    out.set(raw.case_curie, normaliseTombstone(raw));
+  });
+  return out;
+}
+
+/** Add or replace one record in withdrawals.json (sorted by curie). */
+export async function recordWithdrawal(filePath, tombstone) {
+  const problems = tombstoneProblems(tombstone);
+  if (problems.length) throw new Error(problems.join('; '));
+  const all = await loadWithdrawals(filePath);
+  const replaced = all.has(tombstone.case_curie);
+  all.set(tombstone.case_curie, normaliseTombstone(tombstone));
+  const list = [...all.values()].sort((a, b) => a.case_curie.localeCompare(b.case_curie));
+  await writeFile(filePath, JSON.stringify(list, null, 2) + '\n');
+  return { replaced, count: list.length };
+}
+
+// -------- diff --------
+
+const sameTombstone = (a, b) => JSON.stringify(normaliseTombstone(a)) === JSON.stringify(normaliseTombstone(b));
+
+/**
+ * Split a source's current cases against prior state. Returns
+ * { emit, added, changed, unchanged, tombstones, suppressed, hashes }:
+ *   emit        cases to put in this window (new + changed)
+ *   added / changed / unchanged   curie lists
+ *   tombstones  tombstones to put in this window (new or edited records)
+ *   suppressed  curies dropped because they are tombstoned
+ *   hashes      curie → sha for every emitted case
+ * With `full`, prior state is ignored: every live case and every
+ * tombstone for the source is emitted.
+ */
+export function diffWindow(cases, prior, withdrawals, { sourceRef, full = false }) {
+  const out = { emit: [], added: [], changed: [], unchanged: [], tombstones: [], suppressed: [], hashes: {} };
+
+  for (const c of cases) {
+    const curie = c.case_curie;
+    if (curie && withdrawals.has(curie)) {
+      out.suppressed.push(curie);
+      continue;
+    }
+    const sha = caseContentHash(c);
+    if (!full && curie && prior.hashes.has(curie)) {
+      const before = prior.hashes.get(curie);
+      if (before === null || before === sha) {
+        out.unchanged.push(curie);
+        continue;
+      }
+      out.changed.push(curie);
+    } else {
+      out.added.push(curie);
+    }
+    out.emit.push(c);
+    if (curie) out.hashes[curie] = sha;
+  }
+
+  // A withdrawal belongs to this source if it says so, or if this source
+  // has ever carried (or now carries) the curie.
+  const carried = new Set([...prior.hashes.keys(), ...cases.map(c => c.case_curie)]);
+  for (const t of withdrawals.values()) {
+    if (t.source_ref ? t.source_ref !== sourceRef : !carried.has(t.case_curie)) continue;
+    const sent = prior.tombstones.get(t.case_curie);
+    if (!full && sent && sameTombstone(sent, t)) continue;
+    out.tombstones.push(t);
+  }
+  out.tombstones.sort((a, b) => a.case_curie.localeCompare(b.case_curie));
+  return out;
+}
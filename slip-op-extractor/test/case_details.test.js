@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCounselLine, departmentFromLowerCourt } from '../src/case_details.js';
+
+test('counsel location: a city before a state takes both segments', () => {
+  const c = parseCounselLine('Smith & Jones LLP, Brooklyn, NY (John Smith of counsel), for appellant.');
+  assert.equal(c.firm, 'Smith & Jones LLP');
+  assert.equal(c.location, 'Brooklyn, NY');
+  assert.deepEqual(c.attorneys, ['John Smith']);
+});
+
+test('counsel location: "New York" after an office title is the city', () => {
+  const c = parseCounselLine('Cyrus R. Vance, Jr., District Attorney, New York (Jane Roe of counsel), for respondent.');
+  assert.equal(c.role, 'respondent');
+  assert.equal(c.firm, 'Cyrus R. Vance, Jr., District Attorney');
+  assert.equal(c.location, 'New York');
+  assert.deepEqual(c.attorneys, ['Jane Roe']);
+});
+
+test('counsel: a lone attorney of record and pro se', () => {
+  const c = parseCounselLine('Jane Doe, Mineola, for appellant.');
+  assert.deepEqual([c.firm, c.location, c.attorneys], ['Jane Doe', 'Mineola', ['Jane Doe']]);
+  const p = parseCounselLine('Appellant pro se.');
+  assert.deepEqual([p.role, p.pro_se], ['appellant', true]);
+});
+
+test('AD department from the lower-court county', () => {
+  assert.equal(departmentFromLowerCourt({ source_ref: 'ny_appellate', department: null }, { county: 'Erie' }), 4);
+  assert.equal(departmentFromLowerCourt({ source_ref: 'ny_appellate', department: 2 }, { county: 'Erie' }), 2);
+  assert.equal(departmentFromLowerCourt({ source_ref: 'ny_supreme', department: null }, { county: 'Erie' }), null);
+});
@@ -0,0 +1,111 @@
+// harvest() against createDirectoryFetcher over a throwaway mirror under
+// os.tmpdir() — no network.
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { harvest, createDirectoryFetcher, loadHarvestManifest } from '../src/harvest.js';
+
+const SITE = 'https://www.nycourts.gov/reporter/3dseries/2003/';
+const HTML = '<html><body><p>People v Mills</p></body></html>';
+
+let tmp;
+let opts;
+
+function target(n, { format = 'html' } = {}) {
+  const file_name = `2003_${n}.${format === 'pdf' ? 'pdf' : 'htm'}`;
+  return {
+    url: SITE + file_name,
+    format,
+    file_name,
+    slip_op_cite: `2003 NY Slip Op ${n}`,
+    slip_op_curie: `nyslopop:2003:${n}`,
+    decision_date: '2003-10-28',
+    source_ref: 'ny_supreme',
+    index_name: 'People v Mills',
+    index_file: '10_03_coa.html',
+  };
+}
+
+beforeEach(async () => {
+  tmp = await mkdtemp(path.join(os.tmpdir(), 'slip-op-harvest-'));
+  const mirror = path.join(tmp, 'mirror', 'www.nycourts.gov', 'reporter', '3dseries', '2003');
+  await mkdir(mirror, { recursive: true });
+  await writeFile(path.join(mirror, '2003_17888.htm'), HTML);
+  await writeFile(path.join(mirror, '2003_17889.htm'), HTML.replace('Mills', 'Cipriano'));
+  const root = path.join(tmp, 'repo');
+  const manifestPath = path.join(root, 'in', 'harvest.manifest.json');
+  await mkdir(path.dirname(manifestPath), { recursive: true });
+  opts = {
+    fetcher: createDirectoryFetcher(path.join(tmp, 'mirror')),
+    root,
+    htmlDir: path.join(root, 'in', 'html'),
+    pdfDir: path.join(root, 'in', 'pdf'),
+    manifest: await loadHarvestManifest(manifestPath),
+    manifestPath,
+    delayMs: 0,
+    log: () => {},
+  };
+});
+
+afterEach(async () => { await rm(tmp, { recursive: true, force: true }); });
+
+test('a fetched opinion is written and recorded in the manifest', async () => {
+  const summary = await harvest([target(17888)], opts);
+  assert.equal(summary.fetched, 1);
+  assert.equal(summary.stopped, null);
+  const file = path.join(opts.htmlDir, '2003_17888.htm');
+  assert.equal(await readFile(file, 'utf8'), HTML);
+
+  const saved = await loadHarvestManifest(opts.manifestPath);
+  const e = saved.entries[target(17888).url];
+  assert.equal(e.status, 'fetched');
+  assert.equal(e.file, path.join('in', 'html', '2003_17888.htm'));
+  assert.equal(e.http_status, 200);
+  assert.equal(e.content_type, 'text/html');
+  assert.equal(e.bytes, HTML.length);
+  assert.equal(e.attempts, 1);
+  assert.equal(e.slip_op_cite, '2003 NY Slip Op 17888');
+});
+
+test('a 404 is recorded as missing and only retried with retryMissing', async () => {
+  const summary = await harvest([target(17900)], opts);
+  assert.equal(summary.missing, 1);
+  assert.equal(summary.stopped, null);
+  const e = opts.manifest.entries[target(17900).url];
+  assert.equal(e.status, 'missing');
+  assert.equal(e.http_status, 404);
+  assert.equal(e.error, 'HTTP 404');
+  assert.equal(existsSync(path.join(opts.htmlDir, '2003_17900.htm')), false);
+
+  assert.equal((await harvest([target(17900)], opts)).skipped, 1);
+  const retried = await harvest([target(17900)], { ...opts, retryMissing: true });
+  assert.equal(retried.missing, 1);
+  assert.equal(opts.manifest.entries[target(17900).url].attempts, 2);
+});
+
+test('a resumed run skips what it already fetched', async () => {
+  const first = await harvest([target(17888)], { ...opts, limit: 1 });
+  assert.equal(first.fetched, 1);
+
+  // Interrupted: pick the manifest back up from disk, as a new run would.
+  const manifest = await loadHarvestManifest(opts.manifestPath);
+  const fetched = [];
+  const fetcher = { kind: 'spy', fetch: (url) => { fetched.push(url); return opts.fetcher.fetch(url); } };
+  const second = await harvest([target(17888), target(17889)], { ...opts, manifest, fetcher });
+  assert.equal(second.skipped, 1);
+  assert.equal(second.fetched, 1);
+  assert.deepEqual(fetched, [target(17889).url]);
+  assert.equal(manifest.entries[target(17888).url].attempts, 1);
+});
+
+test('a file fetched before but since deleted is fetched again', async () => {
+  await harvest([target(17888)], opts);
+  await rm(path.join(opts.htmlDir, '2003_17888.htm'));
+  const summary = await harvest([target(17888)], opts);
+  assert.equal(summary.fetched, 1);
+  assert.equal(opts.manifest.entries[target(17888).url].attempts, 2);
+});
@@ -0,0 +1,145 @@
+// reconcile.js against a throwaway bound-volume out/ tree, plus
+// `main.js reconcile --strict` end to end.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, mkdir, writeFile, rm, rmdir } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadBoundIndex, reconcileCase, reconcile, nameSimilarity, citeKey } from '../src/reconcile.js';
+
+const execFileP = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+let tmp;
+let boundDir;
+let index;
+
+function boundCase(vol, page, name, date) {
+  return {
+    case_curie: `ad3d:${vol}:${page}`,
+    name,
+    decision_date: date,
+    citations: [{ cite: `${vol} AD3d ${page}`, citation_type: 'official' }],
+  };
+}
+
+function slipCase(n, name, date, officialCite = null, curie = null) {
+  const citations = [{ cite: `2003 NY Slip Op ${n}`, citation_type: 'slip_op' }];
+  if (officialCite) citations.push({ cite: officialCite, citation_type: 'official', curie });
+  return { case_curie: `nyslopop:2003:${n}`, name, decision_date: date, citations };
+}
+
+before(async () => {
+  tmp = await mkdtemp(path.join(os.tmpdir(), 'slip-op-reconcile-'));
+  boundDir = path.join(tmp, 'bound');
+  await mkdir(path.join(boundDir, '1AD3d'), { recursive: true });
+  await writeFile(path.join(boundDir, '1AD3d', 'cases.json'), JSON.stringify({
+    volume: { reporter: 'AD3d' },
+    cases: [
+      boundCase(1, 100, 'Smith v Jones', '2003-10-28'),
+      boundCase(1, 105, 'Matter of Brown v Board of Educ.', '2003-10-28'),
+      boundCase(1, 110, 'Green v Town of Hempstead', '2003-10-28'),
+      boundCase(1, 115, 'Green v Town of Oyster Bay', '2003-10-28'),
+      boundCase(1, 120, 'Doe v Roe', '2003-10-30'),
+    ],
+  }));
+  index = await loadBoundIndex(boundDir);
+});
+
+after(async () => { await rm(tmp, { recursive: true, force: true }); });
+
+test('nameSimilarity and citeKey', () => {
+  assert.equal(nameSimilarity('Smith v Jones', 'Smith v Jones Realty Corp.'), 1);
+  assert.ok(nameSimilarity('People v Mills', 'People v Jones') < 0.6);
+  assert.equal(citeKey('1 A.D.3d 100'), citeKey('1 AD3d 100'));
+});
+
+test('loadBoundIndex maps the reporter to its source ref', () => {
+  assert.equal(index.volumes, 1);
+  assert.equal(index.all.length, 5);
+  assert.equal(index.byCite.get(citeKey('1 AD3d 100')).source_ref, 'ny_appellate');
+});
+
+test('a cite join with agreeing name and date is clean', () => {
+  const r = reconcileCase(slipCase(17001, 'Smith v Jones', '2003-10-28', '1 AD3d 100', 'ad3d:1:100'), 'ny_appellate', index);
+  assert.equal(r.method, 'cite');
+  assert.equal(r.confidence, 1);
+  assert.deepEqual(r.issues, []);
+  assert.equal(r.bound.case_curie, 'ad3d:1:100');
+});
+
+test('a cite join whose names disagree is flagged name_mismatch', () => {
+  const r = reconcileCase(slipCase(17002, 'Doe v Roe', '2003-10-28', '1 AD3d 100', 'ad3d:1:100'), 'ny_appellate', index);
+  assert.equal(r.method, 'cite');
+  assert.equal(r.confidence, 0.5);
+  assert.deepEqual(r.issues, ['name_mismatch']);
+});
+
+test('a cite join flags a different synthesised curie and date', () => {
+  const r = reconcileCase(slipCase(17003, 'Smith v Jones', '2003-10-29', '1 AD3d 100', 'ad3d:1:101'), 'ny_appellate', index);
+  assert.deepEqual(r.issues, ['date_mismatch', 'curie_mismatch']);
+  assert.equal(r.confidence, 0.9);
+});
+
+test('without a cite, court + date + name finds the case', () => {
+  const r = reconcileCase(slipCase(17004, 'Matter of Brown v Board of Education', '2003-10-28'), 'ny_appellate', index);
+  assert.equal(r.method, 'court_date_name');
+  assert.equal(r.bound.case_curie, 'ad3d:1:105');
+  assert.deepEqual(r.issues, []);
+});
+
+test('two near-equal name candidates are flagged ambiguous', () => {
+  const r = reconcileCase(slipCase(17005, 'Green v Town', '2003-10-28'), 'ny_appellate', index);
+  assert.equal(r.method, 'court_date_name');
+  assert.ok(r.issues.includes('ambiguous'));
+  assert.ok(r.runner_up);
+});
+
+test('no match leaves the slip op unmatched', () => {
+  const r = reconcileCase(slipCase(17006, 'Unrelated v Caption', '2003-10-28'), 'ny_appellate', index);
+  assert.equal(r.method, null);
+});
+
+test('reconcile summarises matches, flags and unmatched bound cases in the window', () => {
+  const report = reconcile([{
+    target_source_db: 'ny_appellate',
+    cases: [
+      slipCase(17001, 'Smith v Jones', '2003-10-28', '1 AD3d 100', 'ad3d:1:100'),
+      slipCase(17002, 'Doe v Roe', '2003-10-28', '1 AD3d 105', 'ad3d:1:105'),
+      slipCase(17006, 'Unrelated v Caption', '2003-10-28'),
+    ],
+  }], index);
+  assert.equal(report.summary.slip_cases, 3);
+  assert.equal(report.summary.matched, 2);
+  assert.equal(report.summary.unmatched, 1);
+  assert.equal(report.summary.flagged, 1);
+  assert.deepEqual(report.summary.by_issue, { name_mismatch: 1 });
+  // 2003-10-30 falls outside the slip ops' window
+  assert.deepEqual(report.unmatched_bound.map(b => b.case_curie), ['ad3d:1:110', 'ad3d:1:115']);
+});
+
+async function runStrict(label, cases) {
+  const compiled = path.join(tmp, `${label}.json`);
+  await writeFile(compiled, JSON.stringify({ target_source_db: 'ny_appellate', cases }));
+  try {
+    await execFileP(process.execPath, ['main.js', 'reconcile', `--bound-dir=${boundDir}`, `--compiled=${compiled}`, '--strict'], { cwd: ROOT });
+    return 0;
+  } catch (err) {
+    return err.code;
+  } finally {
+    // main.js writes its report under compiled/; leave the tree as found.
+    await rm(path.join(ROOT, 'compiled', `${label}.reconcile.json`), { force: true });
+    await rmdir(path.join(ROOT, 'compiled')).catch(() => {});
+  }
+}
+
+test('reconcile --strict exits 1 only when a join is flagged', async () => {
+  const label = `reconcile-test-${process.pid}`;
+  assert.equal(await runStrict(`${label}-clean`, [slipCase(17001, 'Smith v Jones', '2003-10-28', '1 AD3d 100', 'ad3d:1:100')]), 0);
+  assert.equal(await runStrict(`${label}-flagged`, [slipCase(17002, 'Doe v Roe', '2003-10-28', '1 AD3d 100', 'ad3d:1:100')]), 1);
+});
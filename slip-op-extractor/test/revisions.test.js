@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareOpinions, splitParagraphs, countByKind } from '../src/revisions.js';
+
+// Slip-op text: blank-line separated, single newlines are wraps.
+const SLIP = [
+  'The plaintiff commenced this action against the defendant seeking\ndamages for breach of a written commercial lease agreement.',
+  'A landlord has no duty to mitigate damages after a tenant abandons the\npremises (see Holy Props. v Cole Prods., ___ AD3d ___ [2d Dept 2003]).',
+  'The tenant relies on a contrary rule stated long ago (see Matter of Smith, 95 NY2d 10 [2000]).',
+  'The Supreme Court properly found that Gonzalez was entitled to summary judgment on the remaining claim.',
+  'We note in passing that the parties stipulated at oral argument to every fact recited in the complaint.',
+  'Accordingly, the order is affirmed, with costs.',
+].join('\n\n');
+
+// Bound-volume text: one paragraph per line.
+const BOUND = [
+  'The plaintiff commenced this action against the defendant seeking damages for breach of a written commercial lease agreement.',
+  'A landlord has no duty to mitigate damages after a tenant abandons the premises (see Holy Props. v Cole Prods., 1 AD3d 250 [2d Dept 2003]).',
+  'The tenant relies on a contrary rule stated long ago (see Matter of Smith, 95 NY2d 12 [2000]).',
+  'The Supreme Court properly found that Gonzales was entitled to summary judgment on the remaining claim.',
+  'Accordingly, the order is modified, with costs.',
+  'The remaining contentions raised by the defendant are without merit and need not be separately addressed.',
+].join('\n');
+
+const slipCase = { name: 'Acme Realty v Jones', opinions: [{ text: SLIP }] };
+const boundCase = { case_curie: 'ad3d:1:300', name: 'Acme Realty v Jones', opinions: [{ opinion_index: 0, text: BOUND }] };
+
+test('splitParagraphs: blank lines for slip ops, one per line for bound volumes', () => {
+  assert.equal(splitParagraphs(SLIP).length, 6);
+  assert.match(splitParagraphs(SLIP)[0], /seeking damages/);
+  assert.equal(splitParagraphs(BOUND, { blankLineSeparated: false }).length, 6);
+  assert.deepEqual(splitParagraphs('one\ntwo'), ['one', 'two']);
+});
+
+test('compareOpinions records each kind of edit and skips the placeholder fill', () => {
+  const rev = compareOpinions(slipCase, boundCase, { cite: '1 AD3d 300', volume: '1AD3d' });
+  assert.deepEqual(rev.compared_against, { case_curie: 'ad3d:1:300', cite: '1 AD3d 300', volume: '1AD3d' });
+  assert.equal(rev.slip_paragraphs, 6);
+  assert.equal(rev.bound_paragraphs, 6);
+  assert.equal(rev.aligned, 5);
+  // the first paragraph and the "___ AD3d ___" → "1 AD3d 250" fill
+  assert.equal(rev.unchanged, 2);
+
+  const by = Object.fromEntries(rev.records.map(r => [r.kind, r]));
+  assert.deepEqual(countByKind(rev), {
+    citation_changed: 1, party_renamed: 1, paragraph_removed: 1, holding_changed: 1, paragraph_added: 1,
+  });
+  assert.deepEqual([by.holding_changed.removed, by.holding_changed.added], ['affirmed,', 'modified,']);
+  assert.deepEqual([by.party_renamed.removed, by.party_renamed.added], ['Gonzalez', 'Gonzales']);
+  assert.deepEqual([by.citation_changed.removed, by.citation_changed.added], ['10', '12']);
+  assert.equal(by.paragraph_removed.slip_paragraph, 4);
+  assert.equal(by.paragraph_removed.bound_paragraph, null);
+  assert.equal(by.paragraph_added.bound_paragraph, 5);
+  assert.equal(by.paragraph_added.opinion_index, 0);
+});
+
+test('a changed case name is recorded as party_renamed', () => {
+  const rev = compareOpinions({ ...slipCase, name: 'Acme Realty v Jonas' }, boundCase);
+  const r = rev.records.find(x => x.slip_paragraph == null && x.bound_paragraph == null);
+  assert.deepEqual([r.kind, r.removed, r.added], ['party_renamed', 'Jonas', 'Jones']);
+});
+
+test('identical texts yield no records', () => {
+  const rev = compareOpinions(slipCase, { ...boundCase, opinions: [{ opinion_index: 0, text: splitParagraphs(SLIP).join('\n') }] });
+  assert.deepEqual(rev.records, []);
+  assert.equal(rev.unchanged, 6);
+  assert.deepEqual(countByKind(rev), {});
+});
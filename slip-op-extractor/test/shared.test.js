@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCourt, courtWithDepartment } from '../src/shared.js';
+
+const court = (level, name, { department = null, districts = null, county = null } = {}) =>
+  ({ level, name, department, districts, county });
+
+test('classifyCourt: Appellate Term in either rendering, with its districts', () => {
+  const expected = {
+    reporter: 'Misc 3d',
+    source_ref: 'ny_trial',
+    department: null,
+    court: court('appellate_term', 'New York Supreme Court, Appellate Term', { department: 2, districts: [9, 10] }),
+  };
+  assert.deepEqual(classifyCourt('App Term, 2d Dept, 9th & 10th Jud Dists'), expected);
+  assert.deepEqual(classifyCourt('Appellate Term, Second Department, 9th and 10th Judicial Districts'), expected);
+  assert.deepEqual(classifyCourt('App Term, 2d Dept, 2d, 11th & 13th Jud Dists').court.districts, [2, 11, 13]);
+  assert.deepEqual(classifyCourt('Appellate Term, First Department').court,
+    court('appellate_term', 'New York Supreme Court, Appellate Term', { department: 1 }));
+});
+
+test('classifyCourt: Court of Appeals and the Appellate Division', () => {
+  assert.deepEqual(classifyCourt('Court of Appeals'), {
+    reporter: 'NY3d', source_ref: 'ny_supreme', department: null,
+    court: court('court_of_appeals', 'New York Court of Appeals'),
+  });
+  assert.deepEqual(classifyCourt('Supreme Court, Appellate Division, Third Department'), {
+    reporter: 'AD3d', source_ref: 'ny_appellate', department: 3,
+    court: court('appellate_division', 'New York Supreme Court, Appellate Division', { department: 3 }),
+  });
+  assert.equal(classifyCourt('App Div, 4th Dept').department, 4);
+});
+
+test('classifyCourt: the Court of Claims is statewide — no county even when one is named', () => {
+  for (const text of ['Court of Claims of the State of New York', 'Court of Claims, Albany County']) {
+    assert.deepEqual(classifyCourt(text), {
+      reporter: 'Misc 3d', source_ref: 'ny_trial', department: null,
+      court: court('trial', 'New York Court of Claims'),
+    });
+  }
+});
+
+test("classifyCourt: Surrogate's and County Court carry the county", () => {
+  assert.deepEqual(classifyCourt("Surrogate's Court, Kings County").court,
+    court('trial', "New York Surrogate's Court", { county: 'Kings' }));
+  assert.deepEqual(classifyCourt('Surrogate’s Court of New York County').court,
+    court('trial', "New York Surrogate's Court", { county: 'New York' }));
+  assert.deepEqual(classifyCourt('County Court, Westchester County').court,
+    court('trial', 'New York County Court', { county: 'Westchester' }));
+  // "Supreme Court, … County" is the trial-level Supreme Court, not County Court
+  assert.deepEqual(classifyCourt('Supreme Court, Bronx County').court,
+    court('trial', 'New York Supreme Court', { county: 'Bronx' }));
+  assert.equal(classifyCourt('Civil Court of the City of New York, Queens County').court.name, 'New York City Civil Court');
+});
+
+test('classifyCourt: unknown court text is a generic trial court; no text is nothing', () => {
+  assert.deepEqual(classifyCourt('Board of Standards and Appeals'), {
+    reporter: 'Misc 3d', source_ref: 'ny_trial', department: null,
+    court: court('trial', 'New York Trial Court'),
+  });
+  for (const text of ['', '   ', null, undefined]) {
+    assert.deepEqual(classifyCourt(text), { reporter: null, source_ref: null, department: null, court: null });
+  }
+});
+
+test('courtWithDepartment fills in an AD department only when the court line had none', () => {
+  assert.equal(courtWithDepartment(classifyCourt('Appellate Division'), 2).department, 2);
+  assert.equal(courtWithDepartment(classifyCourt('App Div, 1st Dept'), 2).department, 1);
+  assert.equal(courtWithDepartment(classifyCourt('Supreme Court, Kings County'), 2).department, null);
+  assert.equal(courtWithDepartment(classifyCourt(''), 2), null);
+});
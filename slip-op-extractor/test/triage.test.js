@@ -0,0 +1,202 @@
+// Decisions file, review queue and the interactive loop (driven by a piped
+// input stream) over resolved-*.json files under os.tmpdir().
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { Readable, Writable } from 'node:stream';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  loadDecisions,
+  appendDecision,
+  latestResolutionFiles,
+  buildQueue,
+  runTriage,
+  applyReview,
+} from '../src/triage.js';
+
+let tmp;
+let decisionsPath;
+
+beforeEach(async () => {
+  tmp = await mkdtemp(path.join(os.tmpdir(), 'slip-op-triage-'));
+  decisionsPath = path.join(tmp, 'decisions.jsonl');
+});
+afterEach(async () => { await rm(tmp, { recursive: true, force: true }); });
+
+const candidate = (case_id, name) => ({
+  case_id, name_abbreviation: name, decision_date: '2003-10-28', citation_count: 1,
+  page_first: 100 + case_id, page_last: null, best_score: 0.5, name_score: 0.4,
+});
+
+const entry = (n, candidates) => ({
+  slip_op_curie: `nyslopop:2003:${n}`,
+  slip_op_cite: `2003 NY Slip Op ${n}`,
+  decision_date: '2003-10-28',
+  source_ref: 'ny_appellate',
+  court_department: 2,
+  reason: 'ambiguous_top',
+  index: { title: `Case ${n}`, url: null },
+  candidates,
+});
+
+async function resolutionFile(name, unresolved) {
+  const file = path.join(tmp, name);
+  await writeFile(file, JSON.stringify({ unresolved }));
+  return file;
+}
+
+async function decisionLines(lines) {
+  await writeFile(decisionsPath, lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+  return loadDecisions(decisionsPath);
+}
+
+test('loadDecisions: rejections accumulate until an accept resets them', async () => {
+  const c = 'nyslopop:2003:1';
+  let d = await decisionLines([
+    { slip_op_curie: c, decision: 'reject', case_ids: [11] },
+    { slip_op_curie: c, decision: 'skip' },
+    { slip_op_curie: c, decision: 'reject', case_ids: ['12'], reviewer: 'ab' },
+  ]);
+  assert.equal(d.get(c).decision, 'reject');
+  assert.deepEqual([...d.get(c).rejected], [11, 12]);
+  assert.equal(d.get(c).reviewer, 'ab');
+
+  d = await decisionLines([
+    { slip_op_curie: c, decision: 'reject', case_ids: [11] },
+    { slip_op_curie: c, decision: 'accept', case_id: 12, note: 'per the index' },
+  ]);
+  assert.deepEqual({ ...d.get(c), rejected: [...d.get(c).rejected] }, {
+    decision: 'accept', case_id: 12, rejected: [], note: 'per the index', reviewer: null, decided_at: null,
+  });
+  // a reject after the accept starts a fresh set
+  await writeFile(decisionsPath, JSON.stringify({ slip_op_curie: c, decision: 'reject', case_ids: [13] }) + '\n', { flag: 'a' });
+  assert.deepEqual([...loadDecisions(decisionsPath).get(c).rejected], [13]);
+});
+
+test('loadDecisions: a missing file is empty, a bad line names its number', async () => {
+  assert.equal(loadDecisions(path.join(tmp, 'none.jsonl')).size, 0);
+  await writeFile(decisionsPath, `${JSON.stringify({ slip_op_curie: 'nyslopop:2003:1', decision: 'skip' })}\n\n{oops\n`);
+  assert.throws(() => loadDecisions(decisionsPath), /^Error: decisions\.jsonl:3: /);
+  await writeFile(decisionsPath, `${JSON.stringify({ slip_op_curie: 'nyslopop:2003:1', decision: 'maybe' })}\n`);
+  assert.throws(() => loadDecisions(decisionsPath), /decisions\.jsonl:1: needs slip_op_curie and decision/);
+});
+
+test('appendDecision refuses an accept without an integer case_id', () => {
+  assert.throws(() => appendDecision(decisionsPath, { slip_op_curie: 'nyslopop:2003:1', decision: 'accept' }), /integer case_id/);
+  assert.throws(() => appendDecision(decisionsPath, { slip_op_curie: 'nyslopop:2003:1', decision: 'later' }), /unknown decision/);
+});
+
+test('latestResolutionFiles keeps the newest stamp per source', async () => {
+  await resolutionFile('resolved-ny_appellate-20240101-000000.json', []);
+  const newest = await resolutionFile('resolved-ny_appellate-20240102-000000.json', []);
+  const supreme = await resolutionFile('resolved-ny_supreme-20231231-235959.json', []);
+  await resolutionFile('notes.json', []);
+  assert.deepEqual(latestResolutionFiles(tmp), [newest, supreme]);
+  assert.deepEqual(latestResolutionFiles(tmp, { source: 'ny_supreme' }), [supreme]);
+  assert.deepEqual(latestResolutionFiles(path.join(tmp, 'none')), []);
+});
+
+test('buildQueue keeps file order, drops decided entries and rejected candidates', async () => {
+  const a = await resolutionFile('resolved-ny_appellate-20240102-000000.json', [
+    entry(1, [candidate(11, 'Smith v Jones'), candidate(12, 'Smith v Jonas')]),
+    entry(2, [candidate(21, 'Doe v Roe')]),
+    entry(3, [candidate(31, 'Brown v Green')]),
+    entry(4, [candidate(41, 'White v Black'), candidate(42, 'White v Blake')]),
+    entry(5, [candidate(51, 'Gray v Gray')]),
+  ]);
+  const b = await resolutionFile('resolved-ny_supreme-20240102-000000.json', [
+    entry(1, [candidate(99, 'Duplicate')]),
+    entry(6, [candidate(61, 'People v Mills')]),
+  ]);
+  const decisions = await decisionLines([
+    { slip_op_curie: 'nyslopop:2003:2', decision: 'accept', case_id: 21 },
+    { slip_op_curie: 'nyslopop:2003:3', decision: 'skip' },
+    { slip_op_curie: 'nyslopop:2003:4', decision: 'reject', case_ids: [41] },
+    { slip_op_curie: 'nyslopop:2003:5', decision: 'reject', case_ids: [51] },
+  ]);
+
+  const queue = buildQueue([a, b], decisions);
+  assert.deepEqual(queue.map(e => [e.slip_op_curie, e.candidates.map(c => c.case_id), e.resolution_file]), [
+    ['nyslopop:2003:1', [11, 12], path.basename(a)],
+    ['nyslopop:2003:4', [42], path.basename(a)],
+    ['nyslopop:2003:6', [61], path.basename(b)],
+  ]);
+  assert.deepEqual(buildQueue([a, b], decisions, { includeSkipped: true }).map(e => e.slip_op_curie),
+    ['nyslopop:2003:1', 'nyslopop:2003:3', 'nyslopop:2003:4', 'nyslopop:2003:6']);
+});
+
+function collect() {
+  const chunks = [];
+  const stream = new Writable({ write(chunk, _enc, done) { chunks.push(String(chunk)); done(); } });
+  return { stream, text: () => chunks.join('') };
+}
+
+test('runTriage records piped answers and stops at end of input', async () => {
+  const queue = [
+    entry(1, [candidate(11, 'Smith v Jones'), candidate(12, 'Smith v Jonas')]),
+    entry(2, [candidate(21, 'Doe v Roe'), candidate(22, 'Doe v Rowe')]),
+    entry(3, [candidate(31, 'Brown v Green'), candidate(32, 'Brown v Greene')]),
+    entry(4, [candidate(41, 'White v Black')]),
+  ];
+  const input = Readable.from([
+    'n index says Jonas\n', '9\n', '2\n',   // entry 1: bad pick, then accept #2 with the note
+    'r 1\n', 's\n',                          // entry 2: reject #1, stay, then skip
+    'x\n', 'r\n',                            // entry 3: unknown command, then reject all shown
+  ]);
+  const out = collect();
+  const tally = await runTriage(queue, { decisionsPath, reviewer: 'ab', input, output: out.stream });
+  assert.deepEqual(tally, { accepted: 1, rejected: 2, skipped: 1, remaining: 1 });
+
+  const lines = (await readFile(decisionsPath, 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines.map(({ decided_at, ...l }) => l), [
+    { slip_op_curie: 'nyslopop:2003:1', slip_op_cite: '2003 NY Slip Op 1', source_ref: 'ny_appellate', reviewer: 'ab', note: 'index says Jonas', decision: 'accept', case_id: 12 },
+    { slip_op_curie: 'nyslopop:2003:2', slip_op_cite: '2003 NY Slip Op 2', source_ref: 'ny_appellate', reviewer: 'ab', decision: 'reject', case_ids: [21] },
+    { slip_op_curie: 'nyslopop:2003:2', slip_op_cite: '2003 NY Slip Op 2', source_ref: 'ny_appellate', reviewer: 'ab', decision: 'skip' },
+    { slip_op_curie: 'nyslopop:2003:3', slip_op_cite: '2003 NY Slip Op 3', source_ref: 'ny_appellate', reviewer: 'ab', decision: 'reject', case_ids: [31, 32] },
+  ]);
+  assert.ok(lines.every(l => !Number.isNaN(Date.parse(l.decided_at))));
+
+  const text = out.text();
+  assert.match(text, /^4 unresolved entries to triage → /);
+  assert.match(text, /no candidate 9 shown/);
+  assert.match(text, /accepted case 12 \(Smith v Jonas\)/);
+  assert.match(text, /unknown command "x"/);
+  assert.match(text, /\[4\/4\]\s+2003 NY Slip Op 4/);
+
+  // The file now reads back as those calls.
+  const decisions = loadDecisions(decisionsPath);
+  assert.equal(decisions.get('nyslopop:2003:1').case_id, 12);
+  assert.equal(decisions.get('nyslopop:2003:2').decision, 'skip');
+  assert.deepEqual([...decisions.get('nyslopop:2003:2').rejected], [21]);
+});
+
+test('runTriage: q quits, keeping what was decided', async () => {
+  const queue = [entry(1, [candidate(11, 'Smith v Jones')]), entry(2, [candidate(21, 'Doe v Roe')])];
+  const out = collect();
+  const tally = await runTriage(queue, { decisionsPath, input: Readable.from(['a\n', 'q\n', '1\n']), output: out.stream });
+  assert.deepEqual(tally, { accepted: 1, rejected: 0, skipped: 0, remaining: 1 });
+  assert.equal(loadDecisions(decisionsPath).size, 1);
+});
+
+test('applyReview: resolve_index honours accepts and full rejections', async () => {
+  const fetched = [candidate(11, 'Smith v Jones'), candidate(12, 'Smith v Jonas')];
+  const decisions = await decisionLines([
+    { slip_op_curie: 'nyslopop:2003:1', decision: 'accept', case_id: 12 },
+    { slip_op_curie: 'nyslopop:2003:2', decision: 'accept', case_id: 77 },
+    { slip_op_curie: 'nyslopop:2003:3', decision: 'reject', case_ids: [11] },
+    { slip_op_curie: 'nyslopop:2003:4', decision: 'reject', case_ids: [11, 12] },
+    { slip_op_curie: 'nyslopop:2003:5', decision: 'skip' },
+  ]);
+  const review = (n) => decisions.get(`nyslopop:2003:${n}`);
+
+  assert.deepEqual(applyReview(review(1), fetched), { status: 'resolved', target: fetched[1], alternates: [], reason: 'reviewer_accepted' });
+  // an accepted case the query no longer returns still wins
+  assert.deepEqual(applyReview(review(2), fetched).target, { case_id: 77 });
+  // a partial rejection falls through to decide() over what's left
+  assert.equal(applyReview(review(3), fetched), null);
+  assert.deepEqual(applyReview(review(4), fetched), { status: 'unresolved', candidates: [], reason: 'all_candidates_rejected' });
+  assert.equal(applyReview(review(5), fetched), null);
+  assert.equal(applyReview(undefined, fetched), null);
+});
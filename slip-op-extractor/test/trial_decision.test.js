@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTrialDecision, classifyDisposition } from '../src/trial_decision.js';
+
+const DECISION = `Jane Roe, Plaintiff,
+-against-
+John Doe and Acme Corp., Defendants.
+Index No. 150001/2022
+
+DECISION AND ORDER
+
+The following e-filed papers read herein:
+Papers Numbered
+Notice of Motion, Affirmation and Exhibits 1-3
+Affirmation in Opposition 4
+
+Upon the foregoing papers, the motions are determined as follows.
+
+Background
+
+Plaintiff alleges that she slipped on an icy walkway outside the premises owned by Acme Corp. on January 5, 2021.
+
+- 2 -
+
+Discussion
+
+A party moving for summary judgment must make a prima facie showing of entitlement to judgment as a matter of law.
+
+ORDERED that the motion of defendant Acme Corp. for summary judgment is granted in part, to the extent that the second cause of action is dismissed; and it is further
+
+ORDERED that the cross motion of defendant John Doe is denied; and it is further
+
+ORDERED that the motion of plaintiff to amend the complaint is granted.
+
+This constitutes the decision and order of the court.
+
+Dated: New York, New York
+March 3, 2023
+
+ENTER:
+
+HON. JANE SMITH, J.S.C.`;
+
+test('a Supreme Court decision and order splits into labelled sections', () => {
+  const d = parseTrialDecision(DECISION);
+  assert.deepEqual(d.sections.map(s => s.label), [
+    'caption', 'decision_and_order', 'papers_considered', 'body', 'facts', 'discussion', 'ordered', 'signature',
+  ]);
+  const by = Object.fromEntries(d.sections.map(s => [s.label, s]));
+  assert.equal(by.decision_and_order.heading, 'DECISION AND ORDER');
+  assert.match(by.caption.text, /Index No\. 150001\/2022/);
+  // The papers table keeps its rows.
+  assert.deepEqual(by.papers_considered.text.split('\n').slice(1), ['Papers Numbered', 'Notice of Motion, Affirmation and Exhibits 1-3', 'Affirmation in Opposition 4']);
+  // Page numbers between sections are dropped.
+  assert.doesNotMatch(by.facts.text, /- 2 -/);
+  assert.equal(by.discussion.heading, 'Discussion');
+});
+
+test('ordered paragraphs carry a disposition; the first that says something wins', () => {
+  const d = parseTrialDecision(DECISION);
+  assert.deepEqual(d.ordered_paragraphs.map(o => [o.index, o.disposition]), [
+    [0, 'granted_in_part'], [1, 'denied'], [2, 'granted'],
+  ]);
+  assert.equal(d.disposition, 'granted_in_part');
+});
+
+test('author and signed_on come from the signature block', () => {
+  const d = parseTrialDecision(DECISION);
+  assert.equal(d.author, 'JANE SMITH, J.S.C.');
+  assert.equal(d.signed_on, '2023-03-03');
+});
+
+test('without ORDERED lines the conclusion supplies the disposition', () => {
+  const text = `DECISION AND ORDER
+
+Plaintiff moves for a default judgment against the defendant, who has not appeared.
+
+Conclusion
+
+For the reasons stated, the motion is denied.
+
+SO ORDERED.`;
+  const d = parseTrialDecision(text);
+  assert.deepEqual(d.ordered_paragraphs, []);
+  assert.equal(d.disposition, 'denied');
+});
+
+test('an appellate memorandum is not this layout', () => {
+  const memo = `Order, Supreme Court, New York County (Jane Smith, J.), entered March 3, 2023, which granted defendant's motion for summary judgment, unanimously affirmed, without costs.
+
+Defendant established prima facie that it did not create or have notice of the icy condition.
+
+THIS CONSTITUTES THE DECISION AND ORDER OF THE SUPREME COURT, APPELLATE DIVISION, FIRST DEPARTMENT.`;
+  assert.equal(parseTrialDecision(memo), null);
+  assert.equal(parseTrialDecision(''), null);
+});
+
+test('classifyDisposition', () => {
+  const cases = [
+    ['ORDERED that the motion is granted', 'granted'],
+    ['ORDERED that the motions are hereby granted', 'granted'],
+    ['ORDERED that the motion be and the same hereby is granted', 'granted'],
+    ['ORDERED that the motion is denied', 'denied'],
+    ['ORDERED that the motion is granted to the extent that the first cause of action is severed', 'granted_in_part'],
+    ['ORDERED that the motion is granted in part and denied in part', 'granted_in_part'],
+    ['ORDERED that the motion is denied as moot', 'moot'],
+    ['ORDERED that the complaint is hereby dismissed', 'dismissed'],
+    ['ORDERED that the note of issue is vacated', 'vacated'],
+    ['ORDERED that counsel appear for a conference on May 1, 2023', 'other'],
+  ];
+  for (const [text, want] of cases) assert.equal(classifyDisposition(text), want, text);
+});
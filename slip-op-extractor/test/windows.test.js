@@ -0,0 +1,154 @@
+// Incremental compile windows: diffWindow, tombstones and withdrawals.json,
+// and prior state folded from manifests under os.tmpdir().
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  caseContentHash,
+  loadPriorState,
+  tombstoneProblems,
+  loadWithdrawals,
+  recordWithdrawal,
+  diffWindow,
+} from '../src/windows.js';
+
+const SOURCE = 'ny_appellate';
+
+let tmp;
+
+beforeEach(async () => { tmp = await mkdtemp(path.join(os.tmpdir(), 'slip-op-windows-')); });
+afterEach(async () => { await rm(tmp, { recursive: true, force: true }); });
+
+const kase = (n, name = `Case ${n}`) => ({ case_curie: `nyslopop:2003:${n}`, name });
+const noPrior = () => ({ windows: [], hashes: new Map(), tombstones: new Map() });
+const withdrawn = (n, extra = {}) => ({
+  case_curie: `nyslopop:2003:${n}`, status: 'withdrawn', superseded_by: null,
+  withdrawn_on: '2003-11-01', reason: null, source_ref: null, ...extra,
+});
+
+test('diffWindow splits cases into added, changed, unchanged and suppressed', () => {
+  const prior = noPrior();
+  prior.hashes.set('nyslopop:2003:2', caseContentHash(kase(2)));
+  prior.hashes.set('nyslopop:2003:3', caseContentHash(kase(3)));
+  prior.hashes.set('nyslopop:2003:4', null);   // legacy manifest: hash unknown
+  const cases = [kase(1), kase(2), kase(3, 'Case 3 (revised)'), kase(4), kase(5)];
+  const withdrawals = new Map([['nyslopop:2003:5', withdrawn(5)]]);
+
+  const d = diffWindow(cases, prior, withdrawals, { sourceRef: SOURCE });
+  assert.deepEqual(d.added, ['nyslopop:2003:1']);
+  assert.deepEqual(d.changed, ['nyslopop:2003:3']);
+  assert.deepEqual(d.unchanged, ['nyslopop:2003:2', 'nyslopop:2003:4']);
+  assert.deepEqual(d.suppressed, ['nyslopop:2003:5']);
+  assert.deepEqual(d.emit.map(c => c.case_curie), ['nyslopop:2003:1', 'nyslopop:2003:3']);
+  assert.deepEqual(Object.keys(d.hashes), ['nyslopop:2003:1', 'nyslopop:2003:3']);
+});
+
+test('a tombstone is emitted once, and again when its record is edited', () => {
+  const cases = [kase(5)];
+  const withdrawals = new Map([['nyslopop:2003:5', withdrawn(5)]]);
+  const first = diffWindow(cases, noPrior(), withdrawals, { sourceRef: SOURCE });
+  assert.deepEqual(first.tombstones, [withdrawn(5)]);
+
+  const prior = noPrior();
+  prior.tombstones.set('nyslopop:2003:5', first.tombstones[0]);
+  assert.deepEqual(diffWindow(cases, prior, withdrawals, { sourceRef: SOURCE }).tombstones, []);
+
+  const edited = new Map([['nyslopop:2003:5', withdrawn(5, { status: 'superseded', superseded_by: 'nyslopop:2003:6' })]]);
+  const again = diffWindow(cases, prior, edited, { sourceRef: SOURCE });
+  assert.deepEqual(again.tombstones.map(t => t.status), ['superseded']);
+});
+
+test('tombstones only go to the source that carried the case or is named', () => {
+  const withdrawals = new Map([
+    ['nyslopop:2003:7', withdrawn(7)],
+    ['nyslopop:2003:8', withdrawn(8, { source_ref: SOURCE })],
+    ['nyslopop:2003:9', withdrawn(9, { source_ref: 'ny_supreme' })],
+  ]);
+  const prior = noPrior();
+  const d = diffWindow([], prior, withdrawals, { sourceRef: SOURCE });
+  assert.deepEqual(d.tombstones.map(t => t.case_curie), ['nyslopop:2003:8']);
+  prior.hashes.set('nyslopop:2003:7', 'abc');
+  assert.deepEqual(diffWindow([], prior, withdrawals, { sourceRef: SOURCE }).tombstones.map(t => t.case_curie),
+    ['nyslopop:2003:7', 'nyslopop:2003:8']);
+});
+
+test('full mode ignores prior state', () => {
+  const prior = noPrior();
+  prior.hashes.set('nyslopop:2003:2', caseContentHash(kase(2)));
+  prior.tombstones.set('nyslopop:2003:5', withdrawn(5));
+  const withdrawals = new Map([['nyslopop:2003:5', withdrawn(5)]]);
+  const d = diffWindow([kase(2), kase(5)], prior, withdrawals, { sourceRef: SOURCE, full: true });
+  assert.deepEqual(d.added, ['nyslopop:2003:2']);
+  assert.deepEqual(d.unchanged, []);
+  assert.deepEqual(d.suppressed, ['nyslopop:2003:5']);
+  assert.equal(d.tombstones.length, 1);
+});
+
+test('tombstoneProblems', () => {
+  assert.deepEqual(tombstoneProblems(withdrawn(1)), []);
+  assert.deepEqual(tombstoneProblems(withdrawn(1, { status: 'superseded', superseded_by: 'nyslopop:2003:2' })), []);
+  assert.deepEqual(tombstoneProblems(withdrawn(1, { status: 'superseded' })), ['superseded needs superseded_by=<case_curie>']);
+  assert.deepEqual(tombstoneProblems(withdrawn(1, { superseded_by: 'nyslopop:2003:2' })), ['withdrawn takes no superseded_by (use status superseded)']);
+  assert.deepEqual(tombstoneProblems(withdrawn(1, { status: 'superseded', superseded_by: 'nyslopop:2003:1' })), ['superseded_by names the case itself']);
+  assert.deepEqual(tombstoneProblems({ case_curie: '2003 NY Slip Op 1', status: 'gone', withdrawn_on: '11/1/2003' }), [
+    'case_curie "2003 NY Slip Op 1" is not a curie',
+    'status must be one of withdrawn, superseded',
+    'withdrawn_on must be YYYY-MM-DD',
+  ]);
+});
+
+test('loadWithdrawals: missing file is empty, a malformed record throws', async () => {
+  const file = path.join(tmp, 'withdrawals.json');
+  assert.equal((await loadWithdrawals(file)).size, 0);
+  await writeFile(file, JSON.stringify([withdrawn(1), { case_curie: 'nyslopop:2003:2', status: 'pulled' }]));
+  await assert.rejects(loadWithdrawals(file), /^Error: withdrawals\.json\[1\]: status must be one of/);
+  await writeFile(file, JSON.stringify({ case_curie: 'nyslopop:2003:1' }));
+  await assert.rejects(loadWithdrawals(file), /expected a JSON array/);
+});
+
+test('recordWithdrawal adds, replaces and keeps the file sorted', async () => {
+  const file = path.join(tmp, 'withdrawals.json');
+  assert.deepEqual(await recordWithdrawal(file, withdrawn(9)), { replaced: false, count: 1 });
+  assert.deepEqual(await recordWithdrawal(file, withdrawn(1)), { replaced: false, count: 2 });
+  assert.deepEqual(await recordWithdrawal(file, { case_curie: 'nyslopop:2003:9', status: 'superseded', superseded_by: 'nyslopop:2003:10' }),
+    { replaced: true, count: 2 });
+  const saved = JSON.parse(await readFile(file, 'utf8'));
+  assert.deepEqual(saved.map(t => t.case_curie), ['nyslopop:2003:1', 'nyslopop:2003:9']);
+  assert.deepEqual(saved[1], {
+    case_curie: 'nyslopop:2003:9', status: 'superseded', superseded_by: 'nyslopop:2003:10',
+    withdrawn_on: null, reason: null, source_ref: null,
+  });
+  await assert.rejects(recordWithdrawal(file, { case_curie: 'nyslopop:2003:3', status: 'superseded' }), /superseded_by/);
+});
+
+test('loadPriorState folds manifests in generated_at order, legacy ones with a null hash', async () => {
+  const manifest = (window, generated_at, extra) => writeFile(
+    path.join(tmp, `${SOURCE}-${window}.manifest.json`),
+    JSON.stringify({ source_ref: SOURCE, window, generated_at, ...extra }),
+  );
+  await manifest('2003-11-03', '2003-11-03T00:00:00Z', {
+    case_hashes: { 'nyslopop:2003:1': 'b1', 'nyslopop:2003:3': 'c1' },
+    tombstones: [withdrawn(5)],
+  });
+  await manifest('2003-11-01', '2003-11-01T00:00:00Z', {
+    contributions: [{ case_curies: ['nyslopop:2003:1', 'nyslopop:2003:2'] }],
+  });
+  await manifest('2003-11-05', '2003-11-05T00:00:00Z', { case_hashes: { 'nyslopop:2003:1': 'b2' } });
+  await writeFile(path.join(tmp, 'ny_supreme-2003-11-01.manifest.json'),
+    JSON.stringify({ source_ref: 'ny_supreme', window: '2003-11-01', case_hashes: { 'nyslopop:2003:99': 'x' } }));
+  await writeFile(path.join(tmp, 'broken.manifest.json'), '{');
+
+  const state = await loadPriorState(tmp, SOURCE);
+  assert.deepEqual(state.windows, ['2003-11-01', '2003-11-03', '2003-11-05']);
+  assert.deepEqual(Object.fromEntries(state.hashes), {
+    'nyslopop:2003:1': 'b2', 'nyslopop:2003:2': null, 'nyslopop:2003:3': 'c1',
+  });
+  assert.deepEqual([...state.tombstones.keys()], ['nyslopop:2003:5']);
+
+  const rerun = await loadPriorState(tmp, SOURCE, { excludeWindow: '2003-11-05' });
+  assert.equal(rerun.hashes.get('nyslopop:2003:1'), 'b1');
+  assert.equal((await loadPriorState(path.join(tmp, 'none'), SOURCE)).windows.length, 0);
+});